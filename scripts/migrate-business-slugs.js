@@ -0,0 +1,39 @@
+// One-time migration for the public booking widget.
+// - Business.slug: generated from the business name when missing
+//
+// Usage: node scripts/migrate-business-slugs.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Business from "../src/models/Business.js";
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const runMigration = async () => {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected.${DRY_RUN ? " (dry run: nothing is written)" : ""}`);
+
+    console.log("\n🏢 Businesses...");
+    let updated = 0;
+    const businesses = Business.find({ $or: [{ slug: null }, { slug: "" }] }).select("name slug").cursor();
+    for await (const business of businesses) {
+      const slug = await Business.generateSlug(business.name, business._id);
+      console.log(`   ${business._id}: "${business.name}" → ${slug}`);
+      updated++;
+      // Direct update: the rest of the document is not re-validated
+      if (!DRY_RUN) await Business.updateOne({ _id: business._id }, { $set: { slug } });
+    }
+    console.log(`   ${updated} business(es) updated.`);
+
+    console.log("\n🎉 Slug migration complete.");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Critical Error:", error);
+    process.exit(1);
+  }
+};
+
+runMigration();
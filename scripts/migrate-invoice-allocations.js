@@ -0,0 +1,55 @@
+// One-time migration for atomic payment allocations.
+// - Invoice.allocatedAmount: what the allocations of pending / completed / refunded
+//   payments claim on the invoice (kept up to date by the Payment model afterwards)
+//
+// Usage: node scripts/migrate-invoice-allocations.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Same statuses as ALLOCATABLE_STATUSES in src/models/Payment.js
+const ALLOCATABLE_STATUSES = ["pending", "completed", "refunded"];
+
+const runMigration = async () => {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    const db = mongoose.connection.db;
+    console.log(`Connected.${DRY_RUN ? " (dry run: nothing is written)" : ""}`);
+
+    console.log("\n💳 Payment allocations...");
+    const rows = await db
+      .collection("payments")
+      .aggregate([
+        { $match: { isArchived: { $ne: true }, status: { $in: ALLOCATABLE_STATUSES } } },
+        { $unwind: "$allocations" },
+        { $group: { _id: "$allocations.invoice", amount: { $sum: "$allocations.amount" } } },
+      ])
+      .toArray();
+    const claimed = new Map(rows.map((row) => [row._id.toString(), Number(row.amount.toFixed(3))]));
+
+    console.log("\n🧾 Invoices...");
+    let invoicesUpdated = 0;
+    for await (const invoice of db.collection("invoices").find({}, { projection: { allocatedAmount: 1 } })) {
+      const allocatedAmount = claimed.get(invoice._id.toString()) || 0;
+      if (invoice.allocatedAmount === allocatedAmount) continue;
+
+      invoicesUpdated++;
+      if (!DRY_RUN) {
+        await db.collection("invoices").updateOne({ _id: invoice._id }, { $set: { allocatedAmount } });
+      }
+    }
+    console.log(`   ${invoicesUpdated} invoice(s) updated.`);
+
+    console.log("\n🎉 Allocation migration complete.");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Critical Error:", error);
+    process.exit(1);
+  }
+};
+
+runMigration();
@@ -0,0 +1,151 @@
+// One-time migration for time-zone-aware scheduling.
+// - Business.settings.timeZone / Space.timeZone: filled with a valid IANA zone
+// - Event / Reminder calendar days: normalized to UTC midnight
+// - Event.timeZone: resolved from the event's resource, else its business
+// - Pending reminder jobs: re-timed in the business time zone
+//
+// Usage: node scripts/migrate-timezones.js [--dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import {
+  DEFAULT_TIME_ZONE,
+  createDateTime,
+  isValidTimeZone,
+  toDateOnly,
+} from "../src/utils/scheduling.js";
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? b.getTime() : null);
+
+const runMigration = async () => {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    const db = mongoose.connection.db;
+    console.log(`Connected.${DRY_RUN ? " (dry run: nothing is written)" : ""}`);
+
+    // --- 1. Businesses ---
+    console.log("\n🏢 Businesses...");
+    const businessZones = new Map();
+    for await (const business of db.collection("businesses").find({}, { projection: { settings: 1 } })) {
+      let timeZone = business.settings?.timeZone;
+      if (!isValidTimeZone(timeZone)) {
+        console.log(`   ⚠️  ${business._id}: invalid time zone "${timeZone}" → ${DEFAULT_TIME_ZONE}`);
+        timeZone = DEFAULT_TIME_ZONE;
+        if (!DRY_RUN) {
+          await db.collection("businesses").updateOne(
+            { _id: business._id },
+            { $set: { "settings.timeZone": timeZone } }
+          );
+        }
+      }
+      businessZones.set(business._id.toString(), timeZone);
+    }
+    const businessZone = (id) => businessZones.get(id?.toString()) || DEFAULT_TIME_ZONE;
+
+    // --- 2. Spaces ---
+    // The schema default was never a choice: spaces still on it follow their business
+    console.log("\n🏛️  Spaces...");
+    const spaceZones = new Map();
+    let spacesUpdated = 0;
+    for await (const space of db.collection("spaces").find({}, { projection: { businessId: 1, timeZone: 1 } })) {
+      let timeZone = space.timeZone;
+      if (!isValidTimeZone(timeZone) || timeZone === DEFAULT_TIME_ZONE) {
+        timeZone = businessZone(space.businessId);
+      }
+      if (timeZone !== space.timeZone) {
+        spacesUpdated++;
+        if (!DRY_RUN) {
+          await db.collection("spaces").updateOne({ _id: space._id }, { $set: { timeZone } });
+        }
+      }
+      spaceZones.set(space._id.toString(), timeZone);
+    }
+    console.log(`   ${spacesUpdated} space(s) updated.`);
+
+    // --- 3. Events ---
+    console.log("\n📅 Events...");
+    let eventsUpdated = 0;
+    const events = db.collection("events").find(
+      {},
+      { projection: { businessId: 1, resourceId: 1, timeZone: 1, startDate: 1, endDate: 1, resources: 1 } }
+    );
+    for await (const event of events) {
+      const $set = {};
+
+      const timeZone =
+        spaceZones.get(event.resourceId?.toString()) || businessZone(event.businessId);
+      if (event.timeZone !== timeZone) $set.timeZone = timeZone;
+
+      for (const field of ["startDate", "endDate"]) {
+        const day = toDateOnly(event[field]);
+        if (day && !sameTime(event[field], day)) $set[field] = day;
+      }
+
+      (event.resources || []).forEach((entry, index) => {
+        for (const field of ["startDate", "endDate"]) {
+          const day = toDateOnly(entry[field]);
+          if (day && !sameTime(entry[field], day)) $set[`resources.${index}.${field}`] = day;
+        }
+      });
+
+      if (Object.keys($set).length > 0) {
+        eventsUpdated++;
+        // Direct update: no booking re-validation for historical data
+        if (!DRY_RUN) await db.collection("events").updateOne({ _id: event._id }, { $set });
+      }
+    }
+    console.log(`   ${eventsUpdated} event(s) updated.`);
+
+    // --- 4. Reminders & their scheduled jobs ---
+    console.log("\n⏰ Reminders...");
+    let remindersUpdated = 0;
+    let jobsRetimed = 0;
+    const reminders = db.collection("reminders").find(
+      {},
+      { projection: { businessId: 1, reminderDate: 1, reminderTime: 1 } }
+    );
+    for await (const reminder of reminders) {
+      const day = toDateOnly(reminder.reminderDate);
+      if (day && !sameTime(reminder.reminderDate, day)) {
+        remindersUpdated++;
+        if (!DRY_RUN) {
+          await db.collection("reminders").updateOne(
+            { _id: reminder._id },
+            { $set: { reminderDate: day } }
+          );
+        }
+      }
+
+      const runAt = createDateTime(day, reminder.reminderTime, businessZone(reminder.businessId));
+      if (!runAt) continue;
+
+      const filter = {
+        name: "send-reminder-notification",
+        "data.reminderId": reminder._id,
+        nextRunAt: { $ne: null, $gt: new Date() },
+        lastFinishedAt: null,
+      };
+      if (DRY_RUN) {
+        jobsRetimed += await db.collection("agendaJobs").countDocuments(filter);
+      } else {
+        const result = await db.collection("agendaJobs").updateMany(filter, {
+          $set: { nextRunAt: runAt },
+        });
+        jobsRetimed += result.modifiedCount;
+      }
+    }
+    console.log(`   ${remindersUpdated} reminder(s) updated, ${jobsRetimed} pending job(s) re-timed.`);
+
+    console.log("\n🎉 Time zone migration complete.");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Critical Error:", error);
+    process.exit(1);
+  }
+};
+
+runMigration();
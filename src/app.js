@@ -27,6 +27,16 @@ app.use(helmet({
 // =========================================================
 // 1. FIXED CORS CONFIGURATION
 // =========================================================
+// Website widget: embedded on the businesses' own sites, no cookies involved
+app.use(
+  ["/api/v1/public", "/api/v1/leads/inquiry"],
+  cors({
+    origin: "*",
+    methods: ["GET", "POST", "OPTIONS"],
+    allowedHeaders: ["Content-Type"],
+  })
+);
+
 app.use(
   cors({
     origin: [
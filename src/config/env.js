@@ -27,6 +27,12 @@ const config = {
   frontend: {
     url: process.env.FRONTEND_URL || "http://localhost:3000",
   },
+
+  // Client portal: magic links and the client's own session (separate from users)
+  portal: {
+    linkExpireMinutes: parseInt(process.env.PORTAL_LINK_EXPIRE_MINUTES) || 30,
+    sessionExpire: process.env.PORTAL_SESSION_EXPIRE || "12h",
+  },
   
 rateLimit: {
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
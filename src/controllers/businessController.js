@@ -3,6 +3,7 @@ import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { Business, Space } from "../models/index.js";
+import { getResourcesAvailability } from "../services/availability.service.js";
 
 // Helper
 const getBusinessId = (req) => {
@@ -79,6 +80,27 @@ export const getResources = asyncHandler(async (req, res) => {
   new ApiResponse({ spaces }).send(res);
 });
 
+/**
+ * @desc    Get free time windows per resource over a date range
+ * @route   GET /api/v1/business/resources/availability?from=&to=&guests=&type=
+ */
+export const getResourceAvailability = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  if (!businessId) throw new ApiError("User not linked to business", 403);
+
+  const { from, to, guests, type } = req.query;
+
+  const resources = await getResourcesAvailability({
+    businessId,
+    from: new Date(from),
+    to: new Date(to),
+    guests: guests ? Number(guests) : undefined,
+    type,
+  });
+
+  new ApiResponse({ from, to, guests, type, resources }).send(res);
+});
+
 /**
  * @desc    Create a resource
  * @route   POST /api/v1/business/resources
@@ -86,7 +108,11 @@ export const getResources = asyncHandler(async (req, res) => {
 export const createResource = asyncHandler(async (req, res) => {
   const businessId = getBusinessId(req);
 
+  // Resources follow the business time zone unless they are elsewhere
+  const business = await Business.findById(businessId).select("settings.timeZone");
+
   const space = await Space.create({
+    timeZone: business?.settings?.timeZone,
     ...req.body,
     businessId,
     owner: req.user._id,
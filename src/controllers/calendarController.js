@@ -0,0 +1,198 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { CalendarFeed, Event, Space, User } from "../models/index.js";
+import { buildICalendar } from "../utils/icalendar.js";
+
+// How far back a feed goes (future events are always included)
+const FEED_HISTORY_DAYS = 180;
+const FEED_MAX_EVENTS = 2000;
+
+const getBusinessId = (req) => {
+  const businessId = req.businessId || req.user.businessId;
+  return businessId?._id || businessId;
+};
+
+const buildFeedUrl = (req, rawToken) => {
+  const url = `${req.protocol}://${req.get("host")}/api/v1/events/calendar/${rawToken}.ics`;
+  return {
+    url,
+    // webcal:// opens the "subscribe" dialog in Apple Calendar / Outlook
+    webcalUrl: url.replace(/^https?:\/\//, "webcal://"),
+  };
+};
+
+const canManageFeed = (req, feed) =>
+  req.user.roleType === "owner" ||
+  req.user.isSuperAdmin ||
+  feed.user.toString() === req.user._id.toString();
+
+// ==========================================
+// 1. SUBSCRIPTION MANAGEMENT
+// ==========================================
+
+/**
+ * @desc    List calendar subscriptions (owners see every feed of the business)
+ * @route   GET /api/v1/events/calendar/feeds
+ * @access  Private
+ */
+export const getCalendarFeeds = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+
+  const query = { businessId, revokedAt: null };
+  if (req.user.roleType !== "owner") query.user = req.user._id;
+
+  const feeds = await CalendarFeed.find(query)
+    .populate("user", "name email")
+    .populate("space", "name type")
+    .sort({ createdAt: -1 });
+
+  new ApiResponse({ feeds }).send(res);
+});
+
+/**
+ * @desc    Create a tokenized .ics subscription (per user or per Space)
+ * @route   POST /api/v1/events/calendar/feeds
+ * @access  Private
+ */
+export const createCalendarFeed = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const { type, spaceId, name } = req.body;
+
+  let space = null;
+  if (type === "space") {
+    space = await Space.findOne({ _id: spaceId, businessId, isArchived: false });
+    if (!space) throw new ApiError("Resource not found", 404);
+  }
+
+  const feed = new CalendarFeed({
+    businessId,
+    type,
+    user: req.user._id,
+    space: space?._id,
+    name: name || (space ? space.name : `${req.user.name} - Events`),
+  });
+  const rawToken = feed.generateToken();
+  await feed.save();
+
+  // The raw token is only returned once: it cannot be recovered from the hash
+  new ApiResponse(
+    { feed, ...buildFeedUrl(req, rawToken) },
+    "Calendar subscription created",
+    201
+  ).send(res);
+});
+
+/**
+ * @desc    Issue a new URL for a feed (the previous one stops working)
+ * @route   POST /api/v1/events/calendar/feeds/:feedId/regenerate
+ * @access  Private
+ */
+export const regenerateCalendarFeed = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const feed = await CalendarFeed.findOne({
+    _id: req.params.feedId,
+    businessId,
+    revokedAt: null,
+  });
+
+  if (!feed || !canManageFeed(req, feed)) {
+    throw new ApiError("Calendar subscription not found", 404);
+  }
+
+  const rawToken = feed.generateToken();
+  await feed.save();
+
+  new ApiResponse(
+    { feed, ...buildFeedUrl(req, rawToken) },
+    "Calendar subscription URL regenerated"
+  ).send(res);
+});
+
+/**
+ * @desc    Revoke a calendar subscription
+ * @route   DELETE /api/v1/events/calendar/feeds/:feedId
+ * @access  Private
+ */
+export const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const feed = await CalendarFeed.findOne({
+    _id: req.params.feedId,
+    businessId,
+    revokedAt: null,
+  });
+
+  if (!feed || !canManageFeed(req, feed)) {
+    throw new ApiError("Calendar subscription not found", 404);
+  }
+
+  feed.revokedAt = new Date();
+  feed.revokedBy = req.user._id;
+  await feed.save();
+
+  new ApiResponse({ feed }, "Calendar subscription revoked").send(res);
+});
+
+// ==========================================
+// 2. PUBLIC FEED (token authenticated)
+// ==========================================
+
+/**
+ * @desc    Read-only iCalendar feed
+ * @route   GET /api/v1/events/calendar/:token.ics
+ * @access  Public (token)
+ */
+export const getCalendarFeedIcs = asyncHandler(async (req, res) => {
+  const feed = await CalendarFeed.findOne({
+    token: CalendarFeed.hashToken(req.params.token),
+    revokedAt: null,
+  });
+  if (!feed) throw new ApiError("Calendar feed not found", 404);
+
+  // The feed only lives as long as its owner's access to the business
+  const owner = await User.findById(feed.user).select("businessId isActive isArchived");
+  if (
+    !owner ||
+    !owner.isActive ||
+    owner.isArchived ||
+    owner.businessId?.toString() !== feed.businessId.toString()
+  ) {
+    throw new ApiError("Calendar feed not found", 404);
+  }
+
+  const since = new Date();
+  since.setDate(since.getDate() - FEED_HISTORY_DAYS);
+
+  const query = {
+    businessId: feed.businessId,
+    isArchived: { $ne: true },
+    status: { $ne: "waitlisted" },
+    endDate: { $gte: since },
+  };
+  if (feed.type === "space") {
+    query.$or = [{ resourceId: feed.space }, { "resources.resource": feed.space }];
+  }
+
+  const events = await Event.find(query)
+    .select("title status startDate endDate startTime endTime timeZone guestCount clientId resourceId resources updatedAt")
+    .populate("clientId", "name")
+    .populate("resourceId", "name")
+    .populate("resources.resource", "name")
+    .sort({ startDate: 1 })
+    .limit(FEED_MAX_EVENTS);
+
+  await CalendarFeed.updateOne({ _id: feed._id }, { lastAccessedAt: new Date() });
+
+  const calendar = buildICalendar(events, {
+    name: feed.name,
+    domain: req.hostname,
+    resourceId: feed.type === "space" ? feed.space : null,
+  });
+
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="calendar.ics"`,
+    "Cache-Control": "private, max-age=300",
+  });
+  res.send(calendar);
+});
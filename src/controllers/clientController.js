@@ -1,7 +1,8 @@
 import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import { Client, Event, Payment } from "../models/index.js";
+import { Business, Client, Event, Payment } from "../models/index.js";
+import { sendPortalLink } from "../services/clientPortal.service.js";
 
 /**
  * @desc    Get all clients
@@ -253,12 +254,46 @@ export const updateClient = asyncHandler(async (req, res) => {
     }
   }
 
-  Object.assign(client, req.body);
+  // Portal login tokens are only issued through POST /clients/:id/portal-link
+  const { portal, ...updates } = req.body;
+  Object.assign(client, updates);
+  if (typeof portal?.enabled === "boolean") client.portal.enabled = portal.enabled;
   await client.save();
 
   new ApiResponse({ client }, "Client updated successfully").send(res);
 });
 
+/**
+ * @desc    Email the client a login link to their portal
+ * @route   POST /api/v1/clients/:id/portal-link
+ * @access  Private (clients.update.all)
+ */
+export const sendClientPortalLink = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+
+  const client = await Client.findOne({
+    _id: req.params.id,
+    businessId,
+    isArchived: { $ne: true },
+  });
+
+  if (!client) {
+    throw new ApiError("Client not found", 404);
+  }
+
+  if (client.portal?.enabled === false) {
+    throw new ApiError("Portal access is disabled for this client", 400);
+  }
+
+  const business = await Business.findById(client.businessId).select("name");
+  const { emailSent } = await sendPortalLink(client, business);
+
+  new ApiResponse(
+    { emailSent },
+    emailSent ? "Portal link sent" : "Portal link could not be emailed, try again later"
+  ).send(res);
+});
+
 /**
  * @desc    Archive client (soft delete)
  * @route   DELETE /api/v1/clients/:id
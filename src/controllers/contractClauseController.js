@@ -0,0 +1,135 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { ContractClause } from "../models/index.js";
+import { MERGE_FIELDS } from "../utils/mergeFields.js";
+
+const CLAUSE_FIELDS = [
+  "title",
+  "content",
+  "category",
+  "language",
+  "autoInclude",
+  "order",
+  "conditions",
+  "isActive",
+];
+
+const getBusinessId = (req) => {
+  const businessId = req.businessId || req.user.businessId;
+  return businessId?._id || businessId;
+};
+
+/**
+ * @desc    List the clause library
+ * @route   GET /api/v1/contracts/clauses
+ * @access  Private
+ */
+export const getContractClauses = asyncHandler(async (req, res) => {
+  const { category, language, search, includeArchived } = req.query;
+
+  const query = { business: getBusinessId(req) };
+  if (includeArchived !== "true") query.isArchived = false;
+  if (category) query.category = category;
+  if (language) query.language = language;
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: "i" } },
+      { content: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const clauses = await ContractClause.find(query).sort({ category: 1, order: 1, title: 1 });
+
+  new ApiResponse({ clauses }).send(res);
+});
+
+/**
+ * @desc    Merge fields a clause can use, with their labels
+ * @route   GET /api/v1/contracts/clauses/merge-fields
+ * @access  Private
+ */
+export const getMergeFields = asyncHandler(async (req, res) => {
+  const fields = Object.entries(MERGE_FIELDS).map(([key, { label }]) => ({
+    key,
+    placeholder: `{{${key}}}`,
+    label,
+  }));
+
+  new ApiResponse({ fields }).send(res);
+});
+
+/**
+ * @desc    Get a single clause
+ * @route   GET /api/v1/contracts/clauses/:clauseId
+ * @access  Private
+ */
+export const getContractClause = asyncHandler(async (req, res) => {
+  const clause = await ContractClause.findOne({
+    _id: req.params.clauseId,
+    business: getBusinessId(req),
+  });
+
+  if (!clause) throw new ApiError("Clause not found", 404);
+
+  new ApiResponse({ clause }).send(res);
+});
+
+/**
+ * @desc    Add a clause to the library
+ * @route   POST /api/v1/contracts/clauses
+ * @access  Private
+ */
+export const createContractClause = asyncHandler(async (req, res) => {
+  const data = {};
+  CLAUSE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const clause = await ContractClause.create({
+    ...data,
+    business: getBusinessId(req),
+    createdBy: req.user._id,
+  });
+
+  new ApiResponse({ clause }, "Clause created", 201).send(res);
+});
+
+/**
+ * @desc    Update a clause (contracts keep the copy they already have)
+ * @route   PUT /api/v1/contracts/clauses/:clauseId
+ * @access  Private
+ */
+export const updateContractClause = asyncHandler(async (req, res) => {
+  const clause = await ContractClause.findOne({
+    _id: req.params.clauseId,
+    business: getBusinessId(req),
+    isArchived: false,
+  });
+  if (!clause) throw new ApiError("Clause not found", 404);
+
+  CLAUSE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) clause[field] = req.body[field];
+  });
+  clause.updatedBy = req.user._id;
+  await clause.save();
+
+  new ApiResponse({ clause }, "Clause updated").send(res);
+});
+
+/**
+ * @desc    Archive a clause
+ * @route   DELETE /api/v1/contracts/clauses/:clauseId
+ * @access  Private
+ */
+export const archiveContractClause = asyncHandler(async (req, res) => {
+  const clause = await ContractClause.findOneAndUpdate(
+    { _id: req.params.clauseId, business: getBusinessId(req), isArchived: false },
+    { isArchived: true, archivedAt: new Date(), archivedBy: req.user._id },
+    { new: true }
+  );
+
+  if (!clause) throw new ApiError("Clause not found", 404);
+
+  new ApiResponse({ clause }, "Clause archived").send(res);
+});
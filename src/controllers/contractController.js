@@ -2,72 +2,61 @@ import { Contract, ContractSettings, Business } from "../models/index.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import { generateContractPDF } from "../utils/generateContractPDF.js";
-
-// ============================================
-// HELPER: Generate Contract Number based on Settings
-// ============================================
-const generateContractNumber = async (businessId) => {
-  // 1. Fetch Settings
-  const settings = await ContractSettings.findOne({ business: businessId });
-  const structure = settings?.structure || {
-    prefix: "CTR",
-    separator: "-",
-    includeYear: true,
-    yearFormat: "YYYY",
-    sequenceDigits: 4,
-    resetSequenceYearly: true
-  };
-
-  const date = new Date();
-  const yearFull = date.getFullYear();
-  const yearShort = yearFull.toString().slice(-2);
-  const yearToUse = structure.yearFormat === "YY" ? yearShort : yearFull;
-
-  // 2. Count existing docs for this year/sequence
-  const query = { business: businessId };
-  if (structure.includeYear && structure.resetSequenceYearly) {
-    query.createdAt = {
-      $gte: new Date(yearFull, 0, 1),
-      $lt: new Date(yearFull + 1, 0, 1),
-    };
-  }
-
-  const count = await Contract.countDocuments(query);
-  const nextNum = count + 1;
-  const sequence = String(nextNum).padStart(structure.sequenceDigits || 4, "0");
-
-  // 3. Build String
-  let contractNumber = structure.prefix || "CTR";
-  if (structure.separator) contractNumber += structure.separator;
-  if (structure.includeYear) {
-    contractNumber += yearToUse;
-    if (structure.separator) contractNumber += structure.separator;
-  }
-  contractNumber += sequence;
-
-  return contractNumber;
+import {
+  CLOSED_STATUSES,
+  CONTRACT_CONTENT_FIELDS,
+  SIGNABLE_STATUSES,
+  SIGNED_STATUSES,
+  applyLibraryClauses,
+  calculateFinancials,
+  countersignContract as countersign,
+  createAmendment,
+  diffContractContent,
+  getContractContent,
+  getContractVersionContent,
+  previewContractClauses,
+  processServices,
+  renderContractPDF,
+  selectLibraryClauses,
+  sendContractForSigning,
+  signContractAsClient,
+  snapshotContractVersion,
+  toContractClause,
+} from "../services/contract.service.js";
+import { cancelContractRenewal } from "../services/contractLifecycle.service.js";
+
+// Helper: Find a contract by the raw token of its signing link
+const findContractByToken = async (rawToken, select = "") => {
+  const contract = await Contract.findOne({
+    "signing.token": Contract.hashToken(rawToken),
+    "signing.tokenExpire": { $gt: new Date() },
+    status: { $nin: ["cancelled", "expired"] },
+  }).select(select);
+  if (!contract) throw new ApiError("Contract not found or link no longer valid", 404);
+  return contract;
 };
 
-// Helper: Recalculate Financials based on Services
-const calculateFinancials = (services, vatRate = 19, stampDuty = 1.0) => {
-  const amountHT = services.reduce((acc, item) => {
-    const lineAmount = (Number(item.quantity) || 0) * (Number(item.rate) || 0);
-    return acc + lineAmount;
-  }, 0);
-
-  const taxAmount = (amountHT * Number(vatRate)) / 100;
-  const totalTTC = amountHT + taxAmount + Number(stampDuty);
-
-  return {
-    amountHT,
-    taxAmount,
-    totalTTC,
-    vatRate: Number(vatRate),
-    stampDuty: Number(stampDuty),
-  };
+// Helper: Send a stored PDF as is (its bytes are what the hash covers)
+const sendStoredPdf = (res, buffer, filename) => {
+  res.writeHead(200, {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.end(buffer);
 };
 
+// Signer details recorded with a signature
+const getSignatureInput = (req) => ({
+  signature: {
+    method: req.body.signature.method,
+    image: req.body.signature.image,
+    text: req.body.signature.text,
+  },
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
 // ============================================
 // CRUD OPERATIONS
 // ============================================
@@ -156,6 +145,8 @@ export const createContract = asyncHandler(async (req, res) => {
     financials,
     paymentTerms,
     legal,
+    clauses,
+    renewal,
   } = req.body;
 
   if (!party || !party.name) {
@@ -183,11 +174,21 @@ export const createContract = asyncHandler(async (req, res) => {
   };
 
   const businessId = req.businessId || req.user.businessId;
-  const contractNumber = await generateContractNumber(businessId);
+  const settings = await ContractSettings.findOne({ business: businessId });
+
+  // Without clauses of its own, a contract starts with the matching library clauses
+  const initialClauses =
+    clauses !== undefined
+      ? clauses
+      : (
+          await selectLibraryClauses(
+            { business: businessId, contractType: contractType || "client", event: eventId },
+            { language: req.body.language }
+          )
+        ).map(toContractClause);
 
   const contract = await Contract.create({
     business: businessId,
-    contractNumber,
     contractType,
     event: eventId || undefined,
     title,
@@ -197,6 +198,10 @@ export const createContract = asyncHandler(async (req, res) => {
     financials: finalFinancials,
     paymentTerms,
     legal,
+    clauses: initialClauses,
+    cancellationPolicy:
+      req.body.cancellationPolicy || settings?.defaultCancellationPolicy,
+    renewal: contractType === "partner" ? renewal : undefined,
     createdBy: req.user._id,
     status: "draft",
   });
@@ -216,19 +221,25 @@ export const updateContract = asyncHandler(async (req, res) => {
   });
 
   if (!contract) throw new ApiError("Contract not found", 404); 
-  if (["signed", "cancelled", "expired"].includes(contract.status)) {
+  if (SIGNED_STATUSES.includes(contract.status)) {
+    throw new ApiError(
+      "A signed contract can only change through an amendment (POST /contracts/:id/amendments).",
+      400
+    );
+  }
+  if (CLOSED_STATUSES.includes(contract.status)) {
     throw new ApiError("Cannot edit a finalized contract.", 400);
   }
 
+  // A sent contract is never overwritten: its content becomes a version first
+  const contentChanged = CONTRACT_CONTENT_FIELDS.some((field) => req.body[field] !== undefined);
+  if (SIGNABLE_STATUSES.includes(contract.status) && contentChanged) {
+    snapshotContractVersion(contract, { userId: req.user._id, note: req.body.versionNote });
+  }
+
   // Handle Services & Financials Update
   if (req.body.services || req.body.financials) {
-    const servicesInput = req.body.services || contract.services;
-    const processedServices = servicesInput.map((s) => ({
-      description: s.description,
-      quantity: Number(s.quantity) || 0,
-      rate: Number(s.rate) || 0,
-      amount: (Number(s.quantity) || 0) * (Number(s.rate) || 0),
-    }));
+    const processedServices = processServices(req.body.services || contract.services);
 
     const vatRate =
       req.body.financials?.vatRate !== undefined
@@ -253,13 +264,15 @@ export const updateContract = asyncHandler(async (req, res) => {
     };
   }
 
+  // Status only moves through send, sign, countersign, archive and the lifecycle job
   const allowedUpdates = [
     "title",
     "party",
     "logistics",
     "paymentTerms",
     "legal",
-    "status",
+    "clauses",
+    "cancellationPolicy",
     "event",
   ];
   allowedUpdates.forEach((field) => {
@@ -268,7 +281,13 @@ export const updateContract = asyncHandler(async (req, res) => {
     }
   });
 
-  contract.version += 1; // Assuming version field exists on schema or handled by plugins
+  // Renewal terms only: the count and history are kept by the lifecycle job
+  if (req.body.renewal && contract.contractType === "partner") {
+    ["autoRenew", "periodMonths", "noticeDays", "maxRenewals"].forEach((field) => {
+      if (req.body.renewal[field] !== undefined) contract.renewal[field] = req.body.renewal[field];
+    });
+  }
+
   await contract.save();
 
   res
@@ -286,8 +305,8 @@ export const deleteContract = asyncHandler(async (req, res) => {
   });
 
   if (!contract) throw new ApiError("Contract not found", 404); 
-  if (contract.status === "signed")
-    throw new ApiError("Cannot delete signed contract", 400); 
+  if (SIGNED_STATUSES.includes(contract.status) || CLOSED_STATUSES.includes(contract.status))
+    throw new ApiError(`Cannot delete a ${contract.status} contract`, 400); 
 
   await contract.deleteOne();
   res.status(200).json(new ApiResponse(null, "Contract deleted"));
@@ -316,13 +335,21 @@ export const archiveContract = asyncHandler(async (req, res) => {
 // @route   PATCH /api/contracts/:id/restore
 export const restoreContract = asyncHandler(async (req, res) => {
   const businessId = req.businessId || req.user.businessId;
-  const contract = await Contract.findOneAndUpdate(
-    { _id: req.params.id, business: businessId },
-    { status: "draft" },
-    { new: true }
-  );
+  const contract = await Contract.findOne({ _id: req.params.id, business: businessId });
 
   if (!contract) throw new ApiError("Contract not found", 404); 
+  // Signed content only changes through an amendment, never by reopening the draft
+  if (contract.signatures?.client?.signedAt) {
+    throw new ApiError("A signed contract cannot be restored to draft.", 400);
+  }
+
+  if (contract.signing?.sentAt) {
+    // The version that was sent (and its document hash) is kept
+    snapshotContractVersion(contract, { userId: req.user._id, note: "Restored to draft" });
+  } else {
+    contract.status = "draft";
+  }
+  await contract.save();
 
   res.status(200).json(new ApiResponse({ contract }, "Contract restored"));
 });
@@ -331,7 +358,7 @@ export const restoreContract = asyncHandler(async (req, res) => {
 // ACTIONS
 // ============================================
 
-// @desc    Send contract
+// @desc    Send contract for signing (emails the PDF and a signing link)
 // @route   POST /api/contracts/:id/send
 export const sendContract = asyncHandler(async (req, res) => {
   const businessId = req.businessId || req.user.businessId;
@@ -341,10 +368,18 @@ export const sendContract = asyncHandler(async (req, res) => {
   });
   if (!contract) throw new ApiError("Contract not found", 404);
 
-  contract.status = "sent";
-  await contract.save();
+  const { signUrl, emailSent } = await sendContractForSigning(contract, {
+    email: req.body.email,
+    message: req.body.message,
+  });
 
-  res.status(200).json(new ApiResponse({ contract }, "Contract sent"));
+  // The link is only shown here: it can be shared manually if the email failed
+  res.status(200).json(
+    new ApiResponse(
+      { contract, signUrl, emailSent },
+      emailSent ? "Contract sent for signing" : "Signing link generated"
+    )
+  );
 });
 
 // @desc    Duplicate contract
@@ -363,11 +398,25 @@ export const duplicateContract = asyncHandler(async (req, res) => {
   delete original.createdAt;
   delete original.updatedAt;
   delete original.signatures;
+  delete original.signing;
+  delete original.version;
+  delete original.versions;
+  delete original.amendmentOf;
+  delete original.amendmentNumber;
+  delete original.amendmentReason;
   delete original.__v;
 
+  original.clauses = (original.clauses || []).map(({ _id, resolvedContent, ...clause }) => clause);
+  // Lifecycle dates and renewal history belong to the original
+  ["expiresAt", "expiryReminderAt", "expiryReminderSentAt", "activatedAt", "completedAt", "expiredAt"].forEach(
+    (field) => delete original[field]
+  );
+  if (original.renewal) {
+    const { autoRenew, periodMonths, noticeDays, maxRenewals } = original.renewal;
+    original.renewal = { autoRenew, periodMonths, noticeDays, maxRenewals };
+  }
   original.status = "draft";
   original.title = `${original.title} (Copie)`;
-  original.contractNumber = await generateContractNumber(businessId);
   original.createdBy = req.user._id;
 
   const newContract = await Contract.create(original);
@@ -392,27 +441,312 @@ export const markContractViewed = asyncHandler(async (req, res) => {
   res.status(200).json(new ApiResponse({ contract }));
 });
 
-// @desc    Sign contract
-// @route   POST /api/contracts/:id/sign
-export const signContract = asyncHandler(async (req, res) => {
-  const { signatureData, signerIp } = req.body;
+// @desc    Countersign a contract signed by the client (builds the signed PDF)
+// @route   POST /api/contracts/:id/countersign
+export const countersignContract = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!contract) throw new ApiError("Contract not found", 404);
 
-  const contract = await Contract.findById(req.params.id);
-  if (!contract) throw new ApiError("Contract not found", 404); 
+  const { emailSent } = await countersign(contract, {
+    ...getSignatureInput(req),
+    user: req.user,
+    name: req.body.name,
+  });
 
-  contract.signatures = {
-    ...contract.signatures,
-    clientSignedAt: new Date(),
-    clientSignerIp: signerIp || req.ip,
-    digitalSignatureToken: signatureData,
-  };
+  res
+    .status(200)
+    .json(new ApiResponse({ contract, emailSent }, "Contract countersigned"));
+});
 
-  contract.status = "signed";
-  await contract.save();
+// @desc    Download the signed PDF (signatures and certificate page)
+// @route   GET /api/contracts/:id/signed-document
+export const downloadSignedContract = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  }).select("+signing.signedDocument");
+  if (!contract) throw new ApiError("Contract not found", 404);
+  if (!contract.signing?.signedDocument) {
+    throw new ApiError("The contract has not been signed by both parties yet", 404);
+  }
+
+  sendStoredPdf(res, contract.signing.signedDocument, `contract-${contract.contractNumber}-signed.pdf`);
+});
+
+// ============================================
+// VERSIONS & AMENDMENTS
+// ============================================
+
+// @desc    Version history (content of each version via /versions/:version)
+// @route   GET /api/contracts/:id/versions
+export const getContractVersions = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  })
+    .select("contractNumber version versions status signing.sentAt signing.documentHash updatedAt")
+    .populate("versions.revisedBy", "name email");
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  const versions = contract.versions.map(({ version, status, sentAt, documentHash, revisedAt, revisedBy, note }) => ({
+    version,
+    status,
+    sentAt,
+    documentHash,
+    revisedAt,
+    revisedBy,
+    note,
+  }));
+  versions.push({
+    version: contract.version,
+    status: contract.status,
+    sentAt: contract.signing?.sentAt,
+    documentHash: contract.signing?.documentHash,
+    current: true,
+  });
+
+  res.status(200).json(new ApiResponse({ contractNumber: contract.contractNumber, versions }));
+});
+
+// @desc    Content of one version
+// @route   GET /api/contracts/:id/versions/:version
+export const getContractVersion = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  const version = Number(req.params.version);
+  const content = getContractVersionContent(contract, version);
+
+  res.status(200).json(new ApiResponse({ version, current: version === contract.version, content }));
+});
+
+// @desc    Compare two versions (services, financials, clauses, other terms).
+//          An amendment without ?from is compared with its original contract.
+// @route   GET /api/contracts/:id/diff?from=&to=
+export const getContractDiff = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  const to = req.query.to ? Number(req.query.to) : contract.version;
+  let from;
+  let before;
+
+  if (!req.query.from && contract.amendmentOf) {
+    const original = await Contract.findOne({ _id: contract.amendmentOf, business: businessId });
+    if (!original) throw new ApiError("Original contract not found", 404);
+    from = { contractNumber: original.contractNumber, version: original.version };
+    before = getContractContent(original);
+  } else {
+    const fromVersion = req.query.from ? Number(req.query.from) : to - 1;
+    if (fromVersion < 1) throw new ApiError("The contract has only one version", 400);
+    from = { contractNumber: contract.contractNumber, version: fromVersion };
+    before = getContractVersionContent(contract, fromVersion);
+  }
+
+  const after = getContractVersionContent(contract, to);
+
+  res.status(200).json(
+    new ApiResponse({
+      from,
+      to: { contractNumber: contract.contractNumber, version: to },
+      diff: diffContractContent(before, after),
+    })
+  );
+});
+
+// @desc    Amend a signed contract (creates a draft amendment to send for signing)
+// @route   POST /api/contracts/:id/amendments
+export const createContractAmendment = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const original = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!original) throw new ApiError("Contract not found", 404);
+
+  const amendment = await createAmendment(original, {
+    userId: req.user._id,
+    reason: req.body.reason,
+    title: req.body.title,
+    changes: {
+      services: req.body.services,
+      financials: req.body.financials,
+      logistics: req.body.logistics,
+      paymentTerms: req.body.paymentTerms,
+      legal: req.body.legal,
+      clauses: req.body.clauses,
+    },
+  });
+
+  const diff = diffContractContent(getContractContent(original), getContractContent(amendment));
+
+  res
+    .status(201)
+    .json(new ApiResponse({ amendment, diff }, "Amendment created"));
+});
+
+// @desc    Amendments of a contract
+// @route   GET /api/contracts/:id/amendments
+export const getContractAmendments = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.exists({ _id: req.params.id, business: businessId });
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  const amendments = await Contract.find({ amendmentOf: req.params.id, business: businessId })
+    .select("contractNumber title status amendmentNumber amendmentReason financials.totalTTC signatures.clientSignedAt signing.completedAt createdAt")
+    .populate("createdBy", "name email")
+    .sort({ amendmentNumber: 1 });
+
+  res.status(200).json(new ApiResponse({ amendments }));
+});
+
+// @desc    Stop the automatic renewal of a partner agreement
+// @route   POST /api/contracts/:id/renewal/cancel
+export const cancelRenewal = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  await cancelContractRenewal(contract, req.user._id);
 
   res
     .status(200)
-    .json(new ApiResponse({ contract }, "Contract signed successfully"));
+    .json(new ApiResponse({ contract }, "Automatic renewal cancelled; the agreement ends at its end date"));
+});
+
+// ============================================
+// CLAUSES (from the library)
+// ============================================
+
+// @desc    Add library clauses to a contract (picked ones, or the matching auto-included ones)
+// @route   POST /api/contracts/:id/clauses
+export const applyContractClauses = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  const { added } = await applyLibraryClauses(contract, {
+    clauseIds: req.body.clauseIds,
+    language: req.body.language,
+    replace: req.body.replace,
+    userId: req.user._id,
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse({ contract, added }, `${added} clause(s) added`));
+});
+
+// @desc    Clauses of a contract with their merge fields resolved
+// @route   GET /api/contracts/:id/clauses/preview
+export const previewClauses = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: businessId,
+  });
+  if (!contract) throw new ApiError("Contract not found", 404);
+
+  const clauses = await previewContractClauses(contract);
+
+  res.status(200).json(new ApiResponse({ clauses }));
+});
+
+// ============================================
+// PUBLIC SIGNING LINK (token in URL, no session)
+// ============================================
+
+// @desc    View a contract through its signing link
+// @route   GET /api/contracts/public/:token
+export const getPublicContract = asyncHandler(async (req, res) => {
+  const contract = await findContractByToken(req.params.token);
+
+  if (contract.status === "sent") {
+    contract.status = "viewed";
+    await contract.save();
+  }
+
+  const business = await Business.findById(contract.business).select("name");
+  const { client, business: businessSigner } = contract.signatures || {};
+
+  res.status(200).json(
+    new ApiResponse({
+      contract: {
+        contractNumber: contract.contractNumber,
+        title: contract.title,
+        status: contract.status,
+        businessName: business?.name,
+        party: { name: contract.party.name, email: contract.party.email },
+        logistics: contract.logistics,
+        financials: {
+          currency: contract.financials.currency,
+          totalTTC: contract.financials.totalTTC,
+        },
+        // The signer sends this hash back: it proves which document they read
+        documentHash: contract.signing.documentHash,
+        signatures: {
+          client: client?.signedAt ? { name: client.name, signedAt: client.signedAt } : null,
+          business: businessSigner?.signedAt
+            ? { name: businessSigner.name, signedAt: businessSigner.signedAt }
+            : null,
+        },
+        completedAt: contract.signing.completedAt,
+      },
+    })
+  );
+});
+
+// @desc    Download the PDF to sign (or the signed copy once countersigned)
+// @route   GET /api/contracts/public/:token/document
+export const downloadPublicContract = asyncHandler(async (req, res) => {
+  const contract = await findContractByToken(
+    req.params.token,
+    "+signing.document +signing.signedDocument"
+  );
+
+  if (contract.signing.signedDocument) {
+    return sendStoredPdf(res, contract.signing.signedDocument, `contract-${contract.contractNumber}-signed.pdf`);
+  }
+  sendStoredPdf(res, contract.signing.document, `contract-${contract.contractNumber}.pdf`);
+});
+
+// @desc    Sign a contract through its signing link
+// @route   POST /api/contracts/public/:token/sign
+export const signPublicContract = asyncHandler(async (req, res) => {
+  const contract = await findContractByToken(req.params.token);
+
+  const signed = await signContractAsClient(contract, {
+    ...getSignatureInput(req),
+    name: req.body.name,
+    documentHash: req.body.documentHash,
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      { status: signed.status, signedAt: signed.signatures.client.signedAt },
+      "Contract signed successfully"
+    )
+  );
 });
 
 // ============================================
@@ -449,6 +783,7 @@ export const updateContractSettings = asyncHandler(async (req, res) => {
     "defaultCancellationPolicy",
     "labels",
     "structure",
+    "lifecycle",
     "signatureSettings",
     "emailTemplates",
   ];
@@ -493,9 +828,18 @@ export const getContractStats = asyncHandler(async (req, res) => {
         signed: {
           $sum: { $cond: [{ $eq: ["$status", "signed"] }, 1, 0] },
         },
+        active: {
+          $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] },
+        },
+        completed: {
+          $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+        },
         cancelled: {
           $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] },
         },
+        expired: {
+          $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] },
+        },
         pendingSignatures: {
           $sum: { $cond: [{ $in: ["$status", ["sent", "viewed"]] }, 1, 0] },
         },
@@ -504,7 +848,7 @@ export const getContractStats = asyncHandler(async (req, res) => {
             $cond: [
               {
                 $and: [
-                  { $eq: ["$status", "signed"] },
+                  { $in: ["$status", ["signed", "active", "completed"]] },
                   { $eq: ["$contractType", "client"] },
                 ],
               },
@@ -518,7 +862,7 @@ export const getContractStats = asyncHandler(async (req, res) => {
             $cond: [
               {
                 $and: [
-                  { $eq: ["$status", "signed"] },
+                  { $in: ["$status", ["signed", "active", "completed"]] },
                   { $eq: ["$contractType", "partner"] },
                 ],
               },
@@ -539,7 +883,10 @@ export const getContractStats = asyncHandler(async (req, res) => {
         sent: 0,
         viewed: 0,
         signed: 0,
+        active: 0,
+        completed: 0,
         cancelled: 0,
+        expired: 0,
         pendingSignatures: 0,
         revenue: 0,
         expenses: 0,
@@ -561,16 +908,13 @@ export const downloadContractPdf = asyncHandler(async (req, res) => {
 
   if (!contract) throw new ApiError("Contract not found", 404);
 
-  // 2. Fetch Settings (for styling)
-  const settings = await ContractSettings.findOne({ business: businessId });
-
-  // 3. Fetch Business
+  // 2. Fetch Business
   const business = await Business.findById(businessId);
 
-  // 4. Generate PDF
-  const pdfBuffer = await generateContractPDF(contract, business, settings);
+  // 3. Generate PDF (settings and merge fields are loaded by the service)
+  const pdfBuffer = await renderContractPDF(contract, business);
 
-  // 5. Send Response
+  // 4. Send Response
   res.setHeader("Content-Type", "application/pdf");
   res.setHeader(
     "Content-Disposition",
@@ -0,0 +1,140 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { Business, CreditNote, Invoice, InvoiceSettings } from "../models/index.js";
+import { getCreditableLines, issueCreditNote } from "../services/creditNote.service.js";
+import { generateCreditNotePDF } from "../utils/generateCreditNotePDF.js";
+
+const getBusinessId = (req) => {
+  const businessId = req.businessId || req.user.businessId;
+  return businessId?._id || businessId;
+};
+
+/**
+ * @desc    List credit notes
+ * @route   GET /api/v1/invoices/credit-notes
+ * @access  Private
+ */
+export const getCreditNotes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, invoiceType, client, search } = req.query;
+
+  const query = { business: getBusinessId(req) };
+  if (invoiceType) query.invoiceType = invoiceType;
+  if (client) query.client = client;
+  if (search) {
+    query.$or = [
+      { creditNoteNumber: { $regex: search, $options: "i" } },
+      { invoiceNumber: { $regex: search, $options: "i" } },
+      { recipientName: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const [creditNotes, total] = await Promise.all([
+    CreditNote.find(query)
+      .populate("invoice", "invoiceNumber status totalAmount creditedAmount")
+      .sort({ issueDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+    CreditNote.countDocuments(query),
+  ]);
+
+  new ApiResponse({
+    creditNotes,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  }).send(res);
+});
+
+/**
+ * @desc    Get a single credit note
+ * @route   GET /api/v1/invoices/credit-notes/:creditNoteId
+ * @access  Private
+ */
+export const getCreditNote = asyncHandler(async (req, res) => {
+  const creditNote = await CreditNote.findOne({
+    _id: req.params.creditNoteId,
+    business: getBusinessId(req),
+  })
+    .populate("invoice", "invoiceNumber status totalAmount creditedAmount paymentStatus")
+    .populate("createdBy", "name");
+
+  if (!creditNote) throw new ApiError("Credit note not found", 404);
+
+  new ApiResponse({ creditNote }).send(res);
+});
+
+/**
+ * @desc    Download a credit note PDF
+ * @route   GET /api/v1/invoices/credit-notes/:creditNoteId/download
+ * @access  Private
+ */
+export const downloadCreditNote = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const creditNote = await CreditNote.findOne({ _id: req.params.creditNoteId, business: businessId });
+
+  if (!creditNote) throw new ApiError("Credit note not found", 404);
+
+  const [business, settings] = await Promise.all([
+    Business.findById(businessId),
+    InvoiceSettings.findOne({ business: businessId }),
+  ]);
+
+  const pdfBuffer = await generateCreditNotePDF(creditNote, business, req.query.language, settings);
+
+  res.writeHead(200, {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${creditNote.creditNoteNumber}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+  });
+  res.end(pdfBuffer);
+});
+
+/**
+ * @desc    Credit notes of an invoice and what can still be credited per line
+ * @route   GET /api/v1/invoices/:id/credit-notes
+ * @access  Private
+ */
+export const getInvoiceCreditNotes = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, business: getBusinessId(req) });
+
+  if (!invoice) throw new ApiError("Invoice not found", 404);
+
+  const [creditNotes, lines] = await Promise.all([
+    CreditNote.find({ invoice: invoice._id }).sort({ issueDate: 1 }),
+    getCreditableLines(invoice),
+  ]);
+
+  new ApiResponse({
+    creditNotes,
+    lines,
+    creditedAmount: invoice.creditedAmount,
+    remainingAmount: Number((invoice.totalAmount - invoice.creditedAmount).toFixed(3)),
+  }).send(res);
+});
+
+/**
+ * @desc    Issue a credit note (full, or on some lines) against an issued invoice
+ * @route   POST /api/v1/invoices/:id/credit-notes
+ * @access  Private
+ */
+export const createCreditNote = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    business: getBusinessId(req),
+    isArchived: { $ne: true },
+  });
+
+  if (!invoice) throw new ApiError("Invoice not found", 404);
+
+  const result = await issueCreditNote(invoice, {
+    lines: req.body.lines,
+    reason: req.body.reason,
+    userId: req.user._id,
+  });
+
+  new ApiResponse(result, "Credit note issued successfully", 201).send(res);
+});
@@ -1,7 +1,48 @@
 import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import { Event, Client, Partner, Supply } from "../models/index.js";
+import {
+  Business,
+  ContractSettings,
+  Event,
+  EventTemplate,
+  Client,
+  Partner,
+  Space,
+  Supply,
+  Task,
+  User,
+} from "../models/index.js";
+import { agendaService } from "../services/agenda.service.js";
+import {
+  placeHold,
+  releaseHold,
+  resolveHoldExpiry,
+  syncHoldAfterUpdate,
+} from "../services/hold.service.js";
+import {
+  buildSeries,
+  cancelSeries,
+  createSeries,
+  updateSeries,
+} from "../services/series.service.js";
+import {
+  INITIAL_EVENT_STATUSES,
+  assertTransition,
+  getAllowedTransitions,
+  transitionEventStatus,
+} from "../services/eventWorkflow.service.js";
+import {
+  computeCancellationBreakdown,
+  settleCancellation,
+} from "../services/cancellation.service.js";
+import { applySpacePricing, quoteEvent } from "../services/pricing.service.js";
+import {
+  createEventInvoice,
+  getEventInvoicingSummary,
+} from "../services/eventInvoice.service.js";
+import { generatePartnerBills } from "../services/partnerBill.service.js";
+import { generateRunSheetPDF } from "../utils/generateRunSheetPDF.js";
 
 // ==========================================
 // 1. HELPER FUNCTIONS
@@ -118,6 +159,64 @@ const processEventPartners = async (partnersInput, businessId) => {
   return processedServices;
 };
 
+// Helper: Validate Booked Resources & Snapshot their Price
+const processEventResources = async (resourcesInput, businessId) => {
+  const resourceIds = resourcesInput.map((r) => r.resource);
+  const dbSpaces = await Space.find({
+    _id: { $in: resourceIds },
+    businessId,
+    isArchived: false,
+  });
+
+  return resourcesInput.map((reqItem) => {
+    const space = dbSpaces.find(
+      (s) => s._id.toString() === reqItem.resource.toString()
+    );
+    if (!space) throw new ApiError(`Resource ${reqItem.resource} not found`, 404);
+
+    return {
+      ...reqItem,
+      resource: space._id,
+      // Defaults to the resource's base price, can be negotiated per event
+      price:
+        reqItem.price !== undefined ? Number(reqItem.price) : space.basePrice || 0,
+    };
+  });
+};
+
+// Helper: Check that a timeline item only references business records
+const validateTimelineRefs = async (item, businessId) => {
+  if (item.responsibleUser) {
+    const user = await User.exists({ _id: item.responsibleUser, businessId });
+    if (!user) throw new ApiError("Responsible team member not found", 404);
+  }
+  if (item.responsiblePartner) {
+    const partner = await Partner.exists({ _id: item.responsiblePartner, businessId });
+    if (!partner) throw new ApiError("Responsible partner not found", 404);
+  }
+  if (item.location) {
+    const space = await Space.exists({ _id: item.location, businessId });
+    if (!space) throw new ApiError("Location not found", 404);
+  }
+};
+
+const TIMELINE_FIELDS = [
+  "title",
+  "startAt",
+  "duration",
+  "responsibleUser",
+  "responsiblePartner",
+  "location",
+  "notes",
+  "order",
+];
+
+const TIMELINE_POPULATE = [
+  { path: "timeline.responsibleUser", select: "name email phone" },
+  { path: "timeline.responsiblePartner", select: "name category phone" },
+  { path: "timeline.location", select: "name type" },
+];
+
 // Helper: Force Calculation
 const calculateTotals = (event) => {
   const basePrice = event.pricing?.basePrice || 0;
@@ -136,7 +235,10 @@ const calculateTotals = (event) => {
       return sum;
     }, 0) || 0;
 
-  const subtotal = basePrice + servicesTotal + suppliesTotal;
+  const resourcesTotal =
+    event.resources?.reduce((sum, r) => sum + (r.price || 0), 0) || 0;
+
+  const subtotal = basePrice + servicesTotal + suppliesTotal + resourcesTotal;
 
   let discountAmount = 0;
   if (event.pricing?.discountType === "percent") {
@@ -156,6 +258,17 @@ const calculateTotals = (event) => {
   return event;
 };
 
+// Booking details the Space pricing rules depend on
+const PRICED_FIELDS = ["startDate", "endDate", "startTime", "endTime", "resourceId", "resources", "guestCount"];
+
+// Helper: re-price the Spaces of an edited event when its booking changed
+const repriceEvent = async (event) => {
+  if (PRICED_FIELDS.some((field) => event.isModified(field))) {
+    await applySpacePricing(event);
+  }
+  return calculateTotals(event);
+};
+
 // ==========================================
 // 2. CONTROLLERS
 // ==========================================
@@ -208,6 +321,7 @@ export const getEvents = asyncHandler(async (req, res) => {
       .populate("clientId", "name email phone")
       .populate("createdBy", "name email")
       .populate("resourceId", "name type capacity")
+      .populate("resources.resource", "name type capacity")
       .populate("partners.partner", "name category company phone")
       .sort({ startDate: -1 })
       .skip(skip)
@@ -330,6 +444,7 @@ export const getEvent = asyncHandler(async (req, res) => {
   })
     .populate("clientId")
     .populate("resourceId")
+    .populate("resources.resource", "name type capacity turnoverTime")
     .populate("partners.partner", "name email phone category company")
     .populate("paymentInfo.transactions")
     .populate("createdBy", "name email")
@@ -387,14 +502,78 @@ export const createEvent = asyncHandler(async (req, res) => {
     eventData.pricing.additionalServices.push(...partnerServices);
   }
 
+  if (eventData.resources?.length > 0) {
+    eventData.resources = await processEventResources(
+      eventData.resources,
+      businessId
+    );
+  }
+
+  // Waitlist entries are created through POST /events/:id/waitlist
+  if (eventData.status === "waitlisted") {
+    throw new ApiError("Use the waitlist endpoint to queue behind a hold", 400);
+  }
+
+  // Later statuses are reached through the workflow (guards & side-effects)
+  if (eventData.status && !INITIAL_EVENT_STATUSES.includes(eventData.status)) {
+    throw new ApiError(
+      `New events start as ${INITIAL_EVENT_STATUSES.join(" or ")}; use POST /events/:id/status to move them on`,
+      400
+    );
+  }
+  delete eventData.statusHistory;
+
+  // Recurring booking: one linked Event per occurrence
+  if (eventData.recurrence) {
+    if (eventData.status === "hold") {
+      throw new ApiError("Recurring events cannot be created as holds", 400);
+    }
+
+    const { recurrence, skipConflicts, ...firstOccurrence } = eventData;
+    const { events, skipped } = await createSeries(
+      buildSeries(firstOccurrence, recurrence),
+      {
+        skipConflicts: skipConflicts === true || skipConflicts === "true",
+        // Each occurrence is priced for its own date (weekend, season...)
+        prepare: async (occurrence) => {
+          await applySpacePricing(occurrence);
+          calculateTotals(occurrence);
+        },
+      }
+    );
+
+    return new ApiResponse(
+      { seriesId: events[0].seriesId, events, skipped },
+      `${events.length} occurrences created successfully`,
+      201
+    ).send(res);
+  }
+
+  if (eventData.status === "hold") {
+    eventData.holdExpiresAt = await resolveHoldExpiry(businessId, {
+      expiresAt: req.body.holdExpiresAt,
+      days: req.body.holdDays,
+    });
+  }
+
   const event = new Event(eventData);
+  // Space prices come from the resource's pricing rules, not from the request
+  await applySpacePricing(event);
   calculateTotals(event);
 
   try {
     await event.save();
-    await event.populate([{ path: "clientId" }, { path: "resourceId" }]);
+    if (event.status === "hold") await agendaService.scheduleHoldExpiry(event);
+
+    await event.populate([
+      { path: "clientId" },
+      { path: "resourceId" },
+      { path: "resources.resource", select: "name type capacity" },
+    ]);
     new ApiResponse({ event }, "Event created successfully", 201).send(res);
   } catch (error) {
+    // Booking errors (409 conflicts, operating hours) carry their own status
+    if (error instanceof ApiError) throw error;
     if (
       error.message.includes("conflict") ||
       error.message.includes("End time")
@@ -424,6 +603,7 @@ export const updateEvent = asyncHandler(async (req, res) => {
 
   let event = await Event.findById(id);
   if (!event) throw new ApiError("Event not found", 404);
+  const previousStatus = event.status;
 
   const eventBizIdStr = event.businessId?.toString();
 
@@ -464,18 +644,40 @@ export const updateEvent = asyncHandler(async (req, res) => {
     event.partners = updateData.partners;
   }
 
-  // 4. Basic Fields & Mapping
-  const exclude = ["partners", "supplies", "pricing"];
+  // 4. Resources Update (multi-resource bookings)
+  if (updateData.resources) {
+    event.resources = await processEventResources(
+      updateData.resources,
+      userBizIdStr
+    );
+  }
+
+  // 5. Basic Fields & Mapping
+  // (status goes through the workflow below; holds, series, cancellation,
+  // timeline and guest list have their own routes)
+  const allowedUpdates = [
+    "title",
+    "type",
+    "notes",
+    "resourceId",
+    "startDate",
+    "endDate",
+    "startTime",
+    "endTime",
+    "guestCount",
+  ];
   if (updateData.venueSpaceId) updateData.resourceId = updateData.venueSpaceId;
 
-  Object.keys(updateData).forEach((key) => {
-    if (!exclude.includes(key)) event[key] = updateData[key];
+  allowedUpdates.forEach((key) => {
+    if (updateData[key] !== undefined) event[key] = updateData[key];
   });
 
-  // 5. Pricing
+  // 6. Pricing (Space prices come from their rules, see repriceEvent;
+  // only solo bookings without a Space are priced by hand)
   if (updateData.pricing) {
     if (!event.pricing) event.pricing = {};
-    if (updateData.pricing.basePrice !== undefined)
+    const booksSpace = event.resourceId || event.resources?.length > 0;
+    if (updateData.pricing.basePrice !== undefined && !booksSpace)
       event.pricing.basePrice = updateData.pricing.basePrice;
     if (updateData.pricing.discountAmount !== undefined)
       event.pricing.discountAmount = updateData.pricing.discountAmount;
@@ -487,13 +689,41 @@ export const updateEvent = asyncHandler(async (req, res) => {
     }
   }
 
-  calculateTotals(event);
+  // 7. Status change: validated before anything is saved
+  const requestedStatus =
+    updateData.status && updateData.status !== previousStatus
+      ? updateData.status
+      : null;
+  if (requestedStatus) await assertTransition(event, requestedStatus);
+
+  await repriceEvent(event);
 
   try {
     await event.save();
-    await event.populate([{ path: "clientId" }, { path: "resourceId" }]);
-    new ApiResponse({ event }, "Event updated successfully").send(res);
+
+    let warnings = [];
+    if (requestedStatus) {
+      ({ warnings } = await transitionEventStatus(event, requestedStatus, {
+        userId: req.user._id,
+        reason: updateData.statusReason,
+        holdExpiresAt: updateData.holdExpiresAt,
+        holdDays: updateData.holdDays,
+      }));
+    } else {
+      await syncHoldAfterUpdate(event, previousStatus);
+    }
+
+    await event.populate([
+      { path: "clientId" },
+      { path: "resourceId" },
+      { path: "resources.resource", select: "name type capacity" },
+    ]);
+    new ApiResponse(
+      { event, ...(warnings.length > 0 && { warnings }) },
+      "Event updated successfully"
+    ).send(res);
   } catch (error) {
+    if (error instanceof ApiError) throw error;
     throw new ApiError(error.message, 400);
   }
 });
@@ -538,6 +768,39 @@ export const restoreEvent = asyncHandler(async (req, res) => {
   new ApiResponse({ event }, "Event restored successfully").send(res);
 });
 
+/**
+ * @desc    Itemized price of a proposed booking (Space pricing rules)
+ * @route   POST /api/v1/events/quote
+ * @access  Private
+ */
+export const getEventQuote = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+
+  const { resources, total } = await quoteEvent({
+    businessId,
+    resourceId: req.body.resourceId,
+    resources: req.body.resources,
+    startDate: req.body.startDate,
+    endDate: req.body.endDate || req.body.startDate,
+    startTime: req.body.startTime,
+    endTime: req.body.endTime,
+    guestCount: req.body.guestCount,
+  });
+
+  const business = await Business.findById(businessId).select("settings");
+  const taxRate = business?.settings?.taxRate ?? 19;
+  const taxAmount = Number(((total * taxRate) / 100).toFixed(2));
+
+  new ApiResponse({
+    resources,
+    total,
+    taxRate,
+    taxAmount,
+    totalAfterTax: Number((total + taxAmount).toFixed(2)),
+    currency: business?.settings?.currency,
+  }).send(res);
+});
+
 /**
  * @desc    Get event statistics
  * @route   GET /api/v1/events/stats
@@ -712,3 +975,713 @@ export const markSuppliesDelivered = asyncHandler(async (req, res) => {
     );
   }
 });
+
+/**
+ * @desc    Current status, allowed next statuses and status history
+ * @route   GET /api/v1/events/:id/status
+ * @access  Private
+ */
+export const getEventStatus = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId })
+    .select("title status statusHistory")
+    .populate("statusHistory.changedBy", "name email");
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  new ApiResponse({
+    status: event.status,
+    allowedTransitions: getAllowedTransitions(event.status),
+    statusHistory: event.statusHistory,
+  }).send(res);
+});
+
+/**
+ * @desc    Move an event through its lifecycle (guarded, with side-effects)
+ * @route   POST /api/v1/events/:id/status
+ * @access  Private
+ */
+export const changeEventStatus = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const { warnings } = await transitionEventStatus(event, req.body.status, {
+    userId: req.user._id,
+    reason: req.body.reason,
+    holdExpiresAt: req.body.holdExpiresAt,
+    holdDays: req.body.holdDays,
+    waivePenalty: req.body.waivePenalty,
+    settleCancellation: req.body.settleCancellation,
+    refundMethod: req.body.refundMethod,
+  });
+
+  new ApiResponse(
+    {
+      event,
+      allowedTransitions: getAllowedTransitions(event.status),
+      ...(warnings.length > 0 && { warnings }),
+    },
+    `Event ${event.status}`
+  ).send(res);
+});
+
+/**
+ * @desc    Cancellation breakdown (stored one, or a preview for open events)
+ * @route   GET /api/v1/events/:id/cancellation
+ * @access  Private
+ */
+export const getEventCancellation = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId })
+    .populate("cancellation.financeRecord")
+    .populate("cancellation.refundPayment");
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  if (event.status === "cancelled") {
+    return new ApiResponse({ preview: false, cancellation: event.cancellation }).send(res);
+  }
+
+  const cancellation = await computeCancellationBreakdown(event, {
+    waive: req.query.waivePenalty === "true",
+  });
+  new ApiResponse({ preview: true, cancellation }).send(res);
+});
+
+/**
+ * @desc    Create the retained-deposit finance record and the refund payment
+ * @route   POST /api/v1/events/:id/cancellation/settle
+ * @access  Private
+ */
+export const settleEventCancellation = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  // Waiving at settlement time recomputes the breakdown without the penalty
+  if (req.body.waivePenalty && event.cancellation?.status === "suggested") {
+    const breakdown = await computeCancellationBreakdown(event, {
+      cancelledAt: event.cancellation.cancelledAt,
+      waive: true,
+    });
+    Object.assign(event.cancellation, breakdown);
+  }
+
+  await settleCancellation(event, { userId: req.user._id, method: req.body.method });
+
+  await event.populate([
+    { path: "cancellation.financeRecord" },
+    { path: "cancellation.refundPayment" },
+  ]);
+
+  new ApiResponse({ cancellation: event.cancellation }, "Cancellation settled").send(res);
+});
+
+/**
+ * @desc    Get the client invoices of an event and what is left to invoice
+ * @route   GET /api/v1/events/:id/invoices
+ * @access  Private
+ */
+export const getEventInvoices = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const { invoices, summary } = await getEventInvoicingSummary(event);
+
+  new ApiResponse({ invoices, summary }).send(res);
+});
+
+/**
+ * @desc    Create a draft invoice (standard, deposit or balance) from the event pricing
+ * @route   POST /api/v1/events/:id/invoices
+ * @access  Private
+ */
+export const createInvoiceFromEvent = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({
+    _id: req.params.id,
+    businessId,
+    isArchived: { $ne: true },
+  });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const invoice = await createEventInvoice(event, {
+    billingType: req.body.billingType,
+    percentage: req.body.percentage,
+    dueDate: req.body.dueDate,
+    notes: req.body.notes,
+    userId: req.user._id,
+  });
+
+  new ApiResponse({ invoice }, "Invoice created successfully", 201).send(res);
+});
+
+/**
+ * @desc    Bill the partners of a completed event that were not billed yet
+ *          (done automatically on completion)
+ * @route   POST /api/v1/events/:id/partner-bills
+ * @access  Private
+ */
+export const createEventPartnerBills = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+  if (event.status !== "completed") {
+    throw new ApiError("Partner bills are generated once the event is completed", 400);
+  }
+
+  const bills = await generatePartnerBills(event, { userId: req.user._id });
+
+  new ApiResponse(
+    { bills },
+    bills.length ? `${bills.length} partner bill(s) created` : "Every partner is already billed",
+    bills.length ? 201 : 200
+  ).send(res);
+});
+
+// ==========================================
+// 3. TENTATIVE HOLDS & WAITLIST
+// ==========================================
+
+/**
+ * @desc    Place or extend a tentative hold on an event
+ * @route   POST /api/v1/events/:id/hold
+ * @access  Private
+ */
+export const placeEventHold = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+  if (!["pending", "hold"].includes(event.status)) {
+    throw new ApiError(`Cannot place a hold on a ${event.status} event`, 400);
+  }
+
+  await placeHold(event, {
+    expiresAt: req.body.expiresAt,
+    days: req.body.days,
+  });
+
+  new ApiResponse({ event }, "Hold placed successfully").send(res);
+});
+
+/**
+ * @desc    Release a hold and promote the next waitlisted prospect
+ * @route   POST /api/v1/events/:id/hold/release
+ * @access  Private
+ */
+export const releaseEventHold = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+  if (event.status !== "hold") throw new ApiError("Event is not on hold", 400);
+
+  const { promoted } = await releaseHold(event, "released");
+
+  new ApiResponse({ event, promoted }, "Hold released successfully").send(res);
+});
+
+/**
+ * @desc    Get the prospects queued behind a hold
+ * @route   GET /api/v1/events/:id/waitlist
+ * @access  Private
+ */
+export const getEventWaitlist = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const waitlist = await Event.find({
+    businessId,
+    waitlistedBehind: event._id,
+    status: "waitlisted",
+    isArchived: { $ne: true },
+  })
+    .populate("clientId", "name email phone")
+    .sort({ waitlistedAt: 1 });
+
+  new ApiResponse({ event, waitlist }).send(res);
+});
+
+/**
+ * @desc    Queue a prospect behind an existing hold
+ * @route   POST /api/v1/events/:id/waitlist
+ * @access  Private
+ */
+export const addToEventWaitlist = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const hold = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!hold) throw new ApiError("Event not found", 404);
+  if (hold.status !== "hold") {
+    throw new ApiError("Prospects can only queue behind an event on hold", 400);
+  }
+
+  const client = await Client.findOne({ _id: req.body.clientId, businessId });
+  if (!client) throw new ApiError("Client not found", 404);
+
+  // Same slot as the hold, owned by the new prospect
+  const entry = await Event.create({
+    title: req.body.title || `${hold.title} (${client.name})`,
+    type: req.body.type || hold.type,
+    status: "waitlisted",
+    notes: req.body.notes,
+    clientId: client._id,
+    businessId,
+    resourceId: hold.resourceId,
+    resources: hold.resources,
+    createdBy: req.user._id,
+    startDate: hold.startDate,
+    endDate: hold.endDate,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    guestCount: req.body.guestCount,
+    waitlistedBehind: hold._id,
+    waitlistedAt: new Date(),
+  });
+
+  const position = await Event.countDocuments({
+    waitlistedBehind: hold._id,
+    status: "waitlisted",
+    isArchived: { $ne: true },
+  });
+
+  await entry.populate("clientId", "name email phone");
+
+  new ApiResponse(
+    { event: entry, position },
+    "Prospect added to the waitlist",
+    201
+  ).send(res);
+});
+
+// ==========================================
+// 4. RECURRING SERIES
+// ==========================================
+
+/**
+ * @desc    Get every occurrence of the series an event belongs to
+ * @route   GET /api/v1/events/:id/series
+ * @access  Private
+ */
+export const getEventSeries = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+  if (!event.seriesId) throw new ApiError("Event is not part of a series", 400);
+
+  const occurrences = await Event.find({
+    businessId,
+    seriesId: event.seriesId,
+    isArchived: { $ne: true },
+  })
+    .populate("resourceId", "name type")
+    .sort({ seriesIndex: 1 });
+
+  new ApiResponse({
+    seriesId: event.seriesId,
+    recurrenceRule: event.recurrenceRule,
+    occurrences,
+  }).send(res);
+});
+
+/**
+ * @desc    Edit this occurrence, this and following, or all occurrences
+ * @route   PUT /api/v1/events/:id/series
+ * @access  Private
+ */
+export const updateEventSeries = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const { scope = "this", ...updates } = req.body;
+  if (updates.venueSpaceId) updates.resourceId = updates.venueSpaceId;
+
+  if (updates.clientId) {
+    const client = await Client.findOne({ _id: updates.clientId, businessId });
+    if (!client) throw new ApiError("Client not found", 404);
+  }
+  if (updates.resources) {
+    updates.resources = await processEventResources(updates.resources, businessId);
+  }
+
+  // Each occurrence is re-priced for its own date when its booking changes
+  const events = await updateSeries(event, scope, updates, {
+    prepare: repriceEvent,
+  });
+
+  new ApiResponse(
+    { scope, count: events.length, events },
+    `${events.length} occurrence(s) updated successfully`
+  ).send(res);
+});
+
+/**
+ * @desc    Cancel this occurrence, this and following, or all occurrences
+ * @route   POST /api/v1/events/:id/series/cancel
+ * @access  Private
+ */
+export const cancelEventSeries = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const scope = req.body.scope || "this";
+  if (scope === "this" && event.status === "cancelled") {
+    throw new ApiError("Event is already cancelled", 400);
+  }
+
+  const { events, warnings } = await cancelSeries(event, scope, {
+    userId: req.user._id,
+    reason: req.body.reason,
+  });
+
+  new ApiResponse(
+    { scope, count: events.length, events, ...(warnings.length > 0 && { warnings }) },
+    `${events.length} occurrence(s) cancelled successfully`
+  ).send(res);
+});
+
+// ==========================================
+// 5. RUN OF SHOW (TIMELINE)
+// ==========================================
+
+/**
+ * @desc    Get the ordered agenda items of an event
+ * @route   GET /api/v1/events/:id/timeline
+ * @access  Private
+ */
+export const getEventTimeline = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId })
+    .select("title startDate endDate startTime endTime timeline")
+    .populate(TIMELINE_POPULATE);
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  new ApiResponse({ timeline: event.getSortedTimeline() }).send(res);
+});
+
+/**
+ * @desc    Add an agenda item
+ * @route   POST /api/v1/events/:id/timeline
+ * @access  Private
+ */
+export const addTimelineItem = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const item = Object.fromEntries(
+    TIMELINE_FIELDS.filter((key) => req.body[key] !== undefined).map((key) => [key, req.body[key]])
+  );
+  await validateTimelineRefs(item, businessId);
+
+  event.timeline.push(item);
+  await event.save();
+  await event.populate(TIMELINE_POPULATE);
+
+  new ApiResponse(
+    { item: event.timeline[event.timeline.length - 1], timeline: event.getSortedTimeline() },
+    "Timeline item added",
+    201
+  ).send(res);
+});
+
+/**
+ * @desc    Update an agenda item
+ * @route   PUT /api/v1/events/:id/timeline/:itemId
+ * @access  Private
+ */
+export const updateTimelineItem = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const item = event.timeline.id(req.params.itemId);
+  if (!item) throw new ApiError("Timeline item not found", 404);
+
+  const changes = Object.fromEntries(
+    TIMELINE_FIELDS.filter((key) => req.body[key] !== undefined).map((key) => [key, req.body[key]])
+  );
+  await validateTimelineRefs(changes, businessId);
+
+  item.set(changes);
+  await event.save();
+  await event.populate(TIMELINE_POPULATE);
+
+  new ApiResponse(
+    { item: event.timeline.id(req.params.itemId), timeline: event.getSortedTimeline() },
+    "Timeline item updated"
+  ).send(res);
+});
+
+/**
+ * @desc    Remove an agenda item
+ * @route   DELETE /api/v1/events/:id/timeline/:itemId
+ * @access  Private
+ */
+export const deleteTimelineItem = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const item = event.timeline.id(req.params.itemId);
+  if (!item) throw new ApiError("Timeline item not found", 404);
+
+  item.deleteOne();
+  await event.save();
+  await event.populate(TIMELINE_POPULATE);
+
+  new ApiResponse({ timeline: event.getSortedTimeline() }, "Timeline item removed").send(res);
+});
+
+/**
+ * @desc    Reorder agenda items (order only breaks ties between equal start times)
+ * @route   PATCH /api/v1/events/:id/timeline/order
+ * @access  Private
+ */
+export const reorderTimeline = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId });
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  req.body.itemIds.forEach((itemId, index) => {
+    const item = event.timeline.id(itemId);
+    if (!item) throw new ApiError(`Timeline item ${itemId} not found`, 404);
+    item.order = index;
+  });
+
+  await event.save();
+  await event.populate(TIMELINE_POPULATE);
+
+  new ApiResponse({ timeline: event.getSortedTimeline() }, "Timeline reordered").send(res);
+});
+
+/**
+ * @desc    Download the printable run sheet (PDF)
+ * @route   GET /api/v1/events/:id/timeline/pdf
+ * @access  Private
+ */
+export const downloadRunSheet = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  const event = await Event.findOne({ _id: req.params.id, businessId }).populate([
+    ...TIMELINE_POPULATE,
+    { path: "clientId", select: "name phone" },
+    { path: "resourceId", select: "name" },
+    { path: "resources.resource", select: "name" },
+  ]);
+
+  if (!event) throw new ApiError("Event not found", 404);
+
+  const business = await Business.findById(businessId);
+  const settings = await ContractSettings.findOne({ business: businessId });
+
+  const pdfBuffer = await generateRunSheetPDF(
+    { ...event.toObject(), timeline: event.getSortedTimeline() },
+    business,
+    settings
+  );
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=run-sheet-${event._id}.pdf`
+  );
+  res.setHeader("Content-Length", pdfBuffer.length);
+
+  res.send(pdfBuffer);
+});
+
+// ==========================================
+// 6. PACKAGES (EVENT TEMPLATES)
+// ==========================================
+
+/**
+ * @desc    Book an event from a package: pricing, services, supplies,
+ *          partner slots and the task checklist come from the template
+ * @route   POST /api/v1/events/from-template/:templateId
+ * @access  Private
+ */
+export const createEventFromTemplate = asyncHandler(async (req, res) => {
+  const businessId = getBusinessIdString(req);
+  if (!businessId) throw new ApiError("User not linked to business", 403);
+
+  const template = await EventTemplate.findOne({
+    _id: req.params.templateId,
+    businessId,
+    isArchived: false,
+  });
+  if (!template) throw new ApiError("Event template not found", 404);
+  if (!template.isActive) throw new ApiError("Event template is inactive", 400);
+
+  const client = await Client.findOne({ _id: req.body.clientId, businessId });
+  if (!client) throw new ApiError("Client not found", 404);
+
+  const status = req.body.status || "pending";
+  if (!INITIAL_EVENT_STATUSES.includes(status)) {
+    throw new ApiError(
+      `New events start as ${INITIAL_EVENT_STATUSES.join(" or ")}`,
+      400
+    );
+  }
+
+  const startDate = new Date(req.body.startDate);
+  const endDate = req.body.endDate
+    ? new Date(req.body.endDate)
+    : new Date(startDate.getTime() + (template.durationDays - 1) * 24 * 60 * 60 * 1000);
+
+  // Partner slots: the template's default partner unless one is picked for the slot
+  const assignments = req.body.partnerSlots || [];
+  const partnersInput = [];
+  const openPartnerSlots = [];
+  template.partnerSlots.forEach((slot) => {
+    const assigned = assignments.find(
+      (a) => a.slotId === slot._id.toString()
+    )?.partner;
+    const partner = assigned || slot.partner;
+    if (!partner) return openPartnerSlots.push(slot);
+    partnersInput.push({
+      partner,
+      service: slot.service,
+      hours: slot.hours,
+      cost: slot.cost,
+    });
+  });
+
+  const eventData = {
+    title: req.body.title || `${template.name} - ${client.name}`,
+    type: req.body.type || template.eventType,
+    status,
+    notes: req.body.notes,
+    clientId: client._id,
+    businessId,
+    createdBy: req.user._id,
+    template: template._id,
+    resourceId: req.body.resourceId,
+    startDate,
+    endDate,
+    startTime: req.body.startTime || template.startTime,
+    endTime: req.body.endTime || template.endTime,
+    guestCount: req.body.guestCount || template.guestCount,
+    pricing: {
+      basePrice: req.body.pricing?.basePrice ?? template.pricing.basePrice,
+      discount: req.body.pricing?.discount ?? template.pricing.discount,
+      ...(template.pricing.taxRate !== undefined && {
+        taxRate: template.pricing.taxRate,
+      }),
+      additionalServices: template.pricing.additionalServices.map((s) => ({
+        name: s.name,
+        price: s.price,
+      })),
+    },
+  };
+
+  if (!eventData.startTime || !eventData.endTime) {
+    throw new ApiError("Start and end times are required", 400);
+  }
+
+  eventData.supplies = await processEventSupplies(
+    template.supplies.map((s) => ({
+      supply: s.supply,
+      quantityRequested: s.quantity,
+      chargePerUnit: s.chargePerUnit,
+    })),
+    businessId
+  );
+
+  if (partnersInput.length > 0) {
+    eventData.partners = partnersInput;
+    eventData.pricing.additionalServices.push(
+      ...(await processEventPartners(partnersInput, businessId))
+    );
+  }
+
+  if (req.body.resources?.length > 0) {
+    eventData.resources = await processEventResources(
+      req.body.resources,
+      businessId
+    );
+  }
+
+  if (status === "hold") {
+    eventData.holdExpiresAt = await resolveHoldExpiry(businessId, {
+      expiresAt: req.body.holdExpiresAt,
+      days: req.body.holdDays,
+    });
+  }
+
+  const event = new Event(eventData);
+  // Space prices come from the resource's pricing rules, not from the template or the request
+  await applySpacePricing(event);
+  calculateTotals(event);
+
+  try {
+    await event.save();
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (
+      error.message.includes("conflict") ||
+      error.message.includes("End time")
+    ) {
+      throw new ApiError(error.message, 400);
+    }
+    throw error;
+  }
+  if (event.status === "hold") await agendaService.scheduleHoldExpiry(event);
+
+  // Checklist: due dates are relative to the event start
+  const tasks = template.tasks.length
+    ? await Task.insertMany(
+        template.tasks.map((item) => ({
+          title: item.title,
+          description: item.description,
+          category: item.category,
+          priority: item.priority,
+          dueDate: new Date(
+            event.startDate.getTime() + item.offsetDays * 24 * 60 * 60 * 1000
+          ),
+          assignedTo: item.assignedTo || req.user._id,
+          status: "todo",
+          tags: ["package"],
+          event: event._id,
+          businessId,
+          createdBy: req.user._id,
+        }))
+      )
+    : [];
+
+  await event.populate([
+    { path: "clientId" },
+    { path: "resourceId" },
+    { path: "resources.resource", select: "name type capacity" },
+    { path: "template", select: "name" },
+  ]);
+
+  new ApiResponse(
+    {
+      event,
+      tasks,
+      ...(openPartnerSlots.length > 0 && { openPartnerSlots }),
+    },
+    "Event created from template",
+    201
+  ).send(res);
+});
@@ -0,0 +1,152 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { EventTemplate, Partner, Supply, User } from "../models/index.js";
+
+const TEMPLATE_FIELDS = [
+  "name",
+  "description",
+  "eventType",
+  "guestCount",
+  "startTime",
+  "endTime",
+  "durationDays",
+  "pricing",
+  "supplies",
+  "partnerSlots",
+  "tasks",
+  "isActive",
+];
+
+const getBusinessId = (req) => {
+  const businessId = req.businessId || req.user.businessId;
+  return businessId?._id || businessId;
+};
+
+// Helper: Check that supplies, partners and assignees belong to the business
+const validateTemplateRefs = async (data, businessId) => {
+  const supplyIds = (data.supplies || []).map((s) => s.supply);
+  if (supplyIds.length) {
+    const count = await Supply.countDocuments({ _id: { $in: supplyIds }, businessId });
+    if (count !== new Set(supplyIds.map(String)).size) {
+      throw new ApiError("One or more supplies not found", 404);
+    }
+  }
+
+  const partnerIds = (data.partnerSlots || []).map((p) => p.partner).filter(Boolean);
+  if (partnerIds.length) {
+    const count = await Partner.countDocuments({ _id: { $in: partnerIds }, businessId });
+    if (count !== new Set(partnerIds.map(String)).size) {
+      throw new ApiError("One or more partners not found", 404);
+    }
+  }
+
+  const userIds = (data.tasks || []).map((t) => t.assignedTo).filter(Boolean);
+  if (userIds.length) {
+    const count = await User.countDocuments({ _id: { $in: userIds }, businessId });
+    if (count !== new Set(userIds.map(String)).size) {
+      throw new ApiError("One or more assignees not found", 404);
+    }
+  }
+};
+
+/**
+ * @desc    List event templates (packages)
+ * @route   GET /api/v1/events/templates
+ * @access  Private
+ */
+export const getEventTemplates = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const { eventType, includeArchived } = req.query;
+
+  const query = { businessId };
+  if (includeArchived !== "true") query.isArchived = false;
+  if (eventType) query.eventType = eventType;
+
+  const templates = await EventTemplate.find(query).sort({ name: 1 });
+
+  new ApiResponse({ templates }).send(res);
+});
+
+/**
+ * @desc    Get a single event template
+ * @route   GET /api/v1/events/templates/:templateId
+ * @access  Private
+ */
+export const getEventTemplate = asyncHandler(async (req, res) => {
+  const template = await EventTemplate.findOne({
+    _id: req.params.templateId,
+    businessId: getBusinessId(req),
+  })
+    .populate("supplies.supply", "name unit pricingType chargePerUnit")
+    .populate("partnerSlots.partner", "name category")
+    .populate("tasks.assignedTo", "name email");
+
+  if (!template) throw new ApiError("Event template not found", 404);
+
+  new ApiResponse({ template }).send(res);
+});
+
+/**
+ * @desc    Create an event template
+ * @route   POST /api/v1/events/templates
+ * @access  Private
+ */
+export const createEventTemplate = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  await validateTemplateRefs(req.body, businessId);
+
+  const data = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const template = await EventTemplate.create({
+    ...data,
+    businessId,
+    createdBy: req.user._id,
+  });
+
+  new ApiResponse({ template }, "Event template created", 201).send(res);
+});
+
+/**
+ * @desc    Update an event template (existing events are not affected)
+ * @route   PUT /api/v1/events/templates/:templateId
+ * @access  Private
+ */
+export const updateEventTemplate = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const template = await EventTemplate.findOne({
+    _id: req.params.templateId,
+    businessId,
+    isArchived: false,
+  });
+  if (!template) throw new ApiError("Event template not found", 404);
+
+  await validateTemplateRefs(req.body, businessId);
+
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+  await template.save();
+
+  new ApiResponse({ template }, "Event template updated").send(res);
+});
+
+/**
+ * @desc    Archive an event template
+ * @route   DELETE /api/v1/events/templates/:templateId
+ * @access  Private
+ */
+export const archiveEventTemplate = asyncHandler(async (req, res) => {
+  const template = await EventTemplate.findOneAndUpdate(
+    { _id: req.params.templateId, businessId: getBusinessId(req), isArchived: false },
+    { isArchived: true, archivedAt: new Date(), archivedBy: req.user._id },
+    { new: true }
+  );
+
+  if (!template) throw new ApiError("Event template not found", 404);
+
+  new ApiResponse({ template }, "Event template archived").send(res);
+});
@@ -1,7 +1,8 @@
+import mongoose from "mongoose";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import { Finance, Event, Partner } from "../models/index.js";
+import { Finance, Event, Partner, Invoice, CreditNote } from "../models/index.js";
 
 /**
  * @desc    Get all finance records (non-archived by default)
@@ -894,12 +895,69 @@ export const getTaxSummary = asyncHandler(async (req, res) => {
 
   const taxableIncome = totalIncome - totalExpense;
 
+  // VAT collected on client invoices, minus the credit notes issued against them.
+  // Cancelled invoices count when they were issued (a credit note cancelled them).
+  const businessObjectId = new mongoose.Types.ObjectId(businessId._id || businessId);
+  const vatTotals = {
+    _id: null,
+    count: { $sum: 1 },
+    amountHT: { $sum: { $subtract: ["$subtotal", { $ifNull: ["$discount", 0] }] } },
+    taxAmount: { $sum: "$taxAmount" },
+    totalAmount: { $sum: "$totalAmount" },
+  };
+
+  const [[invoiced], [credited]] = await Promise.all([
+    Invoice.aggregate([
+      {
+        $match: {
+          business: businessObjectId,
+          invoiceType: "client",
+          isArchived: { $ne: true },
+          issueDate: { $gte: startDate, $lte: endDate },
+          $or: [
+            { status: { $nin: ["draft", "cancelled"] } },
+            { status: "cancelled", creditedAmount: { $gt: 0 } },
+          ],
+        },
+      },
+      { $group: vatTotals },
+    ]),
+    CreditNote.aggregate([
+      {
+        $match: {
+          business: businessObjectId,
+          invoiceType: "client",
+          issueDate: { $gte: startDate, $lte: endDate },
+        },
+      },
+      { $group: vatTotals },
+    ]),
+  ]);
+
+  const vatRow = (row) => ({
+    count: row?.count || 0,
+    amountHT: Number((row?.amountHT || 0).toFixed(3)),
+    taxAmount: Number((row?.taxAmount || 0).toFixed(3)),
+    totalAmount: Number((row?.totalAmount || 0).toFixed(3)),
+  });
+  const vatInvoiced = vatRow(invoiced);
+  const vatCredited = vatRow(credited);
+
   new ApiResponse({
     year: currentYear,
     totalIncome,
     totalExpense,
     taxableIncome,
     totalTaxPaid,
+    vat: {
+      invoiced: vatInvoiced,
+      credited: vatCredited,
+      net: {
+        amountHT: Number((vatInvoiced.amountHT - vatCredited.amountHT).toFixed(3)),
+        taxAmount: Number((vatInvoiced.taxAmount - vatCredited.taxAmount).toFixed(3)),
+        totalAmount: Number((vatInvoiced.totalAmount - vatCredited.totalAmount).toFixed(3)),
+      },
+    },
     taxRecords,
   }).send(res);
 });
\ No newline at end of file
@@ -1,6 +1,9 @@
-import { Invoice, InvoiceSettings, Business, Client } from "../models/index.js";
+import { Invoice, InvoiceSettings, Business, Client, Payment } from "../models/index.js";
 import { generateInvoicePDF } from "../utils/generateInvoicePDF.js";
 import { sendInvoiceEmail } from "../utils/sendEmail.js";
+import { recordInvoicePayment } from "../services/invoicePayment.service.js";
+import { issueCreditNote } from "../services/creditNote.service.js";
+import { getPayablesReport } from "../services/partnerBill.service.js";
 
 export const getAllInvoices = async (req, res) => {
   try {
@@ -117,6 +120,20 @@ export const getInvoiceStats = async (req, res) => {
   }
 };
 
+// Accounts payable: outstanding partner bills per partner, aged by due date
+export const getPayables = async (req, res) => {
+  try {
+    const businessId = req.businessId || req.user.businessId;
+    const report = await getPayablesReport(businessId, {
+      asOf: req.query.asOf ? new Date(req.query.asOf) : undefined,
+      partnerId: req.query.partnerId
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // --- WRITE ---
 export const createInvoice = async (req, res) => {
   try {
@@ -135,8 +152,11 @@ export const createInvoice = async (req, res) => {
       }
     }
 
+    // Payments and credit notes set these, never the request
+    const { paymentStatus, creditedAmount, allocatedAmount, ...body } = req.body;
+
     const invoice = await Invoice.create({
-      ...req.body,
+      ...body,
       ...recipientData,
       business: businessId, // Updated
       createdBy: req.user._id
@@ -150,11 +170,21 @@ export const createInvoice = async (req, res) => {
 export const updateInvoice = async (req, res) => {
   try {
     const businessId = req.businessId || req.user.businessId;
-    const invoice = await Invoice.findOneAndUpdate(
-      { _id: req.params.id, business: businessId },
-      req.body,
-      { new: true }
-    );
+    const invoice = await Invoice.findOne({ _id: req.params.id, business: businessId });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+    // Issued invoices are only corrected through credit notes
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({ message: "An issued invoice cannot be edited, issue a credit note instead" });
+    }
+    // Paid / partial come from the allocated payments, cancelled from the cancel action
+    if (req.body.status && !['draft', 'sent'].includes(req.body.status)) {
+      return res.status(400).json({ message: `A draft invoice cannot be set to ${req.body.status}` });
+    }
+    const { paymentStatus, creditedAmount, allocatedAmount, business, invoiceNumber, ...updates } = req.body;
+
+    Object.assign(invoice, updates);
+    await invoice.save();
     res.json({ success: true, invoice });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -164,10 +194,16 @@ export const updateInvoice = async (req, res) => {
 export const deleteInvoice = async (req, res) => {
   try {
     const businessId = req.businessId || req.user.businessId;
-    await Invoice.findOneAndUpdate(
-      { _id: req.params.id, business: businessId }, 
-      { isArchived: true }
-    );
+    const invoice = await Invoice.findOne({ _id: req.params.id, business: businessId });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+    // Issued invoices stay on record (cancel them with a credit note)
+    if (!['draft', 'cancelled'].includes(invoice.status)) {
+      return res.status(400).json({ message: "An issued invoice cannot be deleted, cancel it instead" });
+    }
+
+    invoice.isArchived = true;
+    await invoice.save();
     res.json({ success: true, message: "Archived" });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -236,7 +272,8 @@ export const sendInvoice = async (req, res) => {
     });
 
     if(sent) {
-      invoice.status = 'sent';
+      // Re-sending an issued invoice keeps its payment status
+      if (invoice.status === 'draft') invoice.status = 'sent';
       invoice.sentAt = new Date();
       await invoice.save();
       res.json({ success: true, message: "Email Sent" });
@@ -248,18 +285,44 @@ export const sendInvoice = async (req, res) => {
   }
 };
 
+// Records a payment (what is due, unless an amount is given) and allocates it
 export const markAsPaid = async (req, res) => {
   try {
     const businessId = req.businessId || req.user.businessId;
-    await Invoice.findOneAndUpdate(
-      { _id: req.params.id, business: businessId },
-      {
-        status: 'paid',
-        'paymentStatus.amountPaid': req.body.amount || 0,
-        'paymentStatus.amountDue': 0
-      }
-    );
-    res.json({ success: true });
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      business: businessId,
+      isArchived: { $ne: true }
+    });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+    const result = await recordInvoicePayment(invoice, {
+      amount: req.body.amount,
+      method: req.body.method,
+      reference: req.body.reference,
+      paidDate: req.body.paidDate,
+      userId: req.user._id
+    });
+    res.json({ success: true, invoice: result.invoice, payment: result.payment });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+export const getInvoicePayments = async (req, res) => {
+  try {
+    const businessId = req.businessId || req.user.businessId;
+    const invoice = await Invoice.findOne({ _id: req.params.id, business: businessId });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+    const payments = await Payment.find({
+      businessId,
+      "allocations.invoice": invoice._id
+    })
+      .populate("processedBy", "name")
+      .sort({ paidDate: -1, createdAt: -1 });
+
+    res.json({ success: true, paymentStatus: invoice.paymentStatus, payments });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -268,12 +331,30 @@ export const markAsPaid = async (req, res) => {
 export const cancelInvoice = async (req, res) => {
   try {
     const businessId = req.businessId || req.user.businessId;
-    await Invoice.findOneAndUpdate(
-      { _id: req.params.id, business: businessId },
-      { status: 'cancelled' }
-    );
-    res.json({ success: true });
+    const invoice = await Invoice.findOne({ _id: req.params.id, business: businessId });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+    if (invoice.status === 'cancelled') {
+      return res.status(400).json({ message: "Invoice is already cancelled" });
+    }
+    // allocatedAmount also holds pending payments
+    if (invoice.paymentStatus.amountPaid > 0 || invoice.allocatedAmount > 0) {
+      return res.status(400).json({ message: "This invoice has payments allocated, release them first" });
+    }
+
+    // A draft was never issued: it is simply dropped
+    if (invoice.status === 'draft') {
+      invoice.status = 'cancelled';
+      await invoice.save();
+      return res.json({ success: true, invoice });
+    }
+
+    // An issued invoice is cancelled by a credit note for everything left on it
+    const result = await issueCreditNote(invoice, {
+      reason: req.body.reason || `Annulation de la facture ${invoice.invoiceNumber}`,
+      userId: req.user._id
+    });
+    res.json({ success: true, invoice: result.invoice, creditNote: result.creditNote });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
\ No newline at end of file
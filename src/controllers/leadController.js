@@ -0,0 +1,329 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { Lead, User } from "../models/index.js";
+import { LEAD_STAGES } from "../models/Lead.js";
+import { toDateOnly } from "../utils/scheduling.js";
+import {
+  convertLead as convertLeadToClient,
+  createInquiryLead,
+  getLeadReport as buildLeadReport,
+} from "../services/lead.service.js";
+
+const LEAD_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "company",
+  "source",
+  "sourceDetails",
+  "eventType",
+  "expectedEventDate",
+  "budget",
+  "guestCount",
+  "message",
+  "assignedTo",
+];
+
+// Leads shown per column of the pipeline board
+const PIPELINE_COLUMN_LIMIT = 50;
+
+const getBusinessId = (req) => {
+  const businessId = req.businessId || req.user.businessId;
+  return businessId?._id || businessId;
+};
+
+const pickLeadFields = (body) => {
+  const data = {};
+  LEAD_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.expectedEventDate) data.expectedEventDate = toDateOnly(data.expectedEventDate);
+  return data;
+};
+
+// Helper: The salesperson must be a member of the business
+const validateAssignee = async (userId, businessId) => {
+  if (!userId) return;
+  const user = await User.exists({ _id: userId, businessId });
+  if (!user) throw new ApiError("Assigned user not found", 404);
+};
+
+const findLead = async (req) => {
+  const lead = await Lead.findOne({
+    _id: req.params.id,
+    businessId: getBusinessId(req),
+    isArchived: false,
+  });
+  if (!lead) throw new ApiError("Lead not found", 404);
+  return lead;
+};
+
+// ==========================================
+// 1. PIPELINE & REPORTING
+// ==========================================
+
+/**
+ * @desc    Pipeline board: leads grouped by stage
+ * @route   GET /api/v1/leads/pipeline
+ * @access  Private
+ */
+export const getLeadPipeline = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const baseQuery = { businessId, isArchived: false };
+  if (req.query.assignedTo) baseQuery.assignedTo = req.query.assignedTo;
+
+  const pipeline = await Promise.all(
+    LEAD_STAGES.map(async (stage) => {
+      const query = { ...baseQuery, stage };
+      const [leads, count, budget] = await Promise.all([
+        Lead.find(query)
+          .select("name company eventType expectedEventDate budget guestCount source assignedTo updatedAt")
+          .populate("assignedTo", "name email")
+          .sort({ updatedAt: -1 })
+          .limit(PIPELINE_COLUMN_LIMIT),
+        Lead.countDocuments(query),
+        Lead.aggregate([
+          { $match: query },
+          { $group: { _id: null, total: { $sum: { $ifNull: ["$budget", 0] } } } },
+        ]),
+      ]);
+      return { stage, count, totalBudget: budget[0]?.total || 0, leads };
+    })
+  );
+
+  new ApiResponse({ pipeline }).send(res);
+});
+
+/**
+ * @desc    Pipeline report: conversion rate by source, time spent per stage
+ * @route   GET /api/v1/leads/report
+ * @access  Private
+ */
+export const getLeadReport = asyncHandler(async (req, res) => {
+  const report = await buildLeadReport(getBusinessId(req), {
+    from: req.query.from,
+    to: req.query.to,
+  });
+
+  new ApiResponse({ report }).send(res);
+});
+
+// ==========================================
+// 2. CRUD
+// ==========================================
+
+/**
+ * @desc    List leads
+ * @route   GET /api/v1/leads
+ * @access  Private
+ */
+export const getLeads = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, stage, source, assignedTo, search, includeArchived } = req.query;
+
+  const query = { businessId: getBusinessId(req) };
+  if (includeArchived !== "true") query.isArchived = false;
+  if (stage) query.stage = stage;
+  if (source) query.source = source;
+  if (assignedTo) query.assignedTo = assignedTo;
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { email: { $regex: search, $options: "i" } },
+      { phone: { $regex: search, $options: "i" } },
+      { company: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [leads, total] = await Promise.all([
+    Lead.find(query)
+      .select("-activities -stageHistory")
+      .populate("assignedTo", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Lead.countDocuments(query),
+  ]);
+
+  new ApiResponse({
+    leads,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit),
+    },
+  }).send(res);
+});
+
+/**
+ * @desc    Get a single lead (history and activities included)
+ * @route   GET /api/v1/leads/:id
+ * @access  Private
+ */
+export const getLead = asyncHandler(async (req, res) => {
+  const lead = await findLead(req);
+  await lead.populate([
+    { path: "assignedTo", select: "name email" },
+    { path: "stageHistory.changedBy", select: "name email" },
+    { path: "activities.createdBy", select: "name email" },
+    { path: "client", select: "name email phone" },
+    { path: "event", select: "title status startDate" },
+  ]);
+
+  new ApiResponse({ lead }).send(res);
+});
+
+/**
+ * @desc    Create a lead
+ * @route   POST /api/v1/leads
+ * @access  Private
+ */
+export const createLead = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  await validateAssignee(req.body.assignedTo, businessId);
+
+  const lead = await Lead.create({
+    ...pickLeadFields(req.body),
+    stage: req.body.stage,
+    businessId,
+    createdBy: req.user._id,
+  });
+
+  if (global.io) {
+    global.io.to(businessId.toString()).emit("lead:created", {
+      id: lead._id,
+      name: lead.name,
+      stage: lead.stage,
+      source: lead.source,
+    });
+  }
+
+  new ApiResponse({ lead }, "Lead created", 201).send(res);
+});
+
+/**
+ * @desc    Update a lead (stage changes go through PATCH /leads/:id/stage)
+ * @route   PUT /api/v1/leads/:id
+ * @access  Private
+ */
+export const updateLead = asyncHandler(async (req, res) => {
+  const lead = await findLead(req);
+  await validateAssignee(req.body.assignedTo, lead.businessId);
+
+  Object.assign(lead, pickLeadFields(req.body));
+  await lead.save();
+
+  new ApiResponse({ lead }, "Lead updated").send(res);
+});
+
+/**
+ * @desc    Archive a lead
+ * @route   DELETE /api/v1/leads/:id
+ * @access  Private
+ */
+export const archiveLead = asyncHandler(async (req, res) => {
+  const lead = await findLead(req);
+
+  lead.isArchived = true;
+  lead.archivedAt = new Date();
+  lead.archivedBy = req.user._id;
+  await lead.save();
+
+  new ApiResponse({ lead }, "Lead archived").send(res);
+});
+
+// ==========================================
+// 3. PIPELINE ACTIONS
+// ==========================================
+
+/**
+ * @desc    Move a lead to another stage ("won" is reached by converting it)
+ * @route   PATCH /api/v1/leads/:id/stage
+ * @access  Private
+ */
+export const changeLeadStage = asyncHandler(async (req, res) => {
+  const lead = await findLead(req);
+  const { stage, note, lostReason } = req.body;
+
+  if (lead.stage === stage) throw new ApiError(`Lead is already ${stage}`, 400);
+  if (stage === "won") {
+    throw new ApiError("Convert the lead to mark it as won (POST /leads/:id/convert)", 400);
+  }
+  if (lead.stage === "won") throw new ApiError("A converted lead cannot change stage", 400);
+
+  lead.$locals.stageChange = { changedBy: req.user._id, note };
+  lead.stage = stage;
+  lead.lostReason = stage === "lost" ? lostReason : undefined;
+  await lead.save();
+
+  if (global.io) {
+    global.io.to(lead.businessId.toString()).emit("lead:stage-changed", {
+      id: lead._id,
+      name: lead.name,
+      stage: lead.stage,
+    });
+  }
+
+  new ApiResponse({ lead }, `Lead moved to ${stage}`).send(res);
+});
+
+/**
+ * @desc    Log a call, meeting, site visit or note on a lead
+ * @route   POST /api/v1/leads/:id/activities
+ * @access  Private
+ */
+export const addLeadActivity = asyncHandler(async (req, res) => {
+  const lead = await findLead(req);
+
+  lead.activities.push({
+    type: req.body.type,
+    note: req.body.note,
+    date: req.body.date,
+    createdBy: req.user._id,
+  });
+  await lead.save();
+
+  new ApiResponse({ lead }, "Activity added", 201).send(res);
+});
+
+/**
+ * @desc    Convert a lead into a client (and optionally an event)
+ * @route   POST /api/v1/leads/:id/convert
+ * @access  Private
+ */
+export const convertLead = asyncHandler(async (req, res) => {
+  const lead = await findLead(req);
+
+  const result = await convertLeadToClient(lead, {
+    userId: req.user._id,
+    clientId: req.body.clientId,
+    client: req.body.client,
+    event: req.body.event,
+  });
+
+  new ApiResponse(result, "Lead converted", 201).send(res);
+});
+
+// ==========================================
+// 4. PUBLIC INQUIRY FORM
+// ==========================================
+
+/**
+ * @desc    Inquiry form of a business website: creates a lead
+ * @route   POST /api/v1/leads/inquiry/:businessId
+ * @access  Public
+ */
+export const submitInquiry = asyncHandler(async (req, res) => {
+  // Honeypot: bots fill every field, people never see this one
+  if (req.body.website) {
+    return new ApiResponse(null, "Thank you, we will get back to you soon", 201).send(res);
+  }
+
+  await createInquiryLead(req.params.businessId, req.body, {
+    sourceDetails: req.body.sourceDetails,
+  });
+
+  new ApiResponse(null, "Thank you, we will get back to you soon", 201).send(res);
+});
@@ -2,50 +2,15 @@ import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { Payment, Event, Client } from "../models/index.js";
-
-/**
- * @desc    Helper function to update event payment summary
- */
-const updateEventPaymentSummary = async (eventId) => {
-  const event = await Event.findById(eventId);
-  if (!event) return;
-
-  // Get all non-archived completed income payments for this event
-  const allPayments = await Payment.find({
-    event: eventId,
-    status: "completed",
-    type: "income",
-    isArchived: false,
-  });
-
-  // Calculate total net amount paid
-  const totalPaid = allPayments.reduce((sum, p) => sum + p.netAmount, 0);
-
-  // Update Event Model field: paymentInfo (matches the new Schema)
-  if (!event.paymentInfo) {
-    event.paymentInfo = {
-      paidAmount: 0,
-      status: 'unpaid',
-      transactions: []
-    };
-  }
-
-  event.paymentInfo.paidAmount = totalPaid;
-  event.paymentInfo.transactions = allPayments.map(p => p._id);
-
-  // Check against pricing.totalPriceAfterTax (matches new Schema)
-  const totalEventCost = event.pricing ? event.pricing.totalPriceAfterTax : 0;
-
-  if (totalEventCost > 0 && totalPaid >= totalEventCost) {
-    event.paymentInfo.status = "paid";
-  } else if (totalPaid > 0) {
-    event.paymentInfo.status = "partial";
-  } else {
-    event.paymentInfo.status = "unpaid";
-  }
-
-  await event.save();
-};
+import {
+  allocatePayment,
+  getAllocatedAmount,
+  refreshPaymentInvoices,
+  releaseAllocation,
+  restoreArchivedPayment,
+  rollbackAllocationsForRefund,
+  updateEventPaymentSummary,
+} from "../services/invoicePayment.service.js";
 
 /**
  * @desc    Get all payments (non-archived by default) with SEARCH support
@@ -171,8 +136,10 @@ export const getPayment = asyncHandler(async (req, res) => {
  */
 export const createPayment = asyncHandler(async (req, res) => {
   const businessId = req.businessId || req.user.businessId;
+  // Allocations go through the service, after the payment exists
+  const { allocations, invoiceId, ...body } = req.body;
   const paymentData = {
-    ...req.body,
+    ...body,
     businessId, 
     processedBy: req.user._id,
     isArchived: false,
@@ -207,7 +174,18 @@ export const createPayment = asyncHandler(async (req, res) => {
     }
   }
 
-  const payment = await Payment.create(paymentData);
+  let payment = await Payment.create(paymentData);
+
+  // Settle the invoices it pays (all of `invoiceId`'s due amount it can cover)
+  const toAllocate = allocations?.length ? allocations : invoiceId ? [{ invoice: invoiceId }] : [];
+  if (toAllocate.length) {
+    try {
+      payment = await allocatePayment(payment, toAllocate, req.user._id);
+    } catch (error) {
+      await payment.deleteOne();
+      throw error;
+    }
+  }
 
   // Update event payment info if payment is for an event and not archived
   if (payment.event && payment.type === "income" && !payment.isArchived) {
@@ -247,9 +225,21 @@ export const updatePayment = asyncHandler(async (req, res) => {
     req.body.paidDate = new Date();
   }
 
-  Object.assign(payment, req.body);
+  // Allocations and refunds have their own endpoints
+  const { allocations, refundAmount, ...updates } = req.body;
+  if (
+    updates.amount !== undefined &&
+    updates.amount - (payment.refundAmount || 0) < getAllocatedAmount(payment)
+  ) {
+    throw new ApiError("The amount cannot be less than what is allocated to invoices", 400);
+  }
+
+  Object.assign(payment, updates);
   await payment.save();
 
+  // A payment that is no longer completed stops counting on its invoices
+  await refreshPaymentInvoices(payment);
+
   // Update event payment info if applicable
   if (payment.event && payment.type === "income") {
     await updateEventPaymentSummary(payment.event);
@@ -289,6 +279,9 @@ export const deletePayment = asyncHandler(async (req, res) => {
   payment.archivedBy = req.user._id;
   await payment.save();
 
+  // Its invoices owe the allocated amounts again
+  await refreshPaymentInvoices(payment);
+
   // Update event payment info if this payment was associated with an event
   if (payment.event && payment.type === "income") {
     await updateEventPaymentSummary(payment.event);
@@ -304,23 +297,21 @@ export const deletePayment = asyncHandler(async (req, res) => {
  */
 export const restorePayment = asyncHandler(async (req, res) => {
   const businessId = req.businessId || req.user.businessId;
-  const payment = await Payment.findOne({
+  const archived = await Payment.findOne({
     _id: req.params.id,
     businessId,
   });
 
-  if (!payment) {
+  if (!archived) {
     throw new ApiError("Payment not found", 404);
   }
 
-  if (!payment.isArchived) {
+  if (!archived.isArchived) {
     throw new ApiError("Payment is not archived", 400);
   }
 
-  payment.isArchived = false;
-  payment.archivedAt = undefined;
-  payment.archivedBy = undefined;
-  await payment.save();
+  // Allocations are claimed again: those whose invoice was settled meanwhile are dropped
+  const { payment, dropped } = await restoreArchivedPayment(archived);
 
   // Update event payment info
   if (payment.event && payment.type === "income") {
@@ -332,7 +323,12 @@ export const restorePayment = asyncHandler(async (req, res) => {
     { path: "client", select: "name email" },
   ]);
 
-  new ApiResponse({ payment }, "Payment restored successfully").send(res);
+  new ApiResponse(
+    { payment, droppedAllocations: dropped },
+    dropped.length > 0
+      ? `Payment restored, ${dropped.length} allocation(s) dropped: their invoices were settled meanwhile`
+      : "Payment restored successfully"
+  ).send(res);
 });
 
 /**
@@ -454,7 +450,10 @@ export const processRefund = asyncHandler(async (req, res) => {
   payment.refundReason = refundReason;
   payment.status = "refunded";
 
+  // The refunded money is taken back from the invoices it paid
+  const affectedInvoices = rollbackAllocationsForRefund(payment);
   await payment.save();
+  await refreshPaymentInvoices(payment, affectedInvoices);
 
   if (payment.event && payment.type === "income") {
     await updateEventPaymentSummary(payment.event);
@@ -510,4 +509,47 @@ export const getArchivedPayments = asyncHandler(async (req, res) => {
       pages: Math.ceil(total / limit),
     },
   }).send(res);
-});
\ No newline at end of file
+});
+
+/**
+ * @desc    Allocate a payment to invoices (partial amounts allowed)
+ * @route   POST /api/v1/payments/:id/allocations
+ * @access  Private (payments.update.all)
+ */
+export const allocatePaymentToInvoices = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const payment = await Payment.findOne({
+    _id: req.params.id,
+    businessId,
+  });
+
+  if (!payment) {
+    throw new ApiError("Payment not found", 404);
+  }
+
+  const allocated = await allocatePayment(payment, req.body.allocations, req.user._id);
+  await allocated.populate("allocations.invoice", "invoiceNumber status totalAmount paymentStatus");
+
+  new ApiResponse({ payment: allocated }, "Payment allocated successfully").send(res);
+});
+
+/**
+ * @desc    Remove the allocation of a payment to an invoice
+ * @route   DELETE /api/v1/payments/:id/allocations/:invoiceId
+ * @access  Private (payments.update.all)
+ */
+export const releasePaymentAllocation = asyncHandler(async (req, res) => {
+  const businessId = req.businessId || req.user.businessId;
+  const payment = await Payment.findOne({
+    _id: req.params.id,
+    businessId,
+  });
+
+  if (!payment) {
+    throw new ApiError("Payment not found", 404);
+  }
+
+  await releaseAllocation(payment, req.params.invoiceId);
+
+  new ApiResponse({ payment }, "Allocation removed").send(res);
+});
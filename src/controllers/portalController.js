@@ -0,0 +1,376 @@
+import jwt from "jsonwebtoken";
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+  Business,
+  Client,
+  Contract,
+  Event,
+  Invoice,
+  InvoiceSettings,
+  Payment,
+} from "../models/index.js";
+import { PORTAL_COOKIE } from "../middleware/clientAuth.js";
+import { generatePortalSessionToken } from "../utils/tokenService.js";
+import { generateInvoicePDF } from "../utils/generateInvoicePDF.js";
+import { renderContractPDF, signContractAsClient } from "../services/contract.service.js";
+import {
+  getClientBalance,
+  getClientEventIds,
+  parseGuestListCsv,
+  replaceGuestList,
+  sendPortalLink,
+} from "../services/clientPortal.service.js";
+
+// What a client may see of their events (no internal notes, costs or supplies)
+const PORTAL_EVENT_FIELDS =
+  "title type status startDate endDate startTime endTime timeZone guestCount resourceId pricing.totalPriceAfterTax paymentInfo.paidAmount paymentInfo.status guestListUpdatedAt";
+
+const LINK_SENT_MESSAGE = "If this email is registered, you will receive a login link shortly";
+
+const getPortalCookieOptions = (token) => {
+  const isProduction = process.env.NODE_ENV === "production";
+  return {
+    expires: new Date(jwt.decode(token).exp * 1000),
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: "lax",
+    path: "/",
+  };
+};
+
+const findClientEvent = async (req, select) => {
+  const event = await Event.findOne({
+    _id: req.params.id,
+    clientId: req.client._id,
+    businessId: req.businessId,
+    isArchived: { $ne: true },
+  }).select(select);
+  if (!event) throw new ApiError("Event not found", 404);
+  return event;
+};
+
+const findClientInvoice = async (req) => {
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    business: req.businessId,
+    client: req.client._id,
+    invoiceType: "client",
+    status: { $ne: "draft" },
+    isArchived: { $ne: true },
+  }).populate("client");
+  if (!invoice) throw new ApiError("Invoice not found", 404);
+  return invoice;
+};
+
+const findClientContract = async (req, select = "") => {
+  const contract = await Contract.findOne({
+    _id: req.params.id,
+    business: req.businessId,
+    contractType: "client",
+    event: { $in: await getClientEventIds(req.client) },
+    status: { $ne: "draft" },
+  }).select(select);
+  if (!contract) throw new ApiError("Contract not found", 404);
+  return contract;
+};
+
+// ==========================================
+// 1. MAGIC LINK & SESSION
+// ==========================================
+
+/**
+ * @desc    Ask for a login link (answers the same whether the email is known or not)
+ * @route   POST /api/v1/portal/:businessSlug/login-link
+ * @access  Public
+ */
+export const requestPortalLink = asyncHandler(async (req, res) => {
+  const business = await Business.findOne({ slug: req.params.businessSlug }).select("name");
+
+  const client = business
+    ? await Client.findOne({
+        businessId: business._id,
+        email: req.body.email,
+        isArchived: { $ne: true },
+        "portal.enabled": { $ne: false },
+      })
+    : null;
+
+  if (client) await sendPortalLink(client, business);
+
+  new ApiResponse(null, LINK_SENT_MESSAGE).send(res);
+});
+
+/**
+ * @desc    Exchange a magic-link token for a portal session (the link works once)
+ * @route   POST /api/v1/portal/session
+ * @access  Public
+ */
+export const createPortalSession = asyncHandler(async (req, res) => {
+  const client = await Client.findOne({
+    "portal.loginToken": Client.hashPortalToken(req.body.token),
+    "portal.loginTokenExpire": { $gt: new Date() },
+    isArchived: { $ne: true },
+    "portal.enabled": { $ne: false },
+  });
+  if (!client) throw new ApiError("This link is invalid or has expired", 400);
+
+  client.portal.loginToken = undefined;
+  client.portal.loginTokenExpire = undefined;
+  client.portal.lastLoginAt = new Date();
+  await client.save();
+
+  const token = generatePortalSessionToken(client);
+  res.cookie(PORTAL_COOKIE, token, getPortalCookieOptions(token));
+
+  const business = await Business.findById(client.businessId).select("name slug contact images");
+
+  new ApiResponse(
+    {
+      token,
+      client: { _id: client._id, name: client.name, email: client.email },
+      business,
+    },
+    "Welcome to your client space"
+  ).send(res);
+});
+
+/**
+ * @desc    End the portal session
+ * @route   POST /api/v1/portal/logout
+ * @access  Public
+ */
+export const logoutPortal = asyncHandler(async (req, res) => {
+  res.cookie(PORTAL_COOKIE, "loggedout", {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  new ApiResponse(null, "Logout successful").send(res);
+});
+
+// ==========================================
+// 2. PROFILE & EVENTS
+// ==========================================
+
+/**
+ * @desc    The client, their business contact and their balance
+ * @route   GET /api/v1/portal/me
+ * @access  Client portal
+ */
+export const getPortalProfile = asyncHandler(async (req, res) => {
+  const [business, balance] = await Promise.all([
+    Business.findById(req.businessId).select("name slug contact address images"),
+    getClientBalance(req.client),
+  ]);
+
+  const { _id, name, email, phone, company, address } = req.client;
+
+  new ApiResponse({
+    client: { _id, name, email, phone, company, address },
+    business,
+    balance,
+  }).send(res);
+});
+
+/**
+ * @desc    The client's events
+ * @route   GET /api/v1/portal/events
+ * @access  Client portal
+ */
+export const getPortalEvents = asyncHandler(async (req, res) => {
+  const events = await Event.find({
+    clientId: req.client._id,
+    businessId: req.businessId,
+    isArchived: { $ne: true },
+  })
+    .select(PORTAL_EVENT_FIELDS)
+    .populate("resourceId", "name")
+    .sort({ startDate: -1 });
+
+  new ApiResponse({ events }).send(res);
+});
+
+/**
+ * @desc    One event with its guest list
+ * @route   GET /api/v1/portal/events/:id
+ * @access  Client portal
+ */
+export const getPortalEvent = asyncHandler(async (req, res) => {
+  const event = await findClientEvent(req, `${PORTAL_EVENT_FIELDS} guestList`);
+  await event.populate("resourceId", "name");
+
+  new ApiResponse({ event }).send(res);
+});
+
+/**
+ * @desc    Replace the guest list (JSON `guests` or a CSV file in `file`)
+ * @route   PUT /api/v1/portal/events/:id/guest-list
+ * @access  Client portal
+ */
+export const updatePortalGuestList = asyncHandler(async (req, res) => {
+  let guests;
+  if (req.file) {
+    guests = parseGuestListCsv(req.file.buffer.toString("utf8"));
+  } else if (Array.isArray(req.body.guests)) {
+    guests = req.body.guests;
+  } else {
+    throw new ApiError("Send the guests or a CSV file", 400);
+  }
+
+  const event = await findClientEvent(req);
+  await replaceGuestList(event, guests);
+
+  new ApiResponse(
+    { guestList: event.guestList, guestListUpdatedAt: event.guestListUpdatedAt },
+    `Guest list saved (${event.guestList.length} guests)`
+  ).send(res);
+});
+
+// ==========================================
+// 3. INVOICES & PAYMENTS
+// ==========================================
+
+/**
+ * @desc    The client's invoices with their balance
+ * @route   GET /api/v1/portal/invoices
+ * @access  Client portal
+ */
+export const getPortalInvoices = asyncHandler(async (req, res) => {
+  const [invoices, balance] = await Promise.all([
+    Invoice.find({
+      business: req.businessId,
+      client: req.client._id,
+      invoiceType: "client",
+      status: { $ne: "draft" },
+      isArchived: { $ne: true },
+    })
+      .select("invoiceNumber status issueDate dueDate currency totalAmount paymentStatus event")
+      .populate("event", "title startDate")
+      .sort({ issueDate: -1 }),
+    getClientBalance(req.client),
+  ]);
+
+  new ApiResponse({ invoices, balance }).send(res);
+});
+
+/**
+ * @desc    Download an invoice PDF
+ * @route   GET /api/v1/portal/invoices/:id/download
+ * @access  Client portal
+ */
+export const downloadPortalInvoice = asyncHandler(async (req, res) => {
+  const invoice = await findClientInvoice(req);
+
+  const [business, settings] = await Promise.all([
+    Business.findById(req.businessId),
+    InvoiceSettings.findOne({ business: req.businessId }),
+  ]);
+
+  const pdfBuffer = await generateInvoicePDF(invoice, business, req.query.language, settings);
+
+  res.writeHead(200, {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+  });
+  res.end(pdfBuffer);
+});
+
+/**
+ * @desc    The client's payment history
+ * @route   GET /api/v1/portal/payments
+ * @access  Client portal
+ */
+export const getPortalPayments = asyncHandler(async (req, res) => {
+  const eventIds = await getClientEventIds(req.client);
+
+  const payments = await Payment.find({
+    businessId: req.businessId,
+    type: "income",
+    isArchived: { $ne: true },
+    $or: [{ client: req.client._id }, { event: { $in: eventIds } }],
+  })
+    .select("amount method status reference description paidDate createdAt event")
+    .populate("event", "title startDate")
+    .sort({ createdAt: -1 });
+
+  new ApiResponse({ payments }).send(res);
+});
+
+// ==========================================
+// 4. CONTRACTS
+// ==========================================
+
+/**
+ * @desc    Contracts of the client's events
+ * @route   GET /api/v1/portal/contracts
+ * @access  Client portal
+ */
+export const getPortalContracts = asyncHandler(async (req, res) => {
+  const contracts = await Contract.find({
+    business: req.businessId,
+    contractType: "client",
+    event: { $in: await getClientEventIds(req.client) },
+    status: { $ne: "draft" },
+  })
+    .select("contractNumber title status event logistics financials.totalTTC financials.currency signatures.clientSignedAt signing.documentHash signing.completedAt createdAt")
+    .populate("event", "title startDate")
+    .sort({ createdAt: -1 });
+
+  new ApiResponse({ contracts }).send(res);
+});
+
+/**
+ * @desc    Download a contract PDF: the signed copy, else the exact PDF sent
+ *          for signing (marks a sent contract as viewed)
+ * @route   GET /api/v1/portal/contracts/:id/download
+ * @access  Client portal
+ */
+export const downloadPortalContract = asyncHandler(async (req, res) => {
+  const contract = await findClientContract(req, "+signing.document +signing.signedDocument");
+
+  let pdfBuffer = contract.signing?.signedDocument || contract.signing?.document;
+  if (!pdfBuffer) {
+    pdfBuffer = await renderContractPDF(contract, await Business.findById(req.businessId));
+  }
+
+  if (contract.status === "sent") {
+    contract.status = "viewed";
+    await contract.save();
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="contract-${contract.contractNumber}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+  });
+  res.end(pdfBuffer);
+});
+
+/**
+ * @desc    Sign a contract
+ * @route   POST /api/v1/portal/contracts/:id/sign
+ * @access  Client portal
+ */
+export const signPortalContract = asyncHandler(async (req, res) => {
+  const contract = await findClientContract(req);
+
+  const signed = await signContractAsClient(contract, {
+    name: req.body.name || req.client.name,
+    email: req.client.email,
+    signature: {
+      method: req.body.signature.method,
+      image: req.body.signature.image,
+      text: req.body.signature.text,
+    },
+    documentHash: req.body.documentHash,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  new ApiResponse(
+    { contract: { _id: signed._id, status: signed.status, signedAt: signed.signatures.client.signedAt } },
+    "Contract signed successfully"
+  ).send(res);
+});
@@ -0,0 +1,154 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { Business, Portfolio, Space } from "../models/index.js";
+import { getResourcesAvailability } from "../services/availability.service.js";
+import { submitBookingRequest } from "../services/bookingRequest.service.js";
+
+const PUBLIC_PORTFOLIO_LIMIT = 50;
+
+// Helper: Only businesses that opted in are reachable by slug
+const findPublicBusiness = async (slug) => {
+  const business = await Business.findOne({
+    slug,
+    "settings.publicBookingEnabled": true,
+  });
+  if (!business) throw new ApiError("Business not found", 404);
+  return business;
+};
+
+// ==========================================
+// 1. PROFILE & SHOWCASE
+// ==========================================
+
+/**
+ * @desc    Public business profile (description, images, amenities, hours)
+ * @route   GET /api/v1/public/:businessSlug
+ * @access  Public
+ */
+export const getPublicBusiness = asyncHandler(async (req, res) => {
+  const business = await findPublicBusiness(req.params.businessSlug);
+
+  new ApiResponse({
+    business: {
+      name: business.name,
+      slug: business.slug,
+      category: business.category,
+      description: business.description,
+      address: business.address,
+      contact: business.contact,
+      images: business.images.map(({ url, caption }) => ({ url, caption })),
+      amenities: business.venueDetails?.amenities || [],
+      capacity: business.venueDetails?.capacity,
+      operatingHours: business.operatingHours,
+      currency: business.settings?.currency,
+      timeZone: business.settings?.timeZone,
+    },
+  }).send(res);
+});
+
+/**
+ * @desc    Public portfolio projects
+ * @route   GET /api/v1/public/:businessSlug/portfolio
+ * @access  Public
+ */
+export const getPublicPortfolio = asyncHandler(async (req, res) => {
+  const business = await findPublicBusiness(req.params.businessSlug);
+
+  const query = { businessId: business._id, isPublic: true, isArchived: false };
+  if (req.query.category) query.category = req.query.category;
+
+  const projects = await Portfolio.find(query)
+    .select("title description category date items.url items.type items.caption items.isCover")
+    .sort({ date: -1 })
+    .limit(PUBLIC_PORTFOLIO_LIMIT);
+
+  new ApiResponse({ projects }).send(res);
+});
+
+/**
+ * @desc    Bookable spaces
+ * @route   GET /api/v1/public/:businessSlug/spaces
+ * @access  Public
+ */
+export const getPublicSpaces = asyncHandler(async (req, res) => {
+  const business = await findPublicBusiness(req.params.businessSlug);
+
+  const spaces = await Space.find({ businessId: business._id, isActive: true, isArchived: false })
+    .select("name type description capacity basePrice amenities images")
+    .sort({ name: 1 });
+
+  new ApiResponse({ spaces }).send(res);
+});
+
+// ==========================================
+// 2. AVAILABILITY & BOOKING REQUESTS
+// ==========================================
+
+/**
+ * @desc    Free time windows of the spaces (bookings themselves stay private)
+ * @route   GET /api/v1/public/:businessSlug/availability?from=&to=&guests=&type=
+ * @access  Public
+ */
+export const getPublicAvailability = asyncHandler(async (req, res) => {
+  const business = await findPublicBusiness(req.params.businessSlug);
+  const { from, to, guests, type } = req.query;
+
+  const availability = await getResourcesAvailability({
+    businessId: business._id,
+    from: new Date(from),
+    to: new Date(to),
+    guests: guests ? Number(guests) : undefined,
+    type,
+  });
+
+  const resources = availability.map(({ resource, freeWindows }) => ({
+    resource: {
+      _id: resource._id,
+      name: resource.name,
+      type: resource.type,
+      capacity: resource.capacity,
+      basePrice: resource.basePrice,
+    },
+    freeWindows,
+  }));
+
+  new ApiResponse({ from, to, guests, type, resources }).send(res);
+});
+
+/**
+ * @desc    Booking request: a pending event for a free slot, otherwise a lead
+ * @route   POST /api/v1/public/:businessSlug/booking-requests
+ * @access  Public
+ */
+export const createBookingRequest = asyncHandler(async (req, res) => {
+  const message = "Thank you, we will get back to you soon";
+
+  // Honeypot: bots fill every field, people never see this one
+  if (req.body.website) {
+    return new ApiResponse({ type: "lead" }, message, 201).send(res);
+  }
+
+  const business = await findPublicBusiness(req.params.businessSlug);
+  const { type, event, slotUnavailable } = await submitBookingRequest(business, req.body);
+
+  new ApiResponse(
+    {
+      type,
+      slotUnavailable,
+      // What the visitor may see of their own request
+      ...(event && {
+        request: {
+          title: event.title,
+          status: event.status,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          startTime: event.startTime,
+          endTime: event.endTime,
+        },
+      }),
+    },
+    message,
+    201
+  ).send(res);
+});
@@ -0,0 +1,439 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import config from "../config/env.js";
+import { Business, Client, InvoiceSettings, Quote, Space } from "../models/index.js";
+import { generateQuotePDF } from "../utils/generateQuotePDF.js";
+import { sendInvoiceEmail } from "../utils/sendEmail.js";
+import {
+  OPEN_QUOTE_STATUSES,
+  acceptQuote,
+  expireQuoteIfNeeded,
+  snapshotQuoteVersion,
+} from "../services/quote.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Validity of a quote when no date is given
+const DEFAULT_VALIDITY_DAYS = 30;
+
+const QUOTE_FIELDS = [
+  "title",
+  "client",
+  "eventDetails",
+  "items",
+  "options",
+  "currency",
+  "discount",
+  "taxRate",
+  "depositPercentage",
+  "validUntil",
+  "notes",
+  "terms",
+];
+
+const getBusinessId = (req) => {
+  const businessId = req.businessId || req.user.businessId;
+  return businessId?._id || businessId;
+};
+
+// Link the client opens to view and accept the quote
+const buildAcceptUrl = (rawToken) => `${config.frontend.url}/quotes/${rawToken}`;
+
+// Helper: Check that the client and the booked Space belong to the business
+const validateQuoteRefs = async (data, businessId) => {
+  if (data.client) {
+    const client = await Client.exists({ _id: data.client, businessId, isArchived: { $ne: true } });
+    if (!client) throw new ApiError("Client not found", 404);
+  }
+
+  const resourceId = data.eventDetails?.resourceId;
+  if (resourceId) {
+    const space = await Space.exists({ _id: resourceId, businessId, isArchived: false });
+    if (!space) throw new ApiError("Resource not found", 404);
+  }
+};
+
+const findQuote = async (req) => {
+  const quote = await Quote.findOne({
+    _id: req.params.id,
+    businessId: getBusinessId(req),
+    isArchived: false,
+  });
+  if (!quote) throw new ApiError("Quote not found", 404);
+  return quote;
+};
+
+// Helper: Find a quote by the raw token of its public link
+const findQuoteByToken = async (rawToken) => {
+  const quote = await Quote.findOne({
+    acceptanceToken: Quote.hashToken(rawToken),
+    isArchived: false,
+  }).populate("client", "name email company address");
+  if (!quote) throw new ApiError("Quote not found or link no longer valid", 404);
+  return quote;
+};
+
+// What the client sees through the public link
+const toPublicQuote = (quote, business) => ({
+  quoteNumber: quote.quoteNumber,
+  version: quote.version,
+  title: quote.title,
+  status: quote.status,
+  business: { name: business?.name },
+  client: { name: quote.client?.name },
+  eventDetails: {
+    type: quote.eventDetails.type,
+    startDate: quote.eventDetails.startDate,
+    endDate: quote.eventDetails.endDate,
+    startTime: quote.eventDetails.startTime,
+    endTime: quote.eventDetails.endTime,
+    guestCount: quote.eventDetails.guestCount,
+  },
+  items: quote.items,
+  options: quote.options,
+  currency: quote.currency,
+  subtotal: quote.subtotal,
+  discount: quote.discount,
+  taxRate: quote.taxRate,
+  taxAmount: quote.taxAmount,
+  totalAmount: quote.totalAmount,
+  issueDate: quote.issueDate,
+  validUntil: quote.validUntil,
+  notes: quote.notes,
+  terms: quote.terms,
+  acceptedAt: quote.acceptance?.acceptedAt,
+  declinedAt: quote.declinedAt,
+});
+
+const sendPdf = (res, pdfBuffer, filename) => {
+  // writeHead/end bypasses any global middleware that might alter the body
+  res.writeHead(200, {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+  });
+  res.end(pdfBuffer);
+};
+
+const renderQuotePDF = async (quote, language) => {
+  const [business, settings] = await Promise.all([
+    Business.findById(quote.businessId),
+    InvoiceSettings.findOne({ business: quote.businessId }),
+  ]);
+  await quote.populate("client", "name email company address");
+  return generateQuotePDF(quote, business, language, settings);
+};
+
+// ==========================================
+// 1. CRUD
+// ==========================================
+
+/**
+ * @desc    List quotes
+ * @route   GET /api/v1/quotes
+ * @access  Private
+ */
+export const getQuotes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, client, search } = req.query;
+
+  const query = { businessId: getBusinessId(req), isArchived: false };
+  if (status) query.status = status;
+  if (client) query.client = client;
+  if (search) {
+    query.$or = [
+      { quoteNumber: { $regex: search, $options: "i" } },
+      { title: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [quotes, total] = await Promise.all([
+    Quote.find(query)
+      .select("-versions")
+      .populate("client", "name email company")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Quote.countDocuments(query),
+  ]);
+
+  new ApiResponse({
+    quotes,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit),
+    },
+  }).send(res);
+});
+
+/**
+ * @desc    Get a single quote (with its previous versions)
+ * @route   GET /api/v1/quotes/:id
+ * @access  Private
+ */
+export const getQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+  await expireQuoteIfNeeded(quote);
+  await quote.populate([
+    { path: "client", select: "name email phone company" },
+    { path: "eventDetails.resourceId", select: "name type" },
+    { path: "event", select: "title status startDate" },
+    { path: "contract", select: "contractNumber status" },
+    { path: "depositInvoice", select: "invoiceNumber status totalAmount" },
+    { path: "createdBy", select: "name email" },
+  ]);
+
+  new ApiResponse({ quote }).send(res);
+});
+
+/**
+ * @desc    Create a quote
+ * @route   POST /api/v1/quotes
+ * @access  Private
+ */
+export const createQuote = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  await validateQuoteRefs(req.body, businessId);
+
+  const data = {};
+  QUOTE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  if (data.eventDetails && !data.eventDetails.endDate) {
+    data.eventDetails.endDate = data.eventDetails.startDate;
+  }
+  if (!data.validUntil) {
+    data.validUntil = new Date(Date.now() + DEFAULT_VALIDITY_DAYS * DAY);
+  }
+
+  const business = await Business.findById(businessId).select("settings");
+  const quote = await Quote.create({
+    currency: business?.settings?.currency,
+    taxRate: business?.settings?.taxRate,
+    ...data,
+    businessId,
+    createdBy: req.user._id,
+  });
+
+  new ApiResponse({ quote }, "Quote created", 201).send(res);
+});
+
+/**
+ * @desc    Update a quote. Drafts are edited in place; a quote the client has
+ *          already received is revised into a new version (its link stops working).
+ * @route   PUT /api/v1/quotes/:id
+ * @access  Private
+ */
+export const updateQuote = asyncHandler(async (req, res) => {
+  const businessId = getBusinessId(req);
+  const quote = await findQuote(req);
+
+  if (quote.status === "accepted") {
+    throw new ApiError("An accepted quote cannot be changed", 400);
+  }
+  await validateQuoteRefs(req.body, businessId);
+
+  const revised = quote.status !== "draft";
+  if (revised) {
+    snapshotQuoteVersion(quote, { userId: req.user._id, note: req.body.revisionNote });
+  }
+
+  QUOTE_FIELDS.forEach((field) => {
+    if (req.body[field] === undefined) return;
+    quote[field] =
+      field === "eventDetails"
+        ? { ...quote.eventDetails.toObject(), ...req.body.eventDetails }
+        : req.body[field];
+  });
+
+  // A revision without a new validity date gets a fresh validity period
+  if (quote.validUntil < new Date() && req.body.validUntil === undefined) {
+    quote.validUntil = new Date(Date.now() + DEFAULT_VALIDITY_DAYS * DAY);
+  }
+  await quote.save();
+
+  new ApiResponse(
+    { quote },
+    revised ? `Quote revised (version ${quote.version})` : "Quote updated"
+  ).send(res);
+});
+
+/**
+ * @desc    Archive a quote
+ * @route   DELETE /api/v1/quotes/:id
+ * @access  Private
+ */
+export const archiveQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+
+  quote.isArchived = true;
+  quote.acceptanceToken = undefined;
+  await quote.save();
+
+  new ApiResponse({ quote }, "Quote archived").send(res);
+});
+
+// ==========================================
+// 2. ACTIONS
+// ==========================================
+
+/**
+ * @desc    Send a quote: issues a new public link and emails the PDF with it
+ * @route   POST /api/v1/quotes/:id/send
+ * @access  Private
+ */
+export const sendQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+
+  if (!["draft", ...OPEN_QUOTE_STATUSES].includes(quote.status)) {
+    throw new ApiError(`A ${quote.status} quote cannot be sent; revise it first`, 400);
+  }
+  if (quote.validUntil < new Date()) {
+    throw new ApiError("The quote validity date has passed", 400);
+  }
+
+  const rawToken = quote.generateAcceptanceToken();
+  const acceptUrl = buildAcceptUrl(rawToken);
+
+  let emailSent = false;
+  if (req.body.sendEmail !== false) {
+    const business = await Business.findById(quote.businessId).select("name");
+    const pdfBuffer = await renderQuotePDF(quote, req.body.language);
+    const recipient = req.body.email || quote.client?.email;
+    if (!recipient) throw new ApiError("No recipient email", 400);
+
+    emailSent = await sendInvoiceEmail({
+      to: recipient,
+      subject: `Quote ${quote.quoteNumber} from ${business.name}`,
+      text: `${req.body.message || "Please find your quote attached."}\n\nView and accept it online: ${acceptUrl}`,
+      pdfBuffer,
+      filename: `${quote.quoteNumber}.pdf`,
+    });
+  }
+
+  quote.status = "sent";
+  quote.sentAt = new Date();
+  quote.viewedAt = undefined;
+  await quote.save();
+
+  // The link is only shown here: it can be shared manually if the email failed
+  new ApiResponse(
+    { quote, acceptUrl, emailSent },
+    emailSent ? "Quote sent" : "Quote link generated"
+  ).send(res);
+});
+
+/**
+ * @desc    Download a quote as PDF (invoice branding)
+ * @route   GET /api/v1/quotes/:id/download
+ * @access  Private
+ */
+export const downloadQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+  const pdfBuffer = await renderQuotePDF(quote, req.query.language);
+  sendPdf(res, pdfBuffer, quote.quoteNumber);
+});
+
+// ==========================================
+// 3. PUBLIC LINK (token in URL, no session)
+// ==========================================
+
+/**
+ * @desc    View a quote through its public link
+ * @route   GET /api/v1/quotes/public/:token
+ * @access  Public
+ */
+export const getPublicQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuoteByToken(req.params.token);
+  await expireQuoteIfNeeded(quote);
+
+  if (quote.status === "sent") {
+    quote.status = "viewed";
+    quote.viewedAt = new Date();
+    await quote.save();
+  }
+
+  const business = await Business.findById(quote.businessId).select("name");
+  new ApiResponse({ quote: toPublicQuote(quote, business) }).send(res);
+});
+
+/**
+ * @desc    Download a quote PDF through its public link
+ * @route   GET /api/v1/quotes/public/:token/download
+ * @access  Public
+ */
+export const downloadPublicQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuoteByToken(req.params.token);
+  const pdfBuffer = await renderQuotePDF(quote, req.query.language);
+  sendPdf(res, pdfBuffer, quote.quoteNumber);
+});
+
+/**
+ * @desc    Accept a quote: books the event (confirmed) and creates
+ *          a draft contract and a deposit invoice
+ * @route   POST /api/v1/quotes/public/:token/accept
+ * @access  Public
+ */
+export const acceptPublicQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuoteByToken(req.params.token);
+
+  const result = await acceptQuote(quote, {
+    selectedOptions: req.body.selectedOptions,
+    name: req.body.name,
+    identifier: req.body.identifier,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  await result.quote.populate("client", "name");
+  const business = await Business.findById(quote.businessId).select("name");
+
+  new ApiResponse(
+    {
+      quote: toPublicQuote(result.quote, business),
+      deposit: result.invoice
+        ? {
+            invoiceNumber: result.invoice.invoiceNumber,
+            amount: result.invoice.totalAmount,
+            dueDate: result.invoice.dueDate,
+          }
+        : null,
+    },
+    "Quote accepted"
+  ).send(res);
+});
+
+/**
+ * @desc    Decline a quote through its public link
+ * @route   POST /api/v1/quotes/public/:token/decline
+ * @access  Public
+ */
+export const declinePublicQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuoteByToken(req.params.token);
+
+  if (await expireQuoteIfNeeded(quote)) {
+    throw new ApiError("This quote has expired", 400);
+  }
+  if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+    throw new ApiError(`This quote is ${quote.status} and can no longer be declined`, 400);
+  }
+
+  quote.status = "declined";
+  quote.declinedAt = new Date();
+  quote.declineReason = req.body.reason;
+  await quote.save();
+
+  if (global.io) {
+    global.io.to(quote.businessId.toString()).emit("quote:declined", {
+      id: quote._id,
+      quoteNumber: quote.quoteNumber,
+    });
+  }
+
+  const business = await Business.findById(quote.businessId).select("name");
+  new ApiResponse({ quote: toPublicQuote(quote, business) }, "Quote declined").send(res);
+});
@@ -2,6 +2,8 @@ import asyncHandler from "../middleware/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import { Reminder } from "../models/index.js";
 import { agendaService } from "../services/agenda.service.js";
+import { resolveBusinessTimeZone } from "../services/booking.service.js";
+import { addDays, createDateTime, getZonedDay, getZonedParts } from "../utils/scheduling.js";
 import { logger } from "../utils/logger.js";
 
 // ==========================================
@@ -258,9 +260,11 @@ export const snoozeReminder = asyncHandler(async (req, res) => {
   const now = new Date();
   const newReminderDateTime = new Date(now.getTime() + minutes * 60 * 1000);
   
-  // Update reminder
-  reminder.reminderDate = newReminderDateTime;
-  reminder.reminderTime = `${String(newReminderDateTime.getHours()).padStart(2, '0')}:${String(newReminderDateTime.getMinutes()).padStart(2, '0')}`;
+  // Update reminder (date + wall-clock time in the business time zone)
+  const timeZone = await resolveBusinessTimeZone(businessId?._id || businessId);
+  const parts = getZonedParts(newReminderDateTime, timeZone);
+  reminder.reminderDate = getZonedDay(newReminderDateTime, timeZone);
+  reminder.reminderTime = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
   
   // Add to snooze history
   if (!reminder.snoozeHistory) {
@@ -325,18 +329,17 @@ export const getUpcomingReminders = asyncHandler(async (req, res) => {
     upcoming: 0
   };
 
-  const todayEnd = new Date(now);
-  todayEnd.setHours(23, 59, 59, 999);
+  // "Today" is the business's day, not the server's
+  const timeZone = await resolveBusinessTimeZone(businessId?._id || businessId);
+  const todayEnd = createDateTime(addDays(getZonedDay(now, timeZone), 1), '00:00', timeZone);
 
   reminders.forEach(reminder => {
     try {
-      const [year, month, day] = reminder.reminderDate.toISOString().split('T')[0].split('-').map(Number);
-      const [hours, minutes] = reminder.reminderTime.split(':').map(Number);
-      const reminderDateTime = new Date(year, month - 1, day, hours, minutes);
+      const reminderDateTime = createDateTime(reminder.reminderDate, reminder.reminderTime, timeZone);
       
       if (reminderDateTime < now) {
         stats.overdue++;
-      } else if (reminderDateTime <= todayEnd) {
+      } else if (reminderDateTime < todayEnd) {
         stats.today++;
       } else {
         stats.upcoming++;
@@ -398,10 +401,10 @@ export const dismissReminder = asyncHandler(async (req, res) => {
 export const getReminderStats = asyncHandler(async (req, res) => {
   const businessId = req.businessId || req.user.businessId; 
   const now = new Date();
-  const todayStart = new Date(now);
-  todayStart.setHours(0, 0, 0, 0);
-  const todayEnd = new Date(now);
-  todayEnd.setHours(23, 59, 59, 999);
+  // reminderDate is a calendar day (UTC midnight): compare with the business's today
+  const timeZone = await resolveBusinessTimeZone(businessId?._id || businessId);
+  const todayStart = getZonedDay(now, timeZone);
+  const todayEnd = new Date(addDays(todayStart, 1).getTime() - 1);
 
   const [overdue, today, upcoming, total] = await Promise.all([
     // Overdue
@@ -29,6 +29,11 @@ export const authenticate = asyncHandler(async (req, res, next) => {
     // 2. Verify token
     const decoded = jwt.verify(token, config.jwt.secret);
 
+    // Client portal sessions are scoped tokens (middleware/clientAuth.js)
+    if (decoded.scope) {
+      throw new ApiError("Invalid token", 401);
+    }
+
     // 3. Find User with DEEP POPULATION
     // We need permissions for RBAC and businessId for Tenant Isolation
     const user = await User.findById(decoded.id)
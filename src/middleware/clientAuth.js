@@ -0,0 +1,56 @@
+import jwt from "jsonwebtoken";
+import asyncHandler from "./asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import { Client } from "../models/index.js";
+import config from "../config/env.js";
+import { PORTAL_TOKEN_SCOPE } from "../utils/tokenService.js";
+
+export const PORTAL_COOKIE = "portal_jwt";
+
+/**
+ * Protect client portal routes - Verify the portal session and load the Client.
+ * Users' tokens are refused here, just as portal tokens are refused by `authenticate`.
+ * Sets req.client and req.businessId (the client's business).
+ */
+export const authenticateClient = asyncHandler(async (req, res, next) => {
+  let token;
+
+  if (req.cookies && req.cookies[PORTAL_COOKIE]) {
+    token = req.cookies[PORTAL_COOKIE];
+  } else if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1];
+  }
+
+  if (!token) {
+    throw new ApiError("Not authorized. Please use the link sent to your email.", 401);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new ApiError("Your session has expired. Please request a new link.", 401);
+    }
+    throw new ApiError("Invalid token", 401);
+  }
+
+  if (decoded.scope !== PORTAL_TOKEN_SCOPE) {
+    throw new ApiError("Invalid token", 401);
+  }
+
+  const client = await Client.findOne({
+    _id: decoded.clientId,
+    businessId: decoded.businessId,
+    isArchived: { $ne: true },
+  });
+
+  if (!client || client.portal?.enabled === false) {
+    throw new ApiError("Portal access is not available for this account.", 403);
+  }
+
+  req.client = client;
+  req.businessId = client.businessId;
+
+  next();
+});
@@ -28,6 +28,11 @@ const errorHandler = (err, req, res, next) => {
     error = new ApiError(message, 400);
   }
 
+  // Upload errors (file too large, unexpected field...)
+  if (err.name === "MulterError") {
+    error = new ApiError(err.message, 400);
+  }
+
   // JWT errors
   if (err.name === "JsonWebTokenError") {
     const message = "Invalid token";
@@ -42,6 +47,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || "Server Error",
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 };
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { isValidTimeZone } from "../utils/scheduling.js";
 
 const businessSchema = new mongoose.Schema(
   {
@@ -7,6 +8,16 @@ const businessSchema = new mongoose.Schema(
       required: [true, "Business name is required"],
       trim: true,
     },
+    // Public identifier used by the website widget (/api/v1/public/:businessSlug)
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true,
+      maxlength: 60,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug can only contain lowercase letters, numbers and hyphens"],
+    },
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -93,7 +104,15 @@ const businessSchema = new mongoose.Schema(
       taxId: String,
       taxRate: { type: Number, default: 19 },
       dateFormat: { type: String, default: "DD/MM/YYYY" },
-      timeZone: { type: String, default: "Africa/Tunis" },
+      timeZone: {
+        type: String,
+        default: "Africa/Tunis",
+        validate: { validator: isValidTimeZone, message: "Invalid time zone" },
+      },
+      // Default lifetime of a tentative hold on an event (days)
+      holdDurationDays: { type: Number, default: 7, min: 1 },
+      // Public profile, availability and booking requests (website widget), opt-in
+      publicBookingEnabled: { type: Boolean, default: false },
     },
 
     //  FIX: REMOVED DEFAULTS to prevent auto-population of irrelevant fields
@@ -128,4 +147,33 @@ const businessSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Turn a name into a free slug ("Dar El Jeld" → "dar-el-jeld", then "dar-el-jeld-2"...)
+ * @param {String} name - Business name
+ * @param {ObjectId} excludeId - Business that may already own the slug
+ */
+businessSchema.statics.generateSlug = async function (name, excludeId) {
+  const base =
+    String(name || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 50) || "business";
+
+  for (let suffix = 1; ; suffix++) {
+    const slug = suffix === 1 ? base : `${base}-${suffix}`;
+    const taken = await this.exists({ slug, _id: { $ne: excludeId } });
+    if (!taken) return slug;
+  }
+};
+
+businessSchema.pre("validate", async function (next) {
+  if (!this.slug) {
+    this.slug = await this.constructor.generateSlug(this.name, this._id);
+  }
+  next();
+});
+
 export default mongoose.model("Business", businessSchema);
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Read-only iCalendar subscription (Google Calendar, Outlook...).
+// - "user" feeds export every event of the business for one team member
+// - "space" feeds export the bookings of a single Space (room/vehicle)
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    // The raw token only appears in the subscription URL.
+    // The HASHED token is stored here for secure lookup.
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["user", "space"],
+      required: true,
+    },
+
+    // Owner of the subscription (the feed dies with their access)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    space: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Space",
+      required: function () {
+        return this.type === "space";
+      },
+    },
+
+    name: { type: String, trim: true, maxlength: 100 },
+
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    lastAccessedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+calendarFeedSchema.index({ businessId: 1, user: 1 });
+
+/**
+ * Hash a raw feed token for lookup
+ */
+calendarFeedSchema.statics.hashToken = function (rawToken) {
+  return crypto.createHash("sha256").update(rawToken).digest("hex");
+};
+
+/**
+ * Generate a new token, store its hash and return the raw value
+ * (called on creation and when a feed URL is regenerated)
+ */
+calendarFeedSchema.methods.generateToken = function () {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.token = this.constructor.hashToken(rawToken);
+  return rawToken;
+};
+
+calendarFeedSchema.virtual("isActive").get(function () {
+  return !this.revokedAt;
+});
+
+calendarFeedSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.token;
+    return ret;
+  },
+});
+
+export default mongoose.model("CalendarFeed", calendarFeedSchema);
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 
 const clientSchema = new mongoose.Schema(
@@ -61,6 +62,17 @@ const clientSchema = new mongoose.Schema(
       maxlength: [1000, "Notes cannot exceed 1000 characters"],
     },
     tags: [String], // e.g., "VIP", "Wedding 2024", "Corporate"
+
+    // Sales lead this client was converted from (keeps the pipeline history)
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: "Lead" },
+
+    // Client portal (magic-link login, see routes/portal.routes.js)
+    portal: {
+      enabled: { type: Boolean, default: true },
+      loginToken: { type: String, select: false }, // SHA-256 of the emailed token
+      loginTokenExpire: { type: Date, select: false },
+      lastLoginAt: Date,
+    },
     
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -106,6 +118,22 @@ clientSchema.statics.restoreClient = async function(clientId) {
   );
 };
 
+// Hash of a magic-link token (only the hash is stored)
+clientSchema.statics.hashPortalToken = function (rawToken) {
+  return crypto.createHash("sha256").update(rawToken).digest("hex");
+};
+
+/**
+ * Generate a one-time portal login token, store its hash and return the raw value
+ * @param {Number} ttlMinutes - Link lifetime
+ */
+clientSchema.methods.generatePortalToken = function (ttlMinutes) {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.portal.loginToken = this.constructor.hashPortalToken(rawToken);
+  this.portal.loginTokenExpire = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return rawToken;
+};
+
 // Query helper to exclude archived clients by default
 clientSchema.query.excludeArchived = function() {
   return this.where({ isArchived: { $ne: true } });
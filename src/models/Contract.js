@@ -1,4 +1,6 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
+import { documentNumbering } from "../services/numbering.service.js";
 
 // Categories for external partners (suppliers/vendors)
 const PARTNER_CATEGORIES = [
@@ -7,6 +9,23 @@ const PARTNER_CATEGORIES = [
   "entertainment", "hairstyling", "other"
 ];
 
+// One signature (client through the signing link, business as countersignature)
+const signerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    email: String,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Business side only
+    method: { type: String, enum: ["drawn", "typed"], required: true },
+    image: String, // PNG data URL of the drawn (or rendered typed) signature
+    text: String, // Typed signature
+    signedAt: { type: Date, required: true },
+    ip: String,
+    userAgent: String,
+    documentHash: String, // SHA-256 of the PDF this signer was shown
+  },
+  { _id: false }
+);
+
 const contractSchema = new mongoose.Schema(
   {
     contractNumber: { type: String, required: true }, // Unique per Business via compound index
@@ -22,7 +41,8 @@ const contractSchema = new mongoose.Schema(
     
     status: {
       type: String,
-      enum: ["draft", "sent", "viewed", "signed", "cancelled", "expired", "active"],
+      // active/completed/expired are set by the lifecycle job (services/contractLifecycle.service.js)
+      enum: ["draft", "sent", "viewed", "signed", "cancelled", "expired", "active", "completed"],
       default: "draft",
     },
 
@@ -91,13 +111,96 @@ const contractSchema = new mongoose.Schema(
       jurisdiction: String,
       specialConditions: String,
     },
+
+    // Articles printed in the "CONDITIONS" section of the PDF.
+    // `content` may hold merge fields; `resolvedContent` is the text frozen when the
+    // contract is sent, so the document keeps it whatever changes afterwards.
+    clauses: [
+      {
+        title: { type: String, required: true, trim: true },
+        content: { type: String, required: true },
+        resolvedContent: String,
+        category: String,
+        source: { type: mongoose.Schema.Types.ObjectId, ref: "ContractClause" }, // Clause library copy
+        sourceVersion: Number,
+      },
+    ],
+
+    // Snapshot of the cancellation tiers agreed in this contract
+    // ({ enabled, tiers: [{ daysBeforeEvent, penaltyPercentage, description }] }).
+    // Falls back to ContractSettings.defaultCancellationPolicy when empty.
+    cancellationPolicy: { type: Object },
     
     signatures: {
       businessSignedAt: Date, // Renamed from venueSignedAt
       clientSignedAt: Date,
       clientSignerIp: String,
       digitalSignatureToken: String,
-    }
+      client: signerSchema,
+      business: signerSchema,
+    },
+
+    // --- Versions ---
+    // Changing a sent contract archives its content in `versions` and bumps `version`
+    version: { type: Number, default: 1 },
+    versions: [
+      {
+        version: Number,
+        content: Object, // title, party, logistics, services, financials, paymentTerms, legal, clauses...
+        status: String, // Status the version had when it was replaced
+        sentAt: Date,
+        documentHash: String, // PDF that was sent for signing, if any
+        revisedAt: { type: Date, default: Date.now },
+        revisedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: { type: String, maxlength: 500 },
+      },
+    ],
+
+    // --- Lifecycle ---
+    expiresAt: Date, // An unsigned sent contract lapses at this date
+    expiryReminderAt: Date, // Team reminder before it lapses
+    expiryReminderSentAt: Date,
+    activatedAt: Date,
+    completedAt: Date,
+    expiredAt: Date,
+
+    // Partner agreements: tacit renewal at the end date, unless cancelled before
+    renewal: {
+      autoRenew: { type: Boolean, default: false },
+      periodMonths: { type: Number, default: 12, min: 1 },
+      noticeDays: { type: Number, default: 30, min: 0 }, // Team notice before the renewal
+      maxRenewals: { type: Number, min: 1 }, // Unlimited when empty
+      count: { type: Number, default: 0 },
+      noticeSentAt: Date, // For the current term
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      history: [
+        {
+          previousEndDate: Date,
+          newEndDate: Date,
+          renewedAt: { type: Date, default: Date.now },
+        },
+      ],
+    },
+
+    // --- Amendments ---
+    // A signed contract only changes through an amendment: a contract of its own, signed separately
+    amendmentOf: { type: mongoose.Schema.Types.ObjectId, ref: "Contract" },
+    amendmentNumber: Number,
+    amendmentReason: { type: String, maxlength: 1000 },
+
+    // E-signature: the exact PDF sent for signing and the final signed copy
+    signing: {
+      token: { type: String, select: false }, // SHA-256 of the emailed link token
+      tokenExpire: Date,
+      sentAt: Date,
+      sentTo: String,
+      document: { type: Buffer, select: false },
+      documentHash: String,
+      signedDocument: { type: Buffer, select: false },
+      signedDocumentHash: String,
+      completedAt: Date, // Countersigned
+    },
   },
   { timestamps: true }
 );
@@ -109,17 +212,30 @@ contractSchema.index({ business: 1, contractNumber: 1 }, { unique: true });
 contractSchema.index({ business: 1, status: 1 });
 contractSchema.index({ business: 1, contractType: 1 });
 
-// Auto-generate Contract Number (CNT-YY-0001) scoped to the Business
-contractSchema.pre("validate", async function (next) {
-  if (this.isNew && !this.contractNumber) {
-    // Count existing contracts for THIS business only
-    const count = await mongoose.model("Contract").countDocuments({ business: this.business });
-    
-    const year = new Date().getFullYear().toString().slice(-2);
-    // Format: CNT-25-0001
-    this.contractNumber = `CNT-${year}-${(count + 1).toString().padStart(4, "0")}`;
-  }
-  next();
-});
+contractSchema.index({ "signing.token": 1 }, { sparse: true });
+contractSchema.index({ amendmentOf: 1 }, { sparse: true });
+contractSchema.index({ status: 1, expiresAt: 1 });
+contractSchema.index({ status: 1, "logistics.startDate": 1 });
+contractSchema.index({ status: 1, "logistics.endDate": 1 });
+
+// Hash of a signing link token (only the hash is stored)
+contractSchema.statics.hashToken = function (rawToken) {
+  return crypto.createHash("sha256").update(rawToken).digest("hex");
+};
+
+/**
+ * Generate a new signing token, store its hash and return the raw value
+ * (a new link is issued every time the contract is sent)
+ * @param {Number} ttlDays - Link lifetime
+ */
+contractSchema.methods.generateSigningToken = function (ttlDays) {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.signing.token = this.constructor.hashToken(rawToken);
+  this.signing.tokenExpire = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  return rawToken;
+};
+
+// Auto-generate Contract Number (CTR-2025-0001, see ContractSettings.structure) scoped to the Business
+contractSchema.plugin(documentNumbering, { field: "contractNumber", key: () => "contract" });
 
 export default mongoose.model("Contract", contractSchema);
\ No newline at end of file
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+export const CLAUSE_CATEGORIES = [
+  "scope", "payment", "cancellation", "liability", "insurance", "security",
+  "catering", "technical", "intellectual_property", "jurisdiction", "other"
+];
+
+export const CLAUSE_LANGUAGES = ["fr", "en", "ar"];
+
+// Reusable contract article of a business. The content may use merge fields
+// ({{client.name}}, {{event.startDate}}...). Contracts keep their own copy:
+// editing a clause here never changes an existing contract.
+const contractClauseSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: [true, "Clause title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    content: {
+      type: String,
+      required: [true, "Clause content is required"],
+      maxlength: [10000, "Content cannot exceed 10000 characters"],
+    },
+    category: { type: String, enum: CLAUSE_CATEGORIES, default: "other" },
+    language: { type: String, enum: CLAUSE_LANGUAGES, default: "fr" },
+
+    // Added to new contracts automatically when the conditions match
+    autoInclude: { type: Boolean, default: false },
+    order: { type: Number, default: 0 }, // Position among the included clauses
+
+    // Every condition set must hold (e.g. minGuests: 201 = "more than 200 guests").
+    // A guest condition never matches a contract without an event guest count.
+    conditions: {
+      minGuests: { type: Number, min: 0 },
+      maxGuests: { type: Number, min: 0 },
+      eventTypes: [{ type: String }],
+      contractTypes: [{ type: String, enum: ["client", "partner"] }],
+    },
+
+    // Bumped when the title or content changes (contracts record the version they copied)
+    version: { type: Number, default: 1 },
+
+    isActive: { type: Boolean, default: true },
+    isArchived: { type: Boolean, default: false },
+    archivedAt: { type: Date },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+contractClauseSchema.index({ business: 1, isArchived: 1, language: 1, category: 1, order: 1 });
+
+contractClauseSchema.pre("save", function (next) {
+  if (!this.isNew && (this.isModified("title") || this.isModified("content"))) {
+    this.version += 1;
+  }
+  next();
+});
+
+/**
+ * Whether the clause applies to a contract
+ * @param {Object} facts - { guestCount, eventType, contractType }
+ */
+contractClauseSchema.methods.appliesTo = function ({ guestCount, eventType, contractType } = {}) {
+  const { minGuests, maxGuests, eventTypes, contractTypes } = this.conditions || {};
+
+  if (minGuests != null && !(guestCount >= minGuests)) return false;
+  if (maxGuests != null && !(guestCount <= maxGuests)) return false;
+  if (eventTypes?.length && !eventTypes.includes(eventType)) return false;
+  if (contractTypes?.length && !contractTypes.includes(contractType)) return false;
+  return true;
+};
+
+export default mongoose.model("ContractClause", contractClauseSchema);
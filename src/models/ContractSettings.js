@@ -105,6 +105,10 @@ const DEFAULT_SETTINGS = {
       { daysBeforeEvent: 7, penaltyPercentage: 100, description: "100% de pénalité" },
     ],
   },
+  lifecycle: {
+    signatureValidityDays: 30, // An unsigned sent contract expires after this
+    expiryReminderDays: 3, // Reminder before it expires (0 = none)
+  },
   structure: {
     prefix: "CTR",
     separator: "-",
@@ -196,6 +200,19 @@ const contractSettingsSchema = new mongoose.Schema(
     labels: { type: Object, default: DEFAULT_SETTINGS.labels },
     defaultCancellationPolicy: { type: Object, default: DEFAULT_SETTINGS.cancellationPolicy },
     structure: { type: Object, default: DEFAULT_SETTINGS.structure },
+
+    lifecycle: {
+      signatureValidityDays: {
+        type: Number,
+        min: 1,
+        default: DEFAULT_SETTINGS.lifecycle.signatureValidityDays,
+      },
+      expiryReminderDays: {
+        type: Number,
+        min: 0,
+        default: DEFAULT_SETTINGS.lifecycle.expiryReminderDays,
+      },
+    },
   },
   { timestamps: true }
 );
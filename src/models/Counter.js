@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Last number issued for a kind of document, per business and period
+// (services/numbering.service.js). Incremented atomically, never by hand.
+const counterSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    key: {
+      type: String,
+      enum: ["invoice", "bill", "creditNote", "quote", "contract"],
+      required: true,
+    },
+    period: { type: String, required: true }, // "2025", or "all" when the sequence never resets
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+counterSchema.index({ business: 1, key: 1, period: 1 }, { unique: true });
+
+export default mongoose.model("Counter", counterSchema);
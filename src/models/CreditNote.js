@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import { documentNumbering } from "../services/numbering.service.js";
+
+// Credit note (avoir): the only way to correct or cancel an issued invoice.
+// Credit notes are never edited or deleted once issued.
+const creditNoteSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+      index: true,
+    },
+
+    // AVOIR-YY-0001, unique per business (see index below)
+    creditNoteNumber: { type: String, required: true },
+
+    // Invoice being corrected
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+      index: true,
+    },
+    invoiceNumber: String, // Snapshot, printed on the PDF
+    invoiceType: { type: String, enum: ["client", "partner"], default: "client" },
+
+    // "full" reverses everything left on the invoice, "partial" some of its lines
+    type: { type: String, enum: ["full", "partial"], required: true },
+    reason: { type: String, required: true, trim: true, maxlength: 500 },
+
+    // Relationships (copied from the invoice)
+    client: { type: mongoose.Schema.Types.ObjectId, ref: "Client" },
+    partner: { type: mongoose.Schema.Types.ObjectId, ref: "Partner" },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+
+    // Snapshot Data
+    recipientName: String,
+    recipientEmail: String,
+    recipientPhone: String,
+    recipientAddress: String,
+    recipientCompany: String,
+
+    issueDate: { type: Date, default: Date.now },
+
+    // Financials (positive amounts, deducted from the invoice)
+    currency: { type: String, default: "TND" },
+    items: [
+      {
+        invoiceItem: { type: mongoose.Schema.Types.ObjectId }, // Line of the invoice reversed
+        description: String,
+        quantity: { type: Number, default: 1 },
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 },
+      },
+    ],
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 }, // Share of the invoice discount
+    taxRate: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+creditNoteSchema.index({ business: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ business: 1, issueDate: -1 });
+
+// Auto-generate Credit Note Number (AVOIR-25-0001, see InvoiceSettings.numbering)
+creditNoteSchema.plugin(documentNumbering, { field: "creditNoteNumber", key: () => "creditNote" });
+
+export default mongoose.model("CreditNote", creditNoteSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { resolveEventTimeZone, validateEventBooking } from "../services/booking.service.js";
 
 const eventSchema = new mongoose.Schema(
   {
@@ -12,10 +13,47 @@ const eventSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "confirmed", "in-progress", "completed", "cancelled"],
+      // "hold": tentative booking that blocks the slot until holdExpiresAt
+      // "waitlisted": queued behind a hold, does not block the slot
+      enum: ["hold", "waitlisted", "pending", "confirmed", "in-progress", "completed", "cancelled"],
       default: "pending",
     },
     notes: { type: String, maxlength: 2000 },
+
+    // Every status change (see services/eventWorkflow.service.js)
+    statusHistory: [
+      {
+        from: String, // null for the initial status
+        to: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: { type: String, maxlength: 500 },
+      },
+    ],
+
+    // --- Tentative Holds & Waitlist ---
+    holdExpiresAt: {
+      type: Date,
+      required: function () {
+        return this.status === "hold";
+      },
+    },
+    holdReleasedAt: Date,
+    holdReleaseReason: { type: String, enum: ["expired", "released"] },
+    waitlistedBehind: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+    waitlistedAt: Date,
+
+    // --- Recurring Series ---
+    // Occurrences generated from the same rule share a seriesId
+    seriesId: { type: mongoose.Schema.Types.ObjectId },
+    seriesIndex: { type: Number, min: 0 }, // Position in the series (0 = first)
+    recurrenceRule: { type: String }, // RRULE, e.g. "FREQ=WEEKLY;BYDAY=TU;COUNT=12"
+
+    // Package the event was booked from (POST /events/from-template/:templateId)
+    template: { type: mongoose.Schema.Types.ObjectId, ref: "EventTemplate" },
+
+    // Sales lead the event was booked from (POST /leads/:id/convert)
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: "Lead" },
     
     // Archive / Soft Delete
     isArchived: { type: Boolean, default: false },
@@ -33,6 +71,23 @@ const eventSchema = new mongoose.Schema(
     // - For Drivers: ObjectId of the 'Vehicle'
     // - For Photographers: Null (implies the main photographer is booked)
     resourceId: { type: mongoose.Schema.Types.ObjectId, ref: "Space" }, 
+
+    // MULTI-RESOURCE BOOKINGS:
+    // Several Spaces booked by one event, each with its own window
+    // (e.g. ceremony in the garden 16:00-18:00, dinner in the ballroom 19:00-01:00).
+    // Dates/times default to the event's; resourceId mirrors the first entry.
+    resources: [
+      {
+        resource: { type: mongoose.Schema.Types.ObjectId, ref: "Space", required: true },
+        label: { type: String, trim: true, maxlength: 100 }, // e.g. "Ceremony"
+        startDate: Date,
+        endDate: Date,
+        startTime: String, // Format "HH:mm"
+        endTime: String,   // Format "HH:mm"
+        price: { type: Number, default: 0, min: 0 }, // Charged per resource
+        notes: String,
+      },
+    ],
     
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 
@@ -41,7 +96,21 @@ const eventSchema = new mongoose.Schema(
     endDate: { type: Date, required: true },
     startTime: { type: String, required: true }, // Format "HH:mm"
     endTime: { type: String, required: true },   // Format "HH:mm"
+    // IANA zone the times are read in (resource's, else the business's); set on save
+    timeZone: { type: String },
     guestCount: { type: Number, min: 1 },
+    // Guest list uploaded by the client through the portal
+    guestList: [
+      {
+        name: { type: String, required: true, trim: true, maxlength: 100 },
+        email: { type: String, trim: true, lowercase: true },
+        phone: { type: String, trim: true },
+        partySize: { type: Number, min: 1, default: 1 },
+        table: { type: String, trim: true },
+        notes: { type: String, maxlength: 300 },
+      },
+    ],
+    guestListUpdatedAt: Date,
 
     // --- Partners (External Service Providers hired for this event) ---
     partners: [
@@ -54,6 +123,49 @@ const eventSchema = new mongoose.Schema(
       },
     ],
 
+    // --- Cancellation (penalty breakdown shown to the client) ---
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reason: String,
+      daysBeforeEvent: Number,
+      policySource: { type: String, enum: ["contract", "settings", "none"] },
+      contract: { type: mongoose.Schema.Types.ObjectId, ref: "Contract" },
+      tier: {
+        daysBeforeEvent: Number,
+        penaltyPercentage: Number,
+        description: String,
+      },
+      eventTotal: Number,      // Basis of the penalty
+      penaltyAmount: Number,   // eventTotal x penaltyPercentage
+      paidAmount: Number,      // paymentInfo.paidAmount at cancellation
+      retainedAmount: Number,  // Kept by the business (min(penalty, paid))
+      refundAmount: Number,    // Paid back to the client
+      amountDue: Number,       // Penalty not covered by what was paid
+      currency: String,
+      waived: Boolean,
+      status: { type: String, enum: ["suggested", "settled"] },
+      financeRecord: { type: mongoose.Schema.Types.ObjectId, ref: "Finance" },
+      refundPayment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+      settledAt: Date,
+      settledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+
+    // --- Run of Show (ordered agenda items) ---
+    timeline: [
+      {
+        title: { type: String, required: true, trim: true, maxlength: 200 },
+        startAt: { type: Date, required: true },
+        duration: { type: Number, default: 0, min: 0 }, // Minutes
+        // Who runs this item: a team member or an external Partner
+        responsibleUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        responsiblePartner: { type: mongoose.Schema.Types.ObjectId, ref: "Partner" },
+        location: { type: mongoose.Schema.Types.ObjectId, ref: "Space" },
+        notes: { type: String, maxlength: 1000 },
+        order: { type: Number, default: 0 }, // Tie-breaker for items starting together
+      },
+    ],
+
     // --- Financials ---
     pricing: {
       basePrice: { type: Number, default: 0, min: 0 },
@@ -63,6 +175,7 @@ const eventSchema = new mongoose.Schema(
           price: { type: Number, default: 0 },
         },
       ],
+      resourcesTotal: { type: Number, default: 0 }, // Sum of resources[].price
       discount: { type: Number, default: 0, min: 0 },
       taxRate: { type: Number, default: 19 },
       
@@ -127,18 +240,42 @@ const eventSchema = new mongoose.Schema(
 );
 
 // ======================================================
-// 1. HELPER: Date/Time Merger
+// 1. MIDDLEWARE: Primary Resource of Multi-Resource Events
 // ======================================================
-const createDateTime = (date, timeStr) => {
-  if (!date || !timeStr) return null;
-  const d = new Date(date);
-  const [hours, minutes] = timeStr.split(":");
-  d.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  return d;
-};
+eventSchema.pre("validate", function (next) {
+  if (this.resources && this.resources.length > 0) {
+    this.resourceId = this.resources[0].resource;
+  }
+  next();
+});
+
+// ======================================================
+// 2. MIDDLEWARE: Status History
+// ======================================================
+// Status as loaded from the database, to know where a change came from
+eventSchema.post("init", function () {
+  this.$locals.loadedStatus = this.status;
+});
+
+eventSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("status")) {
+    // Who/why can be attached by the caller through $locals.statusChange
+    const change = this.$locals.statusChange || {};
+    this.statusHistory.push({
+      from: this.isNew ? null : this.$locals.loadedStatus,
+      to: this.status,
+      changedAt: new Date(),
+      changedBy: change.changedBy || (this.isNew ? this.createdBy : undefined),
+      reason: change.reason,
+    });
+    this.$locals.loadedStatus = this.status;
+    this.$locals.statusChange = null;
+  }
+  next();
+});
 
 // ======================================================
-// 2. MIDDLEWARE: Calculate Supply Costs
+// 3. MIDDLEWARE: Calculate Supply Costs
 // ======================================================
 eventSchema.pre("save", function (next) {
   if (this.supplies && this.supplies.length > 0) {
@@ -164,7 +301,7 @@ eventSchema.pre("save", function (next) {
 });
 
 // ======================================================
-// 3. MIDDLEWARE: Automatic Price Calculation
+// 4. MIDDLEWARE: Automatic Price Calculation
 // ======================================================
 eventSchema.pre("save", function (next) {
   if (this.pricing) {
@@ -177,7 +314,12 @@ eventSchema.pre("save", function (next) {
       suppliesCharge = this.supplySummary.totalCharge || 0;
     }
 
-    const subtotal = (this.pricing.basePrice || 0) + servicesTotal + suppliesCharge;
+    const resourcesTotal = (this.resources || []).reduce(
+      (sum, item) => sum + (item.price || 0), 0
+    );
+    this.pricing.resourcesTotal = Number(resourcesTotal.toFixed(2));
+
+    const subtotal = (this.pricing.basePrice || 0) + servicesTotal + suppliesCharge + resourcesTotal;
     const beforeTax = Math.max(0, subtotal - (this.pricing.discount || 0));
     const taxAmount = beforeTax * ((this.pricing.taxRate || 0) / 100);
 
@@ -194,65 +336,64 @@ eventSchema.pre("save", function (next) {
 });
 
 // ======================================================
-// 4. MIDDLEWARE: Smart Collision Detection (Multi-Vertical)
+// 5. MIDDLEWARE: Smart Collision Detection (Multi-Vertical)
 // ======================================================
 eventSchema.pre("save", async function (next) {
-  // Only run if timing or resource changed
+  // "HH:mm" times are wall-clock times of the resource (or business) time zone
+  if (!this.timeZone || this.isModified("resourceId")) {
+    try {
+      this.timeZone = await resolveEventTimeZone(this);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  // A status change only matters when the event starts taking its slot for good
+  // (the status history hook above already recorded where it came from)
+  const statusFrom = this.isModified("status") ? this.statusHistory.at(-1)?.from : null;
+  const leavesNonBlocking = ["hold", "waitlisted", "cancelled"].includes(statusFrom);
+
+  // Only run if timing or resource changed, or the event claims its slot again
   if (
     !this.isModified("resourceId") &&
+    !this.isModified("resources") &&
     !this.isModified("startDate") &&
     !this.isModified("endDate") &&
     !this.isModified("startTime") &&
-    !this.isModified("endTime")
+    !this.isModified("endTime") &&
+    !leavesNonBlocking
   ) {
     return next();
   }
 
-  const start = createDateTime(this.startDate, this.startTime);
-  const end = createDateTime(this.endDate, this.endTime);
-
-  if (end <= start) return next(new Error("End time must be after start time"));
-
-  const Event = mongoose.model("Event");
-
-  // Build the Conflict Query
-  const conflictQuery = {
-    businessId: this.businessId, // Always scope to the current business
-    _id: { $ne: this._id },
-    status: { $ne: "cancelled" },
-    isArchived: false,
-    // Time Overlap Logic
-    $or: [{ startDate: { $lte: this.endDate }, endDate: { $gte: this.startDate } }],
-  };
-
-  // Logic Branch:
-  if (this.resourceId) {
-    // A. RESOURCE BASED (Venue Room or Driver Vehicle)
-    conflictQuery.resourceId = this.resourceId;
-  } else {
-    // B. GLOBAL/SOLO BASED (Photographer/Planner)
-    // Checks conflicts where no specific resource is assigned (assuming global availability)
-    conflictQuery.resourceId = null;
+  // Cancelled / waitlisted / archived events never block a slot
+  if (["cancelled", "waitlisted"].includes(this.status) || this.isArchived) {
+    return next();
   }
 
-  const conflict = await Event.findOne(conflictQuery);
-
-  if (conflict) {
-    const existingStart = createDateTime(conflict.startDate, conflict.startTime);
-    const existingEnd = createDateTime(conflict.endDate, conflict.endTime);
-    
-    if (start < existingEnd && end > existingStart) {
-      const errorMsg = this.resourceId 
-        ? "This resource (room/vehicle) is already booked for this time slot." 
-        : "You already have an event scheduled for this time.";
-      return next(new Error(errorMsg));
-    }
+  // Turnover buffers, operating hours and every overlapping booking, per resource
+  // (A. resource based: room/vehicle, possibly several, B. solo: resourceId = null)
+  try {
+    await validateEventBooking(this);
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
 // ======================================================
-// 5. STATIC METHODS: Supply Management
+// 6. METHODS: Run of Show
+// ======================================================
+
+// Timeline items in running order (start time, then manual order)
+eventSchema.methods.getSortedTimeline = function () {
+  return [...(this.timeline || [])].sort(
+    (a, b) => a.startAt - b.startAt || (a.order || 0) - (b.order || 0)
+  );
+};
+
+// ======================================================
+// 7. STATIC METHODS: Supply Management
 // ======================================================
 
 eventSchema.methods.allocateSupplies = async function (userId) {
@@ -332,7 +473,10 @@ eventSchema.methods.markSuppliesDelivered = async function (userId) {
 // Indexes
 eventSchema.index({ businessId: 1, startDate: 1 }); // Main Dashboard Filter
 eventSchema.index({ resourceId: 1, startDate: 1, endDate: 1 }); // Collision Detection
+eventSchema.index({ "resources.resource": 1, startDate: 1 }); // Multi-resource collisions
 eventSchema.index({ clientId: 1 });
+eventSchema.index({ waitlistedBehind: 1, waitlistedAt: 1 }); // Waitlist promotion
+eventSchema.index({ seriesId: 1, seriesIndex: 1 }); // Series edits / cancellation
 
 //  USE EXPORT DEFAULT
 export default mongoose.model("Event", eventSchema);
\ No newline at end of file
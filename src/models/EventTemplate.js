@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Reusable package (e.g. "Gold Wedding") used to pre-fill new events:
+// pricing, additional services, supplies, partner slots and a task checklist.
+const eventTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    description: { type: String, maxlength: 2000 },
+
+    // Defaults copied onto the event (can be overridden when booking)
+    eventType: {
+      type: String,
+      enum: ["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"],
+      required: true,
+    },
+    guestCount: { type: Number, min: 1 },
+    startTime: String, // "HH:mm"
+    endTime: String,   // "HH:mm"
+    durationDays: { type: Number, default: 1, min: 1 }, // endDate = startDate + durationDays - 1
+
+    pricing: {
+      basePrice: { type: Number, default: 0, min: 0 },
+      additionalServices: [
+        {
+          name: { type: String, required: true },
+          price: { type: Number, default: 0 },
+        },
+      ],
+      discount: { type: Number, default: 0, min: 0 },
+      taxRate: Number, // Falls back to the event default
+    },
+
+    supplies: [
+      {
+        supply: { type: mongoose.Schema.Types.ObjectId, ref: "Supply", required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        chargePerUnit: Number, // Overrides the supply's charge (chargeable supplies)
+      },
+    ],
+
+    // Services to book for the event; the partner can be left open
+    // and chosen when the event is created
+    partnerSlots: [
+      {
+        service: { type: String, required: true },
+        partner: { type: mongoose.Schema.Types.ObjectId, ref: "Partner" },
+        hours: Number,
+        cost: Number,
+      },
+    ],
+
+    // Checklist generated as Tasks, due relative to the event start
+    tasks: [
+      {
+        title: { type: String, required: true, maxlength: 200 },
+        description: { type: String, maxlength: 2000 },
+        category: { type: String, default: "event_preparation" },
+        priority: { type: String, enum: ["low", "medium", "high", "urgent"], default: "medium" },
+        offsetDays: { type: Number, default: 0 }, // Negative = before the event
+        assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      },
+    ],
+
+    isActive: { type: Boolean, default: true },
+    isArchived: { type: Boolean, default: false },
+    archivedAt: { type: Date },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+      index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+eventTemplateSchema.index({ businessId: 1, isArchived: 1, name: 1 });
+
+export default mongoose.model("EventTemplate", eventTemplateSchema);
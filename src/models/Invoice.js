@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { documentNumbering } from "../services/numbering.service.js";
 
 const invoiceSchema = new mongoose.Schema(
   {
@@ -23,6 +24,12 @@ const invoiceSchema = new mongoose.Schema(
       enum: ["client", "partner"],
       default: "client",
     },
+    // What the invoice bills of its event: everything, a deposit, or what is left after earlier invoices
+    billingType: {
+      type: String,
+      enum: ["standard", "deposit", "balance"],
+      default: "standard",
+    },
     status: {
       type: String,
       enum: ["draft", "sent", "paid", "partial", "overdue", "cancelled"],
@@ -61,8 +68,13 @@ const invoiceSchema = new mongoose.Schema(
     taxAmount: { type: Number, default: 0 },
     discount: { type: Number, default: 0 },
     totalAmount: { type: Number, default: 0 },
+    // Sum of the credit notes issued against this invoice (services/creditNote.service.js)
+    creditedAmount: { type: Number, default: 0 },
+    // Claimed by payment allocations, pending payments included (kept by the Payment model)
+    allocatedAmount: { type: Number, default: 0 },
     
-    // Payment Tracking
+    // Payment Tracking: derived from the payments allocated to this invoice
+    // (see services/invoicePayment.service.js), never set by hand
     paymentStatus: {
       amountPaid: { type: Number, default: 0 },
       amountDue: { type: Number, default: 0 },
@@ -84,20 +96,21 @@ const invoiceSchema = new mongoose.Schema(
 // COMPOUND INDEX: Ensures uniqueness PER BUSINESS
 // Example: Business A can have INV-25-0001 and Business B can also have INV-25-0001
 invoiceSchema.index({ business: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ event: 1, invoiceType: 1 });
 
-// Auto-generate Invoice Number (INV-YY-0001)
-invoiceSchema.pre("validate", async function (next) {
-  if (this.isNew && !this.invoiceNumber) {
-    // Count existing invoices for THIS Business only
-    const count = await this.constructor.countDocuments({ business: this.business });
-    
-    const year = new Date().getFullYear().toString().slice(-2);
-    const prefix = this.invoiceType === 'client' ? 'INV' : 'BILL';
-    
-    // Format: INV-25-0001
-    this.invoiceNumber = `${prefix}-${year}-${(count + 1).toString().padStart(4, "0")}`;
+// A new or re-priced invoice owes its total minus what was credited and already paid
+invoiceSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("totalAmount")) {
+    const due = (this.totalAmount || 0) - (this.creditedAmount || 0) - (this.paymentStatus?.amountPaid || 0);
+    this.paymentStatus.amountDue = Math.max(0, Number(due.toFixed(3)));
   }
   next();
 });
 
+// Auto-generate Invoice Number (INV-25-0001 / BILL-25-0001, see InvoiceSettings.numbering)
+invoiceSchema.plugin(documentNumbering, {
+  field: "invoiceNumber",
+  key: (invoice) => (invoice.invoiceType === "client" ? "invoice" : "bill"),
+});
+
 export default mongoose.model("Invoice", invoiceSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { DEFAULT_NUMBERING } from "../services/numbering.service.js";
 
 // ==========================================
 // 1. CONSTANTS (Pure Data)
@@ -54,6 +55,16 @@ const DEFAULTS = {
 // ==========================================
 // 2. SCHEMA DEFINITION
 // ==========================================
+// Number format of one kind of document (INV-25-0001)
+const numberingFormat = (defaults) => ({
+  prefix: { type: String, trim: true, maxlength: 10, default: defaults.prefix },
+  separator: { type: String, maxlength: 3, default: defaults.separator },
+  includeYear: { type: Boolean, default: defaults.includeYear },
+  yearFormat: { type: String, enum: ["YY", "YYYY"], default: defaults.yearFormat },
+  sequenceDigits: { type: Number, min: 1, max: 10, default: defaults.sequenceDigits },
+  resetSequenceYearly: { type: Boolean, default: defaults.resetSequenceYearly },
+});
+
 const invoiceSettingsSchema = new mongoose.Schema(
   {
     business: {
@@ -125,6 +136,14 @@ const invoiceSettingsSchema = new mongoose.Schema(
       bankDetails: String,
       terms: String,
     },
+
+    // Contracts are numbered from ContractSettings.structure
+    numbering: {
+      invoice: numberingFormat(DEFAULT_NUMBERING.invoice),
+      bill: numberingFormat(DEFAULT_NUMBERING.bill),
+      creditNote: numberingFormat(DEFAULT_NUMBERING.creditNote),
+      quote: numberingFormat(DEFAULT_NUMBERING.quote),
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+export const LEAD_STAGES = ["new", "contacted", "site-visit", "proposal", "won", "lost"];
+
+export const LEAD_SOURCES = [
+  "inquiry_form", // Public inquiry endpoint
+  "website",
+  "phone",
+  "email",
+  "walk_in",
+  "referral",
+  "social_media",
+  "wedding_fair",
+  "marketplace",
+  "other",
+];
+
+export const LEAD_ACTIVITY_TYPES = ["note", "call", "email", "meeting", "site_visit", "inquiry"];
+
+// Sales pipeline entry: a prospect who has not booked yet.
+// Converting a lead creates (or links) a Client and optionally an Event;
+// the lead keeps its stage history and activities for reporting.
+const leadSchema = new mongoose.Schema(
+  {
+    // --- Contact ---
+    name: { type: String, required: [true, "Lead name is required"], trim: true, maxlength: 100 },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, "Please provide a valid email"],
+    },
+    phone: { type: String, trim: true },
+    company: { type: String, trim: true },
+
+    // --- Pipeline ---
+    stage: { type: String, enum: LEAD_STAGES, default: "new" },
+    stageHistory: [
+      {
+        from: String, // null for the initial stage
+        to: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: { type: String, maxlength: 500 },
+      },
+    ],
+    lostReason: { type: String, maxlength: 500 },
+
+    source: { type: String, enum: LEAD_SOURCES, default: "other" },
+    sourceDetails: { type: String, trim: true, maxlength: 200 }, // Campaign, referrer name...
+
+    // --- What they are looking for ---
+    eventType: {
+      type: String,
+      enum: ["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"],
+    },
+    expectedEventDate: Date,
+    budget: { type: Number, min: 0 },
+    guestCount: { type: Number, min: 1 },
+    message: { type: String, maxlength: 2000 }, // What the prospect wrote
+
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Salesperson
+
+    // Calls, meetings, notes... (newest last)
+    activities: [
+      {
+        type: { type: String, enum: LEAD_ACTIVITY_TYPES, default: "note" },
+        note: { type: String, maxlength: 2000 },
+        date: { type: Date, default: Date.now },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      },
+    ],
+
+    // --- Conversion ---
+    client: { type: mongoose.Schema.Types.ObjectId, ref: "Client" },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+    convertedAt: Date,
+    convertedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // Archive fields (Soft Delete)
+    isArchived: { type: Boolean, default: false },
+    archivedAt: Date,
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    businessId: { type: mongoose.Schema.Types.ObjectId, ref: "Business", required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Empty for public inquiries
+  },
+  { timestamps: true }
+);
+
+leadSchema.index({ businessId: 1, stage: 1 });
+leadSchema.index({ businessId: 1, source: 1 });
+leadSchema.index({ businessId: 1, assignedTo: 1 });
+leadSchema.index({ businessId: 1, email: 1 });
+
+// Stage as loaded from the database, to know where a change came from
+leadSchema.post("init", function () {
+  this.$locals.loadedStage = this.stage;
+});
+
+leadSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("stage")) {
+    // Who/why can be attached by the caller through $locals.stageChange
+    const change = this.$locals.stageChange || {};
+    this.stageHistory.push({
+      from: this.isNew ? null : this.$locals.loadedStage,
+      to: this.stage,
+      changedAt: new Date(),
+      changedBy: change.changedBy || (this.isNew ? this.createdBy : undefined),
+      note: change.note,
+    });
+    this.$locals.loadedStage = this.stage;
+    this.$locals.stageChange = null;
+  }
+  next();
+});
+
+leadSchema.virtual("isOpen").get(function () {
+  return !["won", "lost"].includes(this.stage);
+});
+
+leadSchema.set("toJSON", { virtuals: true });
+
+export default mongoose.model("Lead", leadSchema);
@@ -84,6 +84,8 @@ const partnerSchema = new mongoose.Schema(
     // Financials (Default rates for this partner)
     hourlyRate: { type: Number, min: 0 },
     fixedRate: { type: Number, min: 0 },
+    // Days after a partner bill is issued before it is due
+    paymentTermsDays: { type: Number, min: 0, default: 30 },
     
     // Performance Tracking
     rating: {
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Payments whose allocations claim their invoices: a pending one reserves its share until it completes
+export const ALLOCATABLE_STATUSES = ["pending", "completed", "refunded"];
+
 const paymentSchema = new mongoose.Schema(
   {
     event: {
@@ -78,6 +81,17 @@ const paymentSchema = new mongoose.Schema(
       maxlength: [500, "Refund reason cannot exceed 500 characters"],
     },
     
+    // Invoices this payment settles (services/invoicePayment.service.js).
+    // Their total never exceeds what the payment still holds (amount - refundAmount).
+    allocations: [
+      {
+        invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", required: true },
+        amount: { type: Number, required: true, min: [0.001, "Allocated amount must be positive"] },
+        allocatedAt: { type: Date, default: Date.now },
+        allocatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      },
+    ],
+
     // Platform/Processing Fees
     fees: {
       processingFee: { type: Number, default: 0 },
@@ -119,10 +133,44 @@ paymentSchema.pre("save", function (next) {
   next();
 });
 
+// What the payment claims on each invoice (invoice id → amount)
+const getInvoiceClaims = (payment) => {
+  const claims = new Map();
+  if (payment.isArchived || !ALLOCATABLE_STATUSES.includes(payment.status)) return claims;
+  (payment.allocations || []).forEach((allocation) => {
+    const key = allocation.invoice.toString();
+    claims.set(key, (claims.get(key) || 0) + allocation.amount);
+  });
+  return claims;
+};
+
+paymentSchema.post("init", function (doc) {
+  doc.$locals.invoiceClaims = getInvoiceClaims(doc);
+});
+
+// Allocations released, refunded, archived or restored: Invoice.allocatedAmount follows.
+// (New allocations are claimed atomically by allocatePayment, not through save)
+paymentSchema.post("save", async function (doc) {
+  const before = doc.$locals.invoiceClaims || new Map();
+  const after = getInvoiceClaims(doc);
+  doc.$locals.invoiceClaims = after;
+
+  const ids = new Set([...before.keys(), ...after.keys()]);
+  await Promise.all(
+    [...ids]
+      .map((id) => [id, Number(((after.get(id) || 0) - (before.get(id) || 0)).toFixed(3))])
+      .filter(([, delta]) => delta !== 0)
+      .map(([id, delta]) =>
+        mongoose.model("Invoice").updateOne({ _id: id }, { $inc: { allocatedAmount: delta } })
+      )
+  );
+});
+
 // Indexes
 paymentSchema.index({ businessId: 1, status: 1 });
 paymentSchema.index({ businessId: 1, type: 1 });
 paymentSchema.index({ dueDate: 1 });
 paymentSchema.index({ event: 1 });
+paymentSchema.index({ "allocations.invoice": 1 });
 
 export default mongoose.model("Payment", paymentSchema);
\ No newline at end of file
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { documentNumbering } from "../services/numbering.service.js";
+
+const EVENT_TYPES = ["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"];
+
+const lineSchema = new mongoose.Schema({
+  description: { type: String, required: true, trim: true, maxlength: 500 },
+  quantity: { type: Number, default: 1, min: 0 },
+  rate: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, default: 0 },
+});
+
+// Optional extras the client may pick when accepting (e.g. "Fireworks")
+const optionSchema = new mongoose.Schema({
+  description: { type: String, required: true, trim: true, maxlength: 500 },
+  quantity: { type: Number, default: 1, min: 0 },
+  rate: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, default: 0 },
+  selected: { type: Boolean, default: false },
+});
+
+// Commercial proposal ("devis") sent to a client before booking.
+// Revising a sent quote archives its content in `versions` and bumps `version`.
+// The client accepts through a public link; acceptance converts the quote
+// into a confirmed Event, a draft Contract and a deposit Invoice.
+const quoteSchema = new mongoose.Schema(
+  {
+    quoteNumber: { type: String }, // Unique per Business via compound index
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+
+    status: {
+      type: String,
+      enum: ["draft", "sent", "viewed", "accepted", "declined", "expired"],
+      default: "draft",
+    },
+
+    businessId: { type: mongoose.Schema.Types.ObjectId, ref: "Business", required: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // What gets booked on acceptance
+    eventDetails: {
+      type: { type: String, enum: EVENT_TYPES, required: true },
+      startDate: { type: Date, required: true },
+      endDate: { type: Date, required: true },
+      startTime: { type: String, required: true }, // "HH:mm"
+      endTime: { type: String, required: true },   // "HH:mm"
+      guestCount: { type: Number, min: 1 },
+      resourceId: { type: mongoose.Schema.Types.ObjectId, ref: "Space" },
+    },
+
+    // --- Financials ---
+    items: [lineSchema],
+    options: [optionSchema],
+    currency: { type: String, default: "TND" },
+    subtotal: { type: Number, default: 0 }, // Items + selected options
+    discount: { type: Number, default: 0, min: 0 },
+    taxRate: { type: Number, default: 19 },
+    taxAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    depositPercentage: { type: Number, min: 0, max: 100 }, // Falls back to ContractSettings
+
+    issueDate: { type: Date, default: Date.now },
+    validUntil: { type: Date, required: true },
+    notes: { type: String, maxlength: 2000 },
+    terms: { type: String, maxlength: 5000 },
+
+    // --- Versions ---
+    version: { type: Number, default: 1 },
+    versions: [
+      {
+        version: Number,
+        title: String,
+        eventDetails: Object,
+        items: [Object],
+        options: [Object],
+        discount: Number,
+        taxRate: Number,
+        totalAmount: Number,
+        validUntil: Date,
+        status: String, // Status the version had when it was replaced
+        sentAt: Date,
+        revisedAt: { type: Date, default: Date.now },
+        revisedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: { type: String, maxlength: 500 },
+      },
+    ],
+
+    // --- Public acceptance link ---
+    // The raw token only appears in the link; the HASHED token is stored here
+    acceptanceToken: { type: String, index: true, sparse: true },
+    sentAt: Date,
+    viewedAt: Date,
+
+    acceptance: {
+      acceptedAt: Date,
+      acceptedByName: { type: String, trim: true, maxlength: 100 },
+      ip: String,
+      userAgent: String,
+    },
+    declinedAt: Date,
+    declineReason: { type: String, maxlength: 1000 },
+
+    // Documents created on acceptance
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+    contract: { type: mongoose.Schema.Types.ObjectId, ref: "Contract" },
+    depositInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+
+    isArchived: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// Ensure Quote Numbers are unique PER BUSINESS
+quoteSchema.index({ businessId: 1, quoteNumber: 1 }, { unique: true });
+quoteSchema.index({ businessId: 1, status: 1 });
+quoteSchema.index({ businessId: 1, client: 1 });
+
+/**
+ * Hash a raw acceptance token for lookup
+ */
+quoteSchema.statics.hashToken = function (rawToken) {
+  return crypto.createHash("sha256").update(rawToken).digest("hex");
+};
+
+/**
+ * Generate a new acceptance token, store its hash and return the raw value
+ * (a new link is issued every time the quote is sent)
+ */
+quoteSchema.methods.generateAcceptanceToken = function () {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.acceptanceToken = this.constructor.hashToken(rawToken);
+  return rawToken;
+};
+
+quoteSchema.virtual("isExpired").get(function () {
+  return (
+    ["draft", "sent", "viewed"].includes(this.status) &&
+    this.validUntil &&
+    this.validUntil < new Date()
+  );
+});
+
+// Line amounts and totals are always derived from quantities and rates
+quoteSchema.pre("validate", async function (next) {
+  const round = (amount) => Number((amount || 0).toFixed(3));
+
+  [...this.items, ...this.options].forEach((line) => {
+    line.amount = round((line.quantity || 0) * (line.rate || 0));
+  });
+
+  const subtotal =
+    this.items.reduce((sum, line) => sum + line.amount, 0) +
+    this.options.filter((o) => o.selected).reduce((sum, line) => sum + line.amount, 0);
+  const beforeTax = Math.max(0, subtotal - (this.discount || 0));
+
+  this.subtotal = round(subtotal);
+  this.taxAmount = round((beforeTax * (this.taxRate || 0)) / 100);
+  this.totalAmount = round(beforeTax + this.taxAmount);
+  next();
+});
+
+// Auto-generate Quote Number (DEV-25-0001, see InvoiceSettings.numbering) scoped to the Business
+quoteSchema.plugin(documentNumbering, { field: "quoteNumber", businessField: "businessId", key: () => "quote" });
+
+quoteSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.acceptanceToken;
+    return ret;
+  },
+});
+
+export default mongoose.model("Quote", quoteSchema);
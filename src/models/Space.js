@@ -1,4 +1,52 @@
 import mongoose from "mongoose";
+import { isValidTimeZone } from "../utils/scheduling.js";
+
+// Pricing rules of a resource:
+// - day_of_week: rate for some weekdays (e.g. weekend)
+// - season: rate for a date range (optionally every year)
+// - per_guest: extra charge per guest above a threshold
+// - overtime: hourly rate past the hours included per day
+// - last_minute: discount when booked shortly before the date
+const pricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  type: {
+    type: String,
+    enum: ["day_of_week", "season", "per_guest", "overtime", "last_minute"],
+    required: true,
+  },
+  isActive: { type: Boolean, default: true },
+  priority: { type: Number, default: 0 }, // Highest wins between rules of the same type
+
+  // day_of_week / season: flat day rate, or a percentage on basePrice
+  price: { type: Number, min: 0 },
+  percentage: { type: Number, min: -100 }, // e.g. 20 = +20%, -10 = -10%
+  days: [{ type: String, enum: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"] }],
+  startDate: Date,
+  endDate: Date,
+  recurringYearly: { type: Boolean, default: false }, // Same dates every year
+
+  // per_guest
+  guestThreshold: { type: Number, min: 0 },
+  pricePerGuest: { type: Number, min: 0 },
+
+  // overtime
+  includedHours: { type: Number, min: 0 },
+  hourlyRate: { type: Number, min: 0 },
+
+  // last_minute
+  withinDays: { type: Number, min: 0 },
+  discountPercentage: { type: Number, min: 0, max: 100 },
+});
+
+const hasRate = (rule) => rule.price != null || rule.percentage != null;
+
+const RULE_REQUIREMENTS = {
+  day_of_week: (rule) => rule.days?.length > 0 && hasRate(rule),
+  season: (rule) => rule.startDate && rule.endDate && rule.startDate <= rule.endDate && hasRate(rule),
+  per_guest: (rule) => rule.guestThreshold != null && rule.pricePerGuest != null,
+  overtime: (rule) => rule.includedHours != null && rule.hourlyRate != null,
+  last_minute: (rule) => rule.withinDays != null && rule.discountPercentage != null,
+};
 
 const spaceSchema = new mongoose.Schema(
   {
@@ -30,6 +78,15 @@ const spaceSchema = new mongoose.Schema(
     },
     
     basePrice: { type: Number, required: true, min: 0 },
+
+    // Dynamic pricing on top of basePrice (see services/pricing.service.js)
+    pricingRules: {
+      type: [pricingRuleSchema],
+      validate: {
+        validator: (rules) => rules.every((rule) => RULE_REQUIREMENTS[rule.type]?.(rule)),
+        message: "Each pricing rule needs the fields of its type",
+      },
+    },
     
     // Setup/Teardown buffer time (in minutes)
     // Used for collision detection (Cleaning a room OR Cleaning a vehicle)
@@ -67,7 +124,13 @@ const spaceSchema = new mongoose.Schema(
     isReserved: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
     isArchived: { type: Boolean, default: false },
-    timeZone: { type: String, required: true, default: "Africa/Tunis" },
+    // IANA zone of the operating hours and of the bookings' "HH:mm" times
+    timeZone: {
+      type: String,
+      required: true,
+      default: "Africa/Tunis",
+      validate: { validator: isValidTimeZone, message: "Invalid time zone" },
+    },
   },
   {
     timestamps: true,
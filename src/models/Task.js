@@ -95,6 +95,13 @@ const taskSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+
+    // Optional link to the event this task belongs to (e.g. post-event follow-ups)
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -14,13 +14,20 @@ import TeamInvitation from "./TeamInvitation.js";
 import Space from "./Space.js";
 import Invoice from "./Invoice.js";
 import InvoiceSettings from "./InvoiceSettings.js";
+import CreditNote from "./CreditNote.js";
 import Contract from "./Contract.js";
 import ContractSettings from "./ContractSettings.js";
+import ContractClause from "./ContractClause.js";
 import Supply from "./Supply.js";
 import SupplyCategory from "./SupplyCategory.js";
 import ActivityLog from "./ActivityLog.js";
 import Portfolio from "./Portfolio.js";
 import Notification from "./Notification.js";
+import CalendarFeed from "./CalendarFeed.js";
+import EventTemplate from "./EventTemplate.js";
+import Quote from "./Quote.js";
+import Lead from "./Lead.js";
+import Counter from "./Counter.js";
 export {
   User,
   Business,
@@ -37,11 +44,18 @@ export {
   Space,
   Invoice,
   InvoiceSettings,
+  CreditNote,
   Contract,
   ContractSettings,
+  ContractClause,
   Supply,
   SupplyCategory,
   ActivityLog,
   Portfolio,
   Notification,
+  CalendarFeed,
+  EventTemplate,
+  Quote,
+  Lead,
+  Counter,
 };
\ No newline at end of file
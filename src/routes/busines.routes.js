@@ -1,10 +1,13 @@
 import express from "express";
 import { authenticate } from "../middleware/auth.js";
 import { checkPermission } from "../middleware/checkPermission.js";
+import validateRequest from "../middleware/validateRequest.js";
+import { availabilityQueryValidator } from "../validators/businessValidator.js";
 import {
   getMyBusiness,
   updateBusiness,
   getResources,
+  getResourceAvailability,
   createResource,
   updateResource,
   deleteResource
@@ -24,6 +27,14 @@ router.route("/resources")
   .get(getResources) // Basic read access
   .post(checkPermission("business.update"), createResource);
 
+router.get(
+  "/resources/availability",
+  checkPermission("events.read.all"),
+  availabilityQueryValidator,
+  validateRequest,
+  getResourceAvailability
+);
+
 router.route("/resources/:id")
   .put(checkPermission("business.update"), updateResource)
   .delete(checkPermission("business.delete"), deleteResource);
@@ -8,6 +8,7 @@ import {
   restoreClient,
   getArchivedClients,
   getClientStats,
+  sendClientPortalLink,
 } from "../controllers/clientController.js";
 
 import { authenticate } from "../middleware/auth.js";
@@ -73,6 +74,15 @@ router.patch(
   restoreClient
 );
 
+// Client Portal
+router.post(
+  "/:id/portal-link",
+  checkPermission("clients.update.all"),
+  getClientValidator,
+  validateRequest,
+  sendClientPortalLink
+);
+
 // Single Client Operations
 router
   .route("/:id")
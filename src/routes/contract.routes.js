@@ -1,4 +1,5 @@
 import express from "express";
+import rateLimit from "express-rate-limit";
 import {
   // CRUD
   getContracts,
@@ -13,7 +14,22 @@ import {
   sendContract,
   duplicateContract,
   markContractViewed,
-  signContract,
+  countersignContract,
+  downloadSignedContract,
+  // Versions & Amendments
+  getContractVersions,
+  getContractVersion,
+  getContractDiff,
+  createContractAmendment,
+  getContractAmendments,
+  cancelRenewal,
+  // Clauses
+  applyContractClauses,
+  previewClauses,
+  // Public signing link
+  getPublicContract,
+  downloadPublicContract,
+  signPublicContract,
   // Settings
   getContractSettings,
   updateContractSettings,
@@ -21,6 +37,14 @@ import {
   getContractStats,
   downloadContractPdf,
 } from "../controllers/contractController.js";
+import {
+  getContractClauses,
+  getMergeFields,
+  getContractClause,
+  createContractClause,
+  updateContractClause,
+  archiveContractClause,
+} from "../controllers/contractClauseController.js";
 
 import { authenticate } from "../middleware/auth.js";
 import { checkPermission } from "../middleware/checkPermission.js";
@@ -31,11 +55,58 @@ import {
   updateContractValidator,
   contractIdValidator,
   contractSettingsValidator,
+  sendContractValidator,
+  contractTokenValidator,
+  signContractValidator,
+  countersignContractValidator,
+  contractVersionValidator,
+  contractDiffValidator,
+  createAmendmentValidator,
+  createClauseValidator,
+  updateClauseValidator,
+  clauseIdValidator,
+  applyClausesValidator,
 } from "../validators/contractValidator.js";
 
 const router = express.Router();
 
-// Apply authentication to all routes (Populates req.user.businessId)
+// Stops token guessing on the signing links
+const publicContractLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: "Too many requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ============================================
+// PUBLIC SIGNING LINK (No session)
+// ============================================
+router.get(
+  "/public/:token",
+  publicContractLimiter,
+  contractTokenValidator,
+  validateRequest,
+  getPublicContract
+);
+
+router.get(
+  "/public/:token/document",
+  publicContractLimiter,
+  contractTokenValidator,
+  validateRequest,
+  downloadPublicContract
+);
+
+router.post(
+  "/public/:token/sign",
+  publicContractLimiter,
+  signContractValidator,
+  validateRequest,
+  signPublicContract
+);
+
+// Apply authentication to all other routes (Populates req.user.businessId)
 router.use(authenticate);
 
 // ============================================
@@ -55,6 +126,42 @@ router
     updateContractSettings
   );
 
+// ============================================
+// CLAUSE LIBRARY (Must come before /:id)
+// ============================================
+router
+  .route("/clauses")
+  .get(checkPermission("contracts.read.all"), getContractClauses)
+  .post(
+    checkPermission("contracts.create"),
+    createClauseValidator,
+    validateRequest,
+    createContractClause
+  );
+
+router.get("/clauses/merge-fields", checkPermission("contracts.read.all"), getMergeFields);
+
+router
+  .route("/clauses/:clauseId")
+  .get(
+    checkPermission("contracts.read.all"),
+    clauseIdValidator,
+    validateRequest,
+    getContractClause
+  )
+  .put(
+    checkPermission("contracts.update.all"),
+    updateClauseValidator,
+    validateRequest,
+    updateContractClause
+  )
+  .delete(
+    checkPermission("contracts.delete.all"),
+    clauseIdValidator,
+    validateRequest,
+    archiveContractClause
+  );
+
 // ============================================
 // STATS
 // ============================================
@@ -93,6 +200,14 @@ router.get(
   downloadContractPdf
 );
 
+router.get(
+  "/:id/signed-document",
+  checkPermission("contracts.read.all"),
+  contractIdValidator,
+  validateRequest,
+  downloadSignedContract
+);
+
 // Archive/Restore
 router.patch(
   "/:id/archive",
@@ -114,7 +229,7 @@ router.patch(
 router.post(
   "/:id/send",
   checkPermission("contracts.update.all"),
-  contractIdValidator,
+  sendContractValidator,
   validateRequest,
   sendContract
 );
@@ -136,11 +251,80 @@ router.patch(
 );
 
 router.post(
-  "/:id/sign",
+  "/:id/countersign",
   checkPermission("contracts.update.all"),
+  countersignContractValidator,
+  validateRequest,
+  countersignContract
+);
+
+// ============================================
+// VERSIONS & AMENDMENTS
+// ============================================
+router.get(
+  "/:id/versions",
+  checkPermission("contracts.read.all"),
+  contractIdValidator,
+  validateRequest,
+  getContractVersions
+);
+
+router.get(
+  "/:id/versions/:version",
+  checkPermission("contracts.read.all"),
+  contractVersionValidator,
+  validateRequest,
+  getContractVersion
+);
+
+router.get(
+  "/:id/diff",
+  checkPermission("contracts.read.all"),
+  contractDiffValidator,
+  validateRequest,
+  getContractDiff
+);
+
+router
+  .route("/:id/amendments")
+  .get(
+    checkPermission("contracts.read.all"),
+    contractIdValidator,
+    validateRequest,
+    getContractAmendments
+  )
+  .post(
+    checkPermission("contracts.create"),
+    createAmendmentValidator,
+    validateRequest,
+    createContractAmendment
+  );
+
+router.post(
+  "/:id/renewal/cancel",
+  checkPermission("contracts.update.all"),
+  contractIdValidator,
+  validateRequest,
+  cancelRenewal
+);
+
+// ============================================
+// CONTRACT CLAUSES
+// ============================================
+router.post(
+  "/:id/clauses",
+  checkPermission("contracts.update.all"),
+  applyClausesValidator,
+  validateRequest,
+  applyContractClauses
+);
+
+router.get(
+  "/:id/clauses/preview",
+  checkPermission("contracts.read.all"),
   contractIdValidator,
   validateRequest,
-  signContract
+  previewClauses
 );
 
 // ============================================
@@ -1,4 +1,5 @@
 import express from "express";
+import rateLimit from "express-rate-limit";
 import {
   getEvents,
   getEventsByClient,
@@ -11,7 +12,43 @@ import {
   allocateEventSupplies,
   returnEventSupplies,
   markSuppliesDelivered,
+  getEventStatus,
+  changeEventStatus,
+  getEventCancellation,
+  settleEventCancellation,
+  placeEventHold,
+  releaseEventHold,
+  getEventWaitlist,
+  addToEventWaitlist,
+  getEventSeries,
+  updateEventSeries,
+  cancelEventSeries,
+  getEventTimeline,
+  addTimelineItem,
+  updateTimelineItem,
+  deleteTimelineItem,
+  reorderTimeline,
+  downloadRunSheet,
+  createEventFromTemplate,
+  getEventQuote,
+  getEventInvoices,
+  createInvoiceFromEvent,
+  createEventPartnerBills,
 } from "../controllers/eventController.js";
+import {
+  getCalendarFeeds,
+  createCalendarFeed,
+  regenerateCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedIcs,
+} from "../controllers/calendarController.js";
+import {
+  getEventTemplates,
+  getEventTemplate,
+  createEventTemplate,
+  updateEventTemplate,
+  archiveEventTemplate,
+} from "../controllers/eventTemplateController.js";
 
 import { authenticate } from "../middleware/auth.js";
 import { checkPermission } from "../middleware/checkPermission.js";
@@ -22,10 +59,51 @@ import {
   updateEventValidator,
   getEventValidator,
   listEventsValidator,
+  changeStatusValidator,
+  settleCancellationValidator,
+  placeHoldValidator,
+  addToWaitlistValidator,
+  seriesScopeValidator,
+  updateSeriesValidator,
+  calendarTokenValidator,
+  createCalendarFeedValidator,
+  calendarFeedIdValidator,
+  addTimelineItemValidator,
+  updateTimelineItemValidator,
+  timelineItemIdValidator,
+  reorderTimelineValidator,
+  createTemplateValidator,
+  updateTemplateValidator,
+  templateIdValidator,
+  createFromTemplateValidator,
+  quoteEventValidator,
+  createEventInvoiceValidator,
 } from "../validators/eventValidator.js";
 
 const router = express.Router();
 
+// Calendar apps poll feeds periodically; this only stops token guessing
+const calendarFeedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: "Too many calendar requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// =============================================================================
+// PUBLIC ROUTES (Token in URL, no session)
+// =============================================================================
+
+// Read-only .ics subscription (Google Calendar, Outlook, Apple Calendar)
+router.get(
+  "/calendar/:token.ics",
+  calendarFeedLimiter,
+  calendarTokenValidator,
+  validateRequest,
+  getCalendarFeedIcs
+);
+
 // =============================================================================
 // GLOBAL MIDDLEWARE
 // =============================================================================
@@ -42,7 +120,16 @@ router.get(
   getEventStats
 );
 
-// 2. Events by Client
+// 2. Price Quote (Space pricing rules)
+router.post(
+  "/quote",
+  checkPermission("events.read.all"),
+  quoteEventValidator,
+  validateRequest,
+  getEventQuote
+);
+
+// 3. Events by Client
 router.get(
   "/client/:clientId", 
   checkPermission("events.read.all"),
@@ -50,6 +137,73 @@ router.get(
   getEventsByClient
 );
 
+// 4. Calendar Subscriptions (.ics feeds)
+router
+  .route("/calendar/feeds")
+  .get(checkPermission("events.read.all"), getCalendarFeeds)
+  .post(
+    checkPermission("events.read.all"),
+    createCalendarFeedValidator,
+    validateRequest,
+    createCalendarFeed
+  );
+
+router.post(
+  "/calendar/feeds/:feedId/regenerate",
+  checkPermission("events.read.all"),
+  calendarFeedIdValidator,
+  validateRequest,
+  regenerateCalendarFeed
+);
+
+router.delete(
+  "/calendar/feeds/:feedId",
+  checkPermission("events.read.all"),
+  calendarFeedIdValidator,
+  validateRequest,
+  revokeCalendarFeed
+);
+
+// 5. Event Templates (packages)
+router
+  .route("/templates")
+  .get(checkPermission("events.read.all"), getEventTemplates)
+  .post(
+    checkPermission("events.create"),
+    createTemplateValidator,
+    validateRequest,
+    createEventTemplate
+  );
+
+router
+  .route("/templates/:templateId")
+  .get(
+    checkPermission("events.read.all"),
+    templateIdValidator,
+    validateRequest,
+    getEventTemplate
+  )
+  .put(
+    checkPermission("events.update.all"),
+    updateTemplateValidator,
+    validateRequest,
+    updateEventTemplate
+  )
+  .delete(
+    checkPermission("events.delete.all"),
+    templateIdValidator,
+    validateRequest,
+    archiveEventTemplate
+  );
+
+router.post(
+  "/from-template/:templateId",
+  checkPermission("events.create"),
+  createFromTemplateValidator,
+  validateRequest,
+  createEventFromTemplate
+);
+
 // =============================================================================
 // SUPPLY MANAGEMENT (Sub-resources of Event)
 // =============================================================================
@@ -79,6 +233,182 @@ router.patch(
   markSuppliesDelivered
 );
 
+// =============================================================================
+// STATUS WORKFLOW
+// =============================================================================
+
+router
+  .route("/:id/status")
+  .get(
+    checkPermission("events.read.all"),
+    getEventValidator,
+    validateRequest,
+    getEventStatus
+  )
+  .post(
+    checkPermission("events.update.all"),
+    changeStatusValidator,
+    validateRequest,
+    changeEventStatus
+  );
+
+router.get(
+  "/:id/cancellation",
+  checkPermission("events.read.all"),
+  getEventValidator,
+  validateRequest,
+  getEventCancellation
+);
+
+router.post(
+  "/:id/cancellation/settle",
+  checkPermission("events.update.all"),
+  settleCancellationValidator,
+  validateRequest,
+  settleEventCancellation
+);
+
+// =============================================================================
+// INVOICING
+// =============================================================================
+
+router
+  .route("/:id/invoices")
+  .get(
+    checkPermission("finance.read.all"),
+    getEventValidator,
+    validateRequest,
+    getEventInvoices
+  )
+  .post(
+    checkPermission("finance.create"),
+    createEventInvoiceValidator,
+    validateRequest,
+    createInvoiceFromEvent
+  );
+
+router.post(
+  "/:id/partner-bills",
+  checkPermission("finance.create"),
+  getEventValidator,
+  validateRequest,
+  createEventPartnerBills
+);
+
+// =============================================================================
+// TENTATIVE HOLDS & WAITLIST
+// =============================================================================
+
+router.post(
+  "/:id/hold",
+  checkPermission("events.update.all"),
+  placeHoldValidator,
+  validateRequest,
+  placeEventHold
+);
+
+router.post(
+  "/:id/hold/release",
+  checkPermission("events.update.all"),
+  getEventValidator,
+  validateRequest,
+  releaseEventHold
+);
+
+router
+  .route("/:id/waitlist")
+  .get(
+    checkPermission("events.read.all"),
+    getEventValidator,
+    validateRequest,
+    getEventWaitlist
+  )
+  .post(
+    checkPermission("events.create"),
+    addToWaitlistValidator,
+    validateRequest,
+    addToEventWaitlist
+  );
+
+// =============================================================================
+// RECURRING SERIES
+// =============================================================================
+// scope: "this" | "following" | "all"
+
+router
+  .route("/:id/series")
+  .get(
+    checkPermission("events.read.all"),
+    getEventValidator,
+    validateRequest,
+    getEventSeries
+  )
+  .put(
+    checkPermission("events.update.all"),
+    updateSeriesValidator,
+    validateRequest,
+    updateEventSeries
+  );
+
+router.post(
+  "/:id/series/cancel",
+  checkPermission("events.update.all"),
+  seriesScopeValidator,
+  validateRequest,
+  cancelEventSeries
+);
+
+// =============================================================================
+// RUN OF SHOW (TIMELINE)
+// =============================================================================
+
+router
+  .route("/:id/timeline")
+  .get(
+    checkPermission("events.read.all"),
+    getEventValidator,
+    validateRequest,
+    getEventTimeline
+  )
+  .post(
+    checkPermission("events.update.all"),
+    addTimelineItemValidator,
+    validateRequest,
+    addTimelineItem
+  );
+
+// Printable run sheet
+router.get(
+  "/:id/timeline/pdf",
+  checkPermission("events.read.all"),
+  getEventValidator,
+  validateRequest,
+  downloadRunSheet
+);
+
+router.patch(
+  "/:id/timeline/order",
+  checkPermission("events.update.all"),
+  reorderTimelineValidator,
+  validateRequest,
+  reorderTimeline
+);
+
+router
+  .route("/:id/timeline/:itemId")
+  .put(
+    checkPermission("events.update.all"),
+    updateTimelineItemValidator,
+    validateRequest,
+    updateTimelineItem
+  )
+  .delete(
+    checkPermission("events.update.all"),
+    timelineItemIdValidator,
+    validateRequest,
+    deleteTimelineItem
+  );
+
 // =============================================================================
 // RESTORE ARCHIVED
 // =============================================================================
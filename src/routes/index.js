@@ -16,6 +16,10 @@ import uploadRoutes from "./uploadRoutes.js";
 import invoiceRoutes from "./invoices.routes.js";
 import invoiceSettingsRoutes from "./invoiceSettingsRoutes.js";
 import contractRoutes from "./contract.routes.js";
+import quoteRoutes from "./quote.routes.js";
+import leadRoutes from "./lead.routes.js";
+import publicRoutes from "./public.routes.js";
+import portalRoutes from "./portal.routes.js";
 import supplyRoutes from "./supply.routes.js";
 import supplyCategoryRoutes from "./supplyCategory.routes.js";
 import portfolioRoutes from "./portfolioRoutes.js"
@@ -37,6 +41,10 @@ router.use("/users", userRoutes);
 router.use("/invoices", invoiceRoutes);
 router.use("/invoices/settings", invoiceSettingsRoutes);
 router.use("/contracts", contractRoutes);
+router.use("/quotes", quoteRoutes);
+router.use("/leads", leadRoutes);
+router.use("/public", publicRoutes);
+router.use("/portal", portalRoutes);
 router.use("/supplies", supplyRoutes);
 router.use("/supply-categories", supplyCategoryRoutes);
 router.use('/portfolio', portfolioRoutes)
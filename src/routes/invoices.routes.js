@@ -9,9 +9,19 @@ import {
   downloadInvoice, 
   sendInvoice, 
   markAsPaid, 
-  cancelInvoice
+  cancelInvoice,
+  getInvoicePayments,
+  getPayables
 } from "../controllers/invoiceController.js";
 
+import {
+  getCreditNotes,
+  getCreditNote,
+  downloadCreditNote,
+  getInvoiceCreditNotes,
+  createCreditNote
+} from "../controllers/creditNoteController.js";
+
 import {
   getInvoiceSettings, 
   updateInvoiceSettings,
@@ -28,6 +38,12 @@ import {
   createInvoiceValidator,
   updateInvoiceValidator,
   invoiceIdValidator,
+  markPaidValidator,
+  payablesReportValidator,
+  creditNoteIdValidator,
+  listCreditNotesValidator,
+  createCreditNoteValidator,
+  cancelInvoiceValidator,
   invoiceSettingsValidator,
 } from "../validators/invoiceValidator.js";
 
@@ -80,8 +96,44 @@ router.get(
   getInvoiceStats
 );
 
+// Accounts payable (partner bills)
+router.get(
+  "/payables",
+  checkPermission("finance.read.all"),
+  payablesReportValidator,
+  validateRequest,
+  getPayables
+);
+
 // ====================================================
-// 3. GENERAL CRUD
+// 3. CREDIT NOTES (AVOIRS)
+// ====================================================
+router.get(
+  "/credit-notes",
+  checkPermission("finance.read.all"),
+  listCreditNotesValidator,
+  validateRequest,
+  getCreditNotes
+);
+
+router.get(
+  "/credit-notes/:creditNoteId",
+  checkPermission("finance.read.all"),
+  creditNoteIdValidator,
+  validateRequest,
+  getCreditNote
+);
+
+router.get(
+  "/credit-notes/:creditNoteId/download",
+  checkPermission("finance.read.all"),
+  creditNoteIdValidator,
+  validateRequest,
+  downloadCreditNote
+);
+
+// ====================================================
+// 4. GENERAL CRUD
 // ====================================================
 router.route("/")
   .get(
@@ -96,7 +148,7 @@ router.route("/")
   );
 
 // ====================================================
-// 4. INVOICE ACTIONS
+// 5. INVOICE ACTIONS
 // ====================================================
 router.get(
   "/:id/download",
@@ -117,21 +169,44 @@ router.post(
 router.post(
   "/:id/mark-paid",
   checkPermission("payments.create"), 
-  invoiceIdValidator,
+  markPaidValidator,
   validateRequest,
   markAsPaid
 );
 
+router.get(
+  "/:id/payments",
+  checkPermission("finance.read.all"),
+  invoiceIdValidator,
+  validateRequest,
+  getInvoicePayments
+);
+
+router
+  .route("/:id/credit-notes")
+  .get(
+    checkPermission("finance.read.all"),
+    invoiceIdValidator,
+    validateRequest,
+    getInvoiceCreditNotes
+  )
+  .post(
+    checkPermission("finance.update.all"),
+    createCreditNoteValidator,
+    validateRequest,
+    createCreditNote
+  );
+
 router.post(
   "/:id/cancel",
   checkPermission("finance.update.all"),
-  invoiceIdValidator,
+  cancelInvoiceValidator,
   validateRequest,
   cancelInvoice
 );
 
 // ====================================================
-// 5. SINGLE INVOICE OPERATIONS
+// 6. SINGLE INVOICE OPERATIONS
 // ====================================================
 router.route("/:id")
   .get(
@@ -0,0 +1,148 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  // Pipeline & Reporting
+  getLeadPipeline,
+  getLeadReport,
+  // CRUD
+  getLeads,
+  getLead,
+  createLead,
+  updateLead,
+  archiveLead,
+  // Actions
+  changeLeadStage,
+  addLeadActivity,
+  convertLead,
+  // Public
+  submitInquiry,
+} from "../controllers/leadController.js";
+
+import { authenticate } from "../middleware/auth.js";
+import { checkPermission } from "../middleware/checkPermission.js";
+import validateRequest from "../middleware/validateRequest.js";
+
+import {
+  createLeadValidator,
+  updateLeadValidator,
+  leadIdValidator,
+  getLeadsValidator,
+  leadReportValidator,
+  changeLeadStageValidator,
+  addLeadActivityValidator,
+  convertLeadValidator,
+  inquiryValidator,
+} from "../validators/leadValidator.js";
+
+const router = express.Router();
+
+// Public form: a handful of inquiries per visitor is plenty
+const inquiryLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: "Too many inquiries, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ============================================
+// PUBLIC ROUTES (No session)
+// ============================================
+router.post(
+  "/inquiry/:businessId",
+  inquiryLimiter,
+  inquiryValidator,
+  validateRequest,
+  submitInquiry
+);
+
+// Apply authentication to all other routes (Populates req.user.businessId)
+router.use(authenticate);
+
+// ============================================
+// STATIC ROUTES (Must come before /:id)
+// ============================================
+router.get(
+  "/pipeline",
+  checkPermission("clients.read.all"),
+  getLeadPipeline
+);
+
+router.get(
+  "/report",
+  checkPermission("reports.read.all"),
+  leadReportValidator,
+  validateRequest,
+  getLeadReport
+);
+
+// ============================================
+// MAIN CRUD
+// ============================================
+router
+  .route("/")
+  .get(
+    checkPermission("clients.read.all"),
+    getLeadsValidator,
+    validateRequest,
+    getLeads
+  )
+  .post(
+    checkPermission("clients.create"),
+    createLeadValidator,
+    validateRequest,
+    createLead
+  );
+
+// ============================================
+// ACTIONS
+// ============================================
+router.patch(
+  "/:id/stage",
+  checkPermission("clients.update.all"),
+  changeLeadStageValidator,
+  validateRequest,
+  changeLeadStage
+);
+
+router.post(
+  "/:id/activities",
+  checkPermission("clients.update.all"),
+  addLeadActivityValidator,
+  validateRequest,
+  addLeadActivity
+);
+
+router.post(
+  "/:id/convert",
+  checkPermission("clients.create"),
+  convertLeadValidator,
+  validateRequest,
+  convertLead
+);
+
+// ============================================
+// DYNAMIC ROUTES (/:id)
+// ============================================
+router
+  .route("/:id")
+  .get(
+    checkPermission("clients.read.all"),
+    leadIdValidator,
+    validateRequest,
+    getLead
+  )
+  .put(
+    checkPermission("clients.update.all"),
+    updateLeadValidator,
+    validateRequest,
+    updateLead
+  )
+  .delete(
+    checkPermission("clients.delete.all"),
+    leadIdValidator,
+    validateRequest,
+    archiveLead
+  );
+
+export default router;
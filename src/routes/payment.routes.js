@@ -9,6 +9,8 @@ import {
   processRefund,
   restorePayment,
   getArchivedPayments,
+  allocatePaymentToInvoices,
+  releasePaymentAllocation,
 } from "../controllers/paymentController.js";
 
 import { authenticate } from "../middleware/auth.js";
@@ -19,6 +21,8 @@ import {
   createPaymentValidator,
   updatePaymentValidator,
   paymentIdValidator,
+  allocatePaymentValidator,
+  releaseAllocationValidator,
 } from "../validators/paymentValidator.js";
 
 const router = express.Router();
@@ -57,6 +61,24 @@ router.post(
   processRefund
 );
 
+// Allocate to Invoices
+router.post(
+  "/:id/allocations",
+  checkPermission("payments.update.all"),
+  allocatePaymentValidator,
+  validateRequest,
+  allocatePaymentToInvoices
+);
+
+// Release an Invoice Allocation
+router.delete(
+  "/:id/allocations/:invoiceId",
+  checkPermission("payments.update.all"),
+  releaseAllocationValidator,
+  validateRequest,
+  releasePaymentAllocation
+);
+
 // Restore Archived Payment
 router.patch(
   "/:id/restore",
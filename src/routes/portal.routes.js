@@ -0,0 +1,102 @@
+import express from "express";
+import multer from "multer";
+import rateLimit from "express-rate-limit";
+import {
+  // Magic link & session
+  requestPortalLink,
+  createPortalSession,
+  logoutPortal,
+  // Profile & events
+  getPortalProfile,
+  getPortalEvents,
+  getPortalEvent,
+  updatePortalGuestList,
+  // Invoices & payments
+  getPortalInvoices,
+  downloadPortalInvoice,
+  getPortalPayments,
+  // Contracts
+  getPortalContracts,
+  downloadPortalContract,
+  signPortalContract,
+} from "../controllers/portalController.js";
+
+import { authenticateClient } from "../middleware/clientAuth.js";
+import validateRequest from "../middleware/validateRequest.js";
+import ApiError from "../utils/ApiError.js";
+
+import {
+  portalLinkValidator,
+  portalSessionValidator,
+  portalIdValidator,
+  guestListValidator,
+  portalSignValidator,
+} from "../validators/portalValidator.js";
+
+const router = express.Router();
+
+// Magic links are emailed: keep both asking and redeeming them scarce
+const linkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: "Too many login attempts, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Guest lists are read in memory, they are small CSV files
+const guestListUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === "text/csv" || file.originalname.toLowerCase().endsWith(".csv");
+    cb(isCsv ? null : new ApiError("The guest list must be a CSV file", 400), isCsv);
+  },
+});
+
+// ============================================
+// PUBLIC ROUTES (No session)
+// ============================================
+router.post(
+  "/:businessSlug/login-link",
+  linkLimiter,
+  portalLinkValidator,
+  validateRequest,
+  requestPortalLink
+);
+router.post("/session", linkLimiter, portalSessionValidator, validateRequest, createPortalSession);
+router.post("/logout", logoutPortal);
+
+// Apply client authentication to all other routes (Populates req.client)
+router.use(authenticateClient);
+
+router.get("/me", getPortalProfile);
+
+// ============================================
+// EVENTS
+// ============================================
+router.get("/events", getPortalEvents);
+router.get("/events/:id", portalIdValidator, validateRequest, getPortalEvent);
+router.put(
+  "/events/:id/guest-list",
+  guestListUpload.single("file"),
+  guestListValidator,
+  validateRequest,
+  updatePortalGuestList
+);
+
+// ============================================
+// INVOICES & PAYMENTS
+// ============================================
+router.get("/invoices", getPortalInvoices);
+router.get("/invoices/:id/download", portalIdValidator, validateRequest, downloadPortalInvoice);
+router.get("/payments", getPortalPayments);
+
+// ============================================
+// CONTRACTS
+// ============================================
+router.get("/contracts", getPortalContracts);
+router.get("/contracts/:id/download", portalIdValidator, validateRequest, downloadPortalContract);
+router.post("/contracts/:id/sign", portalSignValidator, validateRequest, signPortalContract);
+
+export default router;
@@ -0,0 +1,82 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  getPublicBusiness,
+  getPublicPortfolio,
+  getPublicSpaces,
+  getPublicAvailability,
+  createBookingRequest,
+} from "../controllers/publicController.js";
+
+import validateRequest from "../middleware/validateRequest.js";
+
+import {
+  businessSlugValidator,
+  publicPortfolioValidator,
+  publicAvailabilityValidator,
+  bookingRequestValidator,
+} from "../validators/publicValidator.js";
+
+const router = express.Router();
+
+// Website widget: browsing is cheap, booking requests are not
+const readLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 120,
+  message: "Too many requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const bookingLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: "Too many booking requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ============================================
+// PUBLIC ROUTES (No session)
+// ============================================
+router.get(
+  "/:businessSlug",
+  readLimiter,
+  businessSlugValidator,
+  validateRequest,
+  getPublicBusiness
+);
+
+router.get(
+  "/:businessSlug/portfolio",
+  readLimiter,
+  publicPortfolioValidator,
+  validateRequest,
+  getPublicPortfolio
+);
+
+router.get(
+  "/:businessSlug/spaces",
+  readLimiter,
+  businessSlugValidator,
+  validateRequest,
+  getPublicSpaces
+);
+
+router.get(
+  "/:businessSlug/availability",
+  readLimiter,
+  publicAvailabilityValidator,
+  validateRequest,
+  getPublicAvailability
+);
+
+router.post(
+  "/:businessSlug/booking-requests",
+  bookingLimiter,
+  bookingRequestValidator,
+  validateRequest,
+  createBookingRequest
+);
+
+export default router;
@@ -0,0 +1,145 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  // CRUD
+  getQuotes,
+  getQuote,
+  createQuote,
+  updateQuote,
+  archiveQuote,
+  // Actions
+  sendQuote,
+  downloadQuote,
+  // Public link
+  getPublicQuote,
+  downloadPublicQuote,
+  acceptPublicQuote,
+  declinePublicQuote,
+} from "../controllers/quoteController.js";
+
+import { authenticate } from "../middleware/auth.js";
+import { checkPermission } from "../middleware/checkPermission.js";
+import validateRequest from "../middleware/validateRequest.js";
+
+import {
+  createQuoteValidator,
+  updateQuoteValidator,
+  quoteIdValidator,
+  getQuotesValidator,
+  sendQuoteValidator,
+  quoteTokenValidator,
+  acceptQuoteValidator,
+  declineQuoteValidator,
+} from "../validators/quoteValidator.js";
+
+const router = express.Router();
+
+// Stops token guessing on the public links
+const publicQuoteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: "Too many requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ============================================
+// PUBLIC ROUTES (Token in URL, no session)
+// ============================================
+router.get(
+  "/public/:token",
+  publicQuoteLimiter,
+  quoteTokenValidator,
+  validateRequest,
+  getPublicQuote
+);
+
+router.get(
+  "/public/:token/download",
+  publicQuoteLimiter,
+  quoteTokenValidator,
+  validateRequest,
+  downloadPublicQuote
+);
+
+router.post(
+  "/public/:token/accept",
+  publicQuoteLimiter,
+  acceptQuoteValidator,
+  validateRequest,
+  acceptPublicQuote
+);
+
+router.post(
+  "/public/:token/decline",
+  publicQuoteLimiter,
+  declineQuoteValidator,
+  validateRequest,
+  declinePublicQuote
+);
+
+// Apply authentication to all other routes (Populates req.user.businessId)
+router.use(authenticate);
+
+// ============================================
+// MAIN CRUD
+// ============================================
+router
+  .route("/")
+  .get(
+    checkPermission("events.read.all"),
+    getQuotesValidator,
+    validateRequest,
+    getQuotes
+  )
+  .post(
+    checkPermission("events.create"),
+    createQuoteValidator,
+    validateRequest,
+    createQuote
+  );
+
+// ============================================
+// ACTIONS
+// ============================================
+router.post(
+  "/:id/send",
+  checkPermission("events.update.all"),
+  sendQuoteValidator,
+  validateRequest,
+  sendQuote
+);
+
+router.get(
+  "/:id/download",
+  checkPermission("events.read.all"),
+  quoteIdValidator,
+  validateRequest,
+  downloadQuote
+);
+
+// ============================================
+// DYNAMIC ROUTES (/:id)
+// ============================================
+router
+  .route("/:id")
+  .get(
+    checkPermission("events.read.all"),
+    quoteIdValidator,
+    validateRequest,
+    getQuote
+  )
+  .put(
+    checkPermission("events.update.all"),
+    updateQuoteValidator,
+    validateRequest,
+    updateQuote
+  )
+  .delete(
+    checkPermission("events.delete.all"),
+    quoteIdValidator,
+    validateRequest,
+    archiveQuote
+  );
+
+export default router;
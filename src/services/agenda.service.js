@@ -2,6 +2,10 @@ import Agenda from 'agenda';
 import mongoose from 'mongoose';
 import { Reminder, Notification, User } from '../models/index.js';
 import config from '../config/env.js';
+import { expireHold } from './hold.service.js';
+import { processContractLifecycle } from './contractLifecycle.service.js';
+import { resolveBusinessTimeZone } from './booking.service.js';
+import { createDateTime } from '../utils/scheduling.js';
 
 class AgendaService {
   constructor() {
@@ -21,6 +25,9 @@ class AgendaService {
       await this.agenda.start();
       console.log(' Agenda scheduler initialized');
 
+      // Contract expiry, activation, completion and renewals (one job for all businesses)
+      await this.agenda.every('1 hour', 'process-contract-lifecycle');
+
       // Optional: Reschedule on server restart
       // await this.scheduleExistingReminders(); 
     } catch (error) {
@@ -96,6 +103,32 @@ class AgendaService {
       }
     });
 
+    // ============================================================
+    // JOB: EXPIRE TENTATIVE EVENT HOLD
+    // ============================================================
+    this.agenda.define('expire-event-hold', async (job) => {
+      const { eventId } = job.attrs.data;
+
+      try {
+        await expireHold(eventId);
+      } catch (error) {
+        console.error(`Error expiring hold on event ${eventId}:`, error);
+      }
+    });
+
+    // ============================================================
+    // JOB: CONTRACT LIFECYCLE
+    // ============================================================
+    this.agenda.define('process-contract-lifecycle', async () => {
+      try {
+        const result = await processContractLifecycle();
+        const changed = Object.values(result).reduce((sum, count) => sum + count, 0);
+        if (changed > 0) console.log('📄 Contract lifecycle:', result);
+      } catch (error) {
+        console.error('Error processing contract lifecycle:', error);
+      }
+    });
+
     // Cleanup Job
     this.agenda.define('cleanup-old-jobs', async () => {
       const date = new Date();
@@ -109,8 +142,9 @@ class AgendaService {
   // ============================================================
 
   async scheduleReminder(reminder) {
-    // 1. Calculate time
-    const scheduleTime = this.getReminderDateTime(reminder);
+    // 1. Calculate time (in the business time zone)
+    const timeZone = await resolveBusinessTimeZone(reminder.businessId);
+    const scheduleTime = this.getReminderDateTime(reminder, timeZone);
     const now = new Date();
 
     // 2. Logic: If time is past, run "now", else run at time
@@ -144,16 +178,31 @@ class AgendaService {
     });
   }
 
+  async scheduleHoldExpiry(event) {
+    // Only one pending expiry per event (holds can be extended)
+    await this.cancelHoldJobs(event._id);
+
+    const runAt = event.holdExpiresAt < new Date() ? 'now' : event.holdExpiresAt;
+
+    await this.agenda.schedule(runAt, 'expire-event-hold', {
+      eventId: event._id,
+      businessId: event.businessId
+    });
+    console.log(`⏳ Scheduled hold expiry for event ${event.title} at ${runAt}`);
+  }
+
+  async cancelHoldJobs(eventId) {
+    await this.agenda.cancel({
+      name: 'expire-event-hold',
+      'data.eventId': eventId
+    });
+  }
+
   // Helper
-  getReminderDateTime(reminder) {
-    // reminderDate is Date (00:00:00), reminderTime is String ("14:30")
-    // We need to merge them carefully regarding Timezone (usually assume server local or UTC)
-    
-    // Simplest approach: Parse strings
-    const dateStr = new Date(reminder.reminderDate).toISOString().split('T')[0]; // "2023-10-25"
-    const timeStr = reminder.reminderTime; // "14:30"
-    
-    return new Date(`${dateStr}T${timeStr}:00`); 
+  getReminderDateTime(reminder, timeZone) {
+    // reminderDate is a calendar day, reminderTime a wall-clock "14:30"
+    // in the business time zone (never the server's)
+    return createDateTime(reminder.reminderDate, reminder.reminderTime, timeZone);
   }
 
   async stop() {
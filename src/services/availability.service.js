@@ -0,0 +1,123 @@
+import { Event, Space } from "../models/index.js";
+import {
+  DEFAULT_TIME_ZONE,
+  addDays,
+  addMinutes,
+  getEventBookings,
+  getOperatingWindow,
+  getZonedDay,
+  subtractIntervals,
+} from "../utils/scheduling.js";
+
+/**
+ * Load the bookings that block resources between two dates.
+ * Cancelled, waitlisted and archived events never hold a slot.
+ */
+export const findBlockingEvents = async ({ businessId, resourceIds, from, to }) => {
+  return Event.find({
+    businessId,
+    $or: [
+      { resourceId: { $in: resourceIds } },
+      { "resources.resource": { $in: resourceIds } },
+    ],
+    status: { $nin: ["cancelled", "waitlisted"] },
+    isArchived: { $ne: true },
+    // One day of margin: date-only fields vs. time-zoned windows
+    startDate: { $lte: addDays(to, 1) },
+    endDate: { $gte: addDays(from, -2) },
+  }).select("title status resourceId resources startDate endDate startTime endTime timeZone");
+};
+
+/**
+ * Compute free time windows for one resource
+ * @param {Object} space - Space document (operatingHours, turnoverTime)
+ * @param {Array} events - Events booking this space (other resources are ignored)
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ */
+export const computeFreeWindows = (space, events, from, to) => {
+  const turnover = space.turnoverTime || 0;
+
+  // Pad every booking of this space with the setup/teardown buffer
+  const busy = events
+    .flatMap(getEventBookings)
+    .filter((b) => b.resourceId?.toString() === space._id.toString())
+    .filter((i) => i.start && i.end)
+    .map((i) => ({
+      start: addMinutes(i.start, -turnover),
+      end: addMinutes(i.end, turnover),
+    }));
+
+  const windows = [];
+  const timeZone = space.timeZone || DEFAULT_TIME_ZONE;
+  const lastDay = getZonedDay(to, timeZone);
+
+  // Calendar days in the resource's time zone, starting one day early
+  // so overnight opening hours are not lost
+  for (
+    let day = addDays(getZonedDay(from, timeZone), -1);
+    day <= lastDay;
+    day = addDays(day, 1)
+  ) {
+    const opening = getOperatingWindow(space, day);
+    if (!opening) continue;
+
+    const window = {
+      start: opening.start < from ? from : opening.start,
+      end: opening.end > to ? to : opening.end,
+    };
+    if (window.end <= window.start) continue;
+
+    for (const slot of subtractIntervals(window, busy)) {
+      const last = windows[windows.length - 1];
+      // Merge slots that touch across midnight (e.g. resources open 24/7)
+      if (last && slot.start <= last.end) {
+        if (slot.end > last.end) last.end = slot.end;
+      } else {
+        windows.push(slot);
+      }
+    }
+  }
+
+  return windows;
+};
+
+/**
+ * Availability of every matching resource of a business over a date range
+ */
+export const getResourcesAvailability = async ({ businessId, from, to, guests, type }) => {
+  const spaceQuery = { businessId, isArchived: false, isActive: true };
+  if (type) spaceQuery.type = type;
+  if (guests) spaceQuery["capacity.max"] = { $gte: guests };
+
+  const spaces = await Space.find(spaceQuery).sort({ name: 1 });
+  if (spaces.length === 0) return [];
+
+  const events = await findBlockingEvents({
+    businessId,
+    resourceIds: spaces.map((s) => s._id),
+    from,
+    to,
+  });
+
+  return spaces.map((space) => {
+    const spaceEvents = events.filter((e) =>
+      getEventBookings(e).some(
+        (b) => b.resourceId?.toString() === space._id.toString()
+      )
+    );
+
+    return {
+      resource: {
+        _id: space._id,
+        name: space.name,
+        type: space.type,
+        capacity: space.capacity,
+        basePrice: space.basePrice,
+        turnoverTime: space.turnoverTime,
+      },
+      freeWindows: computeFreeWindows(space, spaceEvents, from, to),
+      bookings: spaceEvents.length,
+    };
+  });
+};
@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+import ApiError from "../utils/ApiError.js";
+import {
+  DAY_KEYS,
+  DEFAULT_TIME_ZONE,
+  addDays,
+  getEventBookings,
+  getOperatingWindow,
+  getZonedDay,
+  intervalsOverlap,
+  isValidTimeZone,
+  startOfDay,
+  addMinutes,
+} from "../utils/scheduling.js";
+
+// Models are resolved through the mongoose registry because this service
+// is used from inside the Event model hooks (avoids circular imports).
+const model = (name) => mongoose.model(name);
+
+/**
+ * IANA time zone a business reads its "HH:mm" times in
+ */
+export const resolveBusinessTimeZone = async (businessId) => {
+  const business = await model("Business").findById(businessId).select("settings.timeZone");
+  const timeZone = business?.settings?.timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+/**
+ * IANA time zone of an event: its (first) resource's, else the business's
+ */
+export const resolveEventTimeZone = async (event) => {
+  const resourceId = event.resourceId?._id || event.resourceId;
+  if (resourceId) {
+    const space = await model("Space").findById(resourceId).select("timeZone");
+    if (isValidTimeZone(space?.timeZone)) return space.timeZone;
+  }
+  return resolveBusinessTimeZone(event.businessId);
+};
+
+/**
+ * Find the opening window that contains a given instant.
+ * Checks the previous day too, for resources open past midnight.
+ */
+const findWindowContaining = (space, instant) => {
+  const today = getZonedDay(instant, space.timeZone || DEFAULT_TIME_ZONE);
+  for (const offset of [0, -1]) {
+    const window = getOperatingWindow(space, addDays(today, offset));
+    if (window && instant >= window.start && instant <= window.end) {
+      return window;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that a booking interval lies inside the resource's operating hours
+ * @returns {string|null} Reason when the booking is outside opening hours
+ */
+export const checkOperatingHours = (space, start, end) => {
+  const startWindow = findWindowContaining(space, start);
+  if (!startWindow) {
+    const day = getZonedDay(start, space.timeZone || DEFAULT_TIME_ZONE);
+    return `${space.name} is closed on ${DAY_KEYS[day.getUTCDay()]} at this start time`;
+  }
+
+  // Single-session booking: must end before closing
+  if (end <= startWindow.end) return null;
+
+  // Multi-day booking: the end must also fall inside an opening window
+  const endWindow = findWindowContaining(space, end);
+  if (!endWindow || endWindow.start.getTime() === startWindow.start.getTime()) {
+    return `${space.name} closes before the end of this booking`;
+  }
+
+  return null;
+};
+
+/**
+ * Find every booking overlapping a (buffered) interval on the same resource.
+ * Both single-resource events and entries of multi-resource events count.
+ * @param {Object} params
+ * @param {ObjectId} params.businessId - Tenant scope
+ * @param {ObjectId|null} params.resourceId - Space, or null for solo businesses
+ * @param {Date} params.start - Booking start
+ * @param {Date} params.end - Booking end
+ * @param {number} params.buffer - Setup/teardown minutes around the booking
+ * @param {Array} params.excludeIds - Events to ignore (e.g. the one being saved)
+ */
+export const findConflictingEvents = async ({
+  businessId,
+  resourceId,
+  start,
+  end,
+  buffer = 0,
+  excludeIds = [],
+}) => {
+  const padded = {
+    start: addMinutes(start, -buffer),
+    end: addMinutes(end, buffer),
+  };
+
+  const resourceQuery = resourceId
+    ? { $or: [{ resourceId }, { "resources.resource": resourceId }] }
+    : { resourceId: null };
+
+  const candidates = await model("Event").find({
+    businessId,
+    _id: { $nin: excludeIds.filter(Boolean) },
+    ...resourceQuery,
+    status: { $nin: ["cancelled", "waitlisted"] },
+    isArchived: { $ne: true },
+    // Date-only fields: one day of margin on both sides, the exact
+    // windows (in each event's time zone) are compared below
+    startDate: { $lte: addDays(padded.end, 1) },
+    endDate: { $gte: addDays(padded.start, -2) },
+  }).select("title status startDate endDate startTime endTime timeZone clientId resourceId resources");
+
+  return candidates.flatMap((event) =>
+    getEventBookings(event)
+      .filter((booking) => String(booking.resourceId || "") === String(resourceId || ""))
+      .filter((booking) => booking.start && booking.end)
+      .filter((booking) => intervalsOverlap(padded, booking))
+      .map((booking) => ({
+        _id: event._id,
+        title: event.title,
+        status: event.status,
+        clientId: event.clientId,
+        label: booking.label,
+        start: booking.start,
+        end: booking.end,
+      }))
+  );
+};
+
+/**
+ * Validate a booking on a resource. Throws an ApiError when:
+ * - the time range is invalid (400)
+ * - the resource is closed at that time (400)
+ * - it overlaps other bookings once turnover buffers are applied (409)
+ */
+export const assertBookingAvailable = async ({
+  businessId,
+  resourceId,
+  start,
+  end,
+  excludeIds = [],
+}) => {
+  if (!start || !end || end <= start) {
+    throw new ApiError("End time must be after start time", 400);
+  }
+
+  let space = null;
+  if (resourceId) {
+    space = await model("Space").findOne({ _id: resourceId, businessId });
+    if (!space || space.isArchived) {
+      throw new ApiError("Resource not found", 404);
+    }
+
+    const hoursError = checkOperatingHours(space, start, end);
+    if (hoursError) {
+      throw new ApiError(`Outside operating hours: ${hoursError}`, 400, {
+        resourceId: space._id,
+        operatingHours: space.operatingHours,
+      });
+    }
+  }
+
+  const conflicts = await findConflictingEvents({
+    businessId,
+    resourceId,
+    start,
+    end,
+    buffer: space?.turnoverTime || 0,
+    excludeIds,
+  });
+
+  if (conflicts.length > 0) {
+    const message = resourceId
+      ? "This resource (room/vehicle) is already booked for this time slot."
+      : "You already have an event scheduled for this time.";
+
+    throw new ApiError(message, 409, {
+      resourceId: resourceId || null,
+      turnoverTime: space?.turnoverTime || 0,
+      conflicts,
+    });
+  }
+
+  return { space };
+};
+
+/**
+ * Booking validation for an Event document (used by the pre-save hook).
+ * Every resource of a multi-resource event is checked with its own window.
+ */
+export const validateEventBooking = async (event) => {
+  const bookings = getEventBookings(event);
+
+  if (event.resources?.length) {
+    const eventStart = startOfDay(event.startDate, event.timeZone);
+    const eventEnd = startOfDay(addDays(event.endDate, 1), event.timeZone);
+
+    for (const booking of bookings) {
+      // Resource windows stay within the event's dates (overnight slots allowed)
+      if (booking.start && (booking.start < eventStart || booking.start >= eventEnd)) {
+        throw new ApiError(
+          `Resource booking${booking.label ? ` "${booking.label}"` : ""} is outside the event dates`,
+          400
+        );
+      }
+
+      // The same resource cannot be booked twice at once by one event
+      const clash = bookings.find(
+        (other) =>
+          other !== booking &&
+          String(other.resourceId) === String(booking.resourceId) &&
+          intervalsOverlap(other, booking)
+      );
+      if (clash) {
+        throw new ApiError("The same resource is booked twice at overlapping times", 400, {
+          resourceId: booking.resourceId,
+        });
+      }
+    }
+  }
+
+  const spaces = [];
+  for (const booking of bookings) {
+    const { space } = await assertBookingAvailable({
+      businessId: event.businessId,
+      resourceId: booking.resourceId,
+      start: booking.start,
+      end: booking.end,
+      excludeIds: [event._id],
+    });
+    if (space) spaces.push(space);
+  }
+
+  return { spaces };
+};
@@ -0,0 +1,122 @@
+import { Client, Event, Notification, Space } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { toDateOnly } from "../utils/scheduling.js";
+import { createInquiryLead } from "./lead.service.js";
+import { applySpacePricing } from "./pricing.service.js";
+
+// Booking errors that mean "this slot cannot be booked", not "bad request"
+const SLOT_UNAVAILABLE_STATUSES = [400, 409];
+
+/**
+ * Pending event for a requested slot, with the client found by email or created.
+ * A client created here is removed again when the slot cannot be booked.
+ */
+const createRequestedEvent = async (business, request) => {
+  let client = await Client.findOne({ businessId: business._id, email: request.email });
+  let createdClient = false;
+  if (!client) {
+    client = await Client.create({
+      name: request.name,
+      email: request.email,
+      phone: request.phone,
+      company: request.company,
+      businessId: business._id,
+      tags: ["website"],
+    });
+    createdClient = true;
+  }
+
+  try {
+    const event = new Event({
+      title: `${request.eventType || "Event"} - ${client.name}`,
+      type: request.eventType || "other",
+      clientId: client._id,
+      businessId: business._id,
+      resourceId: request.resourceId,
+      startDate: toDateOnly(request.startDate),
+      endDate: toDateOnly(request.endDate || request.startDate),
+      startTime: request.startTime,
+      endTime: request.endTime,
+      guestCount: request.guestCount,
+      status: "pending",
+      notes: ["Booking request from the website.", request.message].filter(Boolean).join("\n"),
+    });
+    await applySpacePricing(event);
+    await event.save();
+    return event;
+  } catch (error) {
+    if (createdClient) await Client.deleteOne({ _id: client._id });
+    throw error;
+  }
+};
+
+/**
+ * Handle a booking request from the public widget.
+ * A request for a free slot of a Space becomes a pending Event; anything else
+ * (no slot chosen, slot taken, outside opening hours) becomes a Lead so the
+ * team can get back with an alternative. The team is notified either way.
+ * @param {Object} business - Business document (public booking enabled)
+ * @param {Object} request - Visitor's form data
+ * @returns {Object} { type: "event" | "lead", event, lead, slotUnavailable }
+ */
+export const submitBookingRequest = async (business, request) => {
+  if (request.resourceId) {
+    const space = await Space.exists({
+      _id: request.resourceId,
+      businessId: business._id,
+      isArchived: false,
+      isActive: true,
+    });
+    if (!space) throw new ApiError("Resource not found", 404);
+  }
+
+  let slotUnavailable = false;
+  if (request.resourceId && request.startTime && request.endTime) {
+    try {
+      const event = await createRequestedEvent(business, request);
+
+      await Notification.create({
+        recipient: business.owner,
+        businessId: business._id,
+        type: "alert",
+        title: "New booking request",
+        message: `${request.name} requested "${event.title}" on ${event.startDate.toISOString().slice(0, 10)}`,
+        data: { entityId: event._id, entityType: "Event", link: `/events/${event._id}` },
+      });
+      if (global.io) {
+        global.io.to(business._id.toString()).emit("booking:requested", {
+          id: event._id,
+          title: event.title,
+          status: event.status,
+          startDate: event.startDate,
+        });
+      }
+
+      return { type: "event", event, lead: null, slotUnavailable };
+    } catch (error) {
+      if (!(error instanceof ApiError) || !SLOT_UNAVAILABLE_STATUSES.includes(error.statusCode)) {
+        throw error;
+      }
+      slotUnavailable = true;
+    }
+  }
+
+  const details = [
+    request.startDate && `Requested date: ${toDateOnly(request.startDate).toISOString().slice(0, 10)}`,
+    request.startTime && request.endTime && `Time: ${request.startTime} - ${request.endTime}`,
+    slotUnavailable && "The requested slot was not available.",
+    request.message,
+  ].filter(Boolean);
+
+  const { lead } = await createInquiryLead(
+    business._id,
+    {
+      ...request,
+      expectedEventDate: request.startDate,
+      message: details.join("\n"),
+    },
+    { source: "website", sourceDetails: "Booking widget" }
+  );
+
+  return { type: "lead", event: null, lead, slotUnavailable };
+};
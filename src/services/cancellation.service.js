@@ -0,0 +1,195 @@
+import { Business, Contract, ContractSettings, Finance, Payment } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { getEventInterval } from "../utils/scheduling.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Only committed events owe a penalty (holds and pending requests cancel for free)
+const PENALTY_STATUSES = ["confirmed", "in-progress"];
+
+// Same precision as the event pricing totals (Event pre-save hook)
+const round = (amount) => Number((amount || 0).toFixed(2));
+
+/**
+ * Cancellation policy that applies to an event: the linked client contract's
+ * snapshot first, then the business default from ContractSettings
+ * @returns {Object} { policy, source, contract, currency }
+ */
+export const resolveCancellationPolicy = async (event) => {
+  const contract = await Contract.findOne({
+    business: event.businessId,
+    event: event._id,
+    contractType: "client",
+    status: { $nin: ["cancelled", "expired"] },
+  }).sort({ createdAt: -1 });
+
+  const settings = await ContractSettings.findOne({ business: event.businessId });
+  const currency =
+    contract?.financials?.currency ||
+    settings?.financialDefaults?.currency ||
+    (await Business.findById(event.businessId).select("settings"))?.settings?.currency ||
+    "TND";
+
+  if (contract?.cancellationPolicy?.tiers?.length) {
+    return { policy: contract.cancellationPolicy, source: "contract", contract, currency };
+  }
+  if (settings?.defaultCancellationPolicy?.tiers?.length) {
+    return { policy: settings.defaultCancellationPolicy, source: "settings", contract, currency };
+  }
+  return { policy: null, source: "none", contract, currency };
+};
+
+/**
+ * Tier for a number of days before the event.
+ * A tier applies when cancelling within its `daysBeforeEvent`; the closest
+ * (smallest) applicable tier wins. No tier means a free cancellation.
+ */
+export const findCancellationTier = (tiers = [], daysBeforeEvent) =>
+  [...tiers]
+    .filter((tier) => daysBeforeEvent <= Number(tier.daysBeforeEvent))
+    .sort((a, b) => a.daysBeforeEvent - b.daysBeforeEvent)[0] || null;
+
+/**
+ * Work out the penalty, retained amount and refund for cancelling an event
+ * @param {Object} event - Event document
+ * @param {Object} options
+ * @param {Date} options.cancelledAt - Defaults to now
+ * @param {String} options.fromStatus - Status the event is cancelled from
+ * @param {Boolean} options.waive - Waive the penalty (refund everything paid)
+ */
+export const computeCancellationBreakdown = async (
+  event,
+  { cancelledAt = new Date(), fromStatus = event.status, waive = false } = {}
+) => {
+  const { policy, source, contract, currency } = await resolveCancellationPolicy(event);
+
+  const { start } = getEventInterval(event);
+  const daysBeforeEvent = Math.max(0, Math.floor((start - cancelledAt) / DAY));
+
+  const applies =
+    !waive && policy?.enabled !== false && PENALTY_STATUSES.includes(fromStatus);
+  const tier = applies ? findCancellationTier(policy.tiers, daysBeforeEvent) : null;
+
+  const eventTotal = round(event.pricing?.totalPriceAfterTax);
+  const paidAmount = round(event.paymentInfo?.paidAmount);
+  const penaltyAmount = tier ? round((eventTotal * (tier.penaltyPercentage || 0)) / 100) : 0;
+  const retainedAmount = Math.min(penaltyAmount, paidAmount);
+
+  return {
+    daysBeforeEvent,
+    policySource: applies ? source : "none",
+    contract: contract?._id,
+    tier: tier
+      ? {
+          daysBeforeEvent: tier.daysBeforeEvent,
+          penaltyPercentage: tier.penaltyPercentage,
+          description: tier.description,
+        }
+      : undefined,
+    eventTotal,
+    penaltyAmount,
+    paidAmount,
+    retainedAmount,
+    refundAmount: round(paidAmount - retainedAmount),
+    amountDue: round(penaltyAmount - retainedAmount),
+    currency,
+    waived: waive || undefined,
+  };
+};
+
+// Finance records only know a subset of the payment methods
+const toFinanceMethod = (method) =>
+  ["cash", "card", "bank_transfer", "check"].includes(method) ? method : "bank_transfer";
+
+/**
+ * Create the retained-deposit Finance record and the refund Payment
+ * for a cancelled event's stored breakdown
+ */
+export const settleCancellation = async (event, { userId, method } = {}) => {
+  const breakdown = event.cancellation;
+  if (event.status !== "cancelled" || !breakdown?.status) {
+    throw new ApiError("Event has no cancellation to settle", 400);
+  }
+  if (breakdown.status === "settled") {
+    throw new ApiError("Cancellation is already settled", 400);
+  }
+
+  // Refund through the method the client last paid with
+  const lastPayment = await Payment.findOne({
+    event: event._id,
+    type: "income",
+    status: "completed",
+    isArchived: false,
+  }).sort({ paidDate: -1, createdAt: -1 });
+  const refundMethod = method || lastPayment?.method || "bank_transfer";
+
+  if (breakdown.retainedAmount > 0) {
+    const finance = await Finance.create({
+      type: "income",
+      category: "event_revenue",
+      description: `Retained deposit - cancellation of ${event.title}`,
+      amount: breakdown.retainedAmount,
+      date: new Date(),
+      paymentMethod: toFinanceMethod(lastPayment?.method),
+      relatedEvent: event._id,
+      status: "completed",
+      notes: breakdown.tier?.description,
+      businessId: event.businessId,
+      createdBy: userId,
+    });
+    breakdown.financeRecord = finance._id;
+  }
+
+  if (breakdown.refundAmount > 0) {
+    // Pending until the money is actually sent back to the client
+    const refund = await Payment.create({
+      event: event._id,
+      client: event.clientId,
+      type: "expense",
+      amount: breakdown.refundAmount,
+      method: refundMethod,
+      status: "pending",
+      description: `Refund - cancellation of ${event.title}`,
+      dueDate: new Date(),
+      businessId: event.businessId,
+      processedBy: userId,
+    });
+    breakdown.refundPayment = refund._id;
+  }
+
+  breakdown.status = "settled";
+  breakdown.settledAt = new Date();
+  breakdown.settledBy = userId;
+  await event.save();
+
+  return event;
+};
+
+/**
+ * Store the cancellation breakdown on a freshly cancelled event
+ * (workflow hook), optionally settling it straight away
+ * @param {Object} options - { userId, reason, from, waivePenalty, settleCancellation }
+ */
+export const applyCancellationPolicy = async (event, options = {}) => {
+  const cancelledAt = new Date();
+  const breakdown = await computeCancellationBreakdown(event, {
+    cancelledAt,
+    fromStatus: options.from,
+    waive: options.waivePenalty,
+  });
+
+  event.cancellation = {
+    ...breakdown,
+    cancelledAt,
+    cancelledBy: options.userId,
+    reason: options.reason,
+    status: "suggested",
+  };
+  await event.save();
+
+  if (options.settleCancellation) {
+    await settleCancellation(event, { userId: options.userId, method: options.refundMethod });
+  }
+
+  return event.cancellation;
+};
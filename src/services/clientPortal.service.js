@@ -0,0 +1,212 @@
+import { Event, Invoice } from "../models/index.js";
+import config from "../config/env.js";
+import ApiError from "../utils/ApiError.js";
+import { sendPortalLinkEmail } from "./emailService.js";
+
+export const MAX_GUESTS = 2000;
+
+// Column names accepted in an uploaded guest list (lowercased header → field)
+const GUEST_COLUMNS = {
+  name: "name",
+  "full name": "name",
+  nom: "name",
+  email: "email",
+  "e-mail": "email",
+  phone: "phone",
+  "téléphone": "phone",
+  telephone: "phone",
+  "party size": "partySize",
+  partysize: "partySize",
+  guests: "partySize",
+  table: "table",
+  notes: "notes",
+};
+
+/**
+ * Issue a magic link for a client and email it.
+ * The link is only ever sent to the client: it logs in (and signs) as them.
+ * @param {Object} client - Client document
+ * @param {Object} business - Business document (name)
+ * @returns {Object} { emailSent }
+ */
+export const sendPortalLink = async (client, business) => {
+  const { linkExpireMinutes } = config.portal;
+  const token = client.generatePortalToken(linkExpireMinutes);
+  await client.save();
+
+  const link = `${config.frontend.url}/portal/login?token=${token}`;
+
+  let emailSent = true;
+  try {
+    await sendPortalLinkEmail({
+      email: client.email,
+      link,
+      clientName: client.name,
+      businessName: business.name,
+      expiresInMinutes: linkExpireMinutes,
+    });
+  } catch (error) {
+    emailSent = false;
+  }
+
+  return { emailSent };
+};
+
+/**
+ * IDs of the client's events (contracts are linked to clients through them)
+ */
+export const getClientEventIds = async (client) => {
+  const events = await Event.find({
+    clientId: client._id,
+    businessId: client.businessId,
+    isArchived: { $ne: true },
+  }).select("_id");
+  return events.map((event) => event._id);
+};
+
+/**
+ * What the client has been invoiced, credited (credit notes), has paid and still owes.
+ * `credit` is what was paid beyond what is left on invoices after their credit notes.
+ */
+export const getClientBalance = async (client) => {
+  const [totals] = await Invoice.aggregate([
+    {
+      $match: {
+        business: client.businessId,
+        client: client._id,
+        invoiceType: "client",
+        status: { $nin: ["draft", "cancelled"] },
+        isArchived: { $ne: true },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        invoiced: { $sum: "$totalAmount" },
+        credited: { $sum: "$creditedAmount" },
+        paid: { $sum: "$paymentStatus.amountPaid" },
+        due: { $sum: "$paymentStatus.amountDue" },
+        credit: {
+          $sum: {
+            $max: [
+              0,
+              {
+                $subtract: [
+                  { $add: ["$paymentStatus.amountPaid", { $ifNull: ["$creditedAmount", 0] }] },
+                  "$totalAmount",
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return {
+    invoiced: totals?.invoiced || 0,
+    credited: totals?.credited || 0,
+    paid: totals?.paid || 0,
+    due: totals?.due || 0,
+    credit: Number((totals?.credit || 0).toFixed(3)),
+  };
+};
+
+// Split one CSV line, honouring quoted values ("Doe, John")
+const splitCsvLine = (line, delimiter) => {
+  const values = [];
+  let current = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      values.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+};
+
+/**
+ * Parse an uploaded guest list (CSV, comma or semicolon separated, header row first).
+ * A "name" column is required; other recognised columns: email, phone, party size, table, notes.
+ * @param {String} text - File content
+ * @returns {Array} guests
+ */
+export const parseGuestListCsv = (text) => {
+  const lines = text
+    .replace(/^\uFEFF/, "") // Excel BOM
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  if (lines.length === 0) throw new ApiError("The guest list is empty", 400);
+
+  // Spreadsheets exported with a French locale use ";"
+  const delimiter = lines[0].includes(";") ? ";" : ",";
+  const fields = splitCsvLine(lines[0], delimiter).map(
+    (header) => GUEST_COLUMNS[header.toLowerCase()]
+  );
+  if (!fields.includes("name")) {
+    throw new ApiError("The guest list needs a 'name' column", 400);
+  }
+
+  const guests = lines.slice(1).map((line) => {
+    const guest = {};
+    splitCsvLine(line, delimiter).forEach((value, index) => {
+      if (fields[index] && value) guest[fields[index]] = value;
+    });
+    if (guest.partySize) guest.partySize = parseInt(guest.partySize) || 1;
+    return guest;
+  });
+
+  return guests.filter((guest) => guest.name);
+};
+
+/**
+ * Replace the guest list of a client's event
+ * @param {Object} event - Event document
+ * @param {Array} guests - [{ name, email, phone, partySize, table, notes }]
+ */
+export const replaceGuestList = async (event, guests) => {
+  if (["cancelled", "completed"].includes(event.status)) {
+    throw new ApiError(`The guest list of a ${event.status} event cannot be changed`, 400);
+  }
+  if (guests.length > MAX_GUESTS) {
+    throw new ApiError(`A guest list cannot exceed ${MAX_GUESTS} guests`, 400);
+  }
+
+  event.guestList = guests.map(({ name, email, phone, partySize, table, notes }) => ({
+    name,
+    email,
+    phone,
+    partySize,
+    table,
+    notes,
+  }));
+  event.guestListUpdatedAt = new Date();
+  await event.save();
+
+  if (global.io) {
+    global.io.to(event.businessId.toString()).emit("event:guest-list-updated", {
+      id: event._id,
+      title: event.title,
+      guests: event.guestList.length,
+    });
+  }
+
+  return event;
+};
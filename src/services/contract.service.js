@@ -0,0 +1,562 @@
+import crypto from "crypto";
+import {
+  Business,
+  Client,
+  Contract,
+  ContractClause,
+  ContractSettings,
+  Event,
+  Notification,
+} from "../models/index.js";
+import config from "../config/env.js";
+import ApiError from "../utils/ApiError.js";
+import { generateContractPDF } from "../utils/generateContractPDF.js";
+import { buildMergeValues, resolveMergeFields } from "../utils/mergeFields.js";
+import { sendInvoiceEmail } from "../utils/sendEmail.js";
+
+// Lifetime of an emailed signing link, unless ContractSettings.lifecycle says otherwise
+const SIGNING_LINK_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuses in which the client can still sign
+export const SIGNABLE_STATUSES = ["sent", "viewed"];
+
+// Statuses in which a contract only changes through an amendment
+export const SIGNED_STATUSES = ["signed", "active"];
+
+// Statuses in which a contract no longer changes
+export const CLOSED_STATUSES = ["cancelled", "expired", "completed"];
+
+// What a version captures (and what the diff compares)
+export const CONTRACT_CONTENT_FIELDS = [
+  "title",
+  "party",
+  "logistics",
+  "services",
+  "financials",
+  "paymentTerms",
+  "legal",
+  "clauses",
+  "cancellationPolicy",
+  "renewal",
+];
+
+/**
+ * Recalculate financials based on services
+ */
+export const calculateFinancials = (services, vatRate = 19, stampDuty = 1.0) => {
+  const amountHT = services.reduce((acc, item) => {
+    const lineAmount = (Number(item.quantity) || 0) * (Number(item.rate) || 0);
+    return acc + lineAmount;
+  }, 0);
+
+  const taxAmount = (amountHT * Number(vatRate)) / 100;
+  const totalTTC = amountHT + taxAmount + Number(stampDuty);
+
+  return {
+    amountHT,
+    taxAmount,
+    totalTTC,
+    vatRate: Number(vatRate),
+    stampDuty: Number(stampDuty),
+  };
+};
+
+/**
+ * Service lines as stored: amount = quantity x rate
+ */
+export const processServices = (services = []) =>
+  services.map((s) => ({
+    description: s.description || "Service",
+    quantity: Number(s.quantity) || 0,
+    rate: Number(s.rate) || 0,
+    amount: (Number(s.quantity) || 0) * (Number(s.rate) || 0),
+  }));
+
+/**
+ * SHA-256 fingerprint of a document (hex)
+ */
+export const hashDocument = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Link the signer opens to read and sign the contract
+const buildSigningUrl = (rawToken) => `${config.frontend.url}/contracts/sign/${rawToken}`;
+
+// The event of a contract and its client (merge fields and clause conditions read them)
+const loadContractEvent = async (contract) => {
+  const eventId = contract.event?._id || contract.event;
+  if (!eventId) return { event: null, client: null };
+
+  const event = await Event.findOne({ _id: eventId, businessId: contract.business }).select(
+    "title type startDate endDate startTime endTime guestCount clientId"
+  );
+  const client = event?.clientId
+    ? await Client.findById(event.clientId).select("name email phone company address")
+    : null;
+  return { event, client };
+};
+
+/**
+ * Values of every merge field for a contract
+ */
+export const getMergeValues = async (contract, business, settings) => {
+  const { event, client } = await loadContractEvent(contract);
+  return buildMergeValues({ contract, business, settings, event, client });
+};
+
+/**
+ * Render the contract PDF with its settings and merge fields
+ * @param {Object} options - See generateContractPDF
+ */
+export const renderContractPDF = async (contract, business, options = {}) => {
+  const settings = await ContractSettings.findOne({ business: contract.business });
+  const mergeValues = await getMergeValues(contract, business, settings);
+  return generateContractPDF(contract, business, settings, { ...options, mergeValues });
+};
+
+/**
+ * Write the resolved text into every clause: what is sent is what stays signed,
+ * even if the client, the event or the amounts change later.
+ */
+const freezeClauses = async (contract, business, settings) => {
+  if (!contract.clauses?.length) return;
+  const values = await getMergeValues(contract, business, settings);
+  contract.clauses.forEach((clause) => {
+    clause.resolvedContent = resolveMergeFields(clause.content, values);
+  });
+};
+
+/**
+ * Freeze the contract PDF, issue a signing link and email both to the signer.
+ * The stored PDF is the one the signer reads and signs: its SHA-256 ends up on the certificate.
+ * @param {Object} contract - Contract document
+ * @param {Object} options - { email (defaults to the party's), message }
+ * @returns {Object} { contract, signUrl, emailSent }
+ */
+export const sendContractForSigning = async (contract, { email, message } = {}) => {
+  // A lapsed offer can be sent again as long as nobody signed it
+  const lapsedOffer = contract.status === "expired" && !contract.signatures?.client?.signedAt;
+  if (!["draft", ...SIGNABLE_STATUSES].includes(contract.status) && !lapsedOffer) {
+    throw new ApiError(`A ${contract.status} contract cannot be sent for signing`, 400);
+  }
+
+  const business = await Business.findById(contract.business);
+  const settings = await ContractSettings.findOne({ business: contract.business });
+  const { signatureValidityDays = SIGNING_LINK_DAYS, expiryReminderDays = 0 } = settings?.lifecycle || {};
+
+  await freezeClauses(contract, business, settings);
+  const document = await renderContractPDF(contract, business);
+  const rawToken = contract.generateSigningToken(signatureValidityDays);
+  const signUrl = buildSigningUrl(rawToken);
+  const recipient = email || contract.party?.email;
+
+  contract.signing.document = document;
+  contract.signing.documentHash = hashDocument(document);
+  contract.signing.sentAt = new Date();
+  contract.signing.sentTo = recipient;
+  contract.status = "sent";
+  contract.expiresAt = contract.signing.tokenExpire;
+  contract.expiryReminderAt =
+    expiryReminderDays > 0 ? new Date(contract.expiresAt.getTime() - expiryReminderDays * DAY) : undefined;
+  contract.expiryReminderSentAt = undefined;
+  contract.expiredAt = undefined;
+  await contract.save();
+
+  const emailSent = recipient
+    ? await sendInvoiceEmail({
+        to: recipient,
+        subject: `Contract ${contract.contractNumber} from ${business.name} - signature requested`,
+        text: `${message || "Please find your contract attached."}\n\nRead and sign it online: ${signUrl}`,
+        pdfBuffer: document,
+        filename: `contract-${contract.contractNumber}.pdf`,
+      })
+    : false;
+
+  return { contract, signUrl, emailSent };
+};
+
+/**
+ * Record the client's signature on the document they were sent.
+ * Claimed atomically: two tabs cannot both sign.
+ * @param {Object} contract - Contract document
+ * @param {Object} signer - { name, email, signature: { method, image, text }, documentHash, ip, userAgent }
+ * @returns {Object} The signed contract
+ */
+export const signContractAsClient = async (contract, signer) => {
+  if (!contract.signing?.documentHash) {
+    throw new ApiError("This contract has not been sent for signing", 400);
+  }
+  if (signer.documentHash !== contract.signing.documentHash) {
+    throw new ApiError("The contract has changed since you opened it. Please reload it before signing.", 409);
+  }
+
+  const signedAt = new Date();
+  const signed = await Contract.findOneAndUpdate(
+    { _id: contract._id, status: { $in: SIGNABLE_STATUSES } },
+    {
+      $set: {
+        status: "signed",
+        "signatures.client": {
+          name: signer.name,
+          email: signer.email || contract.signing.sentTo || contract.party?.email,
+          method: signer.signature.method,
+          image: signer.signature.image,
+          text: signer.signature.text,
+          signedAt,
+          ip: signer.ip,
+          userAgent: signer.userAgent,
+          documentHash: contract.signing.documentHash,
+        },
+        // Legacy fields read by the dashboard
+        "signatures.clientSignedAt": signedAt,
+        "signatures.clientSignerIp": signer.ip,
+      },
+    },
+    { new: true }
+  );
+  if (!signed) throw new ApiError(`A ${contract.status} contract cannot be signed`, 400);
+
+  await Notification.create({
+    recipient: signed.createdBy,
+    businessId: signed.business,
+    type: "alert",
+    title: "Contract signed",
+    message: `${signer.name} signed contract ${signed.contractNumber}; it is waiting for your countersignature`,
+    data: { entityId: signed._id, entityType: "Contract", link: `/contracts/${signed._id}` },
+  });
+  if (global.io) {
+    global.io.to(signed.business.toString()).emit("contract:signed", {
+      id: signed._id,
+      contractNumber: signed.contractNumber,
+      signerName: signer.name,
+    });
+  }
+
+  return signed;
+};
+
+/**
+ * Countersign for the business, then build and store the final signed PDF
+ * (signatures drawn in, certificate page appended) and email it to the client.
+ * @param {Object} contract - Contract document (signing.document not needed)
+ * @param {Object} signer - { user, name, signature: { method, image, text }, ip, userAgent }
+ * @returns {Object} { contract, emailSent }
+ */
+export const countersignContract = async (contract, { user, name, signature, ip, userAgent }) => {
+  if (contract.status !== "signed" || !contract.signatures?.client?.signedAt) {
+    throw new ApiError("The client has to sign the contract first", 400);
+  }
+  if (contract.signing?.completedAt) {
+    throw new ApiError("The contract has already been countersigned", 400);
+  }
+
+  const signedAt = new Date();
+  contract.signatures.business = {
+    name: name || user.name,
+    email: user.email,
+    user: user._id,
+    method: signature.method,
+    image: signature.image,
+    text: signature.text,
+    signedAt,
+    ip,
+    userAgent,
+    documentHash: contract.signing.documentHash,
+  };
+  contract.signatures.businessSignedAt = signedAt;
+  contract.signing.completedAt = signedAt;
+
+  const business = await Business.findById(contract.business);
+  const signedDocument = await renderContractPDF(contract, business, { signed: true });
+  contract.signing.signedDocument = signedDocument;
+  contract.signing.signedDocumentHash = hashDocument(signedDocument);
+  await contract.save();
+
+  const recipient = contract.signatures.client.email;
+  const emailSent = recipient
+    ? await sendInvoiceEmail({
+        to: recipient,
+        subject: `Contract ${contract.contractNumber} - signed copy`,
+        text: `The contract has been signed by both parties. Your signed copy is attached.\n\n${business.name}`,
+        pdfBuffer: signedDocument,
+        filename: `contract-${contract.contractNumber}-signed.pdf`,
+      })
+    : false;
+
+  if (global.io) {
+    global.io.to(contract.business.toString()).emit("contract:countersigned", {
+      id: contract._id,
+      contractNumber: contract.contractNumber,
+    });
+  }
+
+  return { contract, emailSent };
+};
+
+// ============================================
+// VERSIONS, AMENDMENTS & DIFF
+// ============================================
+
+// Plain JSON copy without sub-document ids (they change on every edit)
+const toPlainContent = (value) =>
+  JSON.parse(JSON.stringify(value ?? null), (key, item) => (key === "_id" ? undefined : item));
+
+/**
+ * The content of a contract as a plain object (see CONTRACT_CONTENT_FIELDS)
+ */
+export const getContractContent = (contract) => {
+  const content = {};
+  CONTRACT_CONTENT_FIELDS.forEach((field) => {
+    content[field] = toPlainContent(contract[field]);
+  });
+  return content;
+};
+
+/**
+ * Archive the current content of a sent contract before it is changed.
+ * The contract goes back to draft: the signing link of the old version stops working.
+ */
+export const snapshotContractVersion = (contract, { userId, note } = {}) => {
+  contract.versions.push({
+    version: contract.version,
+    content: getContractContent(contract),
+    status: contract.status,
+    sentAt: contract.signing?.sentAt,
+    documentHash: contract.signing?.documentHash,
+    revisedAt: new Date(),
+    revisedBy: userId,
+    note,
+  });
+  contract.version += 1;
+  contract.status = "draft";
+  contract.signing = undefined;
+  contract.expiresAt = undefined;
+  contract.expiryReminderAt = undefined;
+  // The next send resolves the merge fields again
+  contract.clauses.forEach((clause) => {
+    clause.resolvedContent = undefined;
+  });
+};
+
+/**
+ * Content of one version (the current one is `contract.version`)
+ */
+export const getContractVersionContent = (contract, version) => {
+  if (version === contract.version) return getContractContent(contract);
+  const archived = contract.versions.find((v) => v.version === version);
+  if (!archived) throw new ApiError(`Version ${version} not found`, 404);
+  return archived.content;
+};
+
+/**
+ * Create an amendment to a signed contract: a new draft contract holding the
+ * amended terms, linked to the original and signed on its own.
+ * @param {Object} original - Signed contract
+ * @param {Object} options - { userId, reason, title, changes: { services, financials, logistics, paymentTerms, legal, clauses } }
+ * @returns {Object} The amendment (draft)
+ */
+export const createAmendment = async (original, { userId, reason, title, changes = {} }) => {
+  if (!SIGNED_STATUSES.includes(original.status)) {
+    throw new ApiError("Only a signed contract can be amended; edit it directly instead", 400);
+  }
+  if (original.amendmentOf) {
+    throw new ApiError("Amend the original contract, not one of its amendments", 400);
+  }
+
+  const content = getContractContent(original);
+  ["logistics", "paymentTerms", "legal"].forEach((field) => {
+    if (changes[field]) content[field] = { ...content[field], ...changes[field] };
+  });
+  // Renewal stays with the original agreement
+  delete content.renewal;
+
+  // The amendment resolves its own merge fields when it is sent
+  content.clauses = (changes.clauses || content.clauses || []).map(
+    ({ resolvedContent, ...clause }) => clause
+  );
+  if (changes.services || changes.financials) {
+    content.services = changes.services ? processServices(changes.services) : content.services;
+    content.financials = {
+      ...content.financials,
+      ...calculateFinancials(
+        content.services,
+        changes.financials?.vatRate ?? content.financials.vatRate,
+        changes.financials?.stampDuty ?? content.financials.stampDuty
+      ),
+    };
+  }
+
+  const amendmentNumber = (await Contract.countDocuments({ amendmentOf: original._id })) + 1;
+
+  return Contract.create({
+    ...content,
+    title: title || `${original.title} - Avenant ${amendmentNumber}`,
+    contractNumber: `${original.contractNumber}-A${amendmentNumber}`,
+    contractType: original.contractType,
+    business: original.business,
+    event: original.event,
+    amendmentOf: original._id,
+    amendmentNumber,
+    amendmentReason: reason,
+    createdBy: userId,
+    status: "draft",
+  });
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Field-by-field changes between two plain values ({ field, before, after })
+const diffValues = (before, after, path = "") => {
+  if (isPlainObject(before) || isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].flatMap((key) =>
+      diffValues(before?.[key], after?.[key], path ? `${path}.${key}` : key)
+    );
+  }
+  if (JSON.stringify(before ?? null) === JSON.stringify(after ?? null)) return [];
+  return [{ field: path, before: before ?? null, after: after ?? null }];
+};
+
+// Lines matched by a key field (repeated keys are matched in order)
+const diffList = (before = [], after = [], keyField) => {
+  const keyed = (list) => {
+    const seen = {};
+    return new Map(
+      list.map((item) => {
+        const key = item[keyField];
+        seen[key] = (seen[key] || 0) + 1;
+        return [`${key}#${seen[key]}`, item];
+      })
+    );
+  };
+  const beforeMap = keyed(before);
+  const afterMap = keyed(after);
+
+  const added = [...afterMap].filter(([key]) => !beforeMap.has(key)).map(([, item]) => item);
+  const removed = [...beforeMap].filter(([key]) => !afterMap.has(key)).map(([, item]) => item);
+  const changed = [...afterMap]
+    .filter(([key]) => beforeMap.has(key))
+    .map(([key, item]) => ({ [keyField]: item[keyField], changes: diffValues(beforeMap.get(key), item) }))
+    .filter((line) => line.changes.length > 0);
+
+  return { added, removed, changed };
+};
+
+/**
+ * What changed between two versions of a contract's content
+ * @returns {Object} { services, financials, clauses, other, hasChanges }
+ */
+export const diffContractContent = (before, after) => {
+  const services = diffList(before.services, after.services, "description");
+  // Clause templates are compared; the frozen text only differs by its merge fields
+  const withoutFrozenText = (list = []) => list.map(({ resolvedContent, ...clause }) => clause);
+  const clauses = diffList(withoutFrozenText(before.clauses), withoutFrozenText(after.clauses), "title");
+  const financials = diffValues(before.financials, after.financials, "financials");
+  const other = CONTRACT_CONTENT_FIELDS.filter(
+    (field) => !["services", "clauses", "financials"].includes(field)
+  ).flatMap((field) => diffValues(before[field], after[field], field));
+
+  const hasChanges =
+    financials.length > 0 ||
+    other.length > 0 ||
+    [services, clauses].some((list) => list.added.length || list.removed.length || list.changed.length);
+
+  return { services, financials, clauses, other, hasChanges };
+};
+
+// ============================================
+// CLAUSE LIBRARY
+// ============================================
+
+// Copy of a library clause as stored on a contract
+export const toContractClause = (clause) => ({
+  title: clause.title,
+  content: clause.content,
+  category: clause.category,
+  source: clause._id,
+  sourceVersion: clause.version,
+});
+
+/**
+ * Library clauses for a contract, in order.
+ * Without `clauseIds`: the auto-included clauses whose conditions match.
+ * With `clauseIds`: those clauses, as picked (conditions are not checked).
+ * @param {Object} contract - Contract document (business, contractType, event)
+ * @param {Object} options - { clauseIds, language }
+ * @returns {Array} ContractClause documents
+ */
+export const selectLibraryClauses = async (contract, { clauseIds, language = "fr" } = {}) => {
+  const query = { business: contract.business, isArchived: false, isActive: true };
+  if (clauseIds?.length) {
+    query._id = { $in: clauseIds };
+  } else {
+    query.autoInclude = true;
+    query.language = language;
+  }
+
+  const clauses = await ContractClause.find(query).sort({ order: 1, createdAt: 1 });
+  if (clauseIds?.length) {
+    if (clauses.length !== new Set(clauseIds.map(String)).size) {
+      throw new ApiError("One or more clauses not found", 404);
+    }
+    return clauses;
+  }
+
+  const { event } = await loadContractEvent(contract);
+  const facts = {
+    guestCount: event?.guestCount,
+    eventType: event?.type,
+    contractType: contract.contractType,
+  };
+  return clauses.filter((clause) => clause.appliesTo(facts));
+};
+
+/**
+ * Add library clauses to a contract (or replace its clauses with them).
+ * A sent contract keeps its previous content as a version, like any other edit.
+ * @param {Object} contract - Contract document
+ * @param {Object} options - { clauseIds, language, replace, userId }
+ * @returns {Object} { contract, added }
+ */
+export const applyLibraryClauses = async (contract, { clauseIds, language, replace = false, userId } = {}) => {
+  if (SIGNED_STATUSES.includes(contract.status)) {
+    throw new ApiError("A signed contract can only change through an amendment", 400);
+  }
+  if (CLOSED_STATUSES.includes(contract.status)) {
+    throw new ApiError("Cannot edit a finalized contract.", 400);
+  }
+
+  const selected = await selectLibraryClauses(contract, { clauseIds, language });
+  if (SIGNABLE_STATUSES.includes(contract.status)) {
+    snapshotContractVersion(contract, { userId, note: "Clauses added from the library" });
+  }
+
+  const kept = replace ? [] : contract.clauses.map((clause) => clause.toObject());
+  const present = new Set(kept.map((clause) => clause.source?.toString()).filter(Boolean));
+  const added = selected.filter((clause) => !present.has(clause._id.toString())).map(toContractClause);
+
+  contract.clauses = [...kept, ...added];
+  await contract.save();
+
+  return { contract, added: added.length };
+};
+
+/**
+ * Clauses of a contract as they will be printed
+ */
+export const previewContractClauses = async (contract) => {
+  const [business, settings] = await Promise.all([
+    Business.findById(contract.business),
+    ContractSettings.findOne({ business: contract.business }),
+  ]);
+  const values = await getMergeValues(contract, business, settings);
+
+  return contract.clauses.map((clause) => ({
+    _id: clause._id,
+    title: clause.title,
+    category: clause.category,
+    source: clause.source,
+    frozen: Boolean(clause.resolvedContent),
+    content: clause.resolvedContent || resolveMergeFields(clause.content, values),
+  }));
+};
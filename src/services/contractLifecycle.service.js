@@ -0,0 +1,314 @@
+import { Contract, Notification } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { addDays, addMonths } from "../utils/scheduling.js";
+import { SIGNABLE_STATUSES, SIGNED_STATUSES } from "./contract.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Contracts handled per step and per run (the next run picks up the rest)
+const BATCH_SIZE = 200;
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Notify the author of a contract (persistent, optional) and the business room (socket)
+ */
+const notifyContractChange = async (contract, { title, message, socketEvent, persist = true }) => {
+  if (persist && contract.createdBy) {
+    await Notification.create({
+      recipient: contract.createdBy,
+      businessId: contract.business,
+      type: "alert",
+      title,
+      message,
+      data: {
+        entityId: contract._id,
+        entityType: "Contract",
+        link: `/contracts/${contract._id}`,
+      },
+    });
+  }
+
+  if (global.io) {
+    global.io.to(contract.business.toString()).emit(socketEvent, {
+      id: contract._id,
+      contractNumber: contract.contractNumber,
+      status: contract.status,
+    });
+  }
+};
+
+// Apply a change only if the contract is still in one of `statuses`
+// (a client may sign while the job runs)
+const transition = (contract, statuses, update) =>
+  Contract.findOneAndUpdate({ _id: contract._id, status: { $in: statuses } }, update, { new: true });
+
+// Countersigned by the business, or signed before the e-signature flow (never sent):
+// a contract the client signed alone stays "signed" until it is countersigned
+const COUNTERSIGNED = {
+  $or: [{ "signing.completedAt": { $ne: null } }, { "signing.sentAt": null }],
+};
+
+// ==========================================
+// 1. UNSIGNED CONTRACTS
+// ==========================================
+
+/**
+ * Expire sent contracts that were not signed in time, or whose dates have passed
+ */
+const expireUnsignedContracts = async (now, endedBefore) => {
+  const contracts = await Contract.find({
+    status: { $in: SIGNABLE_STATUSES },
+    $or: [{ expiresAt: { $lte: now } }, { "logistics.endDate": { $lte: endedBefore } }],
+  }).limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const contract of contracts) {
+    const expired = await transition(contract, SIGNABLE_STATUSES, {
+      $set: { status: "expired", expiredAt: now },
+    });
+    if (!expired) continue;
+
+    count++;
+    await notifyContractChange(expired, {
+      title: "Contract expired",
+      message: `${expired.party?.name || "The client"} did not sign contract ${expired.contractNumber} in time. Send it again to reopen it.`,
+      socketEvent: "contract:expired",
+    });
+  }
+  return count;
+};
+
+/**
+ * Remind the team of sent contracts about to lapse unsigned (once per sending)
+ */
+const sendExpiryReminders = async (now) => {
+  const contracts = await Contract.find({
+    status: { $in: SIGNABLE_STATUSES },
+    expiryReminderAt: { $lte: now },
+    expiryReminderSentAt: null,
+    expiresAt: { $gt: now },
+  }).limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const contract of contracts) {
+    const claimed = await Contract.findOneAndUpdate(
+      { _id: contract._id, status: { $in: SIGNABLE_STATUSES }, expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: now } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    count++;
+    await notifyContractChange(claimed, {
+      title: "Contract not signed yet",
+      message: `Contract ${claimed.contractNumber} (${claimed.party?.name || "client"}) expires on ${formatDay(claimed.expiresAt)} if it is not signed`,
+      socketEvent: "contract:expiring",
+    });
+  }
+  return count;
+};
+
+// ==========================================
+// 2. SIGNED CONTRACTS
+// ==========================================
+
+/**
+ * Signed (and countersigned) contracts become active when their start date arrives
+ */
+const activateSignedContracts = async (now) => {
+  const contracts = await Contract.find({
+    status: "signed",
+    "logistics.startDate": { $lte: now },
+    ...COUNTERSIGNED,
+  }).limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const contract of contracts) {
+    const active = await transition(contract, ["signed"], {
+      $set: { status: "active", activatedAt: now },
+    });
+    if (!active) continue;
+
+    count++;
+    await notifyContractChange(active, { socketEvent: "contract:activated", persist: false });
+  }
+  return count;
+};
+
+const canRenew = (contract) => {
+  const { autoRenew, cancelledAt, maxRenewals, count = 0 } = contract.renewal || {};
+  return (
+    contract.contractType === "partner" &&
+    autoRenew === true &&
+    !cancelledAt &&
+    (maxRenewals == null || count < maxRenewals)
+  );
+};
+
+/**
+ * Extend a partner agreement by one renewal period
+ */
+const renewContract = async (contract, now) => {
+  const previousEndDate = contract.logistics.endDate;
+  const newEndDate = addMonths(previousEndDate, contract.renewal.periodMonths || 12);
+
+  const renewed = await Contract.findOneAndUpdate(
+    {
+      _id: contract._id,
+      status: { $in: SIGNED_STATUSES },
+      "logistics.endDate": previousEndDate,
+    },
+    {
+      $set: {
+        status: "active",
+        activatedAt: contract.activatedAt || now,
+        "logistics.endDate": newEndDate,
+        "renewal.noticeSentAt": null,
+      },
+      $inc: { "renewal.count": 1 },
+      $push: { "renewal.history": { previousEndDate, newEndDate, renewedAt: now } },
+    },
+    { new: true }
+  );
+  if (!renewed) return null;
+
+  await notifyContractChange(renewed, {
+    title: "Partner agreement renewed",
+    message: `Contract ${renewed.contractNumber} with ${renewed.party?.name} was renewed until ${formatDay(newEndDate)}`,
+    socketEvent: "contract:renewed",
+  });
+  return renewed;
+};
+
+/**
+ * Once the end date is over: partner agreements with renewal terms are renewed,
+ * client contracts are completed (the service was delivered), other agreements expire
+ */
+const closeEndedContracts = async (now, endedBefore) => {
+  const contracts = await Contract.find({
+    status: { $in: SIGNED_STATUSES },
+    "logistics.endDate": { $lte: endedBefore },
+    ...COUNTERSIGNED,
+  }).limit(BATCH_SIZE);
+
+  const counts = { completed: 0, expired: 0, renewed: 0 };
+  for (const contract of contracts) {
+    if (canRenew(contract)) {
+      if (await renewContract(contract, now)) counts.renewed++;
+      continue;
+    }
+
+    const completed = contract.contractType === "client";
+    const closed = await transition(contract, SIGNED_STATUSES, {
+      $set: completed
+        ? { status: "completed", completedAt: now }
+        : { status: "expired", expiredAt: now },
+    });
+    if (!closed) continue;
+
+    counts[completed ? "completed" : "expired"]++;
+    await notifyContractChange(closed, {
+      title: completed ? "Contract completed" : "Partner agreement ended",
+      message: completed
+        ? `Contract ${closed.contractNumber} is completed`
+        : `Contract ${closed.contractNumber} with ${closed.party?.name} ended on ${formatDay(closed.logistics.endDate)}`,
+      socketEvent: completed ? "contract:completed" : "contract:expired",
+      persist: !completed,
+    });
+  }
+  return counts;
+};
+
+/**
+ * Warn the team `renewal.noticeDays` before a partner agreement renews (or ends
+ * for good when it has used all its renewals), while it can still be cancelled
+ */
+const sendRenewalNotices = async (now) => {
+  const contracts = await Contract.find({
+    contractType: "partner",
+    status: { $in: SIGNED_STATUSES },
+    "renewal.autoRenew": true,
+    "renewal.cancelledAt": null,
+    "renewal.noticeSentAt": null,
+    $expr: {
+      $lte: [
+        {
+          $subtract: [
+            "$logistics.endDate",
+            { $multiply: [{ $ifNull: ["$renewal.noticeDays", 30] }, DAY] },
+          ],
+        },
+        now,
+      ],
+    },
+  }).limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const contract of contracts) {
+    const claimed = await Contract.findOneAndUpdate(
+      { _id: contract._id, "renewal.noticeSentAt": null },
+      { $set: { "renewal.noticeSentAt": now } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    count++;
+    const endDate = formatDay(claimed.logistics.endDate);
+    await notifyContractChange(claimed, {
+      title: canRenew(claimed) ? "Partner agreement renews soon" : "Partner agreement ends soon",
+      message: canRenew(claimed)
+        ? `Contract ${claimed.contractNumber} with ${claimed.party?.name} renews automatically on ${endDate} for ${claimed.renewal.periodMonths} month(s) unless its renewal is cancelled`
+        : `Contract ${claimed.contractNumber} with ${claimed.party?.name} has used all its renewals and ends on ${endDate}`,
+      socketEvent: "contract:renewal-due",
+    });
+  }
+  return count;
+};
+
+// ==========================================
+// 3. ENTRY POINTS
+// ==========================================
+
+/**
+ * One pass of the contract lifecycle, for every business (run by agenda)
+ * @returns {Object} How many contracts each step changed
+ */
+export const processContractLifecycle = async (now = new Date()) => {
+  // The end date is a calendar day: a contract runs until that day is over
+  const endedBefore = addDays(now, -1);
+
+  const expired = await expireUnsignedContracts(now, endedBefore);
+  const reminded = await sendExpiryReminders(now);
+  const activated = await activateSignedContracts(now);
+  const closed = await closeEndedContracts(now, endedBefore);
+  const renewalNotices = await sendRenewalNotices(now);
+
+  return {
+    expired: expired + closed.expired,
+    reminded,
+    activated,
+    completed: closed.completed,
+    renewed: closed.renewed,
+    renewalNotices,
+  };
+};
+
+/**
+ * Stop the tacit renewal of a partner agreement (the current term still runs)
+ */
+export const cancelContractRenewal = async (contract, userId) => {
+  if (contract.contractType !== "partner" || !contract.renewal?.autoRenew) {
+    throw new ApiError("This contract has no automatic renewal", 400);
+  }
+  if (!SIGNED_STATUSES.includes(contract.status)) {
+    throw new ApiError(`The renewal of a ${contract.status} contract cannot be cancelled`, 400);
+  }
+
+  contract.renewal.autoRenew = false;
+  contract.renewal.cancelledAt = new Date();
+  contract.renewal.cancelledBy = userId;
+  await contract.save();
+
+  return contract;
+};
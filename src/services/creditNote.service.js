@@ -0,0 +1,203 @@
+import { CreditNote, Invoice } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { refreshInvoicePaymentStatus } from "./invoicePayment.service.js";
+
+// Invoices that were issued and can only change through credit notes
+export const ISSUED_INVOICE_STATUSES = ["sent", "partial", "paid", "overdue"];
+
+const round = (amount) => Number((amount || 0).toFixed(3));
+
+/**
+ * Lines of an invoice with what was already credited on each
+ * @returns {Array} [{ item, description, quantity, rate, amount, creditedAmount, remainingAmount }]
+ */
+export const getCreditableLines = async (invoice) => {
+  const creditNotes = await CreditNote.find({ invoice: invoice._id }).select("items");
+
+  const credited = new Map();
+  creditNotes.forEach((note) =>
+    note.items
+      .filter((item) => item.invoiceItem)
+      .forEach((item) => {
+        const key = item.invoiceItem.toString();
+        credited.set(key, round((credited.get(key) || 0) + item.amount));
+      })
+  );
+
+  return invoice.items.map((item) => {
+    const creditedAmount = credited.get(item._id.toString()) || 0;
+    return {
+      item: item._id,
+      description: item.description,
+      quantity: item.quantity,
+      rate: item.rate,
+      amount: item.amount,
+      creditedAmount,
+      remainingAmount: round(item.amount - creditedAmount),
+    };
+  });
+};
+
+// Credit note lines for what is left on every invoice line
+const fullReversal = (creditable) =>
+  creditable
+    .filter((line) => line.remainingAmount !== 0)
+    .map((line) => ({
+      invoiceItem: line.item,
+      description: line.description,
+      quantity: line.rate ? round(line.remainingAmount / line.rate) : 1,
+      rate: line.rate,
+      amount: line.remainingAmount,
+    }));
+
+// Credit note lines for the requested part of some invoice lines:
+// a quantity (at the invoiced rate), an amount (price correction) or, by default, all that is left
+const partialReversal = (creditable, lines) => {
+  const seen = new Set();
+
+  return lines.map(({ item: itemId, quantity, amount }) => {
+    const line = creditable.find((candidate) => candidate.item.equals(itemId));
+    if (!line) throw new ApiError("Invoice line not found", 404);
+
+    const key = line.item.toString();
+    if (seen.has(key)) throw new ApiError(`Line "${line.description}" is listed twice`, 400);
+    seen.add(key);
+
+    if (line.amount <= 0) {
+      throw new ApiError(`Line "${line.description}" can only be reversed by a full credit note`, 400);
+    }
+
+    const credit = round(amount ?? (quantity !== undefined ? quantity * line.rate : line.remainingAmount));
+    if (line.remainingAmount <= 0) {
+      throw new ApiError(`Line "${line.description}" is already fully credited`, 400);
+    }
+    if (credit <= 0) throw new ApiError(`Nothing to credit on line "${line.description}"`, 400);
+    if (credit > line.remainingAmount) {
+      throw new ApiError(`Only ${line.remainingAmount} is left to credit on "${line.description}"`, 400);
+    }
+
+    // A price correction is shown as one unit of the corrected amount
+    const byAmount = amount !== undefined && quantity === undefined;
+    return {
+      invoiceItem: line.item,
+      description: line.description,
+      quantity: byAmount ? 1 : quantity ?? (line.rate ? round(credit / line.rate) : 1),
+      rate: byAmount ? credit : line.rate,
+      amount: credit,
+    };
+  });
+};
+
+/**
+ * Issue a credit note against an issued invoice.
+ * Without lines everything left on the invoice is reversed (full credit note);
+ * a fully credited invoice that was never paid is cancelled.
+ * Refused while a pending payment is allocated to the invoice.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { lines: [{ item, quantity?, amount? }], reason, userId }
+ * @returns {Object} { creditNote, invoice }
+ */
+export const issueCreditNote = async (invoice, { lines, reason, userId }) => {
+  if (!ISSUED_INVOICE_STATUSES.includes(invoice.status)) {
+    throw new ApiError(
+      invoice.status === "draft"
+        ? "A draft invoice is edited or cancelled, not credited"
+        : `A ${invoice.status} invoice cannot be credited`,
+      400
+    );
+  }
+
+  // Pending payments are claimed on the invoice (allocatedAmount) but not paid yet
+  if (round((invoice.allocatedAmount || 0) - invoice.paymentStatus.amountPaid) > 0) {
+    throw new ApiError("A pending payment is allocated to this invoice, complete or release it first", 400);
+  }
+
+  const remainingTotal = round(invoice.totalAmount - (invoice.creditedAmount || 0));
+  if (remainingTotal <= 0) throw new ApiError("This invoice is already fully credited", 400);
+
+  const creditable = await getCreditableLines(invoice);
+  const type = lines?.length ? "partial" : "full";
+  const items = type === "full" ? fullReversal(creditable) : partialReversal(creditable, lines);
+
+  // Same discount share and tax rate as the invoice
+  const subtotal = round(items.reduce((sum, item) => sum + item.amount, 0));
+  const discount = invoice.subtotal > 0 ? round((subtotal * (invoice.discount || 0)) / invoice.subtotal) : 0;
+  const beforeTax = round(subtotal - discount);
+  let taxAmount = round((beforeTax * (invoice.taxRate || 0)) / 100);
+  let totalAmount = round(beforeTax + taxAmount);
+
+  if (type === "full" || totalAmount > remainingTotal) {
+    if (type === "partial" && totalAmount - remainingTotal > 0.01) {
+      throw new ApiError(`Only ${remainingTotal} is left to credit on this invoice`, 400);
+    }
+    // Rounding never leaves a few millimes on the invoice
+    totalAmount = remainingTotal;
+    taxAmount = round(totalAmount - beforeTax);
+  }
+  if (totalAmount <= 0) throw new ApiError("Nothing to credit on this invoice", 400);
+
+  // Claim the amount first, so two credit notes cannot exceed the invoice
+  const claimed = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, creditedAmount: invoice.creditedAmount || 0 },
+    { $inc: { creditedAmount: totalAmount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ApiError("The invoice was credited in the meantime, please try again", 409);
+  }
+
+  let creditNote;
+  try {
+    creditNote = await CreditNote.create({
+      business: invoice.business,
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceType: invoice.invoiceType,
+      type,
+      reason,
+      client: invoice.client,
+      partner: invoice.partner,
+      event: invoice.event,
+      recipientName: invoice.recipientName,
+      recipientEmail: invoice.recipientEmail,
+      recipientPhone: invoice.recipientPhone,
+      recipientAddress: invoice.recipientAddress,
+      recipientCompany: invoice.recipientCompany,
+      currency: invoice.currency,
+      items,
+      subtotal,
+      discount,
+      taxRate: invoice.taxRate,
+      taxAmount,
+      totalAmount,
+      createdBy: userId,
+    });
+  } catch (error) {
+    await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -totalAmount } });
+    throw error;
+  }
+
+  // Nothing left to pay and nothing paid or allocated: the invoice is cancelled by its credit notes
+  if (
+    claimed.creditedAmount >= claimed.totalAmount &&
+    claimed.paymentStatus.amountPaid === 0 &&
+    !claimed.allocatedAmount
+  ) {
+    claimed.status = "cancelled";
+    await claimed.save();
+  }
+  const updated = await refreshInvoicePaymentStatus(invoice._id);
+
+  if (global.io) {
+    global.io.to(invoice.business.toString()).emit("invoice:credited", {
+      id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      creditNoteId: creditNote._id,
+      creditNoteNumber: creditNote.creditNoteNumber,
+      totalAmount: creditNote.totalAmount,
+      status: updated.status,
+    });
+  }
+
+  return { creditNote, invoice: updated };
+};
@@ -165,6 +165,47 @@ export const sendPasswordResetEmail = async ({ email, resetToken, userName }) =>
   }
 };
 
+/**
+ * Send client portal magic link
+ */
+export const sendPortalLinkEmail = async ({ email, link, clientName, businessName, expiresInMinutes }) => {
+  const mailOptions = {
+    from: config.email?.from || process.env.EMAIL_FROM,
+    to: email,
+    subject: `Your client space at ${businessName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your client space</h2>
+        <p>Hi ${clientName},</p>
+        <p>Use the button below to see your events, contracts, invoices and payments with ${businessName}:</p>
+        
+        <a href="${link}" 
+           style="display: inline-block; padding: 12px 24px; background-color: #4F46E5; 
+                  color: white; text-decoration: none; border-radius: 6px; margin: 20px 0;">
+          Open my client space
+        </a>
+        
+        <p style="color: #666; font-size: 14px;">
+          Or copy and paste this link into your browser:<br>
+          <a href="${link}">${link}</a>
+        </p>
+        
+        <p style="color: #666; font-size: 14px;">
+          This link can be used once and expires in ${expiresInMinutes} minutes. If you didn't ask for it, please ignore this email.
+        </p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(` Portal link sent to ${email}`);
+  } catch (error) {
+    console.error(`❌ Error sending portal link to ${email}:`, error);
+    throw new Error("Failed to send portal link email");
+  }
+};
+
 /**
  * Send welcome email
  */
@@ -310,6 +351,7 @@ export default {
   sendInvoiceEmail,
   sendInvitationEmail,
   sendPasswordResetEmail,
+  sendPortalLinkEmail,
   sendWelcomeEmail,
   sendPaymentReceiptEmail,
   sendInvoiceReminderEmail,
@@ -0,0 +1,186 @@
+import { Client, ContractSettings, Invoice } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { formatAddress, getDepositDueDate } from "./quote.service.js";
+
+export const EVENT_INVOICE_TYPES = ["standard", "deposit", "balance"];
+
+const round = (amount) => Number((amount || 0).toFixed(3));
+
+const line = (description, quantity, rate) => ({
+  description,
+  quantity,
+  rate: round(rate),
+  amount: round(quantity * rate),
+});
+
+// What an invoice still bills once its credit notes are deducted, with and without tax
+const netTotal = (invoice) => round(invoice.totalAmount - (invoice.creditedAmount || 0));
+const netAmountHT = (invoice) =>
+  round(
+    invoice.subtotal -
+      (invoice.discount || 0) -
+      (invoice.creditedAmount || 0) / (1 + (invoice.taxRate || 0) / 100)
+  );
+
+/**
+ * Invoice lines of an event, priced the way the event computes its total:
+ * base price, additional services, resources, and the chargeable supplies
+ * when they are billed on top of the base price.
+ * @param {Object} event - Event document (resources.resource populated for the names)
+ * @returns {Array} [{ description, quantity, rate, amount }]
+ */
+export const buildEventInvoiceItems = (event) => {
+  const items = [];
+  const pricing = event.pricing || {};
+
+  if (pricing.basePrice > 0) {
+    items.push(line(event.title, 1, pricing.basePrice));
+  }
+
+  (pricing.additionalServices || [])
+    .filter((service) => service.price)
+    .forEach((service) => items.push(line(service.name || "Service", 1, service.price)));
+
+  (event.resources || [])
+    .filter((booked) => booked.price > 0)
+    .forEach((booked) =>
+      items.push(line(booked.label || booked.resource?.name || "Espace", 1, booked.price))
+    );
+
+  if (event.supplySummary && !event.supplySummary.includeInBasePrice) {
+    (event.supplies || [])
+      .filter(
+        (item) =>
+          item.pricingType === "chargeable" && item.status !== "cancelled" && item.quantityAllocated > 0
+      )
+      .forEach((item) => items.push(line(item.supplyName, item.quantityAllocated, item.chargePerUnit)));
+  }
+
+  return items;
+};
+
+/**
+ * Client invoices already issued for an event (drafts included, cancelled ones excluded)
+ */
+export const getEventInvoices = (event) =>
+  Invoice.find({
+    event: event._id,
+    business: event.businessId,
+    invoiceType: "client",
+    status: { $ne: "cancelled" },
+    isArchived: { $ne: true },
+  }).sort({ issueDate: 1, createdAt: 1 });
+
+/**
+ * What an event costs, what was invoiced for it and what was paid on those invoices
+ */
+export const getEventInvoicingSummary = async (event) => {
+  const invoices = await getEventInvoices(event);
+  const total = round(event.pricing?.totalPriceAfterTax);
+  const invoiced = round(invoices.reduce((sum, invoice) => sum + netTotal(invoice), 0));
+  const paid = round(invoices.reduce((sum, invoice) => sum + invoice.paymentStatus.amountPaid, 0));
+
+  return {
+    invoices,
+    summary: {
+      total,
+      invoiced,
+      remaining: Math.max(0, round(total - invoiced)),
+      paid,
+    },
+  };
+};
+
+/**
+ * Create a draft client invoice from an event.
+ * - standard: every line of the event (only when nothing was invoiced yet)
+ * - deposit: a percentage of the event total (ContractSettings deposit by default)
+ * - balance: every line minus what earlier invoices already billed
+ * @param {Object} event - Event document
+ * @param {Object} options - { billingType, percentage, dueDate, notes, userId }
+ * @returns {Object} The invoice
+ */
+export const createEventInvoice = async (
+  event,
+  { billingType = "standard", percentage, dueDate, notes, userId } = {}
+) => {
+  if (event.status === "cancelled") {
+    throw new ApiError("Cannot invoice a cancelled event", 400);
+  }
+
+  const total = round(event.pricing?.totalPriceAfterTax);
+  if (total <= 0) throw new ApiError("The event has no price to invoice", 400);
+
+  const client = await Client.findOne({ _id: event.clientId, businessId: event.businessId });
+  if (!client) throw new ApiError("Client not found", 404);
+
+  const settings = await ContractSettings.findOne({ business: event.businessId });
+  const earlier = await getEventInvoices(event);
+  const invoicedTotal = round(earlier.reduce((sum, invoice) => sum + netTotal(invoice), 0));
+  const taxRate = event.pricing.taxRate || 0;
+
+  let items;
+  let discount = 0;
+
+  if (billingType === "deposit") {
+    const depositPercentage = percentage ?? settings?.financialDefaults?.depositPercentage ?? 30;
+    const depositAmount = round((total * depositPercentage) / 100);
+    if (round(invoicedTotal + depositAmount) > total) {
+      throw new ApiError(`Only ${round(total - invoicedTotal)} of the event is left to invoice`, 400);
+    }
+    // The deposit is a share of the total including tax
+    const depositHT = round(depositAmount / (1 + taxRate / 100));
+    items = [line(`Acompte ${depositPercentage}% - ${event.title}`, 1, depositHT)];
+  } else {
+    if (billingType === "standard" && earlier.length > 0) {
+      throw new ApiError("The event is already invoiced, create a balance invoice instead", 400);
+    }
+
+    await event.populate("resources.resource", "name");
+    items = buildEventInvoiceItems(event);
+    discount = event.pricing.discount || 0;
+
+    // Earlier invoices (net of their credit notes) are deducted before tax
+    earlier
+      .filter((invoice) => netTotal(invoice) > 0)
+      .forEach((invoice) => {
+        items.push(line(`Déduction facture ${invoice.invoiceNumber}`, 1, -netAmountHT(invoice)));
+      });
+  }
+
+  const subtotal = round(items.reduce((sum, item) => sum + item.amount, 0));
+  const beforeTax = Math.max(0, round(subtotal - discount));
+  const taxAmount = round((beforeTax * taxRate) / 100);
+  const totalAmount = round(beforeTax + taxAmount);
+
+  if (totalAmount <= 0) throw new ApiError("The event is already fully invoiced", 400);
+
+  return Invoice.create({
+    business: event.businessId,
+    invoiceType: "client",
+    billingType,
+    status: "draft",
+    client: client._id,
+    event: event._id,
+    recipientName: client.name,
+    recipientEmail: client.email,
+    recipientPhone: client.phone,
+    recipientCompany: client.company,
+    recipientAddress: formatAddress(client.address),
+    // Deposits within a week, the rest by the event (or today when it already started)
+    dueDate:
+      dueDate ||
+      (billingType === "deposit"
+        ? getDepositDueDate(event.startDate)
+        : new Date(Math.max(Date.now(), event.startDate.getTime()))),
+    currency: settings?.financialDefaults?.currency || "TND",
+    items,
+    subtotal,
+    discount,
+    taxRate,
+    taxAmount,
+    totalAmount,
+    notes,
+    createdBy: userId,
+  });
+};
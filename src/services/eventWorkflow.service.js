@@ -0,0 +1,215 @@
+import { Contract, Payment, Task } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { applyCancellationPolicy } from "./cancellation.service.js";
+import { placeHold, syncHoldAfterUpdate } from "./hold.service.js";
+import { generatePartnerBills } from "./partnerBill.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Allowed moves of the event lifecycle:
+// pending → confirmed → in-progress → completed, cancelled from any open state.
+// Holds/waitlist entries join the main flow through pending or confirmed.
+export const EVENT_TRANSITIONS = {
+  waitlisted: ["hold", "cancelled"],
+  hold: ["pending", "confirmed", "cancelled"],
+  pending: ["hold", "confirmed", "cancelled"],
+  confirmed: ["in-progress", "cancelled"],
+  "in-progress": ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+// Statuses an event can be created with (the rest is reached through transitions)
+export const INITIAL_EVENT_STATUSES = ["pending", "hold"];
+
+export const getAllowedTransitions = (status) => EVENT_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// ==========================================
+// 1. GUARDS (return a reason when the move is blocked)
+// ==========================================
+
+const GUARDS = {
+  // Confirmation needs a commitment from the client:
+  // a signed contract or a received deposit
+  confirmed: async (event) => {
+    const signedContract = await Contract.exists({
+      business: event.businessId,
+      event: event._id,
+      contractType: "client",
+      status: { $in: ["signed", "active"] },
+    });
+    if (signedContract) return null;
+
+    const deposit = await Payment.findOne({
+      businessId: event.businessId,
+      event: event._id,
+      type: "income",
+      status: "completed",
+      isArchived: { $ne: true },
+      $expr: { $gt: ["$amount", { $ifNull: ["$refundAmount", 0] }] },
+    }).select("_id");
+    if (deposit) return null;
+
+    return "A signed contract or a deposit payment is required to confirm this event";
+  },
+};
+
+// ==========================================
+// 2. SIDE-EFFECTS (run after the new status is saved)
+// ==========================================
+
+const createFollowUpTasks = async (event, { userId }) => {
+  const now = Date.now();
+  const base = {
+    businessId: event.businessId,
+    event: event._id,
+    assignedTo: event.createdBy,
+    createdBy: userId,
+    status: "todo",
+    tags: ["follow-up"],
+  };
+
+  const tasks = [
+    {
+      ...base,
+      title: `Thank the client and request a review: ${event.title}`,
+      category: "client_followup",
+      priority: "medium",
+      dueDate: new Date(now + 2 * DAY),
+    },
+  ];
+
+  if (event.paymentInfo?.status !== "paid") {
+    tasks.push({
+      ...base,
+      title: `Collect outstanding balance: ${event.title}`,
+      category: "finance",
+      priority: "high",
+      dueDate: new Date(now + 7 * DAY),
+    });
+  }
+
+  if (event.partners?.length > 0) {
+    tasks.push({
+      ...base,
+      title: `Settle partner services: ${event.title}`,
+      category: "partner_coordination",
+      priority: "medium",
+      dueDate: new Date(now + 7 * DAY),
+    });
+  }
+
+  if (event.supplies?.some((s) => ["allocated", "delivered"].includes(s.status))) {
+    tasks.push({
+      ...base,
+      title: `Post-event inventory check: ${event.title}`,
+      category: "inventory_check",
+      priority: "low",
+      dueDate: new Date(now + DAY),
+    });
+  }
+
+  return Task.insertMany(tasks);
+};
+
+// Side effects of each status, run independently: one failing does not skip the others
+const HOOKS = {
+  confirmed: [
+    async (event, { userId }) => {
+      if (event.supplies?.some((s) => s.status === "pending")) {
+        await event.allocateSupplies(userId);
+      }
+    },
+  ],
+  cancelled: [
+    async (event, { userId }) => {
+      if (event.supplies?.some((s) => ["allocated", "delivered"].includes(s.status))) {
+        await event.returnSupplies(userId);
+      }
+    },
+    applyCancellationPolicy,
+  ],
+  completed: [generatePartnerBills, createFollowUpTasks],
+};
+
+// ==========================================
+// 3. TRANSITIONS
+// ==========================================
+
+/**
+ * Check that an event may move to a status (lifecycle + guards)
+ * @throws {ApiError} 400 when the transition is not allowed or blocked by a guard
+ */
+export const assertTransition = async (event, to, { skipGuards = false } = {}) => {
+  const from = event.status;
+
+  if (from === to) throw new ApiError(`Event is already ${to}`, 400);
+
+  if (!canTransition(from, to)) {
+    throw new ApiError(`Cannot change event status from ${from} to ${to}`, 400, {
+      from,
+      to,
+      allowed: getAllowedTransitions(from),
+    });
+  }
+
+  const guard = GUARDS[to];
+  const blocked = guard && !skipGuards ? await guard(event) : null;
+  if (blocked) {
+    throw new ApiError(blocked, 400, { from, to });
+  }
+};
+
+/**
+ * Move an event through its lifecycle: guard, save (with history), side-effects.
+ * Side-effect failures do not undo the transition; they are returned as warnings.
+ * @param {Object} event - Event document
+ * @param {String} to - Target status
+ * @param {Object} options
+ * @param {ObjectId} options.userId - Who made the change
+ * @param {String} options.reason - Optional note stored in the history
+ * @param {Boolean} options.skipGuards - For system transitions (e.g. accepted quotes)
+ * @param {Date} options.holdExpiresAt - Hold expiry when moving to "hold"
+ * @param {Number} options.holdDays - Hold duration when moving to "hold"
+ * @param {Boolean} options.waivePenalty - Cancel without the policy penalty
+ * @param {Boolean} options.settleCancellation - Create the retained/refund records right away
+ * @returns {Object} { event, warnings }
+ */
+export const transitionEventStatus = async (event, to, options = {}) => {
+  const { userId, reason } = options;
+  await assertTransition(event, to, options);
+
+  const from = event.status;
+  event.$locals.statusChange = { changedBy: userId, reason };
+
+  if (to === "hold") {
+    await placeHold(event, { expiresAt: options.holdExpiresAt, days: options.holdDays });
+  } else {
+    event.status = to;
+    await event.save();
+    await syncHoldAfterUpdate(event, from);
+  }
+
+  const warnings = [];
+  for (const hook of HOOKS[to] || []) {
+    try {
+      await hook(event, { ...options, userId, from });
+    } catch (error) {
+      console.error(`Event ${event._id} ${from} → ${to} side-effect failed:`, error);
+      warnings.push(error.message);
+    }
+  }
+
+  if (global.io) {
+    global.io.to(event.businessId.toString()).emit("event:status-changed", {
+      id: event._id,
+      title: event.title,
+      from,
+      to,
+    });
+  }
+
+  return { event, warnings };
+};
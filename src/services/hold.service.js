@@ -0,0 +1,196 @@
+import { Business, Event, Notification } from "../models/index.js";
+import { agendaService } from "./agenda.service.js";
+import { logger } from "../utils/logger.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiry date for a new hold, from an explicit date or the business default
+ */
+export const resolveHoldExpiry = async (businessId, { expiresAt, days } = {}) => {
+  if (expiresAt) return new Date(expiresAt);
+
+  let holdDays = Number(days);
+  if (!holdDays) {
+    const business = await Business.findById(businessId).select("settings");
+    holdDays = business?.settings?.holdDurationDays || 7;
+  }
+
+  return new Date(Date.now() + holdDays * DAY);
+};
+
+/**
+ * Notify the team that a hold changed state (persistent + socket)
+ */
+const notifyHoldChange = async (event, { title, message, socketEvent }) => {
+  if (event.createdBy) {
+    await Notification.create({
+      recipient: event.createdBy,
+      businessId: event.businessId,
+      type: "alert",
+      title,
+      message,
+      data: {
+        entityId: event._id,
+        entityType: "Event",
+        link: `/events/${event._id}`,
+      },
+    });
+  }
+
+  if (global.io) {
+    global.io.to(event.businessId.toString()).emit(socketEvent, {
+      id: event._id,
+      title: event.title,
+      status: event.status,
+      holdExpiresAt: event.holdExpiresAt,
+    });
+  }
+};
+
+/**
+ * Place (or extend) a tentative hold on an event and schedule its expiry
+ */
+export const placeHold = async (event, options = {}) => {
+  if (event.status !== "hold") {
+    event.$locals.statusChange ??= { reason: "Tentative hold placed" };
+  }
+  event.status = "hold";
+  event.holdExpiresAt = await resolveHoldExpiry(event.businessId, options);
+  event.holdReleasedAt = undefined;
+  event.holdReleaseReason = undefined;
+  event.waitlistedBehind = undefined;
+
+  await event.save();
+  await agendaService.scheduleHoldExpiry(event);
+
+  return event;
+};
+
+/**
+ * Promote the next waitlisted prospect once a hold has lapsed.
+ * Entries that now collide with another booking are skipped.
+ * @returns {Object|null} The promoted event
+ */
+export const promoteWaitlist = async (releasedEvent) => {
+  const queue = await Event.find({
+    waitlistedBehind: releasedEvent._id,
+    status: "waitlisted",
+    isArchived: { $ne: true },
+  }).sort({ waitlistedAt: 1 });
+
+  for (const candidate of queue) {
+    try {
+      await placeHold(candidate);
+    } catch (error) {
+      logger.warn(`Waitlist entry ${candidate._id} could not be promoted: ${error.message}`);
+      continue;
+    }
+
+    // Everyone still waiting now queues behind the promoted hold
+    const remaining = queue
+      .filter((e) => e._id.toString() !== candidate._id.toString())
+      .map((e) => e._id);
+    if (remaining.length > 0) {
+      await Event.updateMany(
+        { _id: { $in: remaining } },
+        { waitlistedBehind: candidate._id }
+      );
+    }
+
+    await notifyHoldChange(candidate, {
+      title: `Waitlist promoted: ${candidate.title}`,
+      message: `The slot is now on hold for this prospect until ${candidate.holdExpiresAt.toISOString()}`,
+      socketEvent: "event:hold-promoted",
+    });
+
+    return candidate;
+  }
+
+  return null;
+};
+
+/**
+ * Cancel the waitlist of a hold that was converted into a booking:
+ * the slot will not be released any more
+ * @returns {Array} The cancelled waitlist entries
+ */
+export const closeWaitlist = async (bookedEvent) => {
+  const queue = await Event.find({
+    waitlistedBehind: bookedEvent._id,
+    status: "waitlisted",
+    isArchived: { $ne: true },
+  });
+
+  for (const entry of queue) {
+    entry.$locals.statusChange = { reason: `Slot booked by ${bookedEvent.title}` };
+    entry.status = "cancelled";
+    await entry.save();
+
+    await notifyHoldChange(entry, {
+      title: `Waitlist closed: ${entry.title}`,
+      message: `The slot this prospect was waiting for was booked by "${bookedEvent.title}".`,
+      socketEvent: "event:waitlist-closed",
+    });
+  }
+
+  return queue;
+};
+
+/**
+ * Release a hold (manually or on expiry) and promote the waitlist
+ * @param {Object} event - Event document currently on hold
+ * @param {String} reason - "expired" | "released"
+ */
+export const releaseHold = async (event, reason = "released") => {
+  event.$locals.statusChange = { reason: `Hold ${reason}` };
+  event.status = "cancelled";
+  event.holdReleasedAt = new Date();
+  event.holdReleaseReason = reason;
+  await event.save();
+
+  await agendaService.cancelHoldJobs(event._id);
+
+  if (reason === "expired") {
+    await notifyHoldChange(event, {
+      title: `Hold expired: ${event.title}`,
+      message: "The tentative hold lapsed without confirmation and the slot was released.",
+      socketEvent: "event:hold-expired",
+    });
+  }
+
+  const promoted = await promoteWaitlist(event);
+  return { event, promoted };
+};
+
+/**
+ * Keep the expiry job and waitlist in sync after a generic event update
+ * @param {Object} event - Saved event document
+ * @param {String} previousStatus - Status before the update
+ */
+export const syncHoldAfterUpdate = async (event, previousStatus) => {
+  if (event.status === "hold") {
+    await agendaService.scheduleHoldExpiry(event);
+    return;
+  }
+
+  if (previousStatus === "hold") {
+    await agendaService.cancelHoldJobs(event._id);
+    if (event.status === "cancelled") await promoteWaitlist(event);
+    // Converted to pending / confirmed: the slot stays booked
+    else await closeWaitlist(event);
+  }
+};
+
+/**
+ * Agenda entry point: expire a hold if it is still pending at its deadline
+ */
+export const expireHold = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.status !== "hold" || event.isArchived) return null;
+
+  // Hold was extended after this job was scheduled
+  if (event.holdExpiresAt && event.holdExpiresAt > new Date()) return null;
+
+  return releaseHold(event, "expired");
+};
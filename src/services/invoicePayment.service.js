@@ -0,0 +1,425 @@
+import { Event, Invoice, Payment } from "../models/index.js";
+import { ALLOCATABLE_STATUSES } from "../models/Payment.js";
+import ApiError from "../utils/ApiError.js";
+
+const round = (amount) => Number((amount || 0).toFixed(3));
+
+// Payments whose allocations count (a refunded payment keeps what was not refunded)
+const SETTLED_STATUSES = ["completed", "refunded"];
+
+// Invoices that cannot receive payments
+const UNPAYABLE_STATUSES = ["draft", "cancelled"];
+
+// Income settles client invoices, expenses settle partner bills
+const INVOICE_TYPE_FOR = { income: "client", expense: "partner" };
+
+/**
+ * What a payment has allocated, and what it still holds
+ */
+export const getAllocatedAmount = (payment) =>
+  round((payment.allocations || []).reduce((sum, allocation) => sum + allocation.amount, 0));
+
+export const getUnallocatedAmount = (payment) =>
+  round(payment.amount - (payment.refundAmount || 0) - getAllocatedAmount(payment));
+
+/**
+ * Recalculate the event payment summary (paymentInfo) from its income payments
+ */
+export const updateEventPaymentSummary = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event) return;
+
+  // Get all non-archived completed income payments for this event
+  const allPayments = await Payment.find({
+    event: eventId,
+    status: "completed",
+    type: "income",
+    isArchived: false,
+  });
+
+  // Calculate total net amount paid
+  const totalPaid = allPayments.reduce((sum, p) => sum + p.netAmount, 0);
+
+  // Update Event Model field: paymentInfo (matches the new Schema)
+  if (!event.paymentInfo) {
+    event.paymentInfo = {
+      paidAmount: 0,
+      status: 'unpaid',
+      transactions: []
+    };
+  }
+
+  event.paymentInfo.paidAmount = totalPaid;
+  event.paymentInfo.transactions = allPayments.map(p => p._id);
+
+  // Check against pricing.totalPriceAfterTax (matches new Schema)
+  const totalEventCost = event.pricing ? event.pricing.totalPriceAfterTax : 0;
+
+  if (totalEventCost > 0 && totalPaid >= totalEventCost) {
+    event.paymentInfo.status = "paid";
+  } else if (totalPaid > 0) {
+    event.paymentInfo.status = "partial";
+  } else {
+    event.paymentInfo.status = "unpaid";
+  }
+
+  await event.save();
+};
+
+/**
+ * Recalculate what an invoice has been paid from the payments allocated to it,
+ * and move it to paid / partial (or back to sent / overdue when nothing is left)
+ * @returns {Object|null} The invoice
+ */
+export const refreshInvoicePaymentStatus = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return null;
+
+  const payments = await Payment.find({
+    "allocations.invoice": invoice._id,
+    status: { $in: SETTLED_STATUSES },
+    isArchived: false,
+  }).select("allocations paidDate");
+
+  let amountPaid = 0;
+  let lastPaymentDate;
+  payments.forEach((payment) => {
+    payment.allocations
+      .filter((allocation) => allocation.invoice.equals(invoice._id))
+      .forEach((allocation) => {
+        amountPaid += allocation.amount;
+        const paidAt = payment.paidDate || allocation.allocatedAt;
+        if (!lastPaymentDate || paidAt > lastPaymentDate) lastPaymentDate = paidAt;
+      });
+  });
+
+  invoice.paymentStatus.amountPaid = round(amountPaid);
+  invoice.paymentStatus.amountDue = Math.max(
+    0,
+    round(invoice.totalAmount - (invoice.creditedAmount || 0) - amountPaid)
+  );
+  invoice.paymentStatus.lastPaymentDate = lastPaymentDate;
+
+  if (!UNPAYABLE_STATUSES.includes(invoice.status)) {
+    if (amountPaid > 0 && invoice.paymentStatus.amountDue === 0) {
+      invoice.status = "paid";
+    } else if (amountPaid > 0) {
+      invoice.status = "partial";
+    } else if (["paid", "partial"].includes(invoice.status)) {
+      invoice.status = invoice.dueDate < new Date() ? "overdue" : "sent";
+    }
+  }
+
+  await invoice.save();
+
+  if (global.io) {
+    global.io.to(invoice.business.toString()).emit("invoice:payment-updated", {
+      id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      amountPaid: invoice.paymentStatus.amountPaid,
+      amountDue: invoice.paymentStatus.amountDue,
+    });
+  }
+
+  return invoice;
+};
+
+/**
+ * Refresh every invoice a payment is (or was) allocated to
+ * @param {Array} extraInvoiceIds - Invoices whose allocation was just removed
+ */
+export const refreshPaymentInvoices = async (payment, extraInvoiceIds = []) => {
+  const ids = new Set([
+    ...(payment.allocations || []).map((allocation) => allocation.invoice.toString()),
+    ...extraInvoiceIds.map(String),
+  ]);
+  for (const id of ids) {
+    await refreshInvoicePaymentStatus(id);
+  }
+};
+
+// Amount of each invoice already claimed by allocations (settled or pending)
+const getCommittedAmounts = async (invoiceIds) => {
+  const rows = await Payment.aggregate([
+    {
+      $match: {
+        "allocations.invoice": { $in: invoiceIds },
+        status: { $in: ALLOCATABLE_STATUSES },
+        isArchived: false,
+      },
+    },
+    { $unwind: "$allocations" },
+    { $match: { "allocations.invoice": { $in: invoiceIds } } },
+    { $group: { _id: "$allocations.invoice", amount: { $sum: "$allocations.amount" } } },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.amount]));
+};
+
+// Claim an amount on an invoice, only while it stays within what the invoice owes
+const claimInvoiceAmount = (invoice, amount) =>
+  Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      status: { $nin: UNPAYABLE_STATUSES },
+      $expr: {
+        $lte: [
+          { $round: [{ $add: [{ $ifNull: ["$allocatedAmount", 0] }, amount] }, 3] },
+          { $round: [{ $subtract: ["$totalAmount", { $ifNull: ["$creditedAmount", 0] }] }, 3] },
+        ],
+      },
+    },
+    { $inc: { allocatedAmount: amount } },
+    { new: true }
+  );
+
+// What a payment still holds, computed by the database
+const UNALLOCATED_EXPR = {
+  $round: [
+    {
+      $subtract: [
+        { $subtract: ["$amount", { $ifNull: ["$refundAmount", 0] }] },
+        { $sum: "$allocations.amount" },
+      ],
+    },
+    3,
+  ],
+};
+
+/**
+ * Allocate a payment to one or more invoices.
+ * An allocation without an amount takes as much as the invoice owes and the payment holds.
+ * The amounts are claimed atomically on the invoices, then on the payment (only if what it
+ * holds did not change meanwhile), so parallel allocations never over-allocate or over-pay.
+ * @param {Object} payment - Payment document
+ * @param {Array} allocations - [{ invoice, amount }]
+ * @param {ObjectId} userId
+ * @returns {Object} The updated payment
+ */
+export const allocatePayment = async (payment, allocations, userId) => {
+  if (payment.isArchived) throw new ApiError("Cannot allocate an archived payment", 400);
+  if (!ALLOCATABLE_STATUSES.includes(payment.status)) {
+    throw new ApiError(`A ${payment.status} payment cannot be allocated to invoices`, 400);
+  }
+
+  const invoiceIds = [...new Set(allocations.map((allocation) => allocation.invoice.toString()))];
+  const invoices = await Invoice.find({
+    _id: { $in: invoiceIds },
+    business: payment.businessId,
+    isArchived: { $ne: true },
+  });
+  if (invoices.length !== invoiceIds.length) {
+    throw new ApiError("One or more invoices not found", 404);
+  }
+
+  const committed = await getCommittedAmounts(invoices.map((invoice) => invoice._id));
+  const unallocated = getUnallocatedAmount(payment);
+  let available = unallocated;
+  const nextAllocations = payment.allocations.map((allocation) => allocation.toObject());
+  const planned = [];
+
+  for (const { invoice: invoiceId, amount } of allocations) {
+    const invoice = invoices.find((inv) => inv._id.equals(invoiceId));
+
+    if (UNPAYABLE_STATUSES.includes(invoice.status)) {
+      throw new ApiError(`Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot be paid`, 400);
+    }
+    if (invoice.invoiceType !== INVOICE_TYPE_FOR[payment.type]) {
+      throw new ApiError(
+        `An ${payment.type} payment cannot settle ${invoice.invoiceType} invoice ${invoice.invoiceNumber}`,
+        400
+      );
+    }
+    if (payment.client && invoice.client && !invoice.client.equals(payment.client)) {
+      throw new ApiError(`Invoice ${invoice.invoiceNumber} belongs to another client`, 400);
+    }
+
+    const key = invoice._id.toString();
+    const due = round(invoice.totalAmount - (invoice.creditedAmount || 0) - (committed.get(key) || 0));
+    const allocated = round(amount ?? Math.min(due, available));
+    if (allocated <= 0) {
+      throw new ApiError(
+        due <= 0 ? `Invoice ${invoice.invoiceNumber} is already paid` : "The payment has nothing left to allocate",
+        400
+      );
+    }
+    if (allocated > due) {
+      throw new ApiError(`Only ${due} is due on invoice ${invoice.invoiceNumber}`, 400);
+    }
+    if (allocated > available) {
+      throw new ApiError(`The payment only has ${available} left to allocate`, 400);
+    }
+
+    available = round(available - allocated);
+    committed.set(key, round((committed.get(key) || 0) + allocated));
+    planned.push({ invoice, amount: allocated });
+
+    const existing = nextAllocations.find((allocation) => allocation.invoice.equals(invoice._id));
+    if (existing) {
+      existing.amount = round(existing.amount + allocated);
+      existing.allocatedAt = new Date();
+      existing.allocatedBy = userId;
+    } else {
+      nextAllocations.push({ invoice: invoice._id, amount: allocated, allocatedAt: new Date(), allocatedBy: userId });
+    }
+  }
+
+  const claimed = [];
+  let updated;
+  try {
+    for (const { invoice, amount } of planned) {
+      if (!(await claimInvoiceAmount(invoice, amount))) {
+        throw new ApiError(`Invoice ${invoice.invoiceNumber} was paid in the meantime, please try again`, 409);
+      }
+      claimed.push({ invoice, amount });
+    }
+
+    updated = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        isArchived: false,
+        status: { $in: ALLOCATABLE_STATUSES },
+        $expr: { $eq: [UNALLOCATED_EXPR, unallocated] },
+      },
+      { $set: { allocations: nextAllocations } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new ApiError("The payment was allocated in the meantime, please try again", 409);
+    }
+  } catch (error) {
+    await Promise.all(
+      claimed.map(({ invoice, amount }) =>
+        Invoice.updateOne({ _id: invoice._id }, { $inc: { allocatedAmount: -amount } })
+      )
+    );
+    throw error;
+  }
+
+  await refreshPaymentInvoices(updated);
+
+  return updated;
+};
+
+/**
+ * Remove the allocation of a payment to an invoice (the invoice owes it again)
+ */
+export const releaseAllocation = async (payment, invoiceId) => {
+  const allocation = payment.allocations.find((a) => a.invoice.equals(invoiceId));
+  if (!allocation) throw new ApiError("This payment is not allocated to that invoice", 404);
+
+  payment.allocations.pull(allocation._id);
+  await payment.save();
+  await refreshPaymentInvoices(payment, [invoiceId]);
+
+  return payment;
+};
+
+/**
+ * Un-archive a payment. Its allocations are claimed again on their invoices, atomically
+ * like new ones: those that no longer fit (the invoice was paid or credited meanwhile) are dropped.
+ * @returns {Object} { payment, dropped } - dropped: invoice ids of the allocations removed
+ */
+export const restoreArchivedPayment = async (payment) => {
+  const counts = ALLOCATABLE_STATUSES.includes(payment.status);
+  const kept = [];
+  const dropped = [];
+  const claimed = [];
+  let restored;
+  try {
+    for (const allocation of payment.allocations) {
+      if (counts && !(await claimInvoiceAmount({ _id: allocation.invoice }, allocation.amount))) {
+        dropped.push(allocation.invoice);
+        continue;
+      }
+      if (counts) claimed.push(allocation);
+      kept.push(allocation.toObject());
+    }
+
+    restored = await Payment.findOneAndUpdate(
+      { _id: payment._id, isArchived: true },
+      { $set: { isArchived: false, allocations: kept }, $unset: { archivedAt: 1, archivedBy: 1 } },
+      { new: true }
+    );
+    if (!restored) throw new ApiError("The payment was restored in the meantime", 409);
+  } catch (error) {
+    await Promise.all(
+      claimed.map(({ invoice, amount }) =>
+        Invoice.updateOne({ _id: invoice }, { $inc: { allocatedAmount: -amount } })
+      )
+    );
+    throw error;
+  }
+
+  await refreshPaymentInvoices(restored);
+
+  return { payment: restored, dropped };
+};
+
+/**
+ * After a refund, take the refunded money back from the invoices, latest allocation first.
+ * Call before saving the payment, then refreshPaymentInvoices with the returned ids.
+ * @returns {Array} Ids of the invoices whose allocation shrank or disappeared
+ */
+export const rollbackAllocationsForRefund = (payment) => {
+  const retained = round(payment.amount - (payment.refundAmount || 0));
+  let excess = round(getAllocatedAmount(payment) - retained);
+  const affected = [];
+
+  for (let i = payment.allocations.length - 1; i >= 0 && excess > 0; i--) {
+    const allocation = payment.allocations[i];
+    const taken = Math.min(allocation.amount, excess);
+    affected.push(allocation.invoice);
+    excess = round(excess - taken);
+
+    if (taken >= allocation.amount) {
+      payment.allocations.splice(i, 1);
+    } else {
+      allocation.amount = round(allocation.amount - taken);
+    }
+  }
+
+  return affected;
+};
+
+/**
+ * Record a payment for an invoice and allocate it (the "mark as paid" shortcut)
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { amount (defaults to what is due), method, reference, paidDate, userId }
+ * @returns {Object} { payment, invoice }
+ */
+export const recordInvoicePayment = async (
+  invoice,
+  { amount, method = "bank_transfer", reference, paidDate, userId }
+) => {
+  const due = invoice.paymentStatus.amountDue;
+  if (due <= 0) throw new ApiError("This invoice is already paid", 400);
+
+  const created = await Payment.create({
+    businessId: invoice.business,
+    type: invoice.invoiceType === "partner" ? "expense" : "income",
+    amount: amount ?? due,
+    method,
+    status: "completed",
+    reference,
+    description: `Invoice ${invoice.invoiceNumber}`,
+    paidDate: paidDate || new Date(),
+    client: invoice.client,
+    event: invoice.event,
+    processedBy: userId,
+  });
+
+  let payment;
+  try {
+    payment = await allocatePayment(created, [{ invoice: invoice._id, amount: created.amount }], userId);
+  } catch (error) {
+    await created.deleteOne();
+    throw error;
+  }
+
+  if (payment.event && payment.type === "income") {
+    await updateEventPaymentSummary(payment.event);
+  }
+
+  return { payment, invoice: await Invoice.findById(invoice._id) };
+};
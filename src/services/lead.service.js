@@ -0,0 +1,253 @@
+import { Business, Client, Event, Lead, Notification } from "../models/index.js";
+import { LEAD_STAGES } from "../models/Lead.js";
+import ApiError from "../utils/ApiError.js";
+import { toDateOnly } from "../utils/scheduling.js";
+import { applySpacePricing } from "./pricing.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Number((value || 0).toFixed(1));
+
+/**
+ * Record a public inquiry as a lead. A prospect who writes again while
+ * their lead is still open gets an activity on that lead instead of a duplicate.
+ * The business owner is notified (persistent + socket).
+ * @param {ObjectId} businessId
+ * @param {Object} inquiry - { name, email, phone, company, eventType, expectedEventDate, guestCount, budget, message }
+ * @param {Object} options - { source, sourceDetails }
+ * @returns {Object} { lead, isNew }
+ */
+export const createInquiryLead = async (businessId, inquiry, { source = "inquiry_form", sourceDetails } = {}) => {
+  const business = await Business.findById(businessId).select("owner name");
+  if (!business) throw new ApiError("Business not found", 404);
+
+  const details = {
+    eventType: inquiry.eventType,
+    expectedEventDate: inquiry.expectedEventDate ? toDateOnly(inquiry.expectedEventDate) : undefined,
+    guestCount: inquiry.guestCount,
+    budget: inquiry.budget,
+  };
+
+  let lead = inquiry.email
+    ? await Lead.findOne({
+        businessId,
+        email: inquiry.email.toLowerCase(),
+        stage: { $nin: ["won", "lost"] },
+        isArchived: false,
+      })
+    : null;
+  const isNew = !lead;
+
+  if (lead) {
+    // Fill in what we did not know yet
+    Object.entries({ ...details, phone: inquiry.phone, company: inquiry.company }).forEach(
+      ([field, value]) => {
+        if (value !== undefined && lead[field] == null) lead[field] = value;
+      }
+    );
+    lead.activities.push({ type: "inquiry", note: inquiry.message });
+    await lead.save();
+  } else {
+    lead = await Lead.create({
+      ...details,
+      name: inquiry.name,
+      email: inquiry.email,
+      phone: inquiry.phone,
+      company: inquiry.company,
+      message: inquiry.message,
+      source,
+      sourceDetails,
+      businessId,
+    });
+  }
+
+  const recipient = lead.assignedTo || business.owner;
+  await Notification.create({
+    recipient,
+    businessId,
+    type: "alert",
+    title: isNew ? "New inquiry" : "New message from a lead",
+    message: `${lead.name}${lead.eventType ? ` (${lead.eventType})` : ""} sent an inquiry`,
+    data: { entityId: lead._id, entityType: "Lead", link: `/leads/${lead._id}` },
+  });
+
+  if (global.io) {
+    global.io.to(businessId.toString()).emit(isNew ? "lead:created" : "lead:updated", {
+      id: lead._id,
+      name: lead.name,
+      stage: lead.stage,
+      source: lead.source,
+    });
+  }
+
+  return { lead, isNew };
+};
+
+/**
+ * Convert a lead: create (or link) the Client and optionally book an Event.
+ * The lead moves to "won" and keeps its history; Client and Event point back to it.
+ * @param {Object} lead - Lead document
+ * @param {Object} options
+ * @param {ObjectId} options.userId - Who converts
+ * @param {ObjectId} options.clientId - Link an existing client instead of creating one
+ * @param {Object} options.client - Overrides for the new client (e.g. a missing phone)
+ * @param {Object} options.event - Booking to create (dates, times, resourceId...); none when omitted
+ * @returns {Object} { lead, client, event }
+ */
+export const convertLead = async (lead, { userId, clientId, client: clientData = {}, event: eventData } = {}) => {
+  if (lead.client) throw new ApiError("Lead is already converted", 400);
+  if (lead.stage === "lost") throw new ApiError("Reopen the lead before converting it", 400);
+
+  const { businessId } = lead;
+
+  // 1. Client: the chosen one, else an existing client with the same email, else a new one
+  let client = null;
+  let createdClient = false;
+  if (clientId) {
+    client = await Client.findOne({ _id: clientId, businessId, isArchived: { $ne: true } });
+    if (!client) throw new ApiError("Client not found", 404);
+  } else {
+    const email = (clientData.email || lead.email)?.toLowerCase();
+    if (email) client = await Client.findOne({ businessId, email });
+
+    if (!client) {
+      const data = {
+        name: clientData.name || lead.name,
+        email,
+        phone: clientData.phone || lead.phone,
+        company: clientData.company || lead.company,
+        address: clientData.address,
+        notes: clientData.notes,
+      };
+      if (!data.email || !data.phone) {
+        throw new ApiError("An email and a phone number are required to create the client", 400);
+      }
+      client = await Client.create({ ...data, lead: lead._id, businessId, createdBy: userId });
+      createdClient = true;
+    }
+  }
+
+  // 2. Optional booking (pending: confirmation goes through the event workflow)
+  let event = null;
+  if (eventData) {
+    const startDate = eventData.startDate || lead.expectedEventDate;
+    if (!startDate) {
+      if (createdClient) await Client.deleteOne({ _id: client._id });
+      throw new ApiError("An event date is required to book the event", 400);
+    }
+
+    try {
+      event = new Event({
+        title: eventData.title || `${lead.eventType || "Event"} - ${client.name}`,
+        type: eventData.type || lead.eventType || "other",
+        clientId: client._id,
+        businessId,
+        createdBy: userId,
+        lead: lead._id,
+        resourceId: eventData.resourceId,
+        startDate: toDateOnly(startDate),
+        endDate: toDateOnly(eventData.endDate || startDate),
+        startTime: eventData.startTime,
+        endTime: eventData.endTime,
+        guestCount: eventData.guestCount || lead.guestCount,
+        status: "pending",
+        notes: eventData.notes,
+      });
+      await applySpacePricing(event);
+      await event.save();
+    } catch (error) {
+      if (createdClient) await Client.deleteOne({ _id: client._id });
+      throw error;
+    }
+  }
+
+  // 3. Close the lead as won
+  lead.client = client._id;
+  lead.event = event?._id;
+  lead.convertedAt = new Date();
+  lead.convertedBy = userId;
+  lead.$locals.stageChange = { changedBy: userId, note: "Converted" };
+  lead.stage = "won";
+  lead.activities.push({
+    type: "note",
+    note: event ? `Converted to client ${client.name} with event "${event.title}"` : `Converted to client ${client.name}`,
+    createdBy: userId,
+  });
+  await lead.save();
+
+  return { lead, client, event };
+};
+
+/**
+ * Pipeline report: conversion by source and time spent in each stage
+ * @param {ObjectId} businessId
+ * @param {Object} range - { from, to } on the lead creation date
+ */
+export const getLeadReport = async (businessId, { from, to } = {}) => {
+  const query = { businessId, isArchived: false };
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const leads = await Lead.find(query)
+    .select("source stage stageHistory createdAt convertedAt budget")
+    .lean();
+
+  const emptyCounts = () => ({ total: 0, open: 0, won: 0, lost: 0, wonBudget: 0 });
+  const overall = emptyCounts();
+  const sources = {};
+  const stays = {}; // stage -> durations (days) of completed stays
+  const current = {}; // stage -> leads currently in it
+  const daysToConvert = [];
+
+  leads.forEach((lead) => {
+    const counts = (sources[lead.source] ||= emptyCounts());
+    const outcome = ["won", "lost"].includes(lead.stage) ? lead.stage : "open";
+    [overall, counts].forEach((c) => {
+      c.total += 1;
+      c[outcome] += 1;
+      if (outcome === "won") c.wonBudget += lead.budget || 0;
+    });
+
+    if (lead.convertedAt) daysToConvert.push((lead.convertedAt - lead.createdAt) / DAY);
+
+    // A stay ends when the next stage change happens
+    const history = [...(lead.stageHistory || [])].sort((a, b) => a.changedAt - b.changedAt);
+    history.forEach((entry, index) => {
+      const next = history[index + 1];
+      if (next) {
+        (stays[entry.to] ||= []).push((next.changedAt - entry.changedAt) / DAY);
+      } else {
+        current[entry.to] = (current[entry.to] || 0) + 1;
+      }
+    });
+  });
+
+  // conversionRate: won / all leads; winRate: won / closed leads
+  const withRates = (c) => ({
+    ...c,
+    conversionRate: c.total ? round((c.won / c.total) * 100) : 0,
+    winRate: c.won + c.lost ? round((c.won / (c.won + c.lost)) * 100) : 0,
+  });
+  const average = (values) => (values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+  return {
+    overall: {
+      ...withRates(overall),
+      averageDaysToConvert: average(daysToConvert),
+    },
+    bySource: Object.entries(sources)
+      .map(([source, counts]) => ({ source, ...withRates(counts) }))
+      .sort((a, b) => b.total - a.total),
+    stageDurations: LEAD_STAGES
+      .filter((stage) => !["won", "lost"].includes(stage))
+      .map((stage) => ({
+        stage,
+        averageDays: average(stays[stage] || []),
+        completedStays: (stays[stage] || []).length,
+        currentlyInStage: current[stage] || 0,
+      })),
+  };
+};
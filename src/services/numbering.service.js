@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+// Imported directly (not through models/index.js): the models use this service
+// in their hooks, settings models are looked up lazily for the same reason
+import Counter from "../models/Counter.js";
+import { logger } from "../utils/logger.js";
+import { getZonedParts } from "../utils/scheduling.js";
+import { resolveBusinessTimeZone } from "./booking.service.js";
+
+// Formats used until a business configures its own
+// (contracts: ContractSettings.structure, the rest: InvoiceSettings.numbering)
+export const DEFAULT_NUMBERING = {
+  invoice: { prefix: "INV", separator: "-", includeYear: true, yearFormat: "YY", sequenceDigits: 4, resetSequenceYearly: true },
+  bill: { prefix: "BILL", separator: "-", includeYear: true, yearFormat: "YY", sequenceDigits: 4, resetSequenceYearly: true },
+  creditNote: { prefix: "AVOIR", separator: "-", includeYear: true, yearFormat: "YY", sequenceDigits: 4, resetSequenceYearly: true },
+  quote: { prefix: "DEV", separator: "-", includeYear: true, yearFormat: "YY", sequenceDigits: 4, resetSequenceYearly: true },
+  contract: { prefix: "CTR", separator: "-", includeYear: true, yearFormat: "YYYY", sequenceDigits: 4, resetSequenceYearly: true },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const formatYear = (structure, year) =>
+  structure.yearFormat === "YY" ? String(year).slice(-2) : String(year);
+
+// "all" when the sequence never restarts
+const getPeriod = (structure, year) =>
+  structure.includeYear && structure.resetSequenceYearly ? String(year) : "all";
+
+/**
+ * Build a document number, e.g. { prefix: "INV", separator: "-", yearFormat: "YY" } → INV-25-0001
+ * @param {Number} year - Year of issue in the business time zone
+ */
+export const formatDocumentNumber = (structure, year, seq) => {
+  const separator = structure.separator || "";
+  let number = structure.prefix ? `${structure.prefix}${separator}` : "";
+  if (structure.includeYear) number += `${formatYear(structure, year)}${separator}`;
+  return number + String(seq).padStart(structure.sequenceDigits || 4, "0");
+};
+
+/**
+ * Numbering format of a kind of document for a business (defaults completed)
+ * @param {String} key - invoice | bill | creditNote | quote | contract
+ */
+export const getNumberingStructure = async (businessId, key) => {
+  const settings =
+    key === "contract"
+      ? await mongoose.model("ContractSettings").findOne({ business: businessId }).select("structure").lean()
+      : await mongoose.model("InvoiceSettings").findOne({ business: businessId }).select("numbering").lean();
+
+  const configured = key === "contract" ? settings?.structure : settings?.numbering?.[key];
+  return { ...DEFAULT_NUMBERING[key], ...configured };
+};
+
+// Highest sequence already used in this format (numbers issued before the counter existed)
+const findHighestSequence = async (Model, { businessField, field, businessId, structure, year }) => {
+  const separator = escapeRegex(structure.separator || "");
+  let pattern = structure.prefix ? `^${escapeRegex(structure.prefix)}${separator}` : "^";
+  if (structure.includeYear) {
+    const yearPattern = structure.resetSequenceYearly ? formatYear(structure, year) : "(?:\\d{2}|\\d{4})";
+    pattern += `${yearPattern}${separator}`;
+  }
+  const regex = new RegExp(`${pattern}(\\d+)$`);
+
+  const docs = await Model.find({ [businessField]: businessId, [field]: regex }).select(field).lean();
+  return docs.reduce((max, doc) => Math.max(max, Number(doc[field].match(regex)[1])), 0);
+};
+
+/**
+ * Take the next number of a sequence. The counter is updated atomically,
+ * so parallel requests never get the same number.
+ * @returns {Object} { number, key, period, seq }
+ */
+export const reserveDocumentNumber = async (Model, { businessField, field, businessId, key }) => {
+  const structure = await getNumberingStructure(businessId, key);
+  // The year changes at midnight of the business, not of the server
+  const { year } = getZonedParts(new Date(), await resolveBusinessTimeZone(businessId));
+  const filter = { business: businessId, key, period: getPeriod(structure, year) };
+
+  // First number of the period: continue after the numbers already issued
+  if (!(await Counter.exists(filter))) {
+    const seed = await findHighestSequence(Model, { businessField, field, businessId, structure, year });
+    try {
+      await Counter.updateOne(filter, { $max: { seq: seed } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const { seq } = await Counter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true });
+
+  return {
+    number: formatDocumentNumber(structure, year, seq),
+    key,
+    period: filter.period,
+    seq,
+  };
+};
+
+/**
+ * Hand back the number of a document that was not saved (or was rolled back).
+ * Only the last number issued can be taken back: once a later number exists,
+ * issuing this one again would break the order of the sequence.
+ */
+export const releaseDocumentNumber = async (doc, businessId) => {
+  const reserved = doc.$locals.reservedNumber;
+  if (!reserved) return;
+  doc.$locals.reservedNumber = null;
+
+  try {
+    await Counter.updateOne(
+      { business: businessId, key: reserved.key, period: reserved.period, seq: reserved.seq },
+      { $inc: { seq: -1 } }
+    );
+  } catch (error) {
+    logger.error(`Could not release document number ${reserved.number}: ${error.message}`);
+  }
+};
+
+/**
+ * Schema plugin: number new documents from the business counter.
+ * @param {Object} options
+ * @param {String} options.field - Number field (e.g. "invoiceNumber")
+ * @param {String} options.businessField - "business" or "businessId"
+ * @param {Function} options.key - (doc) => counter key
+ */
+export const documentNumbering = (schema, { field, businessField = "business", key }) => {
+  schema.pre("validate", async function (next) {
+    if (!this.isNew || this[field]) return next();
+
+    try {
+      const reserved = await reserveDocumentNumber(this.constructor, {
+        businessField,
+        field,
+        businessId: this[businessField],
+        key: key(this),
+      });
+      this[field] = reserved.number;
+      this.$locals.reservedNumber = { ...reserved, saved: false };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post("save", function (doc) {
+    if (doc.$locals.reservedNumber) doc.$locals.reservedNumber.saved = true;
+  });
+
+  // Validation or insert failed: the number is handed back if it is still the last one
+  schema.post("save", async function (error, doc, next) {
+    if (doc.isNew && doc.$locals.reservedNumber && !doc.$locals.reservedNumber.saved) {
+      await releaseDocumentNumber(doc, doc[businessField]);
+      doc.set(field, undefined);
+    }
+    next(error);
+  });
+
+  // Created then removed in the same request (e.g. a rolled back quote conversion)
+  schema.post("deleteOne", { document: true, query: false }, async function (doc) {
+    await releaseDocumentNumber(doc, doc[businessField]);
+  });
+};
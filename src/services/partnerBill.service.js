@@ -0,0 +1,194 @@
+import { Invoice, Partner } from "../models/index.js";
+import { formatAddress } from "./quote.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (amount) => Number((amount || 0).toFixed(3));
+
+// Partner bills that are still owed (drafts are not payable yet)
+const OPEN_BILL_STATUSES = ["sent", "partial", "overdue"];
+
+// Days past due, grouped for the payables report
+const AGING_BUCKETS = [
+  { key: "current", max: 0 },
+  { key: "days1to30", max: 30 },
+  { key: "days31to60", max: 60 },
+  { key: "days61to90", max: 90 },
+  { key: "over90", max: Infinity },
+];
+
+// What an event partner line costs: its cost, else its hours at the partner's hourly rate
+const lineCost = (assignment, partner) =>
+  round(assignment.cost || (assignment.hours && partner.hourlyRate ? assignment.hours * partner.hourlyRate : 0));
+
+const lineLabel = (assignment, event) =>
+  assignment.hours
+    ? `${assignment.service} - ${event.title} (${assignment.hours} h)`
+    : `${assignment.service} - ${event.title}`;
+
+/**
+ * Create one partner bill per Partner assigned to an event (cancelled assignments excluded).
+ * Partners already billed for the event are skipped, so it is safe to run again.
+ * Bills are payable right away and due after the partner's payment terms.
+ * @param {Object} event - Event document
+ * @param {Object} options - { userId }
+ * @returns {Array} The bills created
+ */
+export const generatePartnerBills = async (event, { userId } = {}) => {
+  const assignments = (event.partners || []).filter((assignment) => assignment.status !== "cancelled");
+  if (assignments.length === 0) return [];
+
+  const partnerIds = [...new Set(assignments.map((assignment) => assignment.partner.toString()))];
+
+  const [partners, billed] = await Promise.all([
+    Partner.find({ _id: { $in: partnerIds }, businessId: event.businessId }),
+    Invoice.find({
+      business: event.businessId,
+      event: event._id,
+      invoiceType: "partner",
+      status: { $ne: "cancelled" },
+      isArchived: { $ne: true },
+    }).distinct("partner"),
+  ]);
+  const alreadyBilled = new Set(billed.map(String));
+
+  const bills = [];
+  for (const partner of partners) {
+    if (alreadyBilled.has(partner._id.toString())) continue;
+
+    const items = assignments
+      .filter((assignment) => assignment.partner.equals(partner._id))
+      .map((assignment) => {
+        const cost = lineCost(assignment, partner);
+        return { description: lineLabel(assignment, event), quantity: 1, rate: cost, amount: cost };
+      })
+      .filter((item) => item.amount > 0);
+    if (items.length === 0) continue;
+
+    const totalAmount = round(items.reduce((sum, item) => sum + item.amount, 0));
+    const issueDate = new Date();
+
+    const bill = await Invoice.create({
+      business: event.businessId,
+      invoiceType: "partner",
+      status: "sent",
+      partner: partner._id,
+      event: event._id,
+      recipientName: partner.name,
+      recipientEmail: partner.email,
+      recipientPhone: partner.phone,
+      recipientCompany: partner.company,
+      recipientAddress: formatAddress(partner.address),
+      issueDate,
+      dueDate: new Date(issueDate.getTime() + (partner.paymentTermsDays ?? 30) * DAY),
+      items,
+      subtotal: totalAmount,
+      totalAmount,
+      notes: `Services for ${event.title}`,
+      createdBy: userId,
+    });
+    bills.push(bill);
+  }
+
+  if (bills.length > 0 && global.io) {
+    global.io.to(event.businessId.toString()).emit("invoice:partner-bills-created", {
+      eventId: event._id,
+      bills: bills.map((bill) => ({
+        id: bill._id,
+        invoiceNumber: bill.invoiceNumber,
+        partner: bill.partner,
+        totalAmount: bill.totalAmount,
+        dueDate: bill.dueDate,
+      })),
+    });
+  }
+
+  return bills;
+};
+
+/**
+ * Outstanding partner bills per partner, with what is overdue and how late
+ * @param {ObjectId|String} businessId
+ * @param {Object} options - { asOf: Date (defaults to now), partnerId }
+ * @returns {Object} { partners: [...], totals }
+ */
+export const getPayablesReport = async (businessId, { asOf = new Date(), partnerId } = {}) => {
+  const match = {
+    business: businessId,
+    invoiceType: "partner",
+    status: { $in: OPEN_BILL_STATUSES },
+    isArchived: { $ne: true },
+    "paymentStatus.amountDue": { $gt: 0 },
+  };
+  if (partnerId) match.partner = partnerId;
+
+  const bills = await Invoice.find(match)
+    .select("invoiceNumber partner event dueDate issueDate totalAmount paymentStatus status")
+    .populate("partner", "name company email phone")
+    .populate("event", "title startDate")
+    .sort({ dueDate: 1 });
+
+  const emptyAging = () => Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+  const byPartner = new Map();
+  const totals = { billed: 0, paid: 0, outstanding: 0, overdue: 0, aging: emptyAging() };
+
+  bills.forEach((bill) => {
+    const key = bill.partner?._id?.toString() || "unknown";
+    if (!byPartner.has(key)) {
+      byPartner.set(key, {
+        partner: bill.partner,
+        billCount: 0,
+        billed: 0,
+        paid: 0,
+        outstanding: 0,
+        overdue: 0,
+        nextDueDate: null,
+        aging: emptyAging(),
+        bills: [],
+      });
+    }
+    const row = byPartner.get(key);
+
+    const due = bill.paymentStatus.amountDue;
+    const daysLate = Math.max(0, Math.floor((asOf - bill.dueDate) / DAY));
+    const bucket = AGING_BUCKETS.find((b) => daysLate <= b.max).key;
+
+    row.billCount += 1;
+    row.billed += bill.totalAmount;
+    row.paid += bill.paymentStatus.amountPaid;
+    row.outstanding += due;
+    row.aging[bucket] += due;
+    if (daysLate > 0) row.overdue += due;
+    if (!row.nextDueDate || bill.dueDate < row.nextDueDate) row.nextDueDate = bill.dueDate;
+    row.bills.push({
+      id: bill._id,
+      invoiceNumber: bill.invoiceNumber,
+      event: bill.event,
+      status: bill.status,
+      issueDate: bill.issueDate,
+      dueDate: bill.dueDate,
+      totalAmount: bill.totalAmount,
+      amountPaid: bill.paymentStatus.amountPaid,
+      amountDue: due,
+      daysLate,
+    });
+
+    totals.billed += bill.totalAmount;
+    totals.paid += bill.paymentStatus.amountPaid;
+    totals.outstanding += due;
+    totals.aging[bucket] += due;
+    if (daysLate > 0) totals.overdue += due;
+  });
+
+  const roundAmounts = (row) => {
+    ["billed", "paid", "outstanding", "overdue"].forEach((field) => (row[field] = round(row[field])));
+    Object.keys(row.aging).forEach((bucket) => (row.aging[bucket] = round(row.aging[bucket])));
+    return row;
+  };
+
+  return {
+    asOf,
+    partners: [...byPartner.values()].map(roundAmounts).sort((a, b) => b.outstanding - a.outstanding),
+    totals: roundAmounts(totals),
+  };
+};
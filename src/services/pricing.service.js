@@ -0,0 +1,208 @@
+import { Space } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import {
+  DAY_KEYS,
+  DEFAULT_TIME_ZONE,
+  addDays,
+  getEventBookings,
+  getZonedDay,
+} from "../utils/scheduling.js";
+import { resolveEventTimeZone } from "./booking.service.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const round = (amount) => Number((amount || 0).toFixed(2));
+
+// Active rules of a type, best first
+const rulesOfType = (space, type) =>
+  (space.pricingRules || [])
+    .filter((rule) => rule.isActive !== false && rule.type === type)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+const monthDay = (date) => date.getUTCMonth() * 100 + date.getUTCDate();
+
+/**
+ * Whether a calendar day (UTC midnight) falls inside a season rule.
+ * Yearly seasons compare month/day only and may wrap over New Year.
+ */
+const inSeason = (rule, day) => {
+  const start = getZonedDay(rule.startDate, "UTC");
+  const end = getZonedDay(rule.endDate, "UTC");
+  if (!rule.recurringYearly) return day >= start && day <= end;
+
+  const from = monthDay(start);
+  const to = monthDay(end);
+  const current = monthDay(day);
+  return from <= to ? current >= from && current <= to : current >= from || current <= to;
+};
+
+const dayRate = (space, rule) => {
+  if (rule.price != null) return rule.price;
+  return (space.basePrice || 0) * (1 + (rule.percentage || 0) / 100);
+};
+
+/**
+ * Rate of one booked day: a season beats a weekday rule, which beats basePrice
+ */
+const getDayRate = (space, day) => {
+  const season = rulesOfType(space, "season").find((rule) => inSeason(rule, day));
+  if (season) return { rate: dayRate(space, season), rule: season.name };
+
+  const weekday = DAY_KEYS[day.getUTCDay()];
+  const byDay = rulesOfType(space, "day_of_week").find((rule) => rule.days.includes(weekday));
+  if (byDay) return { rate: dayRate(space, byDay), rule: byDay.name };
+
+  return { rate: space.basePrice || 0, rule: null };
+};
+
+/**
+ * Itemized price of booking a Space
+ * @param {Object} space - Space document (basePrice, pricingRules, timeZone)
+ * @param {Object} booking - { start, end } instants of the booking
+ * @param {Object} options
+ * @param {Number} options.guestCount - Expected guests
+ * @param {Date} options.bookedAt - When the booking is made (last-minute discounts)
+ * @returns {Object} { items, subtotal, discount, total }
+ */
+export const quoteSpaceBooking = (space, { start, end }, { guestCount, bookedAt = new Date() } = {}) => {
+  const timeZone = space.timeZone || DEFAULT_TIME_ZONE;
+  const items = [];
+
+  // 1. Day rates: every started 24h counts as a booked day
+  const days = Math.max(1, Math.ceil((end - start) / DAY));
+  const firstDay = getZonedDay(start, timeZone);
+  for (let i = 0; i < days; i++) {
+    const day = addDays(firstDay, i);
+    const { rate, rule } = getDayRate(space, day);
+    items.push({
+      type: "day_rate",
+      label: rule ? `${space.name} - ${rule}` : space.name,
+      date: day,
+      quantity: 1,
+      unitPrice: round(rate),
+      amount: round(rate),
+    });
+  }
+
+  // 2. Extra guests
+  const perGuest = rulesOfType(space, "per_guest")[0];
+  if (perGuest && guestCount > perGuest.guestThreshold) {
+    const extraGuests = guestCount - perGuest.guestThreshold;
+    items.push({
+      type: "per_guest",
+      label: `${perGuest.name} (${extraGuests} guests above ${perGuest.guestThreshold})`,
+      quantity: extraGuests,
+      unitPrice: perGuest.pricePerGuest,
+      amount: round(extraGuests * perGuest.pricePerGuest),
+    });
+  }
+
+  // 3. Overtime past the hours included per booked day (billed per started half hour)
+  const overtime = rulesOfType(space, "overtime")[0];
+  if (overtime) {
+    const hours = (end - start) / HOUR;
+    const extraHours = Math.ceil((hours - overtime.includedHours * days) * 2) / 2;
+    if (extraHours > 0) {
+      items.push({
+        type: "overtime",
+        label: `${overtime.name} (${extraHours}h)`,
+        quantity: extraHours,
+        unitPrice: overtime.hourlyRate,
+        amount: round(extraHours * overtime.hourlyRate),
+      });
+    }
+  }
+
+  const subtotal = round(items.reduce((sum, item) => sum + item.amount, 0));
+
+  // 4. Last-minute discount: the best one the booking qualifies for
+  const daysBefore = (start - bookedAt) / DAY;
+  const lastMinute = rulesOfType(space, "last_minute")
+    .filter((rule) => daysBefore >= 0 && daysBefore <= rule.withinDays)
+    .sort((a, b) => b.discountPercentage - a.discountPercentage)[0];
+
+  let discount = 0;
+  if (lastMinute) {
+    discount = round((subtotal * lastMinute.discountPercentage) / 100);
+    items.push({
+      type: "last_minute",
+      label: `${lastMinute.name} (-${lastMinute.discountPercentage}%)`,
+      quantity: 1,
+      unitPrice: -discount,
+      amount: -discount,
+    });
+  }
+
+  return { items, subtotal, discount, total: round(subtotal - discount) };
+};
+
+/**
+ * Quote every Space booked by a (proposed) event
+ * @param {Object} event - Event document or plain data (resourceId/resources, dates, times)
+ * @returns {Object} { resources: [{ resource, label, start, end, items, total }], total }
+ */
+export const quoteEvent = async (event, { bookedAt } = {}) => {
+  const timeZone = event.timeZone || (await resolveEventTimeZone(event));
+  const bookings = getEventBookings({ ...event, timeZone }).filter((b) => b.resourceId);
+  if (bookings.length === 0) return { resources: [], total: 0 };
+
+  const spaces = await Space.find({
+    _id: { $in: bookings.map((b) => b.resourceId) },
+    businessId: event.businessId,
+    isArchived: false,
+  });
+
+  const resources = bookings.map((booking) => {
+    const space = spaces.find((s) => s._id.toString() === booking.resourceId.toString());
+    if (!space) throw new ApiError("Resource not found", 404);
+    if (!booking.start || !booking.end || booking.end <= booking.start) {
+      throw new ApiError("End time must be after start time", 400);
+    }
+
+    return {
+      resource: { _id: space._id, name: space.name, type: space.type },
+      label: booking.label,
+      start: booking.start,
+      end: booking.end,
+      ...quoteSpaceBooking(space, booking, { guestCount: event.guestCount, bookedAt }),
+    };
+  });
+
+  return {
+    resources,
+    total: round(resources.reduce((sum, quote) => sum + quote.total, 0)),
+  };
+};
+
+/**
+ * Price an event's Spaces from their rules (client-sent prices are ignored):
+ * single-resource events get pricing.basePrice, multi-resource events
+ * price each entry of `resources`. Solo bookings (no Space) keep their price.
+ * @param {Object} event - Event document (before save)
+ * @returns {Object|null} The quote, null when no Space is booked
+ */
+export const applySpacePricing = async (event) => {
+  const data = event.toObject ? event.toObject() : event;
+  // An edited booking may have moved to a Space of another time zone
+  if (event.isModified?.("resourceId") || event.isModified?.("resources")) {
+    if (data.resources?.length) data.resourceId = data.resources[0].resource;
+    delete data.timeZone;
+  }
+
+  const quote = await quoteEvent(data);
+  if (quote.resources.length === 0) return null;
+
+  if (!event.pricing) event.pricing = {};
+
+  if (event.resources?.length) {
+    quote.resources.forEach((entry, index) => {
+      event.resources[index].price = entry.total;
+    });
+    event.pricing.basePrice = 0;
+  } else {
+    event.pricing.basePrice = quote.total;
+  }
+
+  return quote;
+};
@@ -0,0 +1,290 @@
+import { Client, Contract, ContractSettings, Event, Invoice, Quote } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { toDateOnly } from "../utils/scheduling.js";
+import { transitionEventStatus } from "./eventWorkflow.service.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The deposit is due a week after acceptance (never after the event starts)
+const DEPOSIT_DUE_DAYS = 7;
+
+// Statuses in which the client can still answer the quote
+export const OPEN_QUOTE_STATUSES = ["sent", "viewed"];
+
+const round = (amount) => Number((amount || 0).toFixed(3));
+
+const lineLabel = (line) =>
+  line.quantity === 1 ? line.description : `${line.description} (x${line.quantity})`;
+
+export const formatAddress = (address) =>
+  [
+    address?.street,
+    [address?.zipCode, address?.city].filter(Boolean).join(" "),
+    address?.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Deposits are due a week from now, never after the event starts
+ */
+export const getDepositDueDate = (startDate) =>
+  new Date(Math.min(Date.now() + DEPOSIT_DUE_DAYS * DAY, Math.max(Date.now(), new Date(startDate).getTime())));
+
+/**
+ * Lines billed by a quote: its items plus the options the client selected
+ */
+export const getQuoteLines = (quote) => [
+  ...quote.items,
+  ...quote.options.filter((option) => option.selected),
+];
+
+/**
+ * Archive the current content of a quote before it is revised
+ */
+export const snapshotQuoteVersion = (quote, { userId, note } = {}) => {
+  quote.versions.push({
+    version: quote.version,
+    title: quote.title,
+    eventDetails: quote.eventDetails?.toObject ? quote.eventDetails.toObject() : quote.eventDetails,
+    items: quote.items.map((line) => line.toObject()),
+    options: quote.options.map((line) => line.toObject()),
+    discount: quote.discount,
+    taxRate: quote.taxRate,
+    totalAmount: quote.totalAmount,
+    validUntil: quote.validUntil,
+    status: quote.status,
+    sentAt: quote.sentAt,
+    revisedAt: new Date(),
+    revisedBy: userId,
+    note,
+  });
+  quote.version += 1;
+  quote.status = "draft";
+  quote.sentAt = undefined;
+  quote.viewedAt = undefined;
+  // Links sent for the previous version stop working
+  quote.acceptanceToken = undefined;
+};
+
+/**
+ * Mark an open quote whose validity date has passed as expired
+ * @returns {Boolean} Whether the quote is (now) expired
+ */
+export const expireQuoteIfNeeded = async (quote) => {
+  if (quote.status === "expired") return true;
+  if (!quote.isExpired) return false;
+
+  quote.status = "expired";
+  await quote.save();
+  return true;
+};
+
+/**
+ * Create the documents of an accepted quote:
+ * a confirmed Event, a draft client Contract and a draft deposit Invoice.
+ * Everything created is removed again if one of the steps fails.
+ * @param {Object} quote - Quote document (options selection already applied)
+ * @param {Object} options
+ * @param {ObjectId} options.userId - Who converts (defaults to the quote author)
+ * @param {String} options.identifier - Client CIN / tax ID for the contract
+ * @returns {Object} { event, contract, invoice, warnings }
+ */
+export const convertQuote = async (quote, { userId, identifier } = {}) => {
+  const client = await Client.findOne({ _id: quote.client, businessId: quote.businessId });
+  if (!client) throw new ApiError("Client not found", 404);
+
+  const settings = await ContractSettings.findOne({ business: quote.businessId });
+  const createdBy = userId || quote.createdBy;
+  const details = quote.eventDetails;
+  const lines = getQuoteLines(quote);
+  const created = [];
+
+  try {
+    // 1. Event: booked as pending (collision checks run on save), then confirmed.
+    //    The client's acceptance is the commitment, so the guards are skipped.
+    const event = new Event({
+      title: quote.title,
+      type: details.type,
+      clientId: client._id,
+      businessId: quote.businessId,
+      createdBy,
+      resourceId: details.resourceId,
+      startDate: toDateOnly(details.startDate),
+      endDate: toDateOnly(details.endDate),
+      startTime: details.startTime,
+      endTime: details.endTime,
+      guestCount: details.guestCount,
+      status: "pending",
+      notes: `Booked from quote ${quote.quoteNumber} (v${quote.version})`,
+      // The accepted quote is the price: Space pricing rules are not re-applied
+      pricing: {
+        basePrice: 0,
+        additionalServices: lines.map((line) => ({ name: lineLabel(line), price: line.amount })),
+        discount: quote.discount,
+        taxRate: quote.taxRate,
+      },
+    });
+    await event.save();
+    created.push(event);
+
+    const { warnings } = await transitionEventStatus(event, "confirmed", {
+      userId: createdBy,
+      reason: `Quote ${quote.quoteNumber} accepted`,
+      skipGuards: true,
+    });
+
+    // 2. Deposit
+    const depositPercentage =
+      quote.depositPercentage ?? settings?.financialDefaults?.depositPercentage ?? 30;
+    const depositAmount = round((quote.totalAmount * depositPercentage) / 100);
+    const depositDueDate = getDepositDueDate(event.startDate);
+
+    // 3. Draft contract, to be completed and signed
+    const services = lines.map((line) => ({
+      description: line.description,
+      quantity: line.quantity,
+      rate: line.rate,
+      amount: line.amount,
+    }));
+    if (quote.discount > 0) {
+      services.push({ description: "Remise", quantity: 1, rate: -quote.discount, amount: -quote.discount });
+    }
+    const amountHT = round(quote.subtotal - quote.discount);
+    const stampDuty = settings?.financialDefaults?.defaultStampDuty ?? 1;
+
+    const contract = await Contract.create({
+      business: quote.businessId,
+      contractType: "client",
+      status: "draft",
+      event: event._id,
+      title: quote.title,
+      createdBy,
+      party: {
+        type: client.company ? "company" : "individual",
+        name: client.company || client.name,
+        representative: client.company ? client.name : undefined,
+        identifier: identifier || "N/A",
+        address: formatAddress(client.address) || "N/A",
+        phone: client.phone,
+        email: client.email,
+      },
+      logistics: {
+        startDate: event.startDate,
+        endDate: event.endDate,
+        checkInTime: event.startTime,
+        checkOutTime: event.endTime,
+      },
+      services,
+      financials: {
+        currency: quote.currency,
+        amountHT,
+        vatRate: quote.taxRate,
+        taxAmount: quote.taxAmount,
+        stampDuty,
+        totalTTC: round(quote.totalAmount + stampDuty),
+      },
+      paymentTerms: { depositAmount, dueDate: depositDueDate },
+      cancellationPolicy: settings?.defaultCancellationPolicy,
+    });
+    created.push(contract);
+
+    // 4. Draft deposit invoice (amount includes tax)
+    let invoice = null;
+    if (depositAmount > 0) {
+      const depositHT = round(depositAmount / (1 + (quote.taxRate || 0) / 100));
+      invoice = await Invoice.create({
+        business: quote.businessId,
+        invoiceType: "client",
+        billingType: "deposit",
+        status: "draft",
+        client: client._id,
+        event: event._id,
+        recipientName: client.name,
+        recipientEmail: client.email,
+        recipientPhone: client.phone,
+        recipientCompany: client.company,
+        recipientAddress: formatAddress(client.address),
+        dueDate: depositDueDate,
+        currency: quote.currency,
+        items: [
+          {
+            description: `Acompte ${depositPercentage}% - ${quote.title} (${quote.quoteNumber})`,
+            quantity: 1,
+            rate: depositHT,
+            amount: depositHT,
+          },
+        ],
+        subtotal: depositHT,
+        taxRate: quote.taxRate,
+        taxAmount: round(depositAmount - depositHT),
+        totalAmount: depositAmount,
+        paymentStatus: { amountPaid: 0, amountDue: depositAmount },
+        notes: `Deposit for quote ${quote.quoteNumber}`,
+        createdBy,
+      });
+    }
+
+    return { event, contract, invoice, warnings };
+  } catch (error) {
+    await Promise.all(created.map((doc) => doc.deleteOne()));
+    throw error;
+  }
+};
+
+/**
+ * Accept a quote on behalf of the client (public link) and convert it.
+ * The status is claimed atomically so a link cannot be accepted twice.
+ * @param {Object} quote - Quote document
+ * @param {Object} acceptance - { selectedOptions, name, identifier, ip, userAgent }
+ * @returns {Object} { quote, event, contract, invoice, warnings }
+ */
+export const acceptQuote = async (quote, { selectedOptions = [], name, identifier, ip, userAgent } = {}) => {
+  if (await expireQuoteIfNeeded(quote)) {
+    throw new ApiError("This quote has expired", 400);
+  }
+  if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+    throw new ApiError(`This quote is ${quote.status} and can no longer be accepted`, 400);
+  }
+
+  const unknown = selectedOptions.filter((id) => !quote.options.id(id));
+  if (unknown.length) throw new ApiError("One or more options not found", 404);
+
+  const previousStatus = quote.status;
+  const claimed = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: previousStatus },
+    { status: "accepted" },
+    { new: true }
+  );
+  if (!claimed) throw new ApiError("This quote has already been answered", 409);
+
+  claimed.options.forEach((option) => {
+    option.selected = selectedOptions.some((id) => id.toString() === option._id.toString());
+  });
+  claimed.acceptance = { acceptedAt: new Date(), acceptedByName: name, ip, userAgent };
+  // Recompute the totals for the chosen options before converting
+  await claimed.validate();
+
+  let result;
+  try {
+    result = await convertQuote(claimed, { identifier });
+  } catch (error) {
+    await Quote.updateOne({ _id: quote._id }, { status: previousStatus });
+    throw error;
+  }
+
+  claimed.event = result.event._id;
+  claimed.contract = result.contract._id;
+  claimed.depositInvoice = result.invoice?._id;
+  await claimed.save();
+
+  if (global.io) {
+    global.io.to(claimed.businessId.toString()).emit("quote:accepted", {
+      id: claimed._id,
+      quoteNumber: claimed.quoteNumber,
+      event: result.event._id,
+    });
+  }
+
+  return { quote: claimed, ...result };
+};
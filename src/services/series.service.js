@@ -0,0 +1,312 @@
+import mongoose from "mongoose";
+import { Event } from "../models/index.js";
+import ApiError from "../utils/ApiError.js";
+import { assertBookingAvailable, resolveEventTimeZone } from "./booking.service.js";
+import { canTransition, transitionEventStatus } from "./eventWorkflow.service.js";
+import {
+  buildRRule,
+  daysBetween,
+  expandOccurrences,
+  parseRRule,
+} from "../utils/recurrence.js";
+import { getEventBookings, intervalsOverlap } from "../utils/scheduling.js";
+
+export const SERIES_SCOPES = ["this", "following", "all"];
+
+// Fields that can be applied to several occurrences at once.
+// Dates are per-occurrence and can only be changed with scope "this".
+const SERIES_FIELDS = [
+  "title",
+  "type",
+  "notes",
+  "clientId",
+  "resourceId",
+  "resources",
+  "startTime",
+  "endTime",
+  "guestCount",
+];
+const SCHEDULING_FIELDS = ["resourceId", "resources", "startTime", "endTime", "startDate", "endDate"];
+
+const shiftDays = (date, days) => {
+  const shifted = new Date(date);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted;
+};
+
+// Resource windows with explicit dates move with their occurrence
+const shiftResources = (resources, offset) =>
+  resources?.map((entry) => ({
+    ...entry,
+    ...(entry.startDate && { startDate: shiftDays(entry.startDate, offset) }),
+    ...(entry.endDate && { endDate: shiftDays(entry.endDate, offset) }),
+  }));
+
+// Zone the "HH:mm" times of a series are read in: its first Space's, else the business's
+// (the one the save hook resolves, so the pre-check and the save agree)
+const resolveSeriesTimeZone = (occurrence) =>
+  resolveEventTimeZone({
+    businessId: occurrence.businessId,
+    resourceId: occurrence.resources?.[0]?.resource || occurrence.resourceId,
+  });
+
+/**
+ * Expand a recurrence into the event payloads of a new series
+ * @param {Object} eventData - Payload of the first occurrence
+ * @param {String|Object} recurrence - RRULE string or structured rule
+ * @returns {Array} One payload per occurrence, linked by seriesId
+ */
+export const buildSeries = (eventData, recurrence) => {
+  const first = new Date(eventData.startDate);
+  const spanDays = daysBetween(first, eventData.endDate || first);
+
+  let ruleString;
+  let dates;
+  try {
+    ruleString = buildRRule(recurrence);
+    dates = expandOccurrences(first, parseRRule(ruleString));
+  } catch (error) {
+    throw new ApiError(`Invalid recurrence rule: ${error.message}`, 400);
+  }
+
+  if (dates.length === 0) {
+    throw new ApiError("Recurrence rule does not produce any occurrence", 400);
+  }
+
+  const seriesId = new mongoose.Types.ObjectId();
+
+  return dates.map((startDate, index) => ({
+    ...eventData,
+    startDate,
+    endDate: shiftDays(startDate, spanDays),
+    resources: shiftResources(eventData.resources, daysBetween(first, startDate)),
+    seriesId,
+    seriesIndex: index,
+    recurrenceRule: ruleString,
+  }));
+};
+
+/**
+ * Run every occurrence through the collision detection (each resource of
+ * multi-resource events with its own window). Occurrences of the same batch
+ * are also checked against each other.
+ * @returns {Array} One entry per unavailable occurrence
+ */
+export const findOccurrenceConflicts = async (occurrences, excludeIds = []) => {
+  const conflicts = [];
+  const accepted = [];
+
+  for (const occurrence of occurrences) {
+    const bookings = getEventBookings(occurrence);
+    const first = bookings[0];
+    let conflict = null;
+
+    for (const booking of bookings) {
+      try {
+        await assertBookingAvailable({
+          businessId: occurrence.businessId,
+          resourceId: booking.resourceId,
+          start: booking.start,
+          end: booking.end,
+          excludeIds,
+        });
+      } catch (error) {
+        // Missing resources are not an occurrence problem: fail the whole request
+        if (!(error instanceof ApiError) || error.statusCode === 404) throw error;
+        conflict = { message: error.message, ...(error.details && { details: error.details }) };
+        break;
+      }
+
+      const overlapping = accepted.find(
+        (other) =>
+          String(other.resourceId || "") === String(booking.resourceId || "") &&
+          intervalsOverlap(other, booking)
+      );
+      if (overlapping) {
+        conflict = { message: `Overlaps occurrence #${overlapping.index + 1} of the same series` };
+        break;
+      }
+    }
+
+    if (conflict) {
+      conflicts.push({
+        index: occurrence.seriesIndex,
+        start: first.start,
+        end: first.end,
+        ...conflict,
+      });
+      continue;
+    }
+
+    accepted.push(...bookings.map((b) => ({ ...b, index: occurrence.seriesIndex })));
+  }
+
+  return conflicts;
+};
+
+/**
+ * Create a recurring series. By default the whole series is rejected (409)
+ * when one occurrence is unavailable; with skipConflicts those are left out.
+ * @param {Array} occurrences - Payloads from buildSeries
+ * @param {Object} options
+ * @param {Boolean} options.skipConflicts - Create only the available occurrences
+ * @param {Function} options.prepare - Called on each document before saving
+ */
+export const createSeries = async (payloads, { skipConflicts = false, prepare } = {}) => {
+  const timeZone = await resolveSeriesTimeZone(payloads[0]);
+  const occurrences = payloads.map((payload) => ({ ...payload, timeZone }));
+
+  const conflicts = await findOccurrenceConflicts(occurrences);
+
+  if (conflicts.length > 0 && !skipConflicts) {
+    throw new ApiError(
+      `${conflicts.length} of ${occurrences.length} occurrences are not available`,
+      409,
+      { conflicts }
+    );
+  }
+
+  const skippedIndexes = new Set(conflicts.map((c) => c.index));
+  const available = occurrences.filter((o) => !skippedIndexes.has(o.seriesIndex));
+  if (available.length === 0) {
+    throw new ApiError("None of the occurrences are available", 409, { conflicts });
+  }
+
+  const events = [];
+  try {
+    for (const data of available) {
+      const event = new Event(data);
+      if (prepare) await prepare(event);
+      await event.save();
+      events.push(event);
+    }
+  } catch (error) {
+    // All or nothing: drop the occurrences already written
+    await Event.deleteMany({ _id: { $in: events.map((e) => e._id) } });
+    throw error;
+  }
+
+  return { events, skipped: conflicts };
+};
+
+/**
+ * Occurrences affected by an edit/cancel on one event of a series
+ * @param {Object} event - Occurrence the user acted on
+ * @param {String} scope - "this" | "following" | "all"
+ */
+export const findSeriesOccurrences = async (event, scope = "this") => {
+  if (!event.seriesId || scope === "this") return [event];
+
+  const query = {
+    businessId: event.businessId,
+    seriesId: event.seriesId,
+    status: { $ne: "cancelled" },
+    isArchived: { $ne: true },
+  };
+  if (scope === "following") query.seriesIndex = { $gte: event.seriesIndex };
+
+  return Event.find(query).sort({ seriesIndex: 1 });
+};
+
+/**
+ * Apply changes to one occurrence, the following ones or the whole series.
+ * Scheduling changes are validated for every occurrence before anything is saved.
+ */
+export const updateSeries = async (event, scope, updates, { prepare } = {}) => {
+  const targets = await findSeriesOccurrences(event, scope);
+  const allowed = scope === "this" ? [...SERIES_FIELDS, "startDate", "endDate"] : SERIES_FIELDS;
+
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+  if (Object.keys(changes).length === 0) {
+    throw new ApiError("No series fields to update", 400);
+  }
+
+  // The primary resource of multi-resource events is taken from `resources`
+  if (changes.resourceId && !changes.resources && targets.some((t) => t.resources?.length)) {
+    throw new ApiError("Multi-resource events change their Spaces through resources", 400);
+  }
+
+  targets.forEach((target) => {
+    target.set(changes);
+    if (changes.resources) {
+      target.resources = shiftResources(changes.resources, daysBetween(event.startDate, target.startDate));
+    }
+  });
+
+  if (changes.resourceId || changes.resources) {
+    const timeZone = await resolveSeriesTimeZone(targets[0]);
+    targets.forEach((target) => {
+      target.timeZone = timeZone;
+    });
+  }
+
+  // "This and following" splits the series so later "all" edits on the
+  // earlier part no longer touch the edited occurrences
+  const previousSeriesId = event.seriesId;
+  let newSeriesId = null;
+  if (scope === "following" && event.seriesIndex > 0) {
+    newSeriesId = new mongoose.Types.ObjectId();
+    targets.forEach((target) => {
+      target.seriesId = newSeriesId;
+    });
+  }
+
+  if (Object.keys(changes).some((key) => SCHEDULING_FIELDS.includes(key))) {
+    // Same statuses the pre-save collision hook ignores
+    const bookable = targets.filter((t) => !["cancelled", "waitlisted"].includes(t.status));
+    const conflicts = await findOccurrenceConflicts(
+      bookable,
+      targets.map((t) => t._id)
+    );
+    if (conflicts.length > 0) {
+      throw new ApiError(
+        `${conflicts.length} of ${targets.length} occurrences are not available`,
+        409,
+        { conflicts }
+      );
+    }
+  }
+
+  for (const target of targets) {
+    if (prepare) await prepare(target);
+    await target.save();
+  }
+
+  // Cancelled and archived occurrences were not edited but follow the split,
+  // so the new series' indexes are not left behind in the old one
+  if (newSeriesId) {
+    await Event.updateMany(
+      {
+        businessId: event.businessId,
+        seriesId: previousSeriesId,
+        seriesIndex: { $gte: event.seriesIndex },
+      },
+      { $set: { seriesId: newSeriesId } }
+    );
+  }
+
+  return targets;
+};
+
+/**
+ * Cancel one occurrence, the following ones or the whole series.
+ * Occurrences that can no longer be cancelled (e.g. completed) are left as is.
+ * @returns {Object} { events, warnings }
+ */
+export const cancelSeries = async (event, scope, { userId, reason } = {}) => {
+  const targets = await findSeriesOccurrences(event, scope);
+  const cancelled = [];
+  const warnings = [];
+
+  for (const target of targets) {
+    if (!canTransition(target.status, "cancelled")) continue;
+
+    const result = await transitionEventStatus(target, "cancelled", { userId, reason });
+    cancelled.push(result.event);
+    warnings.push(...result.warnings);
+  }
+
+  return { events: cancelled, warnings };
+};
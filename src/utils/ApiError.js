@@ -1,11 +1,13 @@
 class ApiError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = true;
+    // Optional structured payload (e.g. the conflicting bookings of a 409)
+    this.details = details;
 
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
-export default ApiError;
\ No newline at end of file
+export default ApiError;
@@ -1,4 +1,5 @@
 import PDFDocument from "pdfkit";
+import { buildMergeValues, resolveMergeFields } from "./mergeFields.js";
 // Ensure fetch is available in Node environment (Node 18+ has native fetch)
 // If older node, you might need: import fetch from 'node-fetch';
 
@@ -15,13 +16,18 @@ const formatDate = (date) => {
   return new Date(date).toLocaleDateString('fr-FR', { day: '2-digit', month: 'long', year: 'numeric' });
 };
 
+// Helper: Format a signature timestamp (UTC, unambiguous for the certificate)
+const formatTimestamp = (date) => new Date(date).toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+
 /**
  * Generate Contract PDF
  * @param {Object} contract - The contract data model
  * @param {Object} business - The business data model (formerly venue)
  * @param {Object} settings - The pdf/contract settings object
+ * @param {Object} options - { signed: draw the signatures and append the signature certificate,
+ *                            mergeValues: merge field values of the clauses (see utils/mergeFields.js) }
  */
-export const generateContractPDF = async (contract, business, settings) => {
+export const generateContractPDF = async (contract, business, settings, options = {}) => {
   return new Promise(async (resolve, reject) => {
     try {
       const doc = new PDFDocument({ size: "A4", margin: 50, bufferPages: true });
@@ -43,7 +49,9 @@ export const generateContractPDF = async (contract, business, settings) => {
       if (business.category === 'catering') defaultTitle = "CONTRAT TRAITEUR";
 
       const LABELS = {
-        title: contract.contractType === 'partner' 
+        title: contract.amendmentOf
+          ? `AVENANT N°${contract.amendmentNumber}`
+          : contract.contractType === 'partner' 
           ? (settings?.labels?.partnerContractTitle || "ACCORD DE PARTENARIAT") 
           : (settings?.labels?.contractTitle || defaultTitle),
         
@@ -118,8 +126,14 @@ export const generateContractPDF = async (contract, business, settings) => {
       doc.moveDown(2);
       drawSectionTitle(doc, "DÉTAILS DE LA PRESTATION", BRAND.primary);
       doc.fontSize(10).fillColor(BRAND.text)
-         .text(`Titre: ${contract.title}`)
-         .text(`Dates: Du ${formatDate(contract.logistics.startDate)} au ${formatDate(contract.logistics.endDate)}`);
+         .text(`Titre: ${contract.title}`);
+      if (contract.amendmentOf) {
+        doc.text(`Objet de l'avenant: ${contract.amendmentReason || "N/A"}`);
+      }
+      doc.text(`Dates: Du ${formatDate(contract.logistics.startDate)} au ${formatDate(contract.logistics.endDate)}`);
+      if (contract.contractType === 'partner' && contract.renewal?.autoRenew) {
+        doc.text(`Renouvellement: par tacite reconduction, par périodes de ${contract.renewal.periodMonths} mois, sauf dénonciation ${contract.renewal.noticeDays} jours avant l'échéance`);
+      }
          
       // Conditional details based on vertical
       if (business.category === 'venue') {
@@ -171,7 +185,22 @@ export const generateContractPDF = async (contract, business, settings) => {
            .text(`NET À PAYER: ${formatCurrency(contract.financials.totalTTC, business.settings?.currency)}`, 350, y, { align: "right", width: 190 });
       }
 
-      // --- 6. SIGNATURES ---
+      // --- 6. CLAUSES ---
+      if (contract.clauses?.length > 0) {
+        // Frozen text once sent, merge fields resolved now otherwise
+        const mergeValues = options.mergeValues || buildMergeValues({ contract, business, settings });
+        doc.moveDown(2);
+        drawSectionTitle(doc, "CONDITIONS", BRAND.primary);
+        contract.clauses.forEach((clause, index) => {
+          doc.font("Helvetica-Bold").fontSize(10).fillColor(BRAND.text)
+             .text(`Article ${index + 1} - ${clause.title}`, 50);
+          doc.font("Helvetica").fontSize(9)
+             .text(clause.resolvedContent || resolveMergeFields(clause.content, mergeValues), 50, doc.y, { width: 495, align: "justify" });
+          doc.moveDown(0.5);
+        });
+      }
+
+      // --- 7. SIGNATURES ---
       doc.moveDown(4);
       // Avoid page break inside signature block if possible
       if(doc.y > 650) doc.addPage();
@@ -186,16 +215,88 @@ export const generateContractPDF = async (contract, business, settings) => {
       // Right Box (Client/Partner)
       doc.text(`POUR ${LABELS.party2.toUpperCase()}`, 300, sigY);
       doc.rect(300, sigY + 15, 200, 80).strokeColor("#ddd").stroke();
+
+      if (options.signed) {
+        drawSignature(doc, contract.signatures?.business, 50, sigY + 15);
+        drawSignature(doc, contract.signatures?.client, 300, sigY + 15);
+      }
       
       // Footer text for legal validity
       doc.fontSize(8).fillColor("#999").text("Ce document est généré électroniquement par la plateforme Fiesta.", 50, 780, { align: "center", width: 500 });
 
+      // --- 8. SIGNATURE CERTIFICATE ---
+      if (options.signed) {
+        drawSignatureCertificate(doc, contract, LABELS, BRAND);
+      }
+
       doc.end();
 
     } catch (err) { reject(err); }
   });
 };
 
+// Signature image (or typed name) inside a 200x80 signature box
+function drawSignature(doc, signer, x, y) {
+  if (!signer?.signedAt) return;
+
+  if (signer.image) {
+    try {
+      const image = Buffer.from(signer.image.split(",").pop(), "base64");
+      doc.image(image, x + 10, y + 5, { fit: [180, 45], align: "center" });
+    } catch (e) { console.warn("Signature image load failed", e); }
+  } else if (signer.text) {
+    doc.font("Times-Italic").fontSize(20).fillColor("#1F2937")
+       .text(signer.text, x + 10, y + 15, { width: 180, align: "center" });
+  }
+
+  doc.font("Helvetica").fontSize(7).fillColor("#666")
+     .text(`${signer.name} - ${formatTimestamp(signer.signedAt)}`, x + 5, y + 66, { width: 190, align: "center" });
+}
+
+// Last page: who signed, when, from where, and the fingerprint of what they signed
+function drawSignatureCertificate(doc, contract, labels, brand) {
+  doc.addPage();
+  doc.fillColor(brand.primary).fontSize(16).font("Helvetica-Bold")
+     .text("CERTIFICAT DE SIGNATURE ÉLECTRONIQUE", 50, 50, { align: "center", width: 495 });
+
+  doc.moveDown(1.5);
+  doc.fillColor(brand.text).fontSize(10).font("Helvetica")
+     .text(`Contrat: ${contract.contractNumber} - ${contract.title}`, 50)
+     .text(`Envoyé pour signature le: ${contract.signing?.sentAt ? formatTimestamp(contract.signing.sentAt) : "N/A"}`)
+     .text(`Finalisé le: ${contract.signing?.completedAt ? formatTimestamp(contract.signing.completedAt) : "N/A"}`);
+
+  doc.moveDown();
+  doc.font("Helvetica-Bold").text("Empreinte SHA-256 du document soumis à signature :");
+  doc.font("Courier").fontSize(9).text(contract.signing?.documentHash || "N/A");
+
+  const signers = [
+    { label: labels.party2, signer: contract.signatures?.client },
+    { label: labels.providerLabel, signer: contract.signatures?.business },
+  ];
+
+  signers.forEach(({ label, signer }) => {
+    if (!signer?.signedAt) return;
+    doc.moveDown(1.5);
+    drawSectionTitle(doc, `SIGNATAIRE : ${label.toUpperCase()}`, brand.primary);
+    doc.fillColor(brand.text).fontSize(9).font("Helvetica")
+       .text(`Nom: ${signer.name}`)
+       .text(`Email: ${signer.email || "N/A"}`)
+       .text(`Méthode: ${signer.method === "drawn" ? "Signature manuscrite (tracée)" : "Signature saisie"}`)
+       .text(`Date et heure: ${formatTimestamp(signer.signedAt)}`)
+       .text(`Adresse IP: ${signer.ip || "N/A"}`)
+       .text(`Navigateur: ${signer.userAgent || "N/A"}`)
+       .text(`Empreinte du document consulté: ${signer.documentHash || "N/A"}`);
+  });
+
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor("#999").font("Helvetica")
+     .text(
+       "Chaque signataire a consulté le document identifié par l'empreinte ci-dessus avant de signer. " +
+       "Toute modification du document produirait une empreinte différente.",
+       50, doc.y, { width: 495 }
+     );
+}
+
 function drawSectionTitle(doc, text, color) {
   doc.fontSize(11).font("Helvetica-Bold").fillColor(color).text(text, 50, doc.y);
   doc.moveTo(50, doc.y).lineTo(545, doc.y).lineWidth(0.5).strokeColor(color).stroke();
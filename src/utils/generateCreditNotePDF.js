@@ -0,0 +1,32 @@
+import { generateInvoicePDF } from "./generateInvoicePDF.js";
+import { pdfTranslations } from "./invoicePdfTranslations.js";
+
+/**
+ * GENERATE CREDIT NOTE PDF
+ * Rendered with the invoice branding (InvoiceSettings), titled "AVOIR"
+ * and referencing the invoice it corrects.
+ */
+export const generateCreditNotePDF = async (creditNote, business, language = "fr", settings = null) => {
+  const t = pdfTranslations[language] || pdfTranslations.fr;
+
+  // Invoice-shaped view of the credit note (no due date)
+  const document = {
+    recipientName: creditNote.recipientName,
+    recipientEmail: creditNote.recipientEmail,
+    recipientCompany: creditNote.recipientCompany,
+    recipientAddress: creditNote.recipientAddress,
+    issueDate: creditNote.issueDate,
+    items: creditNote.items,
+    subtotal: creditNote.subtotal,
+    taxRate: creditNote.taxRate,
+    taxAmount: creditNote.taxAmount,
+    discount: creditNote.discount,
+    totalAmount: creditNote.totalAmount,
+  };
+
+  return generateInvoicePDF(document, business, language, settings, {
+    title: t.creditNote,
+    number: creditNote.creditNoteNumber,
+    reference: { label: t.originalInvoice, value: creditNote.invoiceNumber },
+  });
+};
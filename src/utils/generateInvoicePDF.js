@@ -81,12 +81,16 @@ const formatAddress = (addr) => {
 
 /**
  * GENERATE PDF
+ * @param {Object} document - Overrides for other documents rendered with the
+ *   invoice branding (quotes, credit notes):
+ *   { title, number, dueLabel, reference: { label, value }, optionalItems, optionalItemsTitle }
  */
 export const generateInvoicePDF = async (
   invoice,
   business,
   language = "fr",
-  settings = null
+  settings = null,
+  document = {}
 ) => {
   const t = pdfTranslations[language] || pdfTranslations.fr;
 
@@ -110,62 +114,8 @@ export const generateInvoicePDF = async (
 
   const logoDataUri = await getImageDataUri(s.logoUrl);
 
-  // 2. Define HTML Snippets
-  const sectionHtml = {
-    header: `
-      <div class="header">
-        <div>
-          ${
-            logoDataUri
-              ? `<img src="${logoDataUri}" class="logo-img" />`
-              : `<h2 style="color:${s.colors.primary}; margin:0; font-size: 28px;">${business.name}</h2>`
-          }
-        </div>
-        <div class="title-wrapper">
-          <h1 class="invoice-title">${s.labels.invoiceTitle || t.invoice}</h1>
-          <div class="invoice-number"># ${invoice.invoiceNumber}</div>
-        </div>
-      </div>
-    `,
-    details: `
-      <div class="details-container">
-        <!-- FROM SECTION -->
-        <div style="width: 45%">
-          <span class="label">${s.labels.from || "FROM"}</span>
-          <div class="company-name">${business.name}</div>
-          <div class="address-text">
-            ${formatAddress(business.address)}
-            ${
-              settings?.companyInfo?.matriculeFiscale
-                ? `<br><br>MF: ${settings.companyInfo.matriculeFiscale}`
-                : ""
-            }
-          </div>
-        </div>
-
-        <!-- TO SECTION -->
-        <div style="width: 45%; text-align: right;">
-          <span class="label">${s.labels.to || "BILL TO"}</span>
-          <div class="company-name">${invoice.recipientName || "Unknown"}</div>
-          <div class="address-text">
-            ${invoice.recipientCompany ? `${invoice.recipientCompany}<br>` : ""}
-            ${formatAddress(invoice.recipientAddress)}
-            ${invoice.recipientEmail ? `<br>${invoice.recipientEmail}` : ""}
-          </div>
-        </div>
-      </div>
-      
-      <!-- DATES -->
-      <div class="dates-row">
-        <div class="date-item"><span>DATE:</span> ${formatDate(
-          invoice.issueDate
-        )}</div>
-        <div class="date-item"><span>DUE:</span> ${formatDate(
-          invoice.dueDate
-        )}</div>
-      </div>
-    `,
-    items: `
+  // Line items table (also used for the optional lines of quotes)
+  const itemsTable = (rows) => `
       <table>
         <thead>
           <tr>
@@ -198,7 +148,7 @@ export const generateInvoicePDF = async (
           </tr>
         </thead>
         <tbody>
-          ${invoice.items
+          ${rows
             .map(
               (item, idx) => `
             <tr class="${s.table.striped && idx % 2 !== 0 ? "striped" : ""}">
@@ -229,6 +179,85 @@ export const generateInvoicePDF = async (
             .join("")}
         </tbody>
       </table>
+    `;
+
+  // 2. Define HTML Snippets
+  const sectionHtml = {
+    header: `
+      <div class="header">
+        <div>
+          ${
+            logoDataUri
+              ? `<img src="${logoDataUri}" class="logo-img" />`
+              : `<h2 style="color:${s.colors.primary}; margin:0; font-size: 28px;">${business.name}</h2>`
+          }
+        </div>
+        <div class="title-wrapper">
+          <h1 class="invoice-title">${
+            document.title || s.labels.invoiceTitle || t.invoice
+          }</h1>
+          <div class="invoice-number"># ${
+            document.number || invoice.invoiceNumber
+          }</div>
+        </div>
+      </div>
+    `,
+    details: `
+      <div class="details-container">
+        <!-- FROM SECTION -->
+        <div style="width: 45%">
+          <span class="label">${s.labels.from || "FROM"}</span>
+          <div class="company-name">${business.name}</div>
+          <div class="address-text">
+            ${formatAddress(business.address)}
+            ${
+              settings?.companyInfo?.matriculeFiscale
+                ? `<br><br>MF: ${settings.companyInfo.matriculeFiscale}`
+                : ""
+            }
+          </div>
+        </div>
+
+        <!-- TO SECTION -->
+        <div style="width: 45%; text-align: right;">
+          <span class="label">${s.labels.to || "BILL TO"}</span>
+          <div class="company-name">${invoice.recipientName || "Unknown"}</div>
+          <div class="address-text">
+            ${invoice.recipientCompany ? `${invoice.recipientCompany}<br>` : ""}
+            ${formatAddress(invoice.recipientAddress)}
+            ${invoice.recipientEmail ? `<br>${invoice.recipientEmail}` : ""}
+          </div>
+        </div>
+      </div>
+      
+      <!-- DATES -->
+      <div class="dates-row">
+        <div class="date-item"><span>DATE:</span> ${formatDate(
+          invoice.issueDate
+        )}</div>
+        ${
+          invoice.dueDate
+            ? `<div class="date-item"><span>${document.dueLabel || "DUE"}:</span> ${formatDate(
+                invoice.dueDate
+              )}</div>`
+            : ""
+        }
+        ${
+          document.reference
+            ? `<div class="date-item"><span>${document.reference.label}:</span> ${document.reference.value}</div>`
+            : ""
+        }
+      </div>
+    `,
+    items: `
+      ${itemsTable(invoice.items)}
+      ${
+        document.optionalItems?.length
+          ? `<span class="label">${
+              document.optionalItemsTitle || t.options
+            }</span>${itemsTable(document.optionalItems)}`
+          : ""
+      }
     `,
     totals: `
       <div class="totals-container">
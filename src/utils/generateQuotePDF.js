@@ -0,0 +1,36 @@
+import { generateInvoicePDF } from "./generateInvoicePDF.js";
+import { pdfTranslations } from "./invoicePdfTranslations.js";
+
+/**
+ * GENERATE QUOTE PDF
+ * Rendered with the invoice branding (InvoiceSettings): same layout, colors,
+ * labels and sections. Optional lines are listed under their own table.
+ */
+export const generateQuotePDF = async (quote, business, language = "fr", settings = null) => {
+  const t = pdfTranslations[language] || pdfTranslations.fr;
+  const client = quote.client || {};
+
+  // Invoice-shaped view of the quote
+  const document = {
+    recipientName: client.name,
+    recipientEmail: client.email,
+    recipientCompany: client.company,
+    recipientAddress: client.address,
+    issueDate: quote.issueDate,
+    dueDate: quote.validUntil,
+    items: quote.items,
+    subtotal: quote.subtotal,
+    taxRate: quote.taxRate,
+    taxAmount: quote.taxAmount,
+    discount: quote.discount,
+    totalAmount: quote.totalAmount,
+  };
+
+  return generateInvoicePDF(document, business, language, settings, {
+    title: t.quote,
+    number: quote.version > 1 ? `${quote.quoteNumber} (v${quote.version})` : quote.quoteNumber,
+    dueLabel: t.validUntil,
+    optionalItems: quote.options,
+    optionalItemsTitle: t.options,
+  });
+};
@@ -0,0 +1,147 @@
+import PDFDocument from "pdfkit";
+
+// Helper: Format Date (calendar days are stored at UTC midnight)
+const formatDate = (date) => {
+  if (!date) return "...";
+  return new Date(date).toLocaleDateString("fr-FR", {
+    weekday: "long", day: "2-digit", month: "long", year: "numeric", timeZone: "UTC",
+  });
+};
+
+// Helper: Format Time (HH:mm) in the event's time zone
+const formatTime = (date, timeZone) =>
+  new Date(date).toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit", timeZone });
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + (minutes || 0) * 60000);
+
+// Column layout of the run sheet table (x, width)
+const COLUMNS = {
+  time: { x: 50, width: 70, label: "HORAIRE" },
+  item: { x: 125, width: 170, label: "DÉROULÉ" },
+  owner: { x: 300, width: 110, label: "RESPONSABLE" },
+  location: { x: 415, width: 130, label: "LIEU" },
+};
+
+/**
+ * Generate a printable run-of-show (run sheet) for an event
+ * @param {Object} event - Event with timeline, clientId and resources populated
+ * @param {Object} business - The business data model
+ * @param {Object} settings - Contract settings (branding colors are shared)
+ */
+export const generateRunSheetPDF = async (event, business, settings) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "A4", margin: 50, bufferPages: true });
+      const buffers = [];
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+
+      const BRAND = {
+        primary: settings?.branding?.colors?.primary || "#F18237",
+        text: settings?.branding?.colors?.text || "#1F2937",
+      };
+
+      // --- 1. HEADER ---
+      doc.fillColor(BRAND.primary).fontSize(14).font("Helvetica-Bold")
+         .text(business.name, 50, 50);
+      doc.fillColor("#666").fontSize(9).font("Helvetica")
+         .text(business.contact?.phone ? `Tél: ${business.contact.phone}` : "");
+
+      doc.fillColor(BRAND.primary).fontSize(16).font("Helvetica-Bold")
+         .text("DÉROULÉ DE L'ÉVÉNEMENT", 300, 50, { align: "right" });
+
+      // --- 2. EVENT SUMMARY ---
+      doc.moveDown(3);
+      doc.moveTo(50, doc.y).lineTo(545, doc.y).lineWidth(1).strokeColor(BRAND.primary).stroke();
+      doc.moveDown();
+
+      doc.fillColor(BRAND.text).fontSize(12).font("Helvetica-Bold").text(event.title, 50, doc.y);
+      doc.fontSize(10).font("Helvetica")
+         .text(`Date: ${formatDate(event.startDate)} (${event.startTime} - ${event.endTime})`)
+         .text(`Client: ${event.clientId?.name || "N/A"}${event.clientId?.phone ? ` - ${event.clientId.phone}` : ""}`);
+      if (event.guestCount) doc.text(`Invités: ${event.guestCount}`);
+
+      const spaces = event.resources?.length
+        ? event.resources.map((r) => r.resource?.name).filter(Boolean)
+        : [event.resourceId?.name].filter(Boolean);
+      if (spaces.length) doc.text(`Espaces: ${spaces.join(", ")}`);
+
+      // --- 3. TIMELINE TABLE ---
+      doc.moveDown(2);
+      drawSectionTitle(doc, "PROGRAMME", BRAND.primary);
+
+      const drawHeaderRow = () => {
+        const y = doc.y;
+        doc.fontSize(8).font("Helvetica-Bold").fillColor("#666");
+        Object.values(COLUMNS).forEach((col) =>
+          doc.text(col.label, col.x, y, { width: col.width })
+        );
+        doc.moveDown(0.5);
+        doc.moveTo(50, doc.y).lineTo(545, doc.y).lineWidth(0.5).strokeColor("#ddd").stroke();
+        doc.moveDown(0.5);
+      };
+
+      drawHeaderRow();
+
+      if (!event.timeline?.length) {
+        doc.fontSize(10).font("Helvetica-Oblique").fillColor("#999")
+           .text("Aucun élément au programme.", 50, doc.y);
+      }
+
+      event.timeline.forEach((item) => {
+        const owner = item.responsibleUser?.name || item.responsiblePartner?.name || "-";
+        const location = item.location?.name || "-";
+        const time = item.duration
+          ? `${formatTime(item.startAt, event.timeZone)} - ${formatTime(addMinutes(item.startAt, item.duration), event.timeZone)}`
+          : formatTime(item.startAt, event.timeZone);
+
+        // Row height depends on the longest wrapped cell
+        doc.fontSize(10).font("Helvetica");
+        const rowHeight = Math.max(
+          doc.heightOfString(item.title, { width: COLUMNS.item.width }) +
+            (item.notes ? doc.fontSize(8).heightOfString(item.notes, { width: COLUMNS.item.width }) + 2 : 0),
+          doc.fontSize(10).heightOfString(owner, { width: COLUMNS.owner.width }),
+          doc.heightOfString(location, { width: COLUMNS.location.width })
+        );
+
+        if (doc.y + rowHeight > 760) {
+          doc.addPage();
+          drawHeaderRow();
+        }
+
+        const y = doc.y;
+        doc.fontSize(10).font("Helvetica-Bold").fillColor(BRAND.text)
+           .text(time, COLUMNS.time.x, y, { width: COLUMNS.time.width });
+        doc.font("Helvetica-Bold")
+           .text(item.title, COLUMNS.item.x, y, { width: COLUMNS.item.width });
+        if (item.notes) {
+          doc.fontSize(8).font("Helvetica").fillColor("#666")
+             .text(item.notes, COLUMNS.item.x, doc.y + 2, { width: COLUMNS.item.width });
+        }
+        doc.fontSize(10).font("Helvetica").fillColor(BRAND.text)
+           .text(owner, COLUMNS.owner.x, y, { width: COLUMNS.owner.width })
+           .text(location, COLUMNS.location.x, y, { width: COLUMNS.location.width });
+
+        doc.y = y + rowHeight + 6;
+        doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).lineWidth(0.5).strokeColor("#eee").stroke();
+      });
+
+      // --- 4. FOOTER (page numbers) ---
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.fontSize(8).fillColor("#999").font("Helvetica")
+           .text(`${event.title} - Page ${i + 1}/${range.count}`, 50, 780, { align: "center", width: 495 });
+      }
+
+      doc.end();
+
+    } catch (err) { reject(err); }
+  });
+};
+
+function drawSectionTitle(doc, text, color) {
+  doc.fontSize(11).font("Helvetica-Bold").fillColor(color).text(text, 50, doc.y);
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).lineWidth(0.5).strokeColor(color).stroke();
+  doc.moveDown(0.5);
+}
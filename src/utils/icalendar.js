@@ -0,0 +1,127 @@
+// utils/icalendar.js
+// Minimal iCalendar (RFC 5545) writer for read-only event feeds.
+
+import { getEventBookings, getEventInterval } from "./scheduling.js";
+
+const CRLF = "\r\n";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Format a Date as an iCalendar UTC timestamp (20261103T180000Z)
+ */
+export const formatICalDate = (date) => {
+  const d = new Date(date);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+};
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newlines)
+ */
+export const escapeICalText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold content lines longer than 75 octets
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+
+  return chunks.join(`${CRLF} `);
+};
+
+const STATUS_MAP = {
+  hold: "TENTATIVE",
+  pending: "TENTATIVE",
+  cancelled: "CANCELLED",
+};
+
+/**
+ * Build a VEVENT block for one Event (expects clientId and the resources populated).
+ * Space feeds use that space's own window of multi-resource events.
+ */
+const buildVEvent = (event, { domain, resourceId }) => {
+  const booking = resourceId
+    ? getEventBookings(event).find((b) => String(b.resourceId) === String(resourceId))
+    : null;
+  const { start, end } = booking || getEventInterval(event);
+  if (!start || !end) return [];
+
+  const clientName = event.clientId?.name;
+  const spaceName = event.resources?.length
+    ? event.resources.map((r) => r.resource?.name).filter(Boolean).join(", ")
+    : event.resourceId?.name;
+
+  const description = [
+    clientName && `Client: ${clientName}`,
+    spaceName && `Space: ${spaceName}`,
+    `Status: ${event.status}`,
+    event.guestCount && `Guests: ${event.guestCount}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const summary = clientName ? `${event.title} (${clientName})` : event.title;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event._id}${resourceId ? `-${resourceId}` : ""}@${domain}`,
+    `DTSTAMP:${formatICalDate(event.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${formatICalDate(event.updatedAt || new Date())}`,
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(end)}`,
+    `SUMMARY:${escapeICalText(summary)}`,
+    spaceName && `LOCATION:${escapeICalText(spaceName)}`,
+    `DESCRIPTION:${escapeICalText(description)}`,
+    `STATUS:${STATUS_MAP[event.status] || "CONFIRMED"}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+/**
+ * Serialize events into a VCALENDAR document
+ * @param {Array} events - Event documents
+ * @param {Object} options
+ * @param {String} options.name - Calendar display name
+ * @param {String} options.domain - Used to build stable UIDs
+ * @param {String} options.resourceId - Space of a per-Space feed
+ */
+export const buildICalendar = (
+  events,
+  { name = "Events", domain = "fiesta.events", resourceId = null } = {}
+) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Fiesta//Event Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    // Hint for clients that poll the feed (Outlook, Apple Calendar)
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...events.flatMap((event) => buildVEvent(event, { domain, resourceId })),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
@@ -1,6 +1,11 @@
 export const pdfTranslations = {
   fr: {
     invoice: "FACTURE",
+    quote: "DEVIS",
+    validUntil: "VALABLE JUSQU'AU",
+    options: "Options",
+    creditNote: "AVOIR",
+    originalInvoice: "FACTURE D'ORIGINE",
     date: "DATE",
     dueDate: "ÉCHÉANCE",
     from: "DE",
@@ -17,6 +22,11 @@ export const pdfTranslations = {
   },
   en: {
     invoice: "INVOICE",
+    quote: "QUOTE",
+    validUntil: "VALID UNTIL",
+    options: "Options",
+    creditNote: "CREDIT NOTE",
+    originalInvoice: "ORIGINAL INVOICE",
     date: "DATE",
     dueDate: "DUE DATE",
     from: "FROM",
@@ -33,6 +43,11 @@ export const pdfTranslations = {
   },
   ar: {
     invoice: "فاتورة",
+    quote: "عرض سعر",
+    validUntil: "صالح حتى",
+    options: "خيارات",
+    creditNote: "إشعار دائن",
+    originalInvoice: "الفاتورة الأصلية",
     date: "التاريخ",
     dueDate: "تاريخ الاستحقاق",
     from: "من",
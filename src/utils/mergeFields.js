@@ -0,0 +1,145 @@
+// Merge fields used in contract clauses: {{client.name}}, {{event.startDate}}, {{financials.totalTTC}}...
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-zA-Z]+\.[a-zA-Z]+)\s*\}\}/g;
+
+// Printed when a known field has no value (same placeholder as the PDF dates)
+const EMPTY_VALUE = "...";
+
+const formatMoney = (amount, currency = "TND") =>
+  new Intl.NumberFormat("fr-TN", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: 3,
+  }).format(amount || 0);
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("fr-FR", { day: "2-digit", month: "long", year: "numeric" }) : "";
+
+const formatAddress = (address) => {
+  if (!address) return "";
+  if (typeof address === "string") return address;
+  return [address.street, address.city, address.zipCode, address.state, address.country]
+    .filter(Boolean)
+    .join(", ");
+};
+
+const money = (get) => (ctx) => {
+  const amount = get(ctx);
+  return amount === undefined || amount === null ? "" : formatMoney(amount, ctx.currency);
+};
+const date = (get) => (ctx) => formatDate(get(ctx));
+
+// Every field a clause can use: key -> { label, value(ctx) }
+// ctx = { contract, business, settings, event, client, currency }
+export const MERGE_FIELDS = {
+  "business.name": {
+    label: "Business name",
+    value: ({ settings, business }) => settings?.companyInfo?.displayName || business?.name,
+  },
+  "business.legalName": {
+    label: "Business legal name",
+    value: ({ settings, business }) => settings?.companyInfo?.legalName || business?.name,
+  },
+  "business.taxId": { label: "Business tax ID", value: ({ settings }) => settings?.companyInfo?.matriculeFiscale },
+  "business.address": {
+    label: "Business address",
+    value: ({ settings, business }) => settings?.companyInfo?.address || formatAddress(business?.address),
+  },
+  "business.phone": {
+    label: "Business phone",
+    value: ({ settings, business }) => settings?.companyInfo?.phone || business?.contact?.phone,
+  },
+  "business.email": {
+    label: "Business email",
+    value: ({ settings, business }) => settings?.companyInfo?.email || business?.contact?.email,
+  },
+
+  // The client of the event, or the party of the contract when there is none
+  "client.name": { label: "Client name", value: ({ client, contract }) => client?.name || contract.party?.name },
+  "client.email": { label: "Client email", value: ({ client, contract }) => client?.email || contract.party?.email },
+  "client.phone": { label: "Client phone", value: ({ client, contract }) => client?.phone || contract.party?.phone },
+  "client.company": { label: "Client company", value: ({ client }) => client?.company },
+  "client.address": {
+    label: "Client address",
+    value: ({ client, contract }) => formatAddress(client?.address) || contract.party?.address,
+  },
+
+  "party.name": { label: "Party name", value: ({ contract }) => contract.party?.name },
+  "party.identifier": { label: "Party tax ID / CIN", value: ({ contract }) => contract.party?.identifier },
+  "party.representative": { label: "Party representative", value: ({ contract }) => contract.party?.representative },
+  "party.address": { label: "Party address", value: ({ contract }) => contract.party?.address },
+
+  "event.title": { label: "Event title", value: ({ event }) => event?.title },
+  "event.type": { label: "Event type", value: ({ event }) => event?.type },
+  "event.startDate": {
+    label: "Event start date",
+    value: date(({ event, contract }) => event?.startDate || contract.logistics?.startDate),
+  },
+  "event.endDate": {
+    label: "Event end date",
+    value: date(({ event, contract }) => event?.endDate || contract.logistics?.endDate),
+  },
+  "event.startTime": {
+    label: "Event start time",
+    value: ({ event, contract }) => event?.startTime || contract.logistics?.checkInTime,
+  },
+  "event.endTime": {
+    label: "Event end time",
+    value: ({ event, contract }) => event?.endTime || contract.logistics?.checkOutTime,
+  },
+  "event.guestCount": { label: "Number of guests", value: ({ event }) => event?.guestCount },
+
+  "contract.number": { label: "Contract number", value: ({ contract }) => contract.contractNumber },
+  "contract.title": { label: "Contract title", value: ({ contract }) => contract.title },
+  "contract.date": { label: "Contract date", value: date(({ contract }) => contract.createdAt || new Date()) },
+
+  "financials.amountHT": { label: "Total excl. tax", value: money(({ contract }) => contract.financials?.amountHT) },
+  "financials.vatRate": {
+    label: "VAT rate",
+    value: ({ contract }) => (contract.financials?.vatRate !== undefined ? `${contract.financials.vatRate}%` : ""),
+  },
+  "financials.taxAmount": { label: "VAT amount", value: money(({ contract }) => contract.financials?.taxAmount) },
+  "financials.stampDuty": { label: "Stamp duty", value: money(({ contract }) => contract.financials?.stampDuty) },
+  "financials.totalTTC": { label: "Total incl. tax", value: money(({ contract }) => contract.financials?.totalTTC) },
+  "financials.depositAmount": {
+    label: "Deposit",
+    value: money(({ contract }) => contract.paymentTerms?.depositAmount),
+  },
+  "financials.securityDeposit": {
+    label: "Security deposit",
+    value: money(({ contract }) => contract.paymentTerms?.securityDeposit),
+  },
+  "financials.dueDate": { label: "Balance due date", value: date(({ contract }) => contract.paymentTerms?.dueDate) },
+};
+
+/**
+ * Resolve every known merge field of a contract once, as printed text
+ * @param {Object} ctx - { contract, business, settings, event, client }
+ * @returns {Object} { "client.name": "Sarra Ben Ali", ... }
+ */
+export const buildMergeValues = (ctx) => {
+  const context = { ...ctx, currency: ctx.contract.financials?.currency || "TND" };
+  const values = {};
+  Object.entries(MERGE_FIELDS).forEach(([key, field]) => {
+    const value = field.value(context);
+    values[key] = value === undefined || value === null ? "" : String(value);
+  });
+  return values;
+};
+
+/**
+ * Replace the merge fields of a text. Unknown fields are left as typed.
+ */
+export const resolveMergeFields = (text, values) =>
+  (text || "").replace(MERGE_FIELD_PATTERN, (placeholder, key) =>
+    key in MERGE_FIELDS ? values[key] || EMPTY_VALUE : placeholder
+  );
+
+/**
+ * Merge fields of a text that do not exist (typos such as {{client.nom}})
+ */
+export const findUnknownMergeFields = (text) => [
+  ...new Set(
+    [...(text || "").matchAll(MERGE_FIELD_PATTERN)].map(([, key]) => key).filter((key) => !(key in MERGE_FIELDS))
+  ),
+];
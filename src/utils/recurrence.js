@@ -0,0 +1,209 @@
+// utils/recurrence.js
+// Minimal RRULE (RFC 5545) support for recurring events:
+// FREQ (DAILY | WEEKLY | MONTHLY | YEARLY), INTERVAL, COUNT, UNTIL,
+// BYDAY (e.g. "TU,TH" or "2SA" / "-1FR" for monthly rules) and BYMONTHDAY.
+
+// Hard cap so a bad rule can never generate thousands of documents
+export const MAX_OCCURRENCES = 104;
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const parseUntil = (value) => {
+  // Basic RRULE format: 20261231 or 20261231T235959Z
+  const basic = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (basic) {
+    const [, y, m, d] = basic;
+    return new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), 23, 59, 59));
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseByDay = (value) =>
+  value.split(",").map((token) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token.trim().toUpperCase());
+    if (!match) throw new Error(`Invalid BYDAY value "${token}"`);
+    return {
+      ordinal: match[1] ? Number(match[1]) : null,
+      weekday: WEEKDAYS.indexOf(match[2]),
+    };
+  });
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=TU;COUNT=12") into an object
+ * @throws {Error} When the rule is malformed or unbounded
+ */
+export const parseRRule = (ruleString) => {
+  const raw = String(ruleString || "").replace(/^RRULE:/i, "").trim();
+  if (!raw) throw new Error("Recurrence rule is required");
+
+  const parts = Object.fromEntries(
+    raw.split(";").filter(Boolean).map((pair) => {
+      const [key, value] = pair.split("=");
+      return [key.trim().toUpperCase(), (value || "").trim()];
+    })
+  );
+
+  const rule = {
+    freq: (parts.FREQ || "").toUpperCase(),
+    interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+    byDay: parts.BYDAY ? parseByDay(parts.BYDAY) : [],
+    byMonthDay: parts.BYMONTHDAY
+      ? parts.BYMONTHDAY.split(",").map((d) => parseInt(d, 10))
+      : [],
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Unsupported recurrence frequency "${parts.FREQ || ""}"`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new Error("INTERVAL must be a positive integer");
+  }
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    throw new Error("COUNT must be a positive integer");
+  }
+  if (rule.count > MAX_OCCURRENCES) {
+    throw new Error(`COUNT cannot exceed ${MAX_OCCURRENCES} occurrences`);
+  }
+  if (parts.UNTIL && !rule.until) throw new Error("Invalid UNTIL date");
+  if (!rule.count && !rule.until) {
+    throw new Error("Recurrence rule needs a COUNT or an UNTIL date");
+  }
+
+  return rule;
+};
+
+/**
+ * Build an RRULE string from a structured recurrence object
+ * e.g. { frequency: "weekly", interval: 1, byWeekday: ["TU"], count: 12 }
+ */
+export const buildRRule = (recurrence) => {
+  if (typeof recurrence === "string") return recurrence.replace(/^RRULE:/i, "");
+
+  const parts = [`FREQ=${String(recurrence.frequency || "").toUpperCase()}`];
+  if (recurrence.interval) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byWeekday?.length) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map((d) => String(d).toUpperCase()).join(",")}`);
+  }
+  if (recurrence.byMonthDay?.length) parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(",")}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) {
+    const until = new Date(recurrence.until);
+    const pad = (n) => String(n).padStart(2, "0");
+    parts.push(`UNTIL=${until.getUTCFullYear()}${pad(until.getUTCMonth() + 1)}${pad(until.getUTCDate())}`);
+  }
+  return parts.join(";");
+};
+
+// --- Candidate generators (one "period" at a time) ---
+
+// Dates are calendar days stored at UTC midnight (see utils/scheduling.js),
+// so all day arithmetic is done in UTC, whatever the server's time zone
+const atDay = (base, y, m, d) =>
+  new Date(Date.UTC(y, m, d, base.getUTCHours(), base.getUTCMinutes(), base.getUTCSeconds()));
+
+const nthWeekdayOfMonth = (base, year, month, weekday, ordinal) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const matches = [];
+  for (let d = 1; d <= lastDay; d++) {
+    if (new Date(Date.UTC(year, month, d)).getUTCDay() === weekday) matches.push(d);
+  }
+  const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+  return day ? atDay(base, year, month, day) : null;
+};
+
+const candidatesForPeriod = (rule, start, period) => {
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth();
+  const d = start.getUTCDate();
+
+  switch (rule.freq) {
+    case "DAILY":
+      return [atDay(start, y, m, d + period * rule.interval)];
+
+    case "WEEKLY": {
+      // Weeks start on Monday (RRULE default WKST=MO)
+      const mondayOffset = (start.getUTCDay() + 6) % 7;
+      const weekStart = atDay(start, y, m, d - mondayOffset + period * rule.interval * 7);
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map((b) => b.weekday)
+        : [start.getUTCDay()];
+      return weekdays
+        .map((wd) => atDay(start, weekStart.getUTCFullYear(), weekStart.getUTCMonth(), weekStart.getUTCDate() + ((wd + 6) % 7)))
+        .sort((a, b) => a - b);
+    }
+
+    case "MONTHLY": {
+      const target = new Date(Date.UTC(y, m + period * rule.interval, 1));
+      const ty = target.getUTCFullYear();
+      const tm = target.getUTCMonth();
+      const lastDay = new Date(Date.UTC(ty, tm + 1, 0)).getUTCDate();
+
+      if (rule.byDay.length) {
+        return rule.byDay
+          .flatMap((b) =>
+            b.ordinal
+              ? [nthWeekdayOfMonth(start, ty, tm, b.weekday, b.ordinal)]
+              : [1, 2, 3, 4, 5].map((n) => nthWeekdayOfMonth(start, ty, tm, b.weekday, n))
+          )
+          .filter(Boolean)
+          .sort((a, b) => a - b);
+      }
+
+      const days = rule.byMonthDay.length ? rule.byMonthDay : [d];
+      return days
+        .map((day) => (day < 0 ? lastDay + day + 1 : day))
+        .filter((day) => day >= 1 && day <= lastDay)
+        .map((day) => atDay(start, ty, tm, day))
+        .sort((a, b) => a - b);
+    }
+
+    case "YEARLY": {
+      const candidate = atDay(start, y + period * rule.interval, m, d);
+      // Skip Feb 29 on non-leap years
+      return candidate.getUTCMonth() === m ? [candidate] : [];
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Expand a rule into occurrence start dates (first one included when it matches)
+ * @param {Date} start - DTSTART (first occurrence)
+ * @param {Object|String} rule - Parsed rule or RRULE string
+ * @returns {Date[]}
+ * @throws {Error} When the UNTIL date allows more than MAX_OCCURRENCES occurrences
+ */
+export const expandOccurrences = (start, rule) => {
+  const parsed = typeof rule === "string" ? parseRRule(rule) : rule;
+  const first = new Date(start);
+  const occurrences = [];
+
+  // Safety net on the number of empty periods (e.g. "31st of every month")
+  for (let period = 0; period < MAX_OCCURRENCES * 12; period++) {
+    for (const candidate of candidatesForPeriod(parsed, first, period)) {
+      if (candidate < first) continue;
+      if (parsed.until && candidate > parsed.until) return occurrences;
+      occurrences.push(candidate);
+      if (parsed.count && occurrences.length >= parsed.count) return occurrences;
+      if (occurrences.length > MAX_OCCURRENCES) {
+        throw new Error(`The rule produces more than ${MAX_OCCURRENCES} occurrences, choose an earlier UNTIL date`);
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Number of whole days between two dates (used to keep multi-day spans)
+ */
+export const daysBetween = (a, b) =>
+  Math.round((new Date(b).setUTCHours(0, 0, 0, 0) - new Date(a).setUTCHours(0, 0, 0, 0)) / DAY);
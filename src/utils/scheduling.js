@@ -0,0 +1,255 @@
+// utils/scheduling.js
+// Shared date/time helpers for bookings (Events) on resources (Spaces).
+
+export const DAY_KEYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Used when neither the Space nor the Business has a time zone
+export const DEFAULT_TIME_ZONE = "Africa/Tunis";
+
+// Date-only fields (Event.startDate, Reminder.reminderDate...) are calendar days
+// stored at UTC midnight. "HH:mm" times are wall-clock times in the time zone of
+// the resource or business, never in the server's own time zone.
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check that a string is a valid IANA time zone (e.g. "Africa/Tunis")
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+export const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+// Offset of a time zone from UTC at an instant (ms, positive east of UTC)
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a time zone (DST aware)
+ */
+export const zonedTimeToUtc = (year, month, day, hours, minutes, timeZone = DEFAULT_TIME_ZONE) => {
+  const guess = Date.UTC(year, month, day, hours, minutes);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+  // Second pass when the guess and the result sit on both sides of a DST change
+  const corrected = getTimeZoneOffset(new Date(result), timeZone);
+  return new Date(corrected === offset ? result : guess - corrected);
+};
+
+/**
+ * Normalize a date-only value to UTC midnight of its calendar day.
+ * Rounds to the nearest midnight so values saved as local midnight
+ * (e.g. 2026-06-11T23:00:00Z for the 12th in Tunis) land on the right day.
+ */
+export const toDateOnly = (date) => {
+  if (!date) return null;
+  return new Date(Math.round(new Date(date).getTime() / DAY) * DAY);
+};
+
+/**
+ * Calendar day (UTC midnight) an instant falls on in a time zone
+ */
+export const getZonedDay = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const p = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month, p.day));
+};
+
+/**
+ * Merge a calendar date and an "HH:mm" string into a single Date
+ * @param {Date} date - Calendar day
+ * @param {String} timeStr - Wall-clock time ("HH:mm")
+ * @param {String} timeZone - IANA time zone of the business/resource
+ */
+export const createDateTime = (date, timeStr, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!date || !timeStr) return null;
+  const day = toDateOnly(date);
+  const [hours, minutes] = timeStr.split(":");
+  return zonedTimeToUtc(
+    day.getUTCFullYear(),
+    day.getUTCMonth(),
+    day.getUTCDate(),
+    parseInt(hours),
+    parseInt(minutes),
+    timeZone
+  );
+};
+
+export const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + (minutes || 0) * MINUTE);
+
+export const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY);
+
+// Same day of the month, clamped to the month's last day (31 Jan + 1 month = 28/29 Feb)
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Start of the calendar day of a date-only value in a time zone
+ */
+export const startOfDay = (date, timeZone = DEFAULT_TIME_ZONE) =>
+  createDateTime(date, "00:00", timeZone);
+
+/**
+ * Real start/end of an Event (dates merged with their times)
+ */
+export const getEventInterval = (event) => ({
+  start: createDateTime(event.startDate, event.startTime, event.timeZone),
+  end: createDateTime(event.endDate, event.endTime, event.timeZone),
+});
+
+/**
+ * Every resource slot an Event occupies.
+ * Multi-resource events book each entry of `resources` with its own window
+ * (defaulting to the event's dates/times); others book `resourceId`
+ * (or nothing, for solo businesses) for the whole event.
+ */
+export const getEventBookings = (event) => {
+  if (!event.resources?.length) {
+    return [
+      {
+        resourceId: event.resourceId?._id || event.resourceId || null,
+        ...getEventInterval(event),
+      },
+    ];
+  }
+
+  return event.resources.map((entry) => {
+    const start = createDateTime(
+      entry.startDate || event.startDate,
+      entry.startTime || event.startTime,
+      event.timeZone
+    );
+    // An entry without its own times spans the whole event
+    let end = entry.endTime
+      ? createDateTime(entry.endDate || entry.startDate || event.startDate, entry.endTime, event.timeZone)
+      : createDateTime(entry.endDate || event.endDate, event.endTime, event.timeZone);
+    // "19:00 - 01:00" without an explicit end date runs past midnight
+    if (start && end && end <= start && !entry.endDate) {
+      end = addMinutes(end, 24 * 60);
+    }
+
+    return {
+      resourceId: entry.resource?._id || entry.resource,
+      label: entry.label,
+      start,
+      end,
+    };
+  });
+};
+
+/**
+ * Opening window of a resource for the given calendar day (UTC midnight),
+ * in the resource's own time zone.
+ * - Returns null when the resource is closed that day.
+ * - Resources without configured hours are considered open all day.
+ * - A closing time at or before the opening time rolls over to the next day.
+ */
+export const getOperatingWindow = (space, day) => {
+  const timeZone = space?.timeZone || DEFAULT_TIME_ZONE;
+  const calendarDay = toDateOnly(day);
+  const hours = space?.operatingHours?.[DAY_KEYS[calendarDay.getUTCDay()]];
+
+  if (hours?.closed) return null;
+
+  if (!hours?.open || !hours?.close) {
+    return {
+      start: startOfDay(calendarDay, timeZone),
+      end: startOfDay(addDays(calendarDay, 1), timeZone),
+    };
+  }
+
+  const start = createDateTime(calendarDay, hours.open, timeZone);
+  let end = createDateTime(calendarDay, hours.close, timeZone);
+  if (end <= start) end = createDateTime(addDays(calendarDay, 1), hours.close, timeZone);
+
+  return { start, end };
+};
+
+export const intervalsOverlap = (a, b) => a.start < b.end && a.end > b.start;
+
+/**
+ * Remove busy intervals from a window, returning the remaining free slots
+ */
+export const subtractIntervals = (window, busy) => {
+  const sorted = [...busy]
+    .filter((b) => intervalsOverlap(window, b))
+    .sort((a, b) => a.start - b.start);
+
+  const free = [];
+  let cursor = window.start;
+
+  for (const slot of sorted) {
+    if (slot.start > cursor) free.push({ start: cursor, end: slot.start });
+    if (slot.end > cursor) cursor = slot.end;
+    if (cursor >= window.end) break;
+  }
+
+  if (cursor < window.end) free.push({ start: cursor, end: window.end });
+
+  return free;
+};
@@ -13,4 +13,15 @@ export const verifyToken = (token) => {
   } catch (error) {
     return null;
   }
-};
\ No newline at end of file
+};
+
+// Client portal session: a different principal than users, never accepted by `authenticate`
+export const PORTAL_TOKEN_SCOPE = "client_portal";
+
+export const generatePortalSessionToken = (client) => {
+  return jwt.sign(
+    { clientId: client._id, businessId: client.businessId, scope: PORTAL_TOKEN_SCOPE },
+    config.jwt.secret,
+    { expiresIn: config.portal.sessionExpire }
+  );
+};
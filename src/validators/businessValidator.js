@@ -0,0 +1,40 @@
+import { query } from "express-validator";
+
+// Longest range a single availability search may cover
+const MAX_AVAILABILITY_RANGE_DAYS = 93;
+
+// =========================================================
+// RESOURCE AVAILABILITY VALIDATOR
+// =========================================================
+export const availabilityQueryValidator = [
+  query("from")
+    .notEmpty().withMessage("'from' date is required")
+    .isISO8601().withMessage("Invalid 'from' date format")
+    .toDate(),
+
+  query("to")
+    .notEmpty().withMessage("'to' date is required")
+    .isISO8601().withMessage("Invalid 'to' date format")
+    .toDate()
+    .custom((to, { req }) => {
+      const from = new Date(req.query.from);
+      if (to <= from) {
+        throw new Error("'to' must be after 'from'");
+      }
+      const days = (to - from) / (24 * 60 * 60 * 1000);
+      if (days > MAX_AVAILABILITY_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_AVAILABILITY_RANGE_DAYS} days`);
+      }
+      return true;
+    }),
+
+  query("guests")
+    .optional()
+    .isInt({ min: 1 }).withMessage("Guests must be at least 1")
+    .toInt(),
+
+  query("type")
+    .optional()
+    .isIn(["room", "vehicle", "equipment", "table"])
+    .withMessage("Invalid resource type"),
+];
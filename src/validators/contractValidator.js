@@ -1,4 +1,6 @@
 import { body, param, query } from "express-validator";
+import { CLAUSE_CATEGORIES, CLAUSE_LANGUAGES } from "../models/ContractClause.js";
+import { findUnknownMergeFields } from "../utils/mergeFields.js";
 
 // =========================================================
 // REUSABLE RULES
@@ -21,7 +23,7 @@ const commonRules = {
 
   status: body("status")
     .optional()
-    .isIn(["draft", "sent", "viewed", "signed", "cancelled", "expired", "active"]),
+    .isIn(["draft", "sent", "viewed", "signed", "cancelled", "expired", "active", "completed"]),
 
   // Party Validation (The entity being contracted: Client or Partner)
   partyName: body("party.name").notEmpty().withMessage("Party Name is required"),
@@ -33,6 +35,28 @@ const commonRules = {
   endDate: body("logistics.endDate").isISO8601().toDate().withMessage("Invalid End Date"),
 };
 
+// Articles of the "CONDITIONS" section
+const noUnknownMergeFields = (value) => {
+  const unknown = findUnknownMergeFields(value);
+  if (unknown.length) throw new Error(`Unknown merge field(s): ${unknown.map((key) => `{{${key}}}`).join(", ")}`);
+  return true;
+};
+
+// Tacit renewal terms (partner agreements)
+const renewalRules = [
+  body("renewal.autoRenew").optional().isBoolean().toBoolean(),
+  body("renewal.periodMonths").optional().isInt({ min: 1, max: 60 }).withMessage("Renewal period must be 1 to 60 months").toInt(),
+  body("renewal.noticeDays").optional().isInt({ min: 0, max: 365 }).toInt(),
+  body("renewal.maxRenewals").optional({ values: "null" }).isInt({ min: 1 }).toInt(),
+];
+
+const clauseRules = [
+  body("clauses").optional().isArray().withMessage("Clauses must be a list"),
+  body("clauses.*.title").trim().notEmpty().withMessage("Clause title is required").isLength({ max: 200 }),
+  body("clauses.*.content").trim().notEmpty().withMessage("Clause content is required").isLength({ max: 10000 }),
+  body("clauses.*.content").optional().custom(noUnknownMergeFields),
+];
+
 // =========================================================
 // CREATE CONTRACT VALIDATOR
 // =========================================================
@@ -76,6 +100,11 @@ export const createContractValidator = [
   body("financials.totalTTC").isFloat({ min: 0 }).withMessage("Total TTC must be valid"),
   body("financials.vatRate").optional().isFloat({ min: 0, max: 100 }),
   body("financials.stampDuty").optional().isFloat({ min: 0 }),
+
+  ...clauseRules,
+  ...renewalRules,
+  // Language of the library clauses added when no clauses are given
+  body("language").optional().isIn(CLAUSE_LANGUAGES).withMessage("Invalid language"),
 ];
 
 // =========================================================
@@ -85,12 +114,16 @@ export const updateContractValidator = [
   param("id").isMongoId().withMessage("Invalid contract ID"),
   
   body("title").optional().trim().notEmpty(),
-  body("status").optional().isIn(["draft", "sent", "viewed", "signed", "cancelled", "expired", "active"]),
   
   // Optional deep updates
   body("party.name").optional().notEmpty(),
   body("services").optional().isArray(),
   body("financials").optional().isObject(),
+  ...clauseRules,
+  ...renewalRules,
+
+  // Saved with the archived version when a sent contract is changed
+  body("versionNote").optional().trim().isLength({ max: 500 }),
 ];
 
 // =========================================================
@@ -120,4 +153,160 @@ export const contractSettingsValidator = [
   body("financialDefaults.currency").optional().isLength({ max: 3 }),
   body("financialDefaults.defaultVatRate").optional().isFloat({ min: 0, max: 100 }),
   body("labels.contractTitle").optional().trim(),
-];
\ No newline at end of file
+  body("lifecycle.signatureValidityDays").optional().isInt({ min: 1, max: 365 }).toInt(),
+  body("lifecycle.expiryReminderDays").optional().isInt({ min: 0, max: 60 }).toInt(),
+  // Contract number format (CTR-2025-0001)
+  body("structure.prefix").optional().trim().isLength({ max: 10 }).withMessage("Prefix too long"),
+  body("structure.separator").optional().isLength({ max: 3 }).withMessage("Separator too long"),
+  body("structure.includeYear").optional().isBoolean().toBoolean(),
+  body("structure.yearFormat").optional().isIn(["YY", "YYYY"]).withMessage("Year format must be YY or YYYY"),
+  body("structure.sequenceDigits").optional().isInt({ min: 1, max: 10 }).toInt(),
+  body("structure.resetSequenceYearly").optional().isBoolean().toBoolean(),
+];
+
+// =========================================================
+// VERSIONS & AMENDMENTS VALIDATORS
+// =========================================================
+
+export const contractVersionValidator = [
+  param("id").isMongoId().withMessage("Invalid contract ID"),
+  param("version").isInt({ min: 1 }).withMessage("Invalid version").toInt(),
+];
+
+export const contractDiffValidator = [
+  param("id").isMongoId().withMessage("Invalid contract ID"),
+  query("from").optional().isInt({ min: 1 }).withMessage("Invalid version").toInt(),
+  query("to").optional().isInt({ min: 1 }).withMessage("Invalid version").toInt(),
+];
+
+export const createAmendmentValidator = [
+  param("id").isMongoId().withMessage("Invalid contract ID"),
+  body("reason")
+    .trim()
+    .notEmpty().withMessage("The reason for the amendment is required")
+    .isLength({ max: 1000 }),
+  body("title").optional().trim().isLength({ max: 100 }),
+  body("services").optional().isArray({ min: 1 }).withMessage("At least one service/item is required"),
+  body("services.*.description").trim().notEmpty().withMessage("Service description is required"),
+  body("services.*.quantity").isFloat({ min: 0 }).withMessage("Quantity must be positive"),
+  body("services.*.rate").isFloat({ min: 0 }).withMessage("Rate must be non-negative"),
+  body("financials.vatRate").optional().isFloat({ min: 0, max: 100 }),
+  body("financials.stampDuty").optional().isFloat({ min: 0 }),
+  body("logistics.startDate").optional().isISO8601().toDate().withMessage("Invalid Start Date"),
+  body("logistics.endDate").optional().isISO8601().toDate().withMessage("Invalid End Date"),
+  body("paymentTerms").optional().isObject(),
+  body("legal").optional().isObject(),
+  ...clauseRules,
+];
+
+// =========================================================
+// E-SIGNATURE VALIDATORS
+// =========================================================
+
+// Drawn signatures come from a canvas; typed ones may be rendered by the browser too
+const MAX_SIGNATURE_IMAGE_LENGTH = 500 * 1024;
+
+export const signatureRules = [
+  body("signature.method")
+    .isIn(["drawn", "typed"])
+    .withMessage("Signature method must be drawn or typed"),
+  body("signature.image")
+    .if(body("signature.method").equals("drawn"))
+    .notEmpty().withMessage("A drawn signature needs its image"),
+  body("signature.image")
+    .optional()
+    .matches(/^data:image\/png;base64,[A-Za-z0-9+/=]+$/).withMessage("Signature must be a PNG image")
+    .isLength({ max: MAX_SIGNATURE_IMAGE_LENGTH }).withMessage("Signature image is too large"),
+  body("signature.text")
+    .if(body("signature.method").equals("typed"))
+    .trim()
+    .notEmpty().withMessage("A typed signature needs its text")
+    .isLength({ max: 100 }),
+];
+
+export const sendContractValidator = [
+  param("id").isMongoId().withMessage("Invalid contract ID"),
+  body("email").optional().trim().isEmail().withMessage("Invalid email").normalizeEmail(),
+  body("message").optional().trim().isLength({ max: 1000 }),
+];
+
+export const contractTokenValidator = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid signing link"),
+];
+
+export const signContractValidator = [
+  ...contractTokenValidator,
+  body("name")
+    .trim()
+    .notEmpty().withMessage("Your name is required to sign")
+    .isLength({ max: 100 }),
+  body("documentHash")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid document fingerprint"),
+  body("consent")
+    .custom((value) => value === true)
+    .withMessage("You must agree to sign electronically"),
+  ...signatureRules,
+];
+
+export const countersignContractValidator = [
+  param("id").isMongoId().withMessage("Invalid contract ID"),
+  body("name").optional().trim().isLength({ max: 100 }),
+  ...signatureRules,
+];
+
+// =========================================================
+// CLAUSE LIBRARY
+// =========================================================
+const clauseLibraryRules = (isUpdate) => [
+  (isUpdate ? body("title").optional() : body("title").notEmpty().withMessage("Clause title is required"))
+    .trim()
+    .isLength({ max: 200 }).withMessage("Title cannot exceed 200 characters"),
+  (isUpdate ? body("content").optional() : body("content").notEmpty().withMessage("Clause content is required"))
+    .trim()
+    .isLength({ max: 10000 }).withMessage("Content cannot exceed 10000 characters")
+    .custom(noUnknownMergeFields),
+  body("category").optional().isIn(CLAUSE_CATEGORIES).withMessage("Invalid clause category"),
+  body("language").optional().isIn(CLAUSE_LANGUAGES).withMessage("Invalid language"),
+  body("autoInclude").optional().isBoolean().toBoolean(),
+  body("order").optional().isInt({ min: 0 }).toInt(),
+  body("isActive").optional().isBoolean().toBoolean(),
+  body("conditions.minGuests").optional({ values: "null" }).isInt({ min: 0 }).toInt(),
+  body("conditions.maxGuests")
+    .optional({ values: "null" })
+    .isInt({ min: 0 }).toInt()
+    .custom((value, { req }) => {
+      const min = req.body.conditions?.minGuests;
+      if (min != null && value < min) throw new Error("maxGuests cannot be below minGuests");
+      return true;
+    }),
+  body("conditions.eventTypes").optional().isArray(),
+  body("conditions.eventTypes.*")
+    .isIn(["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"])
+    .withMessage("Invalid event type"),
+  body("conditions.contractTypes").optional().isArray(),
+  body("conditions.contractTypes.*").isIn(["client", "partner"]).withMessage("Invalid contract type"),
+];
+
+export const createClauseValidator = clauseLibraryRules(false);
+
+export const updateClauseValidator = [
+  param("clauseId").isMongoId().withMessage("Invalid clause ID"),
+  ...clauseLibraryRules(true),
+];
+
+export const clauseIdValidator = [
+  param("clauseId").isMongoId().withMessage("Invalid clause ID"),
+];
+
+export const applyClausesValidator = [
+  param("id").isMongoId().withMessage("Invalid contract ID"),
+  body("clauseIds").optional().isArray({ max: 100 }).withMessage("clauseIds must be a list"),
+  body("clauseIds.*").isMongoId().withMessage("Invalid clause ID"),
+  body("language").optional().isIn(CLAUSE_LANGUAGES).withMessage("Invalid language"),
+  body("replace").optional().isBoolean().toBoolean(),
+];
@@ -1,5 +1,35 @@
 import { body, param, query } from "express-validator";
 import { Client } from "../models/index.js";
+import { buildRRule, expandOccurrences, parseRRule } from "../utils/recurrence.js";
+import { SERIES_SCOPES } from "../services/series.service.js";
+import { INITIAL_EVENT_STATUSES } from "../services/eventWorkflow.service.js";
+import { EVENT_INVOICE_TYPES } from "../services/eventInvoice.service.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Multi-resource bookings: each Space with its own optional window
+const resourcesValidator = [
+  body("resources")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Resources must be an array (max 20)"),
+  body("resources.*.resource").isMongoId().withMessage("Invalid resource ID"),
+  body("resources.*.label").optional().trim().isLength({ max: 100 }),
+  body("resources.*.startDate").optional().isISO8601().toDate(),
+  body("resources.*.endDate").optional().isISO8601().toDate(),
+  body("resources.*.startTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Resource start time must be HH:mm"),
+  body("resources.*.endTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Resource end time must be HH:mm"),
+  body("resources.*.price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Resource price cannot be negative"),
+];
 
 export const createEventValidator = [
   body("title")
@@ -86,6 +116,39 @@ export const createEventValidator = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage("Discount cannot be negative"),
+
+  body("status")
+    .optional()
+    .isIn(INITIAL_EVENT_STATUSES)
+    .withMessage(`New events start as ${INITIAL_EVENT_STATUSES.join(" or ")}`),
+
+  body("holdExpiresAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid hold expiry date")
+    .toDate(),
+
+  body("holdDays")
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage("Hold duration must be between 1 and 90 days"),
+
+  ...resourcesValidator,
+
+  // RRULE string ("FREQ=WEEKLY;BYDAY=TU;COUNT=12") or structured rule
+  body("recurrence")
+    .optional()
+    .custom((value, { req }) => {
+      const rule = parseRRule(buildRRule(value));
+      // An UNTIL date may not reach past the occurrence cap
+      if (req.body.startDate) expandOccurrences(req.body.startDate, rule);
+      return true;
+    }),
+
+  body("skipConflicts")
+    .optional()
+    .isBoolean()
+    .withMessage("skipConflicts must be a boolean"),
 ];
 
 export const updateEventValidator = [
@@ -117,7 +180,43 @@ export const updateEventValidator = [
 
   body("status")
     .optional()
-    .isIn(["pending", "confirmed", "in-progress", "completed", "cancelled"]),
+    .isIn(["hold", "pending", "confirmed", "in-progress", "completed", "cancelled"]),
+
+  body("statusReason").optional().trim().isLength({ max: 500 }),
+
+  body("holdExpiresAt").optional().isISO8601().toDate(),
+
+  ...resourcesValidator,
+];
+
+export const quoteEventValidator = [
+  body("resourceId").optional().isMongoId().withMessage("Invalid resource ID"),
+  ...resourcesValidator,
+  body().custom((value) => {
+    if (!value.resourceId && !value.resources?.length) {
+      throw new Error("A resource is required for a quote");
+    }
+    return true;
+  }),
+
+  body("startDate")
+    .notEmpty()
+    .withMessage("Start date is required")
+    .isISO8601()
+    .withMessage("Invalid start date format")
+    .toDate(),
+  body("endDate").optional().isISO8601().withMessage("Invalid end date format").toDate(),
+  body("startTime")
+    .notEmpty()
+    .withMessage("Start time is required")
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be HH:mm"),
+  body("endTime")
+    .notEmpty()
+    .withMessage("End time is required")
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be HH:mm"),
+  body("guestCount").optional().isInt({ min: 1 }).toInt(),
 ];
 
 export const getEventValidator = [
@@ -127,10 +226,331 @@ export const getEventValidator = [
 export const listEventsValidator = [
  query("page").optional().isInt({ min: 1 }).toInt(),
   query("limit").optional().isInt({ min: 1, max: 2000 }).toInt(), 
-  query("status").optional().isIn(["pending", "confirmed", "completed", "cancelled", "all"]),
+  query("status").optional().isIn(["hold", "waitlisted", "pending", "confirmed", "in-progress", "completed", "cancelled", "all"]),
   query("type").optional(),
   query("clientId").optional().isMongoId(),
   query("startDate").optional().isISO8601().toDate(),
   query("endDate").optional().isISO8601().toDate(),
   query("search").optional().trim(),
-];
\ No newline at end of file
+];
+
+export const changeStatusValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  body("status")
+    .notEmpty()
+    .withMessage("Status is required")
+    .isIn(["hold", "pending", "confirmed", "in-progress", "completed", "cancelled"])
+    .withMessage("Invalid event status"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  body("holdExpiresAt").optional().isISO8601().toDate(),
+  body("holdDays").optional().isInt({ min: 1, max: 90 }),
+
+  body("waivePenalty").optional().isBoolean().toBoolean(),
+  body("settleCancellation").optional().isBoolean().toBoolean(),
+  body("refundMethod")
+    .optional()
+    .isIn(["cash", "card", "credit_card", "bank_transfer", "check", "mobile_payment"])
+    .withMessage("Invalid refund method"),
+];
+
+export const settleCancellationValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  body("waivePenalty").optional().isBoolean().toBoolean(),
+  body("method")
+    .optional()
+    .isIn(["cash", "card", "credit_card", "bank_transfer", "check", "mobile_payment"])
+    .withMessage("Invalid refund method"),
+];
+
+export const createEventInvoiceValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  body("billingType")
+    .optional()
+    .isIn(EVENT_INVOICE_TYPES)
+    .withMessage(`Billing type must be one of: ${EVENT_INVOICE_TYPES.join(", ")}`),
+  // Deposit share of the event total (defaults to the contract settings)
+  body("percentage")
+    .optional()
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage("Percentage must be between 0.01 and 100")
+    .toFloat(),
+  body("dueDate").optional().isISO8601().withMessage("Invalid due date format").toDate(),
+  body("notes").optional().trim().isLength({ max: 1000 }),
+];
+
+export const placeHoldValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  body("expiresAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid hold expiry date")
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("Hold expiry must be in the future");
+      }
+      return true;
+    }),
+
+  body("days")
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage("Hold duration must be between 1 and 90 days"),
+];
+
+export const addToWaitlistValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  body("clientId")
+    .notEmpty()
+    .withMessage("Client is required")
+    .isMongoId()
+    .withMessage("Invalid client ID"),
+
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  body("guestCount")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Guest count must be at least 1"),
+];
+
+export const seriesScopeValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  body("scope")
+    .optional()
+    .isIn(SERIES_SCOPES)
+    .withMessage(`Scope must be one of: ${SERIES_SCOPES.join(", ")}`),
+];
+
+export const updateSeriesValidator = [
+  ...seriesScopeValidator,
+
+  body("title").optional().trim().isLength({ max: 200 }),
+  body("clientId").optional().isMongoId().withMessage("Invalid client ID"),
+  body("resourceId").optional().isMongoId().withMessage("Invalid resource ID"),
+  body("startTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be HH:mm"),
+  body("endTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be HH:mm"),
+  body("guestCount").optional().isInt({ min: 1 }),
+  body("startDate").optional().isISO8601().toDate(),
+  body("endDate").optional().isISO8601().toDate(),
+];
+
+export const calendarTokenValidator = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid calendar token"),
+];
+
+export const createCalendarFeedValidator = [
+  body("type")
+    .notEmpty()
+    .withMessage("Feed type is required")
+    .isIn(["user", "space"])
+    .withMessage("Feed type must be 'user' or 'space'"),
+
+  body("spaceId")
+    .if(body("type").equals("space"))
+    .notEmpty()
+    .withMessage("Space is required for a space feed")
+    .isMongoId()
+    .withMessage("Invalid space ID"),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+];
+
+export const calendarFeedIdValidator = [
+  param("feedId").isMongoId().withMessage("Invalid calendar feed ID"),
+];
+
+// Run of show (timeline) items
+const timelineItemRules = (isUpdate) => [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+
+  (isUpdate ? body("title").optional() : body("title").notEmpty().withMessage("Title is required"))
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  (isUpdate ? body("startAt").optional() : body("startAt").notEmpty().withMessage("Start time is required"))
+    .isISO8601()
+    .withMessage("Invalid start time")
+    .toDate(),
+
+  body("duration")
+    .optional()
+    .isInt({ min: 0, max: 24 * 60 })
+    .withMessage("Duration must be between 0 and 1440 minutes")
+    .toInt(),
+
+  body("responsibleUser").optional({ values: "null" }).isMongoId().withMessage("Invalid user ID"),
+  body("responsiblePartner").optional({ values: "null" }).isMongoId().withMessage("Invalid partner ID"),
+  body("location").optional({ values: "null" }).isMongoId().withMessage("Invalid location ID"),
+  body("notes").optional().isLength({ max: 1000 }).withMessage("Notes cannot exceed 1000 characters"),
+  body("order").optional().isInt({ min: 0 }).toInt(),
+];
+
+export const addTimelineItemValidator = timelineItemRules(false);
+
+export const updateTimelineItemValidator = [
+  ...timelineItemRules(true),
+  param("itemId").isMongoId().withMessage("Invalid timeline item ID"),
+];
+
+export const timelineItemIdValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+  param("itemId").isMongoId().withMessage("Invalid timeline item ID"),
+];
+
+export const reorderTimelineValidator = [
+  param("id").isMongoId().withMessage("Invalid event ID"),
+  body("itemIds")
+    .isArray({ min: 1 })
+    .withMessage("itemIds must be a non-empty array"),
+  body("itemIds.*").isMongoId().withMessage("Invalid timeline item ID"),
+];
+
+// Event templates (packages)
+const TEMPLATE_TASK_CATEGORIES = [
+  "event_preparation",
+  "marketing",
+  "maintenance",
+  "client_followup",
+  "partner_coordination",
+  "administrative",
+  "finance",
+  "setup",
+  "cleanup",
+  "post_production",
+  "delivery",
+  "inventory_check",
+  "other",
+];
+
+const templateRules = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name").notEmpty().withMessage("Template name is required"))
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  (isUpdate ? body("eventType").optional() : body("eventType").notEmpty().withMessage("Event type is required"))
+    .isIn(["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"])
+    .withMessage("Invalid event type"),
+
+  body("description").optional().isLength({ max: 2000 }),
+  body("guestCount").optional().isInt({ min: 1 }).toInt(),
+  body("startTime").optional().matches(TIME_PATTERN).withMessage("Start time must be HH:mm"),
+  body("endTime").optional().matches(TIME_PATTERN).withMessage("End time must be HH:mm"),
+  body("durationDays").optional().isInt({ min: 1, max: 30 }).toInt(),
+  body("isActive").optional().isBoolean().toBoolean(),
+
+  body("pricing.basePrice").optional().isFloat({ min: 0 }).toFloat(),
+  body("pricing.discount").optional().isFloat({ min: 0 }).toFloat(),
+  body("pricing.taxRate").optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body("pricing.additionalServices").optional().isArray(),
+  body("pricing.additionalServices.*.name").trim().notEmpty().withMessage("Service name is required"),
+  body("pricing.additionalServices.*.price").optional().isFloat({ min: 0 }).toFloat(),
+
+  body("supplies").optional().isArray(),
+  body("supplies.*.supply").isMongoId().withMessage("Invalid supply ID"),
+  body("supplies.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1").toInt(),
+  body("supplies.*.chargePerUnit").optional().isFloat({ min: 0 }).toFloat(),
+
+  body("partnerSlots").optional().isArray(),
+  body("partnerSlots.*.service").trim().notEmpty().withMessage("Partner slot service is required"),
+  body("partnerSlots.*.partner").optional({ values: "null" }).isMongoId().withMessage("Invalid partner ID"),
+  body("partnerSlots.*.hours").optional().isFloat({ min: 0 }).toFloat(),
+  body("partnerSlots.*.cost").optional().isFloat({ min: 0 }).toFloat(),
+
+  body("tasks").optional().isArray({ max: 100 }),
+  body("tasks.*.title").trim().notEmpty().withMessage("Task title is required").isLength({ max: 200 }),
+  body("tasks.*.category").optional().isIn(TEMPLATE_TASK_CATEGORIES).withMessage("Invalid task category"),
+  body("tasks.*.priority").optional().isIn(["low", "medium", "high", "urgent"]).withMessage("Invalid task priority"),
+  body("tasks.*.offsetDays").optional().isInt({ min: -365, max: 365 }).toInt(),
+  body("tasks.*.assignedTo").optional({ values: "null" }).isMongoId().withMessage("Invalid user ID"),
+];
+
+export const createTemplateValidator = templateRules(false);
+
+export const updateTemplateValidator = [
+  param("templateId").isMongoId().withMessage("Invalid template ID"),
+  ...templateRules(true),
+];
+
+export const templateIdValidator = [
+  param("templateId").isMongoId().withMessage("Invalid template ID"),
+];
+
+export const createFromTemplateValidator = [
+  param("templateId").isMongoId().withMessage("Invalid template ID"),
+
+  body("clientId")
+    .notEmpty()
+    .withMessage("Client is required")
+    .isMongoId()
+    .withMessage("Invalid client ID"),
+
+  body("startDate")
+    .notEmpty()
+    .withMessage("Start date is required")
+    .isISO8601()
+    .withMessage("Invalid start date format")
+    .toDate(),
+
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value, { req }) => {
+      if (value < req.body.startDate) {
+        throw new Error("End date must be after start date");
+      }
+      return true;
+    }),
+
+  body("title").optional().trim().isLength({ max: 200 }),
+  body("startTime").optional().matches(TIME_PATTERN).withMessage("Start time must be HH:mm"),
+  body("endTime").optional().matches(TIME_PATTERN).withMessage("End time must be HH:mm"),
+  body("guestCount").optional().isInt({ min: 1 }).toInt(),
+  body("resourceId").optional().isMongoId().withMessage("Invalid resource ID"),
+  ...resourcesValidator,
+
+  body("status")
+    .optional()
+    .isIn(INITIAL_EVENT_STATUSES)
+    .withMessage(`Status must be one of: ${INITIAL_EVENT_STATUSES.join(", ")}`),
+  body("holdExpiresAt").optional().isISO8601().toDate(),
+  body("holdDays").optional().isInt({ min: 1, max: 90 }),
+
+  body("pricing.basePrice").optional().isFloat({ min: 0 }).toFloat(),
+  body("pricing.discount").optional().isFloat({ min: 0 }).toFloat(),
+
+  body("partnerSlots").optional().isArray(),
+  body("partnerSlots.*.slotId").isMongoId().withMessage("Invalid partner slot ID"),
+  body("partnerSlots.*.partner").isMongoId().withMessage("Invalid partner ID"),
+];
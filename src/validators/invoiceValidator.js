@@ -1,4 +1,4 @@
-import { body, param } from "express-validator";
+import { body, param, query } from "express-validator";
 import { Client, Event } from "../models/index.js";
 
 // =========================================================
@@ -116,6 +116,77 @@ export const updateInvoiceValidator = [
     .isFloat({ min: 0 }).withMessage("Rate must be positive"),
 ];
 
+// =========================================================
+// CREDIT NOTE VALIDATORS
+// =========================================================
+export const creditNoteIdValidator = [
+  param("creditNoteId").isMongoId().withMessage("Invalid credit note ID"),
+];
+
+export const listCreditNotesValidator = [
+  query("invoiceType").optional().isIn(["client", "partner"]).withMessage("Invalid invoice type"),
+  query("client").optional().isMongoId().withMessage("Invalid Client ID"),
+];
+
+export const createCreditNoteValidator = [
+  param("id").isMongoId().withMessage("Invalid invoice ID"),
+
+  body("reason")
+    .trim()
+    .notEmpty().withMessage("A reason is required for a credit note")
+    .isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+
+  // Without lines, everything left on the invoice is credited
+  body("lines")
+    .optional()
+    .isArray({ min: 1 }).withMessage("Lines must be a non-empty array"),
+  body("lines.*.item")
+    .isMongoId().withMessage("Invalid invoice line ID"),
+  body("lines.*.quantity")
+    .optional()
+    .isFloat({ gt: 0 }).withMessage("Quantity must be positive")
+    .toFloat(),
+  body("lines.*.amount")
+    .optional()
+    .isFloat({ min: 0.001 }).withMessage("Amount must be positive")
+    .toFloat(),
+];
+
+export const cancelInvoiceValidator = [
+  param("id").isMongoId().withMessage("Invalid invoice ID"),
+  body("reason").optional().trim().isLength({ max: 500 }),
+];
+
+// =========================================================
+// PAYABLES REPORT VALIDATOR
+// =========================================================
+export const payablesReportValidator = [
+  query("partnerId").optional().isMongoId().withMessage("Invalid partner ID"),
+  query("asOf").optional().isISO8601().withMessage("Invalid date format for asOf"),
+];
+
+// =========================================================
+// MARK AS PAID VALIDATOR
+// =========================================================
+export const markPaidValidator = [
+  param("id").isMongoId().withMessage("Invalid invoice ID"),
+
+  // Defaults to what is still due
+  body("amount")
+    .optional()
+    .isFloat({ min: 0.01 }).withMessage("Amount must be greater than 0")
+    .toFloat(),
+
+  body("method")
+    .optional()
+    .isIn(["cash", "card", "credit_card", "bank_transfer", "check", "mobile_payment"])
+    .withMessage("Invalid payment method"),
+
+  body("reference").optional().trim().isLength({ max: 100 }),
+
+  commonRules.date("paidDate"),
+];
+
 // =========================================================
 // SETTINGS VALIDATOR
 // =========================================================
@@ -141,4 +212,18 @@ export const invoiceSettingsValidator = [
     .optional()
     .trim()
     .isLength({ max: 500 }),
+
+  // Number formats: numbering.invoice | bill | creditNote | quote
+  body("numbering")
+    .optional()
+    .isObject()
+    .custom((numbering) =>
+      Object.keys(numbering).every((key) => ["invoice", "bill", "creditNote", "quote"].includes(key))
+    ).withMessage("Numbering formats are invoice, bill, creditNote and quote"),
+  body("numbering.*.prefix").optional().trim().isLength({ max: 10 }).withMessage("Prefix too long"),
+  body("numbering.*.separator").optional().isLength({ max: 3 }).withMessage("Separator too long"),
+  body("numbering.*.includeYear").optional().isBoolean().toBoolean(),
+  body("numbering.*.yearFormat").optional().isIn(["YY", "YYYY"]).withMessage("Year format must be YY or YYYY"),
+  body("numbering.*.sequenceDigits").optional().isInt({ min: 1, max: 10 }).toInt(),
+  body("numbering.*.resetSequenceYearly").optional().isBoolean().toBoolean(),
 ];
\ No newline at end of file
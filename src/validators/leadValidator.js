@@ -0,0 +1,116 @@
+import { body, param, query } from "express-validator";
+import { LEAD_ACTIVITY_TYPES, LEAD_SOURCES, LEAD_STAGES } from "../models/Lead.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const EVENT_TYPES = ["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"];
+
+// Stages a lead can be created in or moved to by hand ("won" = conversion)
+const MANUAL_STAGES = LEAD_STAGES.filter((stage) => stage !== "won");
+
+const leadIdRule = param("id").isMongoId().withMessage("Invalid lead ID");
+
+// Fields shared by the team form and the public inquiry form
+const contactRules = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name").notEmpty().withMessage("Name is required"))
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+  body("email").optional({ values: "falsy" }).trim().isEmail().withMessage("Please provide a valid email").normalizeEmail(),
+  body("phone").optional({ values: "falsy" }).trim().isLength({ max: 20 }).withMessage("Phone number must be less than 20 characters"),
+  body("company").optional().trim().isLength({ max: 100 }),
+  body("eventType").optional().isIn(EVENT_TYPES).withMessage("Invalid event type"),
+  body("expectedEventDate").optional().isISO8601().withMessage("Invalid event date").toDate(),
+  body("budget").optional().isFloat({ min: 0 }).withMessage("Budget must be positive").toFloat(),
+  body("guestCount").optional().isInt({ min: 1 }).toInt(),
+  body("message").optional().trim().isLength({ max: 2000 }),
+  body("sourceDetails").optional().trim().isLength({ max: 200 }),
+];
+
+const leadRules = (isUpdate) => [
+  ...contactRules(isUpdate),
+  body("source").optional().isIn(LEAD_SOURCES).withMessage(`Source must be one of: ${LEAD_SOURCES.join(", ")}`),
+  body("assignedTo").optional({ values: "null" }).isMongoId().withMessage("Invalid user ID"),
+];
+
+export const createLeadValidator = [
+  ...leadRules(false),
+  body("stage")
+    .optional()
+    .isIn(MANUAL_STAGES.filter((stage) => stage !== "lost"))
+    .withMessage("Invalid initial stage"),
+  body().custom((value) => {
+    if (!value.email && !value.phone) throw new Error("An email or a phone number is required");
+    return true;
+  }),
+];
+
+export const updateLeadValidator = [leadIdRule, ...leadRules(true)];
+
+export const leadIdValidator = [leadIdRule];
+
+export const getLeadsValidator = [
+  query("stage").optional().isIn(LEAD_STAGES).withMessage("Invalid stage"),
+  query("source").optional().isIn(LEAD_SOURCES).withMessage("Invalid source"),
+  query("assignedTo").optional().isMongoId().withMessage("Invalid user ID"),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 100 }),
+];
+
+export const leadReportValidator = [
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+export const changeLeadStageValidator = [
+  leadIdRule,
+  body("stage")
+    .isIn(MANUAL_STAGES)
+    .withMessage(`Stage must be one of: ${MANUAL_STAGES.join(", ")}`),
+  body("note").optional().trim().isLength({ max: 500 }),
+  body("lostReason").optional().trim().isLength({ max: 500 }),
+];
+
+export const addLeadActivityValidator = [
+  leadIdRule,
+  body("type").optional().isIn(LEAD_ACTIVITY_TYPES).withMessage("Invalid activity type"),
+  body("note").trim().notEmpty().withMessage("Note is required").isLength({ max: 2000 }),
+  body("date").optional().isISO8601().toDate(),
+];
+
+export const convertLeadValidator = [
+  leadIdRule,
+  body("clientId").optional().isMongoId().withMessage("Invalid client ID"),
+  body("client.name").optional().trim().isLength({ min: 2, max: 100 }),
+  body("client.email").optional().trim().isEmail().withMessage("Please provide a valid email").normalizeEmail(),
+  body("client.phone").optional().trim().isLength({ max: 20 }),
+
+  // Optional booking
+  body("event").optional().isObject(),
+  body("event.type").optional().isIn(EVENT_TYPES).withMessage("Invalid event type"),
+  body("event.title").optional().trim().isLength({ max: 200 }),
+  body("event.startDate").optional().isISO8601().withMessage("Invalid start date").toDate(),
+  body("event.endDate").optional().isISO8601().withMessage("Invalid end date").toDate(),
+  body("event.startTime")
+    .if(body("event").exists())
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be HH:mm"),
+  body("event.endTime")
+    .if(body("event").exists())
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be HH:mm"),
+  body("event.guestCount").optional().isInt({ min: 1 }).toInt(),
+  body("event.resourceId").optional().isMongoId().withMessage("Invalid resource ID"),
+];
+
+// =========================================================
+// PUBLIC INQUIRY FORM
+// =========================================================
+export const inquiryValidator = [
+  param("businessId").isMongoId().withMessage("Invalid business"),
+  ...contactRules(false),
+  body().custom((value) => {
+    if (!value.email && !value.phone) throw new Error("An email or a phone number is required");
+    return true;
+  }),
+];
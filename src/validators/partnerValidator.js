@@ -29,6 +29,11 @@ const commonRules = {
     .optional()
     .isIn(["active", "inactive", "blacklisted"])
     .withMessage("Invalid status"),
+
+  paymentTermsDays: body("paymentTermsDays")
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage("Payment terms must be between 0 and 365 days")
+    .toInt(),
 };
 
 // =========================================================
@@ -63,6 +68,7 @@ export const createPartnerValidator = [
   commonRules.email,
   commonRules.phone,
   commonRules.status,
+  commonRules.paymentTermsDays,
   
   body("services")
     .optional()
@@ -101,6 +107,7 @@ export const updatePartnerValidator = [
   commonRules.email,
   commonRules.phone,
   commonRules.status,
+  commonRules.paymentTermsDays,
   
   body("notes").optional().trim().isLength({ max: 1000 }),
 ];
\ No newline at end of file
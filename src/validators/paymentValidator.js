@@ -12,6 +12,16 @@ const commonRules = {
     .optional()
     .isIn(["pending", "completed", "failed", "refunded"])
     .withMessage("Invalid status"),
+
+  // Invoices the payment settles: allocations = [{ invoice, amount? }]
+  allocationItems: [
+    body("allocations.*.invoice").isMongoId().withMessage("Invalid Invoice ID in allocations"),
+    body("allocations.*.amount")
+      .optional()
+      .isFloat({ min: 0.001 })
+      .withMessage("Allocated amount must be greater than 0")
+      .toFloat(),
+  ],
 };
 
 export const paymentIdValidator = [
@@ -34,12 +44,15 @@ export const createPaymentValidator = [
     .custom(async (val, { req }) => {
       const invoice = await Invoice.findOne({ 
         _id: val, 
-        businessId: req.user.businessId 
+        business: req.user.businessId 
       });
       if (!invoice) throw new Error("Invoice not found or does not belong to your business");
       return true;
     }),
 
+  body("allocations").optional().isArray().withMessage("Allocations must be an array"),
+  ...commonRules.allocationItems,
+
   //  TENANT ISOLATION: Client Check
   body("clientId")
     .optional({ checkFalsy: true })
@@ -69,7 +82,7 @@ export const createPaymentValidator = [
   // Custom: At least one link required
   body().custom((value, { req }) => {
     // Check if at least one of the IDs is provided (truthy check handles null/undefined/empty string)
-    if (!req.body.invoiceId && !req.body.clientId && !req.body.eventId) {
+    if (!req.body.invoiceId && !req.body.allocations?.length && !req.body.clientId && !req.body.eventId) {
       throw new Error("Payment must be linked to Invoice, Client, or Event");
     }
     return true;
@@ -95,4 +108,17 @@ export const updatePaymentValidator = [
   body("description").optional().trim().isLength({ max: 500 }),
   body("date").optional({ checkFalsy: true }).isISO8601().toDate(),
   body("reference").optional().trim().isLength({ max: 100 }),
+];
+
+export const allocatePaymentValidator = [
+  param("id").isMongoId().withMessage("Invalid payment ID"),
+  body("allocations")
+    .isArray({ min: 1 })
+    .withMessage("At least one allocation is required"),
+  ...commonRules.allocationItems,
+];
+
+export const releaseAllocationValidator = [
+  param("id").isMongoId().withMessage("Invalid payment ID"),
+  param("invoiceId").isMongoId().withMessage("Invalid invoice ID"),
 ];
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { body, param } from "express-validator";
+import { MAX_GUESTS } from "../services/clientPortal.service.js";
+import { signatureRules } from "./contractValidator.js";
+
+const idRule = param("id").isMongoId().withMessage("Invalid ID");
+
+export const portalLinkValidator = [
+  param("businessSlug")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage("Invalid business"),
+  body("email").trim().isEmail().withMessage("Please provide a valid email").normalizeEmail(),
+];
+
+export const portalSessionValidator = [
+  body("token").isHexadecimal().isLength({ min: 64, max: 64 }).withMessage("Invalid link"),
+];
+
+export const portalIdValidator = [idRule];
+
+// JSON body only; a CSV upload is checked while it is parsed
+export const guestListValidator = [
+  idRule,
+  body("guests").optional().isArray({ max: MAX_GUESTS }).withMessage(`Up to ${MAX_GUESTS} guests`),
+  body("guests.*.name").trim().notEmpty().withMessage("Every guest needs a name").isLength({ max: 100 }),
+  body("guests.*.email").optional({ values: "falsy" }).trim().isEmail().withMessage("Invalid guest email"),
+  body("guests.*.phone").optional({ values: "falsy" }).trim().isLength({ max: 20 }),
+  body("guests.*.partySize").optional().isInt({ min: 1, max: 50 }).toInt(),
+  body("guests.*.table").optional().trim().isLength({ max: 30 }),
+  body("guests.*.notes").optional().trim().isLength({ max: 300 }),
+];
+
+export const portalSignValidator = [
+  idRule,
+  body("name").optional().trim().isLength({ max: 100 }),
+  body("documentHash")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid document fingerprint"),
+  body("consent")
+    .custom((value) => value === true)
+    .withMessage("You must agree to sign electronically"),
+  ...signatureRules,
+];
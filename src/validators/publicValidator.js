@@ -0,0 +1,48 @@
+import { body, param, query } from "express-validator";
+import { availabilityQueryValidator } from "./businessValidator.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const EVENT_TYPES = ["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"];
+
+const slugRule = param("businessSlug")
+  .trim()
+  .toLowerCase()
+  .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .withMessage("Invalid business");
+
+export const businessSlugValidator = [slugRule];
+
+export const publicPortfolioValidator = [
+  slugRule,
+  query("category").optional().trim().isLength({ max: 50 }),
+];
+
+export const publicAvailabilityValidator = [slugRule, ...availabilityQueryValidator];
+
+export const bookingRequestValidator = [
+  slugRule,
+  body("name").trim().notEmpty().withMessage("Name is required").isLength({ max: 100 }),
+  body("email").trim().isEmail().withMessage("Please provide a valid email").normalizeEmail(),
+  body("phone")
+    .trim()
+    .notEmpty().withMessage("Phone is required")
+    .isLength({ max: 20 }).withMessage("Phone number must be less than 20 characters"),
+  body("company").optional().trim().isLength({ max: 100 }),
+  body("eventType").optional().isIn(EVENT_TYPES).withMessage("Invalid event type"),
+  body("startDate").isISO8601().withMessage("Invalid event date").toDate(),
+  body("endDate")
+    .optional()
+    .isISO8601().withMessage("Invalid end date")
+    .toDate()
+    .custom((endDate, { req }) => {
+      if (endDate < new Date(req.body.startDate)) throw new Error("End date must be after start date");
+      return true;
+    }),
+  body("startTime").optional().matches(TIME_PATTERN).withMessage("Start time must be HH:mm"),
+  body("endTime").optional().matches(TIME_PATTERN).withMessage("End time must be HH:mm"),
+  body("resourceId").optional().isMongoId().withMessage("Invalid resource ID"),
+  body("guestCount").optional().isInt({ min: 1 }).withMessage("Guest count must be at least 1").toInt(),
+  body("budget").optional().isFloat({ min: 0 }).withMessage("Budget must be positive").toFloat(),
+  body("message").optional().trim().isLength({ max: 1500 }),
+];
@@ -0,0 +1,131 @@
+import { body, param, query } from "express-validator";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const EVENT_TYPES = ["wedding", "birthday", "corporate", "conference", "party", "photoshoot", "delivery", "catering_job", "concert", "other"];
+
+const QUOTE_STATUSES = ["draft", "sent", "viewed", "accepted", "declined", "expired"];
+
+// Items and options share the same line format
+const lineRules = (field) => [
+  body(`${field}.*.description`)
+    .trim()
+    .notEmpty()
+    .withMessage("Line description is required")
+    .isLength({ max: 500 }),
+  body(`${field}.*.quantity`).optional().isFloat({ min: 0 }).withMessage("Quantity must be positive").toFloat(),
+  body(`${field}.*.rate`).optional().isFloat({ min: 0 }).withMessage("Rate must be non-negative").toFloat(),
+];
+
+const quoteRules = (isUpdate) => [
+  (isUpdate ? body("title").optional() : body("title").notEmpty().withMessage("Quote title is required"))
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  (isUpdate ? body("client").optional() : body("client").notEmpty().withMessage("Client is required"))
+    .isMongoId()
+    .withMessage("Invalid client ID"),
+
+  // Event details: all required on creation, partial updates are merged
+  (isUpdate ? body("eventDetails").optional() : body("eventDetails").notEmpty().withMessage("Event details are required"))
+    .isObject()
+    .withMessage("Event details must be an object"),
+  (isUpdate ? body("eventDetails.type").optional() : body("eventDetails.type").notEmpty().withMessage("Event type is required"))
+    .isIn(EVENT_TYPES)
+    .withMessage("Invalid event type"),
+  (isUpdate ? body("eventDetails.startDate").optional() : body("eventDetails.startDate").notEmpty().withMessage("Start date is required"))
+    .isISO8601()
+    .withMessage("Invalid start date format")
+    .toDate(),
+  body("eventDetails.endDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value, { req }) => {
+      const start = req.body.eventDetails?.startDate;
+      if (start && value < start) {
+        throw new Error("End date must be after start date");
+      }
+      return true;
+    }),
+  (isUpdate ? body("eventDetails.startTime").optional() : body("eventDetails.startTime").notEmpty().withMessage("Start time is required"))
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be HH:mm"),
+  (isUpdate ? body("eventDetails.endTime").optional() : body("eventDetails.endTime").notEmpty().withMessage("End time is required"))
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be HH:mm"),
+  body("eventDetails.guestCount").optional().isInt({ min: 1 }).toInt(),
+  body("eventDetails.resourceId").optional({ values: "null" }).isMongoId().withMessage("Invalid resource ID"),
+
+  (isUpdate ? body("items").optional() : body("items"))
+    .isArray({ min: 1 })
+    .withMessage("At least one line item is required"),
+  ...lineRules("items"),
+
+  body("options").optional().isArray(),
+  ...lineRules("options"),
+  body("options.*.selected").optional().isBoolean().toBoolean(),
+
+  body("currency").optional().trim().isLength({ min: 3, max: 3 }).withMessage("Invalid currency"),
+  body("discount").optional().isFloat({ min: 0 }).toFloat(),
+  body("taxRate").optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body("depositPercentage").optional({ values: "null" }).isFloat({ min: 0, max: 100 }).toFloat(),
+  body("validUntil").optional().isISO8601().withMessage("Invalid validity date").toDate(),
+  body("notes").optional().isLength({ max: 2000 }),
+  body("terms").optional().isLength({ max: 5000 }),
+];
+
+export const createQuoteValidator = quoteRules(false);
+
+export const updateQuoteValidator = [
+  param("id").isMongoId().withMessage("Invalid quote ID"),
+  ...quoteRules(true),
+  body("revisionNote").optional().trim().isLength({ max: 500 }),
+];
+
+export const quoteIdValidator = [
+  param("id").isMongoId().withMessage("Invalid quote ID"),
+];
+
+export const getQuotesValidator = [
+  query("status").optional().isIn(QUOTE_STATUSES).withMessage("Invalid status"),
+  query("client").optional().isMongoId().withMessage("Invalid client ID"),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 100 }),
+];
+
+export const sendQuoteValidator = [
+  param("id").isMongoId().withMessage("Invalid quote ID"),
+  body("sendEmail").optional().isBoolean().toBoolean(),
+  body("email").optional().isEmail().withMessage("Invalid email").normalizeEmail(),
+  body("message").optional().isLength({ max: 2000 }),
+  body("language").optional().isIn(["fr", "en", "ar"]),
+];
+
+// =========================================================
+// PUBLIC LINK
+// =========================================================
+export const quoteTokenValidator = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid quote link"),
+];
+
+export const acceptQuoteValidator = [
+  ...quoteTokenValidator,
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Your name is required to accept the quote")
+    .isLength({ max: 100 }),
+  body("identifier").optional().trim().isLength({ max: 50 }),
+  body("selectedOptions").optional().isArray(),
+  body("selectedOptions.*").isMongoId().withMessage("Invalid option ID"),
+];
+
+export const declineQuoteValidator = [
+  ...quoteTokenValidator,
+  body("reason").optional().trim().isLength({ max: 1000 }),
+];